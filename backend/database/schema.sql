@@ -184,6 +184,45 @@ CREATE INDEX idx_testing_fixes_timestamp ON testing_fixes(timestamp);
 
 COMMENT ON TABLE testing_fixes IS 'Agent fixes applied to accessibility issues';
 
+CREATE TABLE testing_suppressions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    testing_session_id UUID REFERENCES testing_sessions(id) ON DELETE SET NULL,
+    criterion VARCHAR(100),
+    selector TEXT,
+    url VARCHAR(500),
+    reason TEXT NOT NULL,
+    expires DATE,
+    description TEXT NOT NULL,
+    accepted_by VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_testing_suppressions_user_id ON testing_suppressions(user_id);
+CREATE INDEX idx_testing_suppressions_testing_session_id ON testing_suppressions(testing_session_id);
+CREATE INDEX idx_testing_suppressions_created_at ON testing_suppressions(created_at);
+
+COMMENT ON TABLE testing_suppressions IS 'Accepted-risk suppressions recorded from the extension (audit trail for .accesslintrc)';
+
+CREATE TABLE testing_artifacts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    testing_session_id UUID NOT NULL REFERENCES testing_sessions(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL,
+    page_url VARCHAR(500) NOT NULL,
+    fingerprint VARCHAR(64),
+    marker INTEGER,
+    content_type VARCHAR(100) NOT NULL,
+    blob_name VARCHAR(500) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_testing_artifacts_testing_session_id ON testing_artifacts(testing_session_id);
+CREATE INDEX idx_testing_artifacts_fingerprint ON testing_artifacts(fingerprint);
+
+COMMENT ON TABLE testing_artifacts IS 'Issue and page screenshots of a testing session';
+COMMENT ON COLUMN testing_artifacts.blob_name IS 'Blob in the reports container';
+
 -- ============================================================================
 -- DEBUG LOGS (All outputChannel.appendLine logs)
 -- ============================================================================
@@ -1,9 +1,18 @@
+import { randomUUID } from 'crypto';
 import { Request, Response } from 'express';
-import { TestingSession, TestingFix } from '../models';
+import { TestingSession, TestingFix, TestingSuppression, TestingArtifact } from '../models';
+import { uploadBlob, CONTAINERS } from '../config/azureBlobStorage';
 import { OrchestratorService } from '../services/orchestratorService';
 import { HTTP_STATUS } from '../config/constants';
 import { asyncHandler } from '../middleware/errorHandler';
 
+// Screenshot content types accepted as testing artifacts, with their blob file extension
+const IMAGE_EXTENSIONS: Record<string, string> = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp'
+};
+
 /**
  * Submit test results (from VSCode extension)
  * POST /api/testing/run
@@ -130,7 +139,7 @@ export const getTestingSession = asyncHandler(async (req: Request, res: Response
     const { id } = req.params;
 
     const session = await TestingSession.findByPk(id, {
-        include: ['fixes']
+        include: ['fixes', 'artifacts']
     });
 
     if (!session) {
@@ -145,9 +154,133 @@ export const getTestingSession = asyncHandler(async (req: Request, res: Response
     });
 });
 
+/**
+ * Record an accepted-risk suppression (written to .accesslintrc by the VSCode extension)
+ * POST /api/testing/suppressions
+ * Body: { testingSessionId?, criterion?, selector?, url?, reason, expires?, description, acceptedBy? }
+ */
+export const recordSuppression = asyncHandler(async (req: Request, res: Response) => {
+    const { testingSessionId, criterion, selector, url, reason, expires, description, acceptedBy } = req.body;
+    const user = req.user!;
+
+    if (!reason || !description) {
+        res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: 'Reason and issue description are required'
+        });
+        return;
+    }
+
+    if (expires && !/^\d{4}-\d{2}-\d{2}$/.test(expires)) {
+        res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: 'Expiry must be a YYYY-MM-DD date'
+        });
+        return;
+    }
+
+    if (testingSessionId) {
+        const testingSession = await TestingSession.findByPk(testingSessionId);
+        if (!testingSession || testingSession.userId !== user.id) {
+            res.status(HTTP_STATUS.NOT_FOUND).json({
+                error: 'Testing session not found'
+            });
+            return;
+        }
+    }
+
+    const suppression = await TestingSuppression.create({
+        userId: user.id,
+        testingSessionId,
+        criterion,
+        selector,
+        url,
+        reason,
+        expires,
+        description,
+        // The extension sends the name it wrote to .accesslintrc; the account email is the fallback
+        acceptedBy: acceptedBy || user.email
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+        data: {
+            suppressionId: suppression.id,
+            acceptedBy: suppression.acceptedBy
+        }
+    });
+});
+
+/**
+ * Store screenshots of a testing session in blob storage
+ * POST /api/testing/sessions/:id/artifacts
+ * Body: { artifacts: [{ kind, pageUrl, fingerprint?, marker?, contentType, data (base64) }] }
+ */
+export const uploadTestingArtifacts = asyncHandler(async (req: Request, res: Response) => {
+    const { id } = req.params;
+    const { artifacts } = req.body;
+    const userId = req.user!.id;
+
+    if (!Array.isArray(artifacts) || artifacts.length === 0) {
+        res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: 'At least one artifact is required'
+        });
+        return;
+    }
+
+    const invalid = artifacts.findIndex((artifact: any) =>
+        !artifact ||
+        typeof artifact.kind !== 'string' ||
+        typeof artifact.pageUrl !== 'string' ||
+        typeof artifact.data !== 'string' ||
+        !IMAGE_EXTENSIONS[artifact.contentType]
+    );
+    if (invalid !== -1) {
+        res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: `artifacts[${invalid}] needs a kind, pageUrl, base64 data and a PNG, JPEG or WebP content type`
+        });
+        return;
+    }
+
+    const testingSession = await TestingSession.findByPk(id);
+    if (!testingSession || testingSession.userId !== userId) {
+        res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Testing session not found'
+        });
+        return;
+    }
+
+    const stored: TestingArtifact[] = [];
+    for (const artifact of artifacts) {
+        const content = Buffer.from(artifact.data, 'base64');
+        const blobName = `testing-sessions/${id}/${randomUUID()}.${IMAGE_EXTENSIONS[artifact.contentType]}`;
+        await uploadBlob(CONTAINERS.REPORTS, blobName, content, artifact.contentType);
+
+        stored.push(await TestingArtifact.create({
+            testingSessionId: id,
+            kind: artifact.kind,
+            pageUrl: artifact.pageUrl,
+            fingerprint: artifact.fingerprint,
+            marker: artifact.marker,
+            contentType: artifact.contentType,
+            blobName,
+            sizeBytes: content.length
+        }));
+    }
+
+    res.status(HTTP_STATUS.CREATED).json({
+        data: {
+            artifacts: stored.map(artifact => ({
+                id: artifact.id,
+                kind: artifact.kind,
+                fingerprint: artifact.fingerprint
+            }))
+        }
+    });
+});
+
 export default {
     submitTestResults,
     fixIssues,
-    getTestingSession
+    getTestingSession,
+    recordSuppression,
+    uploadTestingArtifacts
 };
 
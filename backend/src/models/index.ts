@@ -12,6 +12,8 @@ export { AgentSession } from './agentSession.model';
 export { AgentIteration } from './agentIteration.model';
 export { TestingSession } from './testingSession.model';
 export { TestingFix } from './testingFix.model';
+export { TestingSuppression } from './testingSuppression.model';
+export { TestingArtifact } from './testingArtifact.model';
 export { DebugLog } from './debugLog.model';
 export { UsageStat } from './usageStat.model';
 export { VsixDownload } from './vsixDownload.model';
@@ -25,6 +27,8 @@ import { AgentSession } from './agentSession.model';
 import { AgentIteration } from './agentIteration.model';
 import { TestingSession } from './testingSession.model';
 import { TestingFix } from './testingFix.model';
+import { TestingSuppression } from './testingSuppression.model';
+import { TestingArtifact } from './testingArtifact.model';
 import { DebugLog } from './debugLog.model';
 import { UsageStat } from './usageStat.model';
 import { VsixDownload } from './vsixDownload.model';
@@ -38,6 +42,8 @@ export const models = [
     AgentIteration,
     TestingSession,
     TestingFix,
+    TestingSuppression,
+    TestingArtifact,
     DebugLog,
     UsageStat,
     VsixDownload
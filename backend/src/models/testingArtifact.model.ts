@@ -0,0 +1,83 @@
+import { Table, Column, Model, DataType, ForeignKey, BelongsTo, Index, CreatedAt } from 'sequelize-typescript';
+import { TestingSession } from './testingSession.model';
+
+@Table({
+    tableName: 'testing_artifacts',
+    timestamps: false
+})
+export class TestingArtifact extends Model {
+    @Column({
+        type: DataType.UUID,
+        defaultValue: DataType.UUIDV4,
+        primaryKey: true
+    })
+    id!: string;
+
+    @Index
+    @ForeignKey(() => TestingSession)
+    @Column({
+        type: DataType.UUID,
+        allowNull: false,
+        field: 'testing_session_id'
+    })
+    testingSessionId!: string;
+
+    @Column({
+        type: DataType.STRING(20),
+        allowNull: false
+    })
+    kind!: string;
+
+    @Column({
+        type: DataType.STRING(500),
+        allowNull: false,
+        field: 'page_url'
+    })
+    pageUrl!: string;
+
+    @Index
+    @Column({
+        type: DataType.STRING(64)
+    })
+    fingerprint?: string;
+
+    @Column({
+        type: DataType.INTEGER
+    })
+    marker?: number;
+
+    @Column({
+        type: DataType.STRING(100),
+        allowNull: false,
+        field: 'content_type'
+    })
+    contentType!: string;
+
+    @Column({
+        type: DataType.STRING(500),
+        allowNull: false,
+        field: 'blob_name'
+    })
+    blobName!: string;
+
+    @Column({
+        type: DataType.INTEGER,
+        allowNull: false,
+        field: 'size_bytes'
+    })
+    sizeBytes!: number;
+
+    @CreatedAt
+    @Column({
+        type: DataType.DATE,
+        defaultValue: DataType.NOW,
+        field: 'created_at'
+    })
+    createdAt!: Date;
+
+    // Associations
+    @BelongsTo(() => TestingSession)
+    testingSession!: TestingSession;
+}
+
+export default TestingArtifact;
@@ -1,6 +1,7 @@
 import { Table, Column, Model, DataType, ForeignKey, BelongsTo, HasMany, Index, CreatedAt } from 'sequelize-typescript';
 import { User } from './user.model';
 import { TestingFix } from './testingFix.model';
+import { TestingArtifact } from './testingArtifact.model';
 
 @Table({
     tableName: 'testing_sessions',
@@ -85,6 +86,9 @@ export class TestingSession extends Model {
 
     @HasMany(() => TestingFix)
     fixes!: TestingFix[];
+
+    @HasMany(() => TestingArtifact)
+    artifacts!: TestingArtifact[];
 }
 
 export default TestingSession;
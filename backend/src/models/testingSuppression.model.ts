@@ -0,0 +1,90 @@
+import { Table, Column, Model, DataType, ForeignKey, BelongsTo, Index, CreatedAt } from 'sequelize-typescript';
+import { User } from './user.model';
+import { TestingSession } from './testingSession.model';
+
+@Table({
+    tableName: 'testing_suppressions',
+    timestamps: false
+})
+export class TestingSuppression extends Model {
+    @Column({
+        type: DataType.UUID,
+        defaultValue: DataType.UUIDV4,
+        primaryKey: true
+    })
+    id!: string;
+
+    @Index
+    @ForeignKey(() => User)
+    @Column({
+        type: DataType.UUID,
+        allowNull: false,
+        field: 'user_id'
+    })
+    userId!: string;
+
+    @Index
+    @ForeignKey(() => TestingSession)
+    @Column({
+        type: DataType.UUID,
+        field: 'testing_session_id'
+    })
+    testingSessionId?: string;
+
+    @Column({
+        type: DataType.STRING(100)
+    })
+    criterion?: string;
+
+    @Column({
+        type: DataType.TEXT
+    })
+    selector?: string;
+
+    @Column({
+        type: DataType.STRING(500)
+    })
+    url?: string;
+
+    @Column({
+        type: DataType.TEXT,
+        allowNull: false
+    })
+    reason!: string;
+
+    @Column({
+        type: DataType.DATEONLY
+    })
+    expires?: string;
+
+    @Column({
+        type: DataType.TEXT,
+        allowNull: false
+    })
+    description!: string;
+
+    @Column({
+        type: DataType.STRING(255),
+        allowNull: false,
+        field: 'accepted_by'
+    })
+    acceptedBy!: string;
+
+    @Index
+    @CreatedAt
+    @Column({
+        type: DataType.DATE,
+        defaultValue: DataType.NOW,
+        field: 'created_at'
+    })
+    createdAt!: Date;
+
+    // Associations
+    @BelongsTo(() => User)
+    user!: User;
+
+    @BelongsTo(() => TestingSession)
+    testingSession?: TestingSession;
+}
+
+export default TestingSuppression;
@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { submitTestResults, fixIssues, getTestingSession } from '../controllers/testingController';
+import { submitTestResults, fixIssues, getTestingSession, recordSuppression, uploadTestingArtifacts } from '../controllers/testingController';
 import { authenticate, requireActive } from '../middleware/authMiddleware';
 import { rateLimit, usageTracker } from '../middleware/rateLimitMiddleware';
 
@@ -14,6 +14,8 @@ router.use(usageTracker);
 // Testing routes
 router.post('/run', submitTestResults);
 router.post('/fix', fixIssues);
+router.post('/suppressions', recordSuppression);
+router.post('/sessions/:id/artifacts', uploadTestingArtifacts);
 router.get('/:id', getTestingSession);
 
 export default router;
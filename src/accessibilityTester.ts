@@ -1,8 +1,21 @@
-import * as vscode from 'vscode';
 import { chromium, Browser, Page } from 'playwright';
 import { nvda } from '@guidepup/guidepup';
-import { AiProviderManager } from './aiProviderManager';
+import type { AiProviderManager } from './aiProviderManager';
 import { execSync } from 'child_process';
+import { runRuleEngine, toAccessibilityIssues } from './testing/ruleEngine';
+import { checkColorContrast } from './testing/contrastChecker';
+import { checkResponsiveLayout } from './testing/responsiveChecker';
+import { checkMotion } from './testing/motionChecker';
+import { checkMedia } from './testing/mediaChecker';
+import { analyzeFocusOrder, FocusStop } from './testing/focusOrderAnalyzer';
+import { testDynamicContent } from './testing/liveRegionMonitor';
+import { checkDialogs } from './testing/dialogChecker';
+import { checkWidgetContracts } from './testing/widgetContracts';
+import { captureIssueScreenshots } from './testing/issueScreenshots';
+import { Journey, JourneyResult, runJourneySteps } from './testing/journeyRunner';
+import { mapIssuesToSource, SourceLocation } from './testing/sourceMapper';
+import { getChromiumLaunchOptions } from './testing/browserLaunch';
+import { applySuppressions, IssueSuppression, loadSuppressionConfig } from './testing/suppressions';
 
 export interface NVDAInteraction {
     action: string;
@@ -19,8 +32,18 @@ export interface AccessibilityIssue {
     expectedAnnouncement?: string;
     element?: string;
     location?: string;
-    source?: 'basic' | 'ai'; // Track whether issue came from basic or AI validation
+    source?: 'basic' | 'rules' | 'ai'; // Track whether issue came from basic, rule engine or AI validation
     recommendation?: string; // AI can provide fix recommendations
+    ruleId?: string; // Rule engine identifier (e.g. 'image-alt') for deterministic findings
+    sourceLocation?: SourceLocation; // Component source (file:line:column) that rendered the element
+    fingerprint?: string; // Stable identity across runs, set when comparing to a baseline
+    baselineStatus?: 'new' | 'unchanged'; // Whether the baseline already recorded this issue
+    suppression?: IssueSuppression; // Set on issues moved to TestResult.suppressed
+    screenshot?: string; // JPEG data URL of the element with a highlight box around it
+    marker?: number; // Number of the element's marker on TestResult.pageScreenshot
+    viewport?: string; // Viewport(s) that triggered a viewport matrix issue, e.g. "320 CSS px, 400% zoom"
+    steps?: string[]; // Key presses and clicks that reproduce an interaction issue
+    frameStrip?: string; // JPEG data URL of a few frames side by side, for moving or flashing content
 }
 
 export interface TestResult {
@@ -35,21 +58,98 @@ export interface TestResult {
         totalInteractions: number;
     };
     nvdaLog: string[];
+    checkpoint?: string; // Journey checkpoint label when the result comes from an audit step
+    suppressed?: AccessibilityIssue[]; // Accepted issues, excluded from issues and summary
+    pageScreenshot?: string; // Full-page JPEG data URL with a numbered marker per screenshotted issue
+    focusOrder?: {
+        stops: FocusStop[];
+        overlayScreenshot?: string; // PNG data URL with the tab path drawn over the page
+    };
+}
+
+export interface BasicTestResults {
+    interactions: NVDAInteraction[];
+    issues: AccessibilityIssue[];
+}
+
+/**
+ * Destination for the tester's log lines. A VS Code OutputChannel satisfies it in the extension;
+ * the CLI writes to the terminal instead.
+ */
+export interface TestLogger {
+    appendLine(value: string): void;
 }
 
 export class AccessibilityTester {
-    private browser: Browser | null = null;
-    private page: Page | null = null;
-    private outputChannel: vscode.OutputChannel;
+    protected browser: Browser | null = null;
+    protected page: Page | null = null;
+    /**
+     * Every URL the test page has navigated to in this session, so links to them read as visited
+     */
+    protected readonly visitedUrls = new Set<string>();
+    protected outputChannel: TestLogger;
     private nvdaRunning: boolean = false;
-    private aiProviderManager: AiProviderManager | null = null;
-    private enableAIValidation: boolean = true; // Toggle for AI validation
+    protected aiProviderManager: AiProviderManager | null = null;
+    protected enableAIValidation: boolean = true; // Toggle for AI validation
+
+    /**
+     * Workspace folder used to resolve issue source locations to real files
+     */
+    sourceRoot?: string;
+
+    /**
+     * Screenshot offending elements and mark them on a full-page thumbnail (slow on large pages)
+     */
+    captureScreenshots: boolean = true;
 
-    constructor(outputChannel: vscode.OutputChannel, aiProviderManager?: AiProviderManager) {
+    /**
+     * Sample frames for moving and flashing content and re-check it with reduced motion. Adds
+     * seconds per page and may reload it, so it is opt-in.
+     */
+    motionChecks: boolean = false;
+
+    /**
+     * Re-test the page at 320 px, 200%/400% zoom, with text-spacing overrides and in both orientations
+     */
+    viewportMatrix: boolean = false;
+
+    /**
+     * Submit forms, click scripted buttons and follow client-side routes to check that status
+     * messages and route changes are announced. Clicks on the page, so it is opt-in.
+     */
+    dynamicContent: boolean = false;
+
+    /**
+     * Selectors of forms the dynamic content check may submit even though they do not declare
+     * method="get" with a same-origin action
+     */
+    dynamicContentForms: string[] = [];
+
+    /**
+     * Name of the engine producing announcements, used in progress messages
+     */
+    readonly engineName: string = 'NVDA';
+
+    constructor(outputChannel: TestLogger, aiProviderManager?: AiProviderManager) {
         this.outputChannel = outputChannel;
         this.aiProviderManager = aiProviderManager || null;
     }
 
+    /**
+     * Check whether NVDA can be driven on this machine (Windows with NVDA installed via @guidepup/setup)
+     */
+    static async isNvdaAvailable(): Promise<boolean> {
+        if (process.platform !== 'win32') {
+            return false;
+        }
+
+        try {
+            return await nvda.detect();
+        } catch {
+            return false;
+        }
+    }
+
     async initialize(): Promise<void> {
         try {
             this.outputChannel.appendLine('🚀 Initializing NVDA screen reader...');
@@ -102,58 +202,7 @@ export class AccessibilityTester {
             }
 
             // Initialize browser
-            this.outputChannel.appendLine('🌐 Launching Chromium browser...');
-            this.outputChannel.appendLine('   This may take a moment on first launch...');
-            
-            try {
-                // Try to use system Chrome/Edge if Playwright browsers not installed
-                // This helps in corporate environments where browser downloads are blocked
-                const launchOptions: any = {
-                    headless: false,
-                    timeout: 60000,
-                    args: ['--no-sandbox', '--disable-setuid-sandbox']
-                };
-                
-                // Check if we should use system browser (for corporate environments)
-                // Set environment variable: ACCESSLINT_USE_SYSTEM_BROWSER=chrome or edge
-                const useSystemBrowser = process.env.ACCESSLINT_USE_SYSTEM_BROWSER;
-                if (useSystemBrowser) {
-                    launchOptions.channel = useSystemBrowser; // 'chrome' or 'msedge'
-                    this.outputChannel.appendLine(`   Using system browser: ${useSystemBrowser}`);
-                }
-                
-                this.browser = await chromium.launch(launchOptions);
-                
-                if (!this.browser) {
-                    throw new Error('Browser failed to launch (returned null)');
-                }
-                
-                this.page = await this.browser.newPage();
-                
-                if (!this.page) {
-                    throw new Error('Failed to create browser page');
-                }
-                
-                this.outputChannel.appendLine('✅ Browser launched successfully');
-                this.outputChannel.appendLine(`   Browser visible: You should see a Chromium window`);
-            } catch (browserError: any) {
-                this.outputChannel.appendLine(`❌ Failed to launch browser: ${browserError}`);
-                
-                // Check if it's a Playwright installation issue
-                if (browserError.message && browserError.message.includes('Executable doesn\'t exist')) {
-                    this.outputChannel.appendLine('');
-                    this.outputChannel.appendLine('❌ PLAYWRIGHT BROWSERS NOT INSTALLED!');
-                    this.outputChannel.appendLine('');
-                    this.outputChannel.appendLine('🔧 To fix, run this command in your terminal:');
-                    this.outputChannel.appendLine('   npx playwright install chromium');
-                    this.outputChannel.appendLine('');
-                    this.outputChannel.appendLine('   OR install all browsers:');
-                    this.outputChannel.appendLine('   npx playwright install');
-                    this.outputChannel.appendLine('');
-                }
-                
-                throw browserError;
-            }
+            await this.launchBrowser(false);
 
         } catch (error) {
             this.outputChannel.appendLine(`❌ Failed to initialize: ${error}`);
@@ -164,27 +213,78 @@ export class AccessibilityTester {
         }
     }
 
-    async testUrl(url: string, onProgress?: (message: string) => void): Promise<TestResult> {
-        const issues: AccessibilityIssue[] = [];
-        const interactions: NVDAInteraction[] = [];
-        const nvdaLog: string[] = [];
-        const startTime = new Date();
+    /**
+     * Launch Chromium and open the page used for testing
+     */
+    protected async launchBrowser(headless: boolean): Promise<void> {
+        this.outputChannel.appendLine(`🌐 Launching Chromium browser${headless ? ' (headless)' : ''}...`);
+        this.outputChannel.appendLine('   This may take a moment on first launch...');
+        
+        try {
+            // Try to use system Chrome/Edge if Playwright browsers not installed
+            // This helps in corporate environments where browser downloads are blocked
+            const launchOptions = getChromiumLaunchOptions(headless);
+            if (launchOptions.channel) {
+                this.outputChannel.appendLine(`   Using system browser: ${launchOptions.channel}`);
+            }
+            
+            this.browser = await chromium.launch(launchOptions);
+            
+            if (!this.browser) {
+                throw new Error('Browser failed to launch (returned null)');
+            }
+            
+            this.page = await this.browser.newPage();
+            
+            if (!this.page) {
+                throw new Error('Failed to create browser page');
+            }
 
+            const page = this.page;
+            page.on('framenavigated', frame => {
+                if (frame === page.mainFrame()) {
+                    this.visitedUrls.add(frame.url());
+                }
+            });
+            
+            this.outputChannel.appendLine('✅ Browser launched successfully');
+            if (!headless) {
+                this.outputChannel.appendLine(`   Browser visible: You should see a Chromium window`);
+            }
+        } catch (browserError: any) {
+            this.outputChannel.appendLine(`❌ Failed to launch browser: ${browserError}`);
+            
+            // Check if it's a Playwright installation issue
+            if (browserError.message && browserError.message.includes('Executable doesn\'t exist')) {
+                this.outputChannel.appendLine('');
+                this.outputChannel.appendLine('❌ PLAYWRIGHT BROWSERS NOT INSTALLED!');
+                this.outputChannel.appendLine('');
+                this.outputChannel.appendLine('🔧 To fix, run this command in your terminal:');
+                this.outputChannel.appendLine('   npx playwright install chromium');
+                this.outputChannel.appendLine('');
+                this.outputChannel.appendLine('   OR install all browsers:');
+                this.outputChannel.appendLine('   npx playwright install');
+                this.outputChannel.appendLine('');
+            }
+            
+            throw browserError;
+        }
+    }
+
+    async testUrl(url: string, onProgress?: (message: string) => void): Promise<TestResult> {
         try {
             if (!this.page) {
                 throw new Error('Browser not initialized. Call initialize() first.');
             }
 
-            if (!this.nvdaRunning) {
-                throw new Error('NVDA not started. Call initialize() first.');
-            }
+            this.assertEngineReady();
 
             const progress = (msg: string) => {
                 this.outputChannel.appendLine(msg);
                 if (onProgress) onProgress(msg);
             };
 
-            progress(`🔍 Testing URL with NVDA: ${url}`);
+            progress(`🔍 Testing URL with ${this.engineName}: ${url}`);
             
             // Navigate to the page
             progress('📄 Loading page...');
@@ -193,61 +293,117 @@ export class AccessibilityTester {
             // Wait for page to be ready
             await this.page.waitForTimeout(2000);
             progress('✅ Page loaded');
+        } catch (error) {
+            this.outputChannel.appendLine(`❌ Error during testing: ${error}`);
+            throw error;
+        }
 
-            // Focus the browser and prepare NVDA
-            progress('🎯 Focusing browser and preparing NVDA...');
-            await this.prepareBrowser();
+        return this.auditCurrentPage(onProgress);
+    }
 
-            // Clear NVDA logs to start fresh
-            await nvda.clearItemTextLog();
-            await nvda.clearSpokenPhraseLog();
+    /**
+     * Run the full check suite against whatever the page is showing right now, without navigating.
+     * Used after testUrl() loads a page and at journey checkpoints (logged-in views, open dialogs).
+     */
+    async auditCurrentPage(onProgress?: (message: string) => void, checkpoint?: string): Promise<TestResult> {
+        const issues: AccessibilityIssue[] = [];
+        const interactions: NVDAInteraction[] = [];
+        const nvdaLog: string[] = [];
+        const startTime = new Date();
+
+        try {
+            if (!this.page) {
+                throw new Error('Browser not initialized. Call initialize() first.');
+            }
 
-            progress('📢 Starting NVDA navigation and testing...');
+            this.assertEngineReady();
 
-            // PHASE 1: Basic NVDA Testing (Hardcoded Rules)
-            progress('📋 Phase 1: Running basic NVDA validation...');
-            
-            // Test 1: Navigate through headings
-            progress('Testing headings navigation...');
-            const headingResults = await this.testHeadings();
-            interactions.push(...headingResults.interactions);
-            issues.push(...headingResults.issues.map(i => ({ ...i, source: 'basic' as const })));
-
-            // Test 2: Navigate through links
-            progress('Testing links navigation...');
-            const linkResults = await this.testLinks();
-            interactions.push(...linkResults.interactions);
-            issues.push(...linkResults.issues.map(i => ({ ...i, source: 'basic' as const })));
-
-            // Test 3: Navigate through form elements
-            progress('Testing form elements...');
-            const formResults = await this.testFormElements();
-            interactions.push(...formResults.interactions);
-            issues.push(...formResults.issues.map(i => ({ ...i, source: 'basic' as const })));
-
-            // Test 4: Navigate through landmarks
-            progress('Testing landmarks...');
-            const landmarkResults = await this.testLandmarks();
-            interactions.push(...landmarkResults.interactions);
-            issues.push(...landmarkResults.issues.map(i => ({ ...i, source: 'basic' as const })));
-
-            // Test 5: Test sequential navigation
-            progress('Testing sequential navigation...');
-            const sequentialResults = await this.testSequentialNavigation();
-            interactions.push(...sequentialResults.interactions);
-            issues.push(...sequentialResults.issues.map(i => ({ ...i, source: 'basic' as const })));
-
-            // Test 6: Test interactive elements
-            progress('Testing interactive elements...');
-            const interactiveResults = await this.testInteractiveElements();
-            interactions.push(...interactiveResults.interactions);
-            issues.push(...interactiveResults.issues.map(i => ({ ...i, source: 'basic' as const })));
-
-            // Capture full NVDA log
-            const spokenLog = await nvda.spokenPhraseLog();
-            nvdaLog.push(...spokenLog);
-
-            progress(`✅ Basic NVDA testing completed (${issues.length} issues found)`);
+            const url = this.page.url();
+            const progress = (msg: string) => {
+                this.outputChannel.appendLine(msg);
+                if (onProgress) onProgress(msg);
+            };
+
+            await this.prepareForTesting(progress);
+
+            progress(`📢 Starting ${this.engineName} navigation and testing...`);
+
+            // PHASE 1: Basic Testing (Hardcoded Rules)
+            progress(`📋 Phase 1: Running basic ${this.engineName} validation...`);
+            const basicResults = await this.runBasicTests(progress);
+            interactions.push(...basicResults.interactions);
+            issues.push(...basicResults.issues.map(i => ({ ...i, source: 'basic' as const })));
+
+            // Capture full screen reader log
+            nvdaLog.push(...await this.captureSpokenLog());
+
+            progress(`✅ Basic ${this.engineName} testing completed (${issues.length} issues found)`);
+
+            // Deterministic page checks (engine-independent)
+            issues.push(...await this.runPageChecks(progress));
+
+            // Moving and flashing content (reloads for the reduced-motion pass, except at journey checkpoints)
+            if (this.motionChecks) {
+                progress('🎞️ Sampling frames for motion and flashing content...');
+                try {
+                    const motionIssues = await checkMotion(this.page, { reload: !checkpoint });
+                    issues.push(...motionIssues);
+                    progress(`✅ Motion check completed (${motionIssues.length} issues found)`);
+                } catch (error) {
+                    progress(`⚠️ Motion check failed: ${error}`);
+                }
+            }
+
+            // Keyboard focus path (real Tab key presses)
+            let focusOrder: TestResult['focusOrder'];
+            progress('⌨️ Walking keyboard focus order...');
+            try {
+                const analysis = await analyzeFocusOrder(this.page, { screenshot: true });
+                focusOrder = { stops: analysis.stops, overlayScreenshot: analysis.overlayScreenshot };
+                issues.push(...analysis.issues);
+                progress(`✅ Focus order analyzed (${analysis.stops.length} tab stops, ${analysis.issues.length} issues found)`);
+            } catch (error) {
+                progress(`⚠️ Focus order analysis failed: ${error}`);
+            }
+
+            // Open dialogs from the keyboard and check focus management (not at journey checkpoints,
+            // where opening things would change the state the next journey step expects)
+            if (!checkpoint) {
+                progress('🪟 Opening dialogs and checking focus management...');
+                try {
+                    const dialogIssues = await checkDialogs(this.page);
+                    issues.push(...dialogIssues);
+                    progress(`✅ Dialog check completed (${dialogIssues.length} issues found)`);
+                } catch (error) {
+                    progress(`⚠️ Dialog check failed: ${error}`);
+                }
+            }
+
+            // Keyboard contracts of custom widgets (tabs, menus, comboboxes, accordions, trees); not at
+            // journey checkpoints, where toggling widgets would change the state the next step expects
+            if (!checkpoint) {
+                progress('🧩 Testing ARIA widget keyboard contracts...');
+                try {
+                    const widgetIssues = await checkWidgetContracts(this.page);
+                    issues.push(...widgetIssues);
+                    progress(`✅ Widget contracts checked (${widgetIssues.length} issues found)`);
+                } catch (error) {
+                    progress(`⚠️ Widget contract check failed: ${error}`);
+                }
+            }
+
+            // Live regions and route changes (reloads the page afterwards, so not at journey checkpoints)
+            if (this.dynamicContent && !checkpoint) {
+                progress('📣 Triggering forms, buttons and route changes to check announcements...');
+                try {
+                    const dynamic = await testDynamicContent(this.page, action => this.spokenDuring(action), { formAllowlist: this.dynamicContentForms });
+                    interactions.push(...dynamic.interactions);
+                    issues.push(...dynamic.issues);
+                    progress(`✅ Dynamic content checked (${dynamic.interactions.length} actions, ${dynamic.issues.length} issues found)`);
+                } catch (error) {
+                    progress(`⚠️ Dynamic content check failed: ${error}`);
+                }
+            }
 
             // PHASE 2: AI Comprehensive Validation (if enabled)
             if (this.enableAIValidation && this.aiProviderManager) {
@@ -264,6 +420,15 @@ export class AccessibilityTester {
                 progress('ℹ️ AI validation skipped (no AI provider configured)');
             }
 
+            // Point issues at the component source that rendered them
+            progress('🗺️ Mapping issues to source files...');
+            try {
+                const mapped = await mapIssuesToSource(this.page, issues, this.sourceRoot);
+                progress(`✅ Mapped ${mapped} of ${issues.length} issues to source`);
+            } catch (error) {
+                progress(`⚠️ Source mapping failed: ${error}`);
+            }
+
             const summary = {
                 errors: issues.filter(i => i.severity === 'error').length,
                 warnings: issues.filter(i => i.severity === 'warning').length,
@@ -271,21 +436,175 @@ export class AccessibilityTester {
                 totalInteractions: interactions.length
             };
 
-            return {
+            const result: TestResult = {
                 url,
                 timestamp: startTime,
                 issues,
                 interactions,
                 summary,
-                nvdaLog
+                nvdaLog,
+                focusOrder,
+                checkpoint
             };
 
+            // Accepted issues (inline comments, .accesslintrc) are reported separately
+            try {
+                const suppressed = applySuppressions(result, this.sourceRoot, loadSuppressionConfig(this.sourceRoot));
+                if (suppressed > 0) {
+                    progress(`🔕 ${suppressed} suppressed issue${suppressed === 1 ? '' : 's'} excluded from the results`);
+                }
+            } catch (error) {
+                progress(`⚠️ Suppressions not applied: ${error instanceof Error ? error.message : error}`);
+            }
+
+            if (this.captureScreenshots && result.issues.length > 0) {
+                progress('📸 Capturing issue screenshots...');
+                try {
+                    result.pageScreenshot = await captureIssueScreenshots(this.page, result.issues);
+                    progress(`✅ Captured ${result.issues.filter(i => i.screenshot).length} issue screenshots`);
+                } catch (error) {
+                    progress(`⚠️ Issue screenshots failed: ${error}`);
+                }
+            }
+
+            return result;
+
         } catch (error) {
             this.outputChannel.appendLine(`❌ Error during testing: ${error}`);
             throw error;
         }
     }
 
+    /**
+     * Run the deterministic DOM checks against the loaded page. Each check is isolated so one
+     * failing check does not lose the results of the others.
+     */
+    protected async runPageChecks(progress: (message: string) => void): Promise<AccessibilityIssue[]> {
+        const page = this.page!;
+        const checks: { name: string; start: string; run: () => Promise<AccessibilityIssue[]> }[] = [
+            {
+                name: 'Rule engine',
+                start: '📐 Running WCAG 2.2 AA rule engine...',
+                run: async () => toAccessibilityIssues(await runRuleEngine(page))
+            },
+            {
+                name: 'Contrast check',
+                start: '🎨 Checking color contrast...',
+                run: () => checkColorContrast(page)
+            },
+            {
+                name: 'Media check',
+                start: '🎬 Checking video and audio...',
+                run: () => checkMedia(page)
+            }
+        ];
+        if (this.viewportMatrix) {
+            checks.push({
+                name: 'Viewport matrix',
+                start: '📱 Checking reflow, zoom, text spacing and orientation...',
+                run: () => checkResponsiveLayout(page)
+            });
+        }
+
+        const issues: AccessibilityIssue[] = [];
+        for (const check of checks) {
+            progress(check.start);
+            try {
+                const found = await check.run();
+                issues.push(...found);
+                progress(`✅ ${check.name} completed (${found.length} issues found)`);
+            } catch (error) {
+                progress(`⚠️ ${check.name} failed: ${error}`);
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Throw if the screen reader is not ready to drive the page
+     */
+    protected assertEngineReady(): void {
+        if (!this.nvdaRunning) {
+            throw new Error('NVDA not started. Call initialize() first.');
+        }
+    }
+
+    /**
+     * Focus the browser and clear NVDA logs before navigation tests start
+     */
+    protected async prepareForTesting(progress: (message: string) => void): Promise<void> {
+        progress('🎯 Focusing browser and preparing NVDA...');
+        await this.prepareBrowser();
+
+        // Clear NVDA logs to start fresh
+        await nvda.clearItemTextLog();
+        await nvda.clearSpokenPhraseLog();
+    }
+
+    /**
+     * Run the headings, links, forms, landmarks, sequential and interactive checks
+     */
+    protected async runBasicTests(progress: (message: string) => void): Promise<BasicTestResults> {
+        const interactions: NVDAInteraction[] = [];
+        const issues: AccessibilityIssue[] = [];
+
+        // Test 1: Navigate through headings
+        progress('Testing headings navigation...');
+        const headingResults = await this.testHeadings();
+        interactions.push(...headingResults.interactions);
+        issues.push(...headingResults.issues);
+
+        // Test 2: Navigate through links
+        progress('Testing links navigation...');
+        const linkResults = await this.testLinks();
+        interactions.push(...linkResults.interactions);
+        issues.push(...linkResults.issues);
+
+        // Test 3: Navigate through form elements
+        progress('Testing form elements...');
+        const formResults = await this.testFormElements();
+        interactions.push(...formResults.interactions);
+        issues.push(...formResults.issues);
+
+        // Test 4: Navigate through landmarks
+        progress('Testing landmarks...');
+        const landmarkResults = await this.testLandmarks();
+        interactions.push(...landmarkResults.interactions);
+        issues.push(...landmarkResults.issues);
+
+        // Test 5: Test sequential navigation
+        progress('Testing sequential navigation...');
+        const sequentialResults = await this.testSequentialNavigation();
+        interactions.push(...sequentialResults.interactions);
+        issues.push(...sequentialResults.issues);
+
+        // Test 6: Test interactive elements
+        progress('Testing interactive elements...');
+        const interactiveResults = await this.testInteractiveElements();
+        interactions.push(...interactiveResults.interactions);
+        issues.push(...interactiveResults.issues);
+
+        return { interactions, issues };
+    }
+
+    /**
+     * Everything the screen reader spoke during the run
+     */
+    protected async captureSpokenLog(): Promise<string[]> {
+        return nvda.spokenPhraseLog();
+    }
+
+    /**
+     * What the screen reader spoke while an action ran. Undefined for engines without real
+     * speech, where the dynamic content check falls back to its virtual announcer.
+     */
+    protected async spokenDuring(action: () => Promise<void>): Promise<string[] | undefined> {
+        await nvda.clearSpokenPhraseLog();
+        await action();
+        return nvda.spokenPhraseLog();
+    }
+
     private async prepareBrowser(): Promise<void> {
         try {
             // Exit focus mode if in it
@@ -319,7 +638,7 @@ export class AccessibilityTester {
         }
     }
 
-    private async testHeadings(): Promise<{ interactions: NVDAInteraction[], issues: AccessibilityIssue[] }> {
+    protected async testHeadings(): Promise<BasicTestResults> {
         const interactions: NVDAInteraction[] = [];
         const issues: AccessibilityIssue[] = [];
 
@@ -425,7 +744,7 @@ export class AccessibilityTester {
         return { interactions, issues };
     }
 
-    private async testLinks(): Promise<{ interactions: NVDAInteraction[], issues: AccessibilityIssue[] }> {
+    protected async testLinks(): Promise<BasicTestResults> {
         const interactions: NVDAInteraction[] = [];
         const issues: AccessibilityIssue[] = [];
 
@@ -514,7 +833,7 @@ export class AccessibilityTester {
         return { interactions, issues };
     }
 
-    private async testFormElements(): Promise<{ interactions: NVDAInteraction[], issues: AccessibilityIssue[] }> {
+    protected async testFormElements(): Promise<BasicTestResults> {
         const interactions: NVDAInteraction[] = [];
         const issues: AccessibilityIssue[] = [];
 
@@ -610,7 +929,7 @@ export class AccessibilityTester {
         return { interactions, issues };
     }
 
-    private async testLandmarks(): Promise<{ interactions: NVDAInteraction[], issues: AccessibilityIssue[] }> {
+    protected async testLandmarks(): Promise<BasicTestResults> {
         const interactions: NVDAInteraction[] = [];
         const issues: AccessibilityIssue[] = [];
 
@@ -661,7 +980,7 @@ export class AccessibilityTester {
         return { interactions, issues };
     }
 
-    private async testSequentialNavigation(): Promise<{ interactions: NVDAInteraction[], issues: AccessibilityIssue[] }> {
+    protected async testSequentialNavigation(): Promise<BasicTestResults> {
         const interactions: NVDAInteraction[] = [];
         const issues: AccessibilityIssue[] = [];
 
@@ -730,7 +1049,7 @@ export class AccessibilityTester {
         return { interactions, issues };
     }
 
-    private async testInteractiveElements(): Promise<{ interactions: NVDAInteraction[], issues: AccessibilityIssue[] }> {
+    protected async testInteractiveElements(): Promise<BasicTestResults> {
         const interactions: NVDAInteraction[] = [];
         const issues: AccessibilityIssue[] = [];
 
@@ -798,7 +1117,7 @@ export class AccessibilityTester {
     /**
      * AI-powered comprehensive WCAG validation
      */
-    private async aiValidation(
+    protected async aiValidation(
         url: string,
         interactions: NVDAInteraction[],
         basicIssues: AccessibilityIssue[]
@@ -837,12 +1156,12 @@ export class AccessibilityTester {
         const landmarks = interactions.filter(i => i.action.toLowerCase().includes('landmark'));
         const buttons = interactions.filter(i => i.action.toLowerCase().includes('button'));
 
-        return `You are an accessibility expert. Analyze this NVDA screen reader session for WCAG 2.1 Level AA compliance.
+        return `You are an accessibility expert. Analyze this screen reader session (${this.engineName}) for WCAG 2.1 Level AA compliance.
 
 # URL Tested
 ${url}
 
-# NVDA Interactions Summary
+# Screen Reader Interactions Summary
 - Total interactions: ${interactions.length}
 - Headings found: ${headings.length}
 - Links found: ${links.length}
@@ -1022,6 +1341,47 @@ ${prompt}`;
         }
     }
 
+    /**
+     * Drive a scripted journey and audit the page at each of its checkpoints
+     */
+    async testJourney(
+        journey: Journey,
+        resolveSecret: (name: string) => Promise<string>,
+        onProgress?: (message: string) => void,
+        isCancelled?: () => boolean
+    ): Promise<JourneyResult> {
+        if (!this.page) {
+            throw new Error('Browser not initialized. Call initialize() first.');
+        }
+
+        this.assertEngineReady();
+
+        return runJourneySteps(this.page, journey, {
+            resolveSecret,
+            audit: checkpoint => this.auditCurrentPage(onProgress, checkpoint),
+            onProgress: message => {
+                this.outputChannel.appendLine(message);
+                if (onProgress) onProgress(message);
+            },
+            isCancelled
+        });
+    }
+
+    /**
+     * Absolute URLs of all links on the currently loaded page (used by the site crawler)
+     */
+    async collectLinks(): Promise<string[]> {
+        if (!this.page) {
+            return [];
+        }
+
+        return this.page.evaluate(() =>
+            Array.from(document.querySelectorAll<HTMLAnchorElement>('a[href]'))
+                .map(a => a.href)
+                .filter(href => /^https?:/i.test(href))
+        );
+    }
+
     async close(): Promise<void> {
         if (this.browser) {
             await this.browser.close();
@@ -0,0 +1,57 @@
+/**
+ * `accesslint audit` - load pages in headless Chromium and run the runtime checks
+ */
+
+import { TestLogger } from '../accessibilityTester';
+import { HeadlessAccessibilityTester } from '../testing/headlessAccessibilityTester';
+import { fromRuntimeIssue, ReportIssue, ReportPage } from './report';
+
+export interface AuditResult {
+    pages: ReportPage[];
+    issues: ReportIssue[];
+    suppressed: ReportIssue[];
+    /** URLs that could not be tested at all */
+    failedUrls: string[];
+}
+
+export async function auditUrls(
+    urls: string[],
+    options: { sourceRoot: string; logger: TestLogger; viewportMatrix?: boolean; dynamicContent?: boolean; submitForms?: string[]; motionChecks?: boolean },
+    log: (message: string) => void
+): Promise<AuditResult> {
+    const tester = new HeadlessAccessibilityTester(options.logger);
+    tester.sourceRoot = options.sourceRoot;
+    // CLI reports carry no images
+    tester.captureScreenshots = false;
+    tester.viewportMatrix = options.viewportMatrix === true;
+    tester.dynamicContent = options.dynamicContent === true;
+    tester.dynamicContentForms = options.submitForms || [];
+    tester.motionChecks = options.motionChecks === true;
+    const result: AuditResult = { pages: [], issues: [], suppressed: [], failedUrls: [] };
+
+    try {
+        await tester.initialize();
+
+        for (const url of urls) {
+            log(`🔍 Auditing ${url}`);
+            try {
+                const testResult = await tester.testUrl(url);
+                result.pages.push({
+                    url: testResult.url,
+                    timestamp: testResult.timestamp.toISOString(),
+                    summary: testResult.summary
+                });
+                result.issues.push(...testResult.issues.map(issue => fromRuntimeIssue(issue, testResult.url)));
+                result.suppressed.push(...(testResult.suppressed || []).map(issue => fromRuntimeIssue(issue, testResult.url)));
+                log(`   ${testResult.summary.errors} errors, ${testResult.summary.warnings} warnings, ${testResult.summary.info} info`);
+            } catch (error) {
+                result.failedUrls.push(url);
+                log(`❌ Failed to audit ${url}: ${error instanceof Error ? error.message.split('\n')[0] : error}`);
+            }
+        }
+    } finally {
+        await tester.close();
+    }
+
+    return result;
+}
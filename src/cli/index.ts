@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+/**
+ * AccessLint command line interface
+ *
+ * Runs the static rules and the headless runtime checks outside VS Code, so pipelines can
+ * gate merges on accessibility. Exit codes: 0 = passed, 1 = issues at or above --fail-on,
+ * 2 = usage error or a target that could not be scanned/audited. With --baseline only issues
+ * missing from the baseline count towards --fail-on.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { auditUrls } from './audit';
+import { BASELINE_FILE, createBaseline, readBaseline, serializeBaseline } from '../reporting/baseline';
+import { getReportExporter } from '../reporting/exporters';
+import {
+    AccessLintReport,
+    applyBaseline,
+    createReport,
+    exceedsThreshold,
+    FailOn,
+    formatText,
+    mergeReports,
+    readReport,
+    toExportablePages
+} from './report';
+import { scanPaths } from './scan';
+
+export const EXIT_PASSED = 0;
+export const EXIT_ISSUES = 1;
+export const EXIT_ERROR = 2;
+
+const USAGE = `Usage: accesslint <command> [options]
+
+Commands:
+  scan <path...>     Lint HTML, JSX/TSX, Vue and Svelte sources and WebVTT captions with the static rules
+  audit <url...>     Load pages in headless Chromium and run the runtime checks
+  report <file...>   Merge JSON reports from earlier scan/audit runs
+
+Options:
+  --format <format>                     text, json (mergeable report), sarif, junit or csv (default: text)
+  -o, --output <file>                   Write the report to a file instead of stdout
+  --fail-on <error|warning|info|never>  Lowest severity that fails the run (default: error)
+  --source-root <dir>                   audit: folder used to map issues to source files (default: cwd)
+  --viewport-matrix                     audit: also test reflow at 320px, 200%/400% zoom, text spacing and orientation
+  --dynamic-content                     audit: trigger forms, buttons and route changes and check they are announced
+  --submit-form <selector>              audit: with --dynamic-content, also submit forms matching the selector (repeatable)
+  --motion-checks                       audit: sample frames for moving and flashing content and re-check with reduced motion
+  --baseline <file>                     Only fail on issues missing from the baseline, e.g. ${BASELINE_FILE}
+  --update-baseline                     Record this run's issues as the baseline (--baseline file or ${BASELINE_FILE})
+  --verbose                             Print every check as it runs
+  -h, --help                            Show this help
+
+Exit codes: 0 passed, 1 issues at or above --fail-on, 2 usage error or failed target`;
+
+const FORMATS = ['text', 'json', 'sarif', 'junit', 'csv'];
+const FAIL_ON: FailOn[] = ['error', 'warning', 'info', 'never'];
+
+interface CliOptions {
+    command?: string;
+    targets: string[];
+    format: string;
+    output?: string;
+    failOn: FailOn;
+    sourceRoot: string;
+    baseline?: string;
+    updateBaseline: boolean;
+    viewportMatrix: boolean;
+    dynamicContent: boolean;
+    submitForms: string[];
+    motionChecks: boolean;
+    verbose: boolean;
+    help: boolean;
+}
+
+export async function runCli(argv: string[]): Promise<number> {
+    let options: CliOptions;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`❌ ${error instanceof Error ? error.message : error}\n\n${USAGE}`);
+        return EXIT_ERROR;
+    }
+
+    if (options.help || !options.command) {
+        console.log(USAGE);
+        return options.help ? EXIT_PASSED : EXIT_ERROR;
+    }
+
+    // Progress goes to stderr so stdout only carries the report
+    const log = (message: string) => process.stderr.write(`${message}\n`);
+    let report: AccessLintReport;
+    let targetFailed = false;
+
+    switch (options.command) {
+        case 'scan': {
+            const result = scanPaths(options.targets, log);
+            log(`🔎 Scanned ${result.fileCount} files`);
+            report = createReport(options.targets, result.issues, [], result.suppressed);
+            break;
+        }
+        case 'audit': {
+            const result = await auditUrls(options.targets, {
+                sourceRoot: options.sourceRoot,
+                viewportMatrix: options.viewportMatrix,
+                dynamicContent: options.dynamicContent,
+                submitForms: options.submitForms,
+                motionChecks: options.motionChecks,
+                logger: { appendLine: line => options.verbose && log(line) }
+            }, log);
+            targetFailed = result.failedUrls.length > 0;
+            report = createReport(options.targets, result.issues, result.pages, result.suppressed);
+            break;
+        }
+        case 'report':
+            report = mergeReports(options.targets.map(readReport));
+            break;
+        default:
+            console.error(`❌ Unknown command "${options.command}"\n\n${USAGE}`);
+            return EXIT_ERROR;
+    }
+
+    if (options.updateBaseline) {
+        const file = options.baseline || BASELINE_FILE;
+        const baseline = createBaseline(toExportablePages(report));
+        fs.writeFileSync(file, serializeBaseline(baseline));
+        log(`📌 Recorded ${baseline.issues.length} issues in baseline ${file}`);
+        return targetFailed ? EXIT_ERROR : EXIT_PASSED;
+    }
+
+    if (options.baseline) {
+        if (!fs.existsSync(options.baseline)) {
+            console.error(`❌ Baseline ${options.baseline} not found (record one with --update-baseline)`);
+            return EXIT_ERROR;
+        }
+        applyBaseline(report, readBaseline(options.baseline), options.baseline);
+    }
+
+    const rendered = render(report, options.format);
+    if (options.output) {
+        fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+        fs.writeFileSync(options.output, rendered);
+        log(`📄 Report written to ${options.output}`);
+        log(formatText(report).trimEnd().split('\n').pop()!);
+    } else {
+        process.stdout.write(rendered);
+    }
+
+    if (targetFailed) {
+        return EXIT_ERROR;
+    }
+    return exceedsThreshold(report, options.failOn) ? EXIT_ISSUES : EXIT_PASSED;
+}
+
+function render(report: AccessLintReport, format: string): string {
+    if (format === 'text') {
+        return formatText(report);
+    }
+    if (format === 'json') {
+        return JSON.stringify(report, null, 2) + '\n';
+    }
+    return getReportExporter(format)!.export(toExportablePages(report));
+}
+
+function parseArgs(argv: string[]): CliOptions {
+    const options: CliOptions = {
+        targets: [],
+        format: 'text',
+        failOn: 'error',
+        sourceRoot: process.cwd(),
+        updateBaseline: false,
+        viewportMatrix: false,
+        dynamicContent: false,
+        submitForms: [],
+        motionChecks: false,
+        verbose: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].startsWith('--') ? argv[i].split(/=(.*)/s) : [argv[i], undefined];
+        const value = () => {
+            const next = inlineValue ?? argv[++i];
+            if (next === undefined) {
+                throw new Error(`${flag} needs a value`);
+            }
+            return next;
+        };
+
+        switch (flag) {
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '--format':
+                options.format = value();
+                if (!FORMATS.includes(options.format)) {
+                    throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+                }
+                break;
+            case '-o':
+            case '--output':
+                options.output = value();
+                break;
+            case '--fail-on':
+                options.failOn = value() as FailOn;
+                if (!FAIL_ON.includes(options.failOn)) {
+                    throw new Error(`--fail-on must be one of: ${FAIL_ON.join(', ')}`);
+                }
+                break;
+            case '--source-root':
+                options.sourceRoot = path.resolve(value());
+                break;
+            case '--baseline':
+                options.baseline = value();
+                break;
+            case '--update-baseline':
+                options.updateBaseline = true;
+                break;
+            case '--viewport-matrix':
+                options.viewportMatrix = true;
+                break;
+            case '--dynamic-content':
+                options.dynamicContent = true;
+                break;
+            case '--submit-form':
+                options.submitForms.push(value());
+                break;
+            case '--motion-checks':
+                options.motionChecks = true;
+                break;
+            default:
+                if (flag.startsWith('-')) {
+                    throw new Error(`Unknown option ${flag}`);
+                }
+                if (options.command) {
+                    options.targets.push(flag);
+                } else {
+                    options.command = flag;
+                }
+        }
+    }
+
+    if (options.command && !options.help && options.targets.length === 0) {
+        throw new Error(`${options.command} needs at least one ${options.command === 'audit' ? 'URL' : options.command === 'report' ? 'report file' : 'path'}`);
+    }
+    return options;
+}
+
+if (require.main === module) {
+    runCli(process.argv.slice(2)).then(
+        code => {
+            process.exitCode = code;
+        },
+        error => {
+            console.error(`❌ ${error instanceof Error ? error.message : error}`);
+            process.exitCode = EXIT_ERROR;
+        }
+    );
+}
@@ -0,0 +1,284 @@
+/**
+ * CLI report model
+ *
+ * Static findings and runtime issues are flattened into one issue list so scan and audit
+ * results can be written as JSON, merged by `accesslint report`, and gated on severity.
+ */
+
+import * as fs from 'fs';
+import { AccessibilityIssue, TestResult } from '../accessibilityTester';
+import { Baseline, BaselineEntry, BaselineStatus, compareToBaseline } from '../reporting/baseline';
+import { ExportableIssue, ExportablePage, getToolVersion } from '../reporting/exportModel';
+import { IssueSuppression } from '../testing/suppressions';
+
+export type Severity = 'error' | 'warning' | 'info';
+
+/**
+ * Lowest severity that fails the run; `never` always exits 0
+ */
+export type FailOn = Severity | 'never';
+
+export interface ReportIssue {
+    kind: 'static' | 'runtime';
+    ruleId?: string;
+    criterion: string;
+    severity: Severity;
+    message: string;
+    recommendation?: string;
+    /** Source file (relative to the working directory) and 1-based position */
+    file?: string;
+    line?: number;
+    column?: number;
+    /** Page the runtime issue was found on */
+    url?: string;
+    /** CSS selector of the offending element on the page */
+    selector?: string;
+    element?: string;
+    /** Viewport matrix configuration(s) the issue showed up in */
+    viewport?: string;
+    /** Key presses and clicks that reproduce the issue */
+    steps?: string[];
+    fingerprint?: string;
+    baselineStatus?: BaselineStatus;
+    suppression?: IssueSuppression;
+}
+
+export interface ReportPage {
+    url: string;
+    checkpoint?: string;
+    timestamp: string;
+    summary: TestResult['summary'];
+}
+
+export interface AccessLintReport {
+    tool: 'accesslint';
+    version: string;
+    generatedAt: string;
+    /** Directories scanned and URLs audited */
+    targets: string[];
+    pages: ReportPage[];
+    issues: ReportIssue[];
+    /** Accepted issues, not counted in the summary or against --fail-on */
+    suppressed: ReportIssue[];
+    summary: {
+        errors: number;
+        warnings: number;
+        info: number;
+    };
+    /** Set when the run was compared to a baseline */
+    baseline?: {
+        file: string;
+        new: number;
+        unchanged: number;
+        fixed: BaselineEntry[];
+    };
+}
+
+const SEVERITY_RANK: Record<Severity, number> = { error: 3, warning: 2, info: 1 };
+
+export function createReport(targets: string[], issues: ReportIssue[], pages: ReportPage[] = [], suppressed: ReportIssue[] = []): AccessLintReport {
+    return {
+        tool: 'accesslint',
+        version: getToolVersion(),
+        generatedAt: new Date().toISOString(),
+        targets,
+        pages,
+        issues,
+        suppressed,
+        summary: summarize(issues)
+    };
+}
+
+export function summarize(issues: ReportIssue[]): AccessLintReport['summary'] {
+    return {
+        errors: issues.filter(issue => issue.severity === 'error').length,
+        warnings: issues.filter(issue => issue.severity === 'warning').length,
+        info: issues.filter(issue => issue.severity === 'info').length
+    };
+}
+
+export function fromRuntimeIssue(issue: AccessibilityIssue, url: string): ReportIssue {
+    return {
+        kind: 'runtime',
+        ruleId: issue.ruleId,
+        criterion: issue.criterion,
+        severity: issue.severity,
+        message: issue.description,
+        recommendation: issue.recommendation,
+        file: issue.sourceLocation?.file,
+        line: issue.sourceLocation?.line,
+        column: issue.sourceLocation?.column,
+        url,
+        selector: issue.location,
+        element: issue.element,
+        viewport: issue.viewport,
+        steps: issue.steps,
+        suppression: issue.suppression
+    };
+}
+
+/**
+ * Combine reports, dropping issues that appear in more than one of them
+ */
+export function mergeReports(reports: AccessLintReport[]): AccessLintReport {
+    const unique = (issues: ReportIssue[]) => {
+        const seen = new Set<string>();
+        return issues.filter(issue => {
+            const key = [issue.kind, issue.ruleId, issue.criterion, issue.message, issue.file, issue.line, issue.column, issue.url].join('|');
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+    };
+
+    const targets = [...new Set(reports.flatMap(report => report.targets))];
+    return createReport(
+        targets,
+        unique(reports.flatMap(report => report.issues)),
+        reports.flatMap(report => report.pages),
+        unique(reports.flatMap(report => report.suppressed))
+    );
+}
+
+/**
+ * Whether the run fails. Issues already recorded in a baseline never fail it.
+ */
+export function exceedsThreshold(report: AccessLintReport, failOn: FailOn): boolean {
+    if (failOn === 'never') {
+        return false;
+    }
+    return report.issues.some(issue => issue.baselineStatus !== 'unchanged' && SEVERITY_RANK[issue.severity] >= SEVERITY_RANK[failOn]);
+}
+
+/**
+ * Classify the report's issues as new or unchanged against a baseline, and record the
+ * baseline issues that no longer occur
+ */
+export function applyBaseline(report: AccessLintReport, baseline: Baseline, file: string): void {
+    const pages = toExportablePages(report);
+    const comparison = compareToBaseline(pages, baseline);
+
+    // toExportablePages keeps the report's issue order within each page
+    const cursors = new Map<string, number>();
+    for (const issue of report.issues) {
+        const key = issueGroup(issue);
+        const index = cursors.get(key) || 0;
+        cursors.set(key, index + 1);
+        const exported = pages.find(page => page.url === key)!.issues[index];
+        issue.fingerprint = exported.fingerprint;
+        issue.baselineStatus = exported.baselineStatus;
+    }
+
+    report.baseline = {
+        file,
+        new: comparison.newIssues.length,
+        unchanged: comparison.unchanged.length,
+        fixed: comparison.fixed
+    };
+}
+
+export function readReport(file: string): AccessLintReport {
+    let parsed: any;
+    try {
+        parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read report ${file}: ${error instanceof Error ? error.message : error}`);
+    }
+
+    if (parsed?.tool !== 'accesslint' || !Array.isArray(parsed.issues)) {
+        throw new Error(`${file} is not an AccessLint JSON report (create one with --format json)`);
+    }
+    return { ...parsed, targets: parsed.targets || [], pages: parsed.pages || [], suppressed: parsed.suppressed || [] };
+}
+
+/**
+ * Regroup a report into pages for the file exporters: one per audited URL and one per
+ * scanned source file
+ */
+export function toExportablePages(report: AccessLintReport): ExportablePage[] {
+    const pages = new Map<string, ExportablePage>();
+    const pageFor = (issue: ReportIssue) => {
+        const key = issueGroup(issue);
+        if (!pages.has(key)) {
+            const tested = report.pages.find(page => page.url === key);
+            pages.set(key, { url: key, checkpoint: tested?.checkpoint, timestamp: tested?.timestamp || report.generatedAt, issues: [] });
+        }
+        return pages.get(key)!;
+    };
+
+    for (const issue of report.issues) {
+        pageFor(issue).issues.push(toExportableIssue(issue));
+    }
+    for (const issue of report.suppressed) {
+        const page = pageFor(issue);
+        page.suppressed = [...(page.suppressed || []), toExportableIssue(issue)];
+    }
+
+    // Audited pages without issues still count as tested
+    for (const page of report.pages) {
+        if (!pages.has(page.url)) {
+            pages.set(page.url, { url: page.url, checkpoint: page.checkpoint, timestamp: page.timestamp, issues: [] });
+        }
+    }
+    return [...pages.values()];
+}
+
+function toExportableIssue(issue: ReportIssue): ExportableIssue {
+    return {
+        criterion: issue.criterion,
+        severity: issue.severity,
+        description: issue.message,
+        recommendation: issue.recommendation,
+        ruleId: issue.ruleId,
+        location: issue.selector,
+        element: issue.element,
+        viewport: issue.viewport,
+        steps: issue.steps,
+        source: issue.kind === 'runtime' ? undefined : 'rules',
+        sourceLocation: issue.file ? { file: issue.file, line: issue.line, column: issue.column } : undefined,
+        suppression: issue.suppression
+    };
+}
+
+/**
+ * Human-readable listing: one line per issue, grouped by file or page
+ */
+export function formatText(report: AccessLintReport): string {
+    const lines: string[] = [];
+    const groups = new Map<string, ReportIssue[]>();
+    for (const issue of report.issues) {
+        const group = issueGroup(issue);
+        groups.set(group, [...(groups.get(group) || []), issue]);
+    }
+
+    for (const [group, issues] of groups) {
+        lines.push('', group);
+        for (const issue of issues) {
+            const position = issue.kind === 'static'
+                ? `${issue.line}:${issue.column}`
+                : issue.file ? `${issue.file}${issue.line ? `:${issue.line}` : ''}` : '';
+            const marker = issue.baselineStatus === 'new' ? 'new ' : report.baseline ? '    ' : '';
+            lines.push(`  ${position.padEnd(8)} ${marker}${issue.severity.padEnd(7)} ${issue.message} (WCAG ${issue.criterion})${issue.viewport ? ` [${issue.viewport}]` : ''}${issue.ruleId ? `  ${issue.ruleId}` : ''}`);
+        }
+    }
+
+    const { errors, warnings, info } = report.summary;
+    lines.push('');
+    if (report.baseline) {
+        lines.push(`Baseline ${report.baseline.file}: ${report.baseline.new} new, ${report.baseline.unchanged} unchanged, ${report.baseline.fixed.length} fixed`);
+    }
+    const suppressed = report.suppressed.length > 0 ? `, ${report.suppressed.length} suppressed` : '';
+    lines.push(report.issues.length === 0
+        ? `✅ No accessibility issues found${suppressed ? ` (${report.suppressed.length} suppressed)` : ''}`
+        : `${errors > 0 ? '❌' : '⚠️'} ${report.issues.length} issues (${errors} errors, ${warnings} warnings, ${info} info${suppressed})`);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Static findings are grouped by source file, runtime issues by page
+ */
+function issueGroup(issue: ReportIssue): string {
+    return issue.kind === 'static' ? issue.file || '' : issue.url || '';
+}
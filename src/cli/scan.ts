@@ -0,0 +1,94 @@
+/**
+ * `accesslint scan` - run the static rules over source files on disk
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { IGNORED_DIRECTORIES, LINTABLE_FILE, lintSource } from '../staticAnalysis/staticLinter';
+import { StaticFinding } from '../staticAnalysis/staticRules';
+import { IssueSuppression, loadSuppressionConfig, partitionStaticFindings } from '../testing/suppressions';
+import { ReportIssue } from './report';
+
+export interface ScanResult {
+    fileCount: number;
+    issues: ReportIssue[];
+    suppressed: ReportIssue[];
+}
+
+/**
+ * Lint files and directories; suppressions come from inline directives and the working
+ * directory's `.accesslintrc`
+ */
+export function scanPaths(targets: string[], log: (message: string) => void): ScanResult {
+    const config = loadSuppressionConfig(process.cwd());
+    const files = targets.flatMap(target => {
+        if (!fs.existsSync(target)) {
+            throw new Error(`No such file or directory: ${target}`);
+        }
+        return fs.statSync(target).isDirectory() ? findLintableFiles(target) : [target];
+    });
+
+    const issues: ReportIssue[] = [];
+    const suppressed: ReportIssue[] = [];
+    for (const file of files) {
+        const source = fs.readFileSync(file, 'utf8');
+        const relativePath = path.relative(process.cwd(), file).split(path.sep).join('/');
+        const toIssue = (finding: StaticFinding, suppression?: IssueSuppression): ReportIssue => {
+            const { line, column } = toPosition(source, finding.start);
+            return {
+                kind: 'static',
+                ruleId: finding.ruleId,
+                criterion: finding.criterion,
+                severity: finding.severity,
+                message: finding.message,
+                recommendation: finding.recommendation,
+                file: relativePath,
+                line,
+                column,
+                element: snippet(source, finding.start, finding.end),
+                suppression
+            };
+        };
+
+        try {
+            const findings = partitionStaticFindings(lintSource(source, file), source, relativePath, config);
+            issues.push(...findings.kept.map(finding => toIssue(finding)));
+            suppressed.push(...findings.suppressed.map(finding => toIssue(finding, finding.suppression)));
+        } catch (error) {
+            log(`⚠️ Could not lint ${relativePath}: ${error instanceof Error ? error.message : error}`);
+        }
+    }
+
+    return { fileCount: files.length, issues, suppressed };
+}
+
+function findLintableFiles(directory: string): string[] {
+    const files: string[] = [];
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            if (!IGNORED_DIRECTORIES.includes(entry.name)) {
+                files.push(...findLintableFiles(fullPath));
+            }
+        } else if (entry.isFile() && LINTABLE_FILE.test(entry.name)) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * First line of the flagged markup, used in reports and baseline fingerprints
+ */
+function snippet(source: string, start: number, end: number): string {
+    return source.slice(start, Math.min(end, start + 200)).split('\n')[0].trim();
+}
+
+/**
+ * 1-based line and column of an offset
+ */
+function toPosition(source: string, offset: number): { line: number; column: number } {
+    const before = source.slice(0, offset);
+    const lineStart = before.lastIndexOf('\n') + 1;
+    return { line: before.split('\n').length, column: offset - lineStart + 1 };
+}
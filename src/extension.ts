@@ -9,6 +9,8 @@ import { AnthropicChatProvider } from './anthropicChat';
 import { OpenAIChatProvider } from './openaiChat';
 import { AiProviderManager } from './aiProviderManager';
 import { BackendApiClient } from './services/backendApiClient';
+import { StaticCodeActionProvider } from './staticAnalysis/codeActionProvider';
+import { StaticDiagnosticsProvider } from './staticAnalysis/diagnosticsProvider';
 
 export async function activate(context: vscode.ExtensionContext) {
     console.log('🚀 AccessLint extension is now active!');
@@ -182,6 +184,18 @@ export async function activate(context: vscode.ExtensionContext) {
         vscode.window.registerWebviewViewProvider('accesslint.testingView', testingProvider)
     );
 
+    // Static accessibility linting (Problems panel)
+    const staticDiagnostics = new StaticDiagnosticsProvider();
+    context.subscriptions.push(
+        staticDiagnostics,
+        vscode.languages.registerCodeActionsProvider(
+            ['html', 'vue', 'svelte', 'javascript', 'javascriptreact', 'typescriptreact'].map(language => ({ language, scheme: 'file' })),
+            new StaticCodeActionProvider(),
+            { providedCodeActionKinds: StaticCodeActionProvider.providedCodeActionKinds }
+        )
+    );
+    debugChannel.appendLine('🔎 Static accessibility linter initialized');
+
     // Register Commands
     
     // API Key Configuration Commands
@@ -226,6 +240,12 @@ export async function activate(context: vscode.ExtensionContext) {
         vscode.commands.executeCommand('accesslint.testingView.focus');
     });
 
+    const lintWorkspaceCommand = vscode.commands.registerCommand('accesslint.lintWorkspace', async () => {
+        const issueCount = await staticDiagnostics.lintWorkspace();
+        debugChannel.appendLine(`🔎 Workspace lint found ${issueCount} issue(s)`);
+        vscode.window.showInformationMessage(`AccessLint: Found ${issueCount} static accessibility issue(s). See the Problems panel.`);
+    });
+
     // Panel Commands  
     const showAccessLintCommand = vscode.commands.registerCommand('accesslint.showPanel', () => {
         vscode.commands.executeCommand('accesslint.chatView.focus');
@@ -340,6 +360,7 @@ Started: ${status.startTime.toLocaleTimeString()}`;
         configureOpenAIApiKeyCommand,
         openChatCommand,
         openTestingCommand,
+        lintWorkspaceCommand,
         showAccessLintCommand,
         newChatSessionCommand,
         logoutCommand,
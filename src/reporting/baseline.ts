@@ -0,0 +1,161 @@
+/**
+ * Regression baselines
+ *
+ * An issue's fingerprint is a hash of its criterion, selector, normalized element snippet and
+ * page path, so the same problem keeps its fingerprint across runs, hosts and cosmetic markup
+ * changes. A baseline file committed to the repo records the fingerprints of known issues;
+ * comparing a run against it classifies every issue as new, unchanged or fixed, which lets
+ * legacy apps adopt AccessLint by failing only on regressions.
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import { ExportableIssue, ExportablePage, getToolVersion, sortIssues } from './exportModel';
+import { parseCriterion } from './wcag';
+
+export const BASELINE_FILE = '.accesslint-baseline.json';
+export const BASELINE_VERSION = 1;
+
+export type BaselineStatus = 'new' | 'unchanged';
+
+export interface BaselineEntry {
+    fingerprint: string;
+    /** Page path (or source file) the issue was found on */
+    page: string;
+    criterion: string;
+    severity: ExportableIssue['severity'];
+    description: string;
+}
+
+export interface Baseline {
+    version: number;
+    toolVersion: string;
+    createdAt: string;
+    issues: BaselineEntry[];
+}
+
+export interface BaselineComparison {
+    newIssues: ExportableIssue[];
+    unchanged: ExportableIssue[];
+    /** Baseline issues missing from the run, limited to pages the run tested */
+    fixed: BaselineEntry[];
+}
+
+// Build-generated attributes and class names that change without the markup changing
+const VOLATILE_ATTRIBUTES = /\s(?:style|nonce|data-v-[\w-]+|data-reactid|data-testid|data-svelte-h|_ngcontent-[\w-]+|_nghost-[\w-]+)(?:="[^"]*"|='[^']*')?/gi;
+const HASHED_CLASS = /\b(?:css|sc|jsx|svelte|emotion|styled|makeStyles)-[\w-]*[0-9][\w-]*\b/g;
+const MAX_SNIPPET_LENGTH = 200;
+
+export function fingerprintIssue(issue: ExportableIssue, page: Pick<ExportablePage, 'url' | 'checkpoint'>): string {
+    const criterion = parseCriterion(issue.criterion);
+    const parts = [
+        criterion.id || criterion.title,
+        pageKey(page),
+        normalizeSnippet(issue.location || ''),
+        // Issues without an element (e.g. page-level AI findings) are told apart by their wording
+        issue.element ? normalizeSnippet(issue.element) : issue.description.trim().toLowerCase()
+    ];
+    return crypto.createHash('sha1').update(parts.join('\u0000')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Collapse the parts of a selector or snippet that change between builds or renders: volatile
+ * attributes, hashed class names, numbers and whitespace
+ */
+export function normalizeSnippet(snippet: string): string {
+    return snippet
+        .replace(VOLATILE_ATTRIBUTES, '')
+        .replace(HASHED_CLASS, '')
+        .replace(/\d+/g, '0')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_SNIPPET_LENGTH);
+}
+
+/**
+ * Path and query of a page URL, so a baseline recorded against localhost matches staging.
+ * Source files (static findings) and anything that is not a URL are used as-is.
+ */
+export function pageKey(page: Pick<ExportablePage, 'url' | 'checkpoint'>): string {
+    let key = page.url;
+    if (/^https?:\/\//i.test(page.url)) {
+        try {
+            const url = new URL(page.url);
+            key = `${url.pathname}${url.search}`;
+        } catch {
+            // Keep the raw URL
+        }
+    }
+    return page.checkpoint ? `${page.checkpoint} ${key}` : key;
+}
+
+export function createBaseline(pages: ExportablePage[]): Baseline {
+    const issues = pages.flatMap(page => sortIssues(page.issues).map(issue => ({
+        fingerprint: fingerprintIssue(issue, page),
+        page: pageKey(page),
+        criterion: issue.criterion,
+        severity: issue.severity,
+        description: issue.description
+    })));
+
+    // Sorted so a re-recorded baseline diffs cleanly in review
+    issues.sort((a, b) => a.page.localeCompare(b.page) || a.fingerprint.localeCompare(b.fingerprint));
+    return { version: BASELINE_VERSION, toolVersion: getToolVersion(), createdAt: new Date().toISOString(), issues };
+}
+
+export function serializeBaseline(baseline: Baseline): string {
+    return JSON.stringify(baseline, null, 2) + '\n';
+}
+
+export function parseBaseline(content: string, file = BASELINE_FILE): Baseline {
+    let parsed: any;
+    try {
+        parsed = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Could not parse baseline ${file}: ${error instanceof Error ? error.message : error}`);
+    }
+    if (typeof parsed?.version !== 'number' || !Array.isArray(parsed.issues)) {
+        throw new Error(`${file} is not an AccessLint baseline`);
+    }
+    if (parsed.version > BASELINE_VERSION) {
+        throw new Error(`${file} was written by a newer AccessLint (baseline version ${parsed.version})`);
+    }
+    return parsed;
+}
+
+export function readBaseline(file: string): Baseline {
+    return parseBaseline(fs.readFileSync(file, 'utf8'), file);
+}
+
+/**
+ * Classify the run's issues against the baseline and set `fingerprint` and `baselineStatus` on
+ * each issue. Fingerprints are compared as multisets: two identical snippets on one page need
+ * two baseline entries to both count as unchanged.
+ */
+export function compareToBaseline(pages: ExportablePage[], baseline: Baseline): BaselineComparison {
+    const remaining = new Map<string, BaselineEntry[]>();
+    for (const entry of baseline.issues) {
+        remaining.set(entry.fingerprint, [...(remaining.get(entry.fingerprint) || []), entry]);
+    }
+
+    const comparison: BaselineComparison = { newIssues: [], unchanged: [], fixed: [] };
+    for (const page of pages) {
+        for (const issue of page.issues) {
+            issue.fingerprint = fingerprintIssue(issue, page);
+            const matches = remaining.get(issue.fingerprint);
+            if (matches && matches.length > 0) {
+                matches.pop();
+                issue.baselineStatus = 'unchanged';
+                comparison.unchanged.push(issue);
+            } else {
+                issue.baselineStatus = 'new';
+                comparison.newIssues.push(issue);
+            }
+        }
+    }
+
+    // A page missing from this run says nothing about its issues
+    const testedPages = new Set(pages.map(pageKey));
+    comparison.fixed = [...remaining.values()].flat().filter(entry => testedPages.has(entry.page));
+    return comparison;
+}
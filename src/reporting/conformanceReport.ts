@@ -0,0 +1,291 @@
+/**
+ * Accessibility Conformance Report (VPAT 2.x / ACR)
+ *
+ * Aggregates the pages of one or more testing sessions onto every WCAG 2.x Level A and AA
+ * success criterion and renders the standard ACR tables, optionally with the EN 301 549
+ * chapter 9 (Web) table. Verdicts derived from test results are a starting point: reviewers
+ * override them, and overrides always win over the computed verdict.
+ */
+
+import { ExportablePage, getToolVersion, pageLabel } from './exportModel';
+import { parseCriterion, WCAG_CRITERIA, WcagCriterion } from './wcag';
+
+/**
+ * VPAT 2.x conformance terms. "Not Evaluated" marks criteria automated testing cannot decide;
+ * a reviewer has to replace it before the report is published.
+ */
+export type ConformanceVerdict = 'Supports' | 'Partially Supports' | 'Does Not Support' | 'Not Applicable' | 'Not Evaluated';
+
+export const CONFORMANCE_VERDICTS: ConformanceVerdict[] = ['Supports', 'Partially Supports', 'Does Not Support', 'Not Applicable', 'Not Evaluated'];
+
+export interface ConformanceSession {
+    name: string;
+    pages: ExportablePage[];
+}
+
+export interface ConformanceInfo {
+    productName: string;
+    productVersion?: string;
+    productDescription?: string;
+    contact?: string;
+    notes?: string;
+    /** Defaults to a description of AccessLint's automated and screen reader testing */
+    evaluationMethods?: string;
+    reportDate?: Date;
+}
+
+export interface VerdictOverride {
+    verdict: ConformanceVerdict;
+    remarks?: string;
+}
+
+export interface CriterionConformance {
+    criterion: WcagCriterion;
+    verdict: ConformanceVerdict;
+    remarks: string;
+    errors: number;
+    warnings: number;
+    /** Tested pages with at least one error or warning for the criterion */
+    pagesAffected: string[];
+    overridden: boolean;
+}
+
+export interface ConformanceReport {
+    info: ConformanceInfo;
+    sessions: { name: string; pages: number }[];
+    pagesTested: string[];
+    criteria: CriterionConformance[];
+}
+
+export interface ConformanceRenderOptions {
+    /** Add the EN 301 549 chapter 9 table (VPAT INT/EU editions) */
+    includeEn301549?: boolean;
+    /** Wrap the markup so Microsoft Word opens it as an editable document */
+    word?: boolean;
+}
+
+const MAX_REMARK_EXAMPLES = 3;
+
+export function buildConformanceReport(
+    sessions: ConformanceSession[],
+    info: ConformanceInfo,
+    overrides: Record<string, VerdictOverride> = {}
+): ConformanceReport {
+    // The same URL tested in several sessions counts once; its latest result wins
+    const pagesByUrl = new Map<string, ExportablePage>();
+    for (const page of sessions.flatMap(session => session.pages)) {
+        const key = pageLabel(page);
+        const existing = pagesByUrl.get(key);
+        if (!existing || new Date(page.timestamp).getTime() >= new Date(existing.timestamp).getTime()) {
+            pagesByUrl.set(key, page);
+        }
+    }
+    const pages = [...pagesByUrl.values()];
+
+    const criteria = WCAG_CRITERIA.map(criterion => {
+        const computed = computeConformance(criterion, pages);
+        const override = overrides[criterion.id];
+        return override
+            ? { ...computed, verdict: override.verdict, remarks: override.remarks ?? '', overridden: true }
+            : computed;
+    });
+
+    return {
+        info,
+        sessions: sessions.map(session => ({ name: session.name, pages: session.pages.length })),
+        pagesTested: [...pagesByUrl.keys()],
+        criteria
+    };
+}
+
+function computeConformance(criterion: WcagCriterion, pages: ExportablePage[]): CriterionConformance {
+    const issues = pages.flatMap(page => page.issues
+        .filter(issue => issue.severity !== 'info' && parseCriterion(issue.criterion).id === criterion.id)
+        .map(issue => ({ issue, page })));
+    const errors = issues.filter(({ issue }) => issue.severity === 'error');
+    const warnings = issues.filter(({ issue }) => issue.severity === 'warning');
+    const pagesAffected = [...new Set(issues.map(({ page }) => pageLabel(page)))];
+    const pagesWithErrors = new Set(errors.map(({ page }) => pageLabel(page)));
+    const result = { criterion, errors: errors.length, warnings: warnings.length, pagesAffected, overridden: false };
+
+    if (criterion.obsolete) {
+        return {
+            ...result,
+            verdict: 'Supports',
+            remarks: 'WCAG 2.2 removed this criterion. Per the WCAG 2.0 and 2.1 errata it is always supported for HTML content.'
+        };
+    }
+
+    if (pages.length === 0) {
+        return { ...result, verdict: 'Not Evaluated', remarks: 'No pages were tested.' };
+    }
+
+    if (issues.length === 0) {
+        return criterion.automated
+            ? { ...result, verdict: 'Supports', remarks: `No issues found by automated and screen reader testing of ${plural(pages.length, 'page')}.` }
+            : { ...result, verdict: 'Not Evaluated', remarks: 'Not covered by automated testing; requires manual evaluation.' };
+    }
+
+    const examples = [...new Set(issues.map(({ issue }) => issue.description))].slice(0, MAX_REMARK_EXAMPLES);
+    const counts = [errors.length > 0 ? plural(errors.length, 'error') : '', warnings.length > 0 ? plural(warnings.length, 'warning') : '']
+        .filter(Boolean).join(' and ');
+    const remarks = `${counts} on ${pagesAffected.length} of ${plural(pages.length, 'tested page')}. ` +
+        `Examples: ${examples.join('; ')}${examples.length < new Set(issues.map(({ issue }) => issue.description)).size ? '; and others' : ''}.`;
+
+    // An error on every page is a systemic failure; anything less (or warnings only) is partial support
+    const verdict: ConformanceVerdict = errors.length > 0 && pagesWithErrors.size === pages.length
+        ? 'Does Not Support'
+        : 'Partially Supports';
+    return { ...result, verdict, remarks };
+}
+
+export function renderConformanceReport(report: ConformanceReport, options: ConformanceRenderOptions = {}): string {
+    const { info } = report;
+    const reportDate = (info.reportDate || new Date()).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    const evaluationMethods = info.evaluationMethods ||
+        `Automated rule checks, keyboard and screen reader (virtual NVDA) testing with AccessLint ${getToolVersion()}, ` +
+        `and reviewer evaluation of the results. Pages tested: ${report.pagesTested.length}.`;
+    const levelA = report.criteria.filter(entry => entry.criterion.level === 'A');
+    const levelAA = report.criteria.filter(entry => entry.criterion.level === 'AA');
+    const unreviewed = report.criteria.filter(entry => entry.verdict === 'Not Evaluated');
+
+    const standards = [
+        ['Web Content Accessibility Guidelines 2.0', 'Level A (Yes), Level AA (Yes), Level AAA (No)'],
+        ['Web Content Accessibility Guidelines 2.1', 'Level A (Yes), Level AA (Yes), Level AAA (No)'],
+        ['Web Content Accessibility Guidelines 2.2', 'Level A (Yes), Level AA (Yes), Level AAA (No)'],
+        ...(options.includeEn301549 ? [['EN 301 549 Accessibility requirements for ICT products and services V3.2.1 (2021-03)', 'Chapter 9 Web (Yes)']] : [])
+    ];
+
+    const body = `
+<h1>${escapeHtml(info.productName)} Accessibility Conformance Report</h1>
+<p class="subtitle">${options.includeEn301549 ? 'International Edition' : 'WCAG Edition'} (Based on VPAT® Version 2.5)</p>
+
+<h2>Product Information</h2>
+<dl>
+    <dt>Name of Product/Version</dt><dd>${escapeHtml(info.productName)}${info.productVersion ? ` ${escapeHtml(info.productVersion)}` : ''}</dd>
+    <dt>Report Date</dt><dd>${escapeHtml(reportDate)}</dd>
+    <dt>Product Description</dt><dd>${escapeHtml(info.productDescription || '')}</dd>
+    <dt>Contact Information</dt><dd>${escapeHtml(info.contact || '')}</dd>
+    <dt>Notes</dt><dd>${escapeHtml(info.notes || '')}${report.sessions.length > 0 ? `${info.notes ? ' ' : ''}Based on ${plural(report.sessions.length, 'testing session')}: ${escapeHtml(report.sessions.map(session => session.name).join(', '))}.` : ''}</dd>
+    <dt>Evaluation Methods Used</dt><dd>${escapeHtml(evaluationMethods)}</dd>
+</dl>
+${unreviewed.length > 0 ? `<p class="draft"><strong>Draft:</strong> ${plural(unreviewed.length, 'criterion', 'criteria')} still ${unreviewed.length === 1 ? 'needs' : 'need'} manual evaluation (${escapeHtml(unreviewed.map(entry => entry.criterion.id).join(', '))}).</p>` : ''}
+
+<h2>Applicable Standards/Guidelines</h2>
+<table>
+    <thead><tr><th scope="col">Standard/Guideline</th><th scope="col">Included In Report</th></tr></thead>
+    <tbody>
+        ${standards.map(([standard, included]) => `<tr><td>${escapeHtml(standard)}</td><td>${escapeHtml(included)}</td></tr>`).join('\n        ')}
+    </tbody>
+</table>
+
+<h2>Terms</h2>
+<ul>
+    <li><strong>Supports</strong>: The functionality of the product has at least one method that meets the criterion without known defects or meets with equivalent facilitation.</li>
+    <li><strong>Partially Supports</strong>: Some functionality of the product does not meet the criterion.</li>
+    <li><strong>Does Not Support</strong>: The majority of product functionality does not meet the criterion.</li>
+    <li><strong>Not Applicable</strong>: The criterion is not relevant to the product.</li>
+    <li><strong>Not Evaluated</strong>: The product has not been evaluated against the criterion.</li>
+</ul>
+
+<h2>WCAG 2.x Report</h2>
+<p>Tables 1 and 2 also document conformance with EN 301 549 chapter 9 (Web) and Revised Section 508 where those standards incorporate WCAG 2.x by reference.</p>
+${criteriaTable('Table 1: Success Criteria, Level A', levelA, entry => `${entry.criterion.id} ${entry.criterion.title}${versionNote(entry.criterion)}`)}
+${criteriaTable('Table 2: Success Criteria, Level AA', levelAA, entry => `${entry.criterion.id} ${entry.criterion.title}${versionNote(entry.criterion)}`)}
+<h3>Table 3: Success Criteria, Level AAA</h3>
+<p>Notes: Level AAA was not evaluated.</p>
+${options.includeEn301549 ? `
+<h2>EN 301 549 Report</h2>
+<h3>Chapter 9: Web</h3>
+<p>EN 301 549 V3.2.1 clause 9 incorporates the WCAG 2.1 Level A and AA success criteria; clause 9.x.y.z corresponds to success criterion x.y.z.</p>
+${criteriaTable('Chapter 9: Web', report.criteria.filter(entry => entry.criterion.version !== '2.2'), entry => `9.${entry.criterion.id} ${entry.criterion.title}`)}` : ''}
+
+<h2>Pages Tested</h2>
+<ul>
+    ${report.pagesTested.map(page => `<li>${escapeHtml(page)}</li>`).join('\n    ')}
+</ul>
+<p class="legal">VPAT® is a registered service mark of the Information Technology Industry Council (ITI).</p>`;
+
+    return options.word ? wrapForWord(info.productName, body) : `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(info.productName)} Accessibility Conformance Report</title>
+    <style>${REPORT_CSS}</style>
+</head>
+<body>
+<main>${body}
+</main>
+</body>
+</html>
+`;
+}
+
+function criteriaTable(caption: string, entries: CriterionConformance[], label: (entry: CriterionConformance) => string): string {
+    return `<table>
+    <caption>${escapeHtml(caption)}</caption>
+    <thead><tr><th scope="col">Criteria</th><th scope="col">Conformance Level</th><th scope="col">Remarks and Explanations</th></tr></thead>
+    <tbody>
+        ${entries.map(entry => `<tr><th scope="row">${escapeHtml(label(entry))}</th><td>${escapeHtml(entry.verdict)}</td><td>${escapeHtml(entry.remarks)}</td></tr>`).join('\n        ')}
+    </tbody>
+</table>`;
+}
+
+function versionNote(criterion: WcagCriterion): string {
+    if (criterion.obsolete) {
+        return ' (WCAG 2.0 and 2.1 only)';
+    }
+    return criterion.version === '2.0' ? '' : ` (WCAG ${criterion.version}${criterion.version === '2.1' ? ' and 2.2' : ''} only)`;
+}
+
+/**
+ * Word opens HTML carrying the Office namespaces as a regular document (saved as .doc), which
+ * keeps the tables editable for reviewers who finish the report there
+ */
+function wrapForWord(productName: string, body: string): string {
+    return `<html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word" xmlns="http://www.w3.org/TR/REC-html40" lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="ProgId" content="Word.Document">
+    <title>${escapeHtml(productName)} Accessibility Conformance Report</title>
+    <!--[if gte mso 9]><xml><w:WordDocument><w:View>Print</w:View><w:Zoom>100</w:Zoom></w:WordDocument></xml><![endif]-->
+    <style>${REPORT_CSS}
+    @page { size: 8.5in 11in; margin: 1in; }
+    </style>
+</head>
+<body lang="EN-US">${body}
+</body>
+</html>
+`;
+}
+
+function plural(count: number, singular: string, pluralForm = `${singular}s`): string {
+    return `${count} ${count === 1 ? singular : pluralForm}`;
+}
+
+function escapeHtml(text: string): string {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+const REPORT_CSS = `
+    body { font-family: Calibri, 'Segoe UI', Arial, sans-serif; font-size: 11pt; line-height: 1.4; color: #222; max-width: 1000px; margin: 0 auto; padding: 24px; }
+    h1 { font-size: 22pt; margin-bottom: 0; }
+    h2 { font-size: 16pt; color: #005a9e; border-bottom: 1px solid #ccc; padding-bottom: 4px; margin-top: 28px; }
+    h3 { font-size: 13pt; }
+    .subtitle { color: #555; margin-top: 4px; }
+    dl { display: grid; grid-template-columns: 220px auto; gap: 6px 12px; }
+    dt { font-weight: bold; }
+    dd { margin: 0; }
+    table { width: 100%; border-collapse: collapse; margin: 12px 0 24px; }
+    caption { text-align: left; font-weight: bold; font-size: 12pt; padding: 6px 0; }
+    th, td { border: 1px solid #999; padding: 6px 8px; text-align: left; vertical-align: top; }
+    thead th { background: #e8eef4; }
+    tbody th { font-weight: normal; width: 30%; }
+    .draft { border-left: 4px solid #b45309; background: #fff7ed; padding: 8px 12px; }
+    .legal { font-size: 9pt; color: #555; margin-top: 32px; }
+`;
@@ -0,0 +1,228 @@
+/**
+ * Conformance report review
+ *
+ * Collects the testing sessions to aggregate, lets a reviewer go through the computed verdicts
+ * and override them, then exports the ACR as HTML or as a Word document. Overrides and product
+ * details are kept per workspace so a report can be reviewed across several sittings.
+ */
+
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { readReport, toExportablePages } from '../cli/report';
+import {
+    buildConformanceReport,
+    ConformanceInfo,
+    ConformanceReport,
+    ConformanceSession,
+    CONFORMANCE_VERDICTS,
+    CriterionConformance,
+    renderConformanceReport,
+    VerdictOverride
+} from './conformanceReport';
+import { parseJsonExport } from './jsonExporter';
+
+const OVERRIDES_KEY = 'accesslint.conformanceOverrides';
+const INFO_KEY = 'accesslint.conformanceInfo';
+
+type ReviewItem = vscode.QuickPickItem & { action?: 'exportHtml' | 'exportWord' | 'editInfo' | 'reset'; entry?: CriterionConformance };
+
+export async function reviewConformanceReport(
+    context: vscode.ExtensionContext,
+    currentSession: ConformanceSession,
+    log: vscode.OutputChannel
+): Promise<void> {
+    const sessions = await selectSessions(currentSession, log);
+    if (!sessions) {
+        return;
+    }
+
+    let info = context.workspaceState.get<ConformanceInfo>(INFO_KEY);
+    if (!info) {
+        info = await editInfo(context, { productName: vscode.workspace.name || 'Untitled product' });
+        if (!info) {
+            return;
+        }
+    }
+
+    while (true) {
+        const overrides = context.workspaceState.get<Record<string, VerdictOverride>>(OVERRIDES_KEY, {});
+        const report = buildConformanceReport(sessions, info, overrides);
+        const choice = await vscode.window.showQuickPick(reviewItems(report), {
+            placeHolder: `Review verdicts for ${report.pagesTested.length} tested page${report.pagesTested.length === 1 ? '' : 's'}, then export`,
+            matchOnDescription: true,
+            matchOnDetail: true
+        });
+        if (!choice) {
+            return;
+        }
+
+        if (choice.action === 'exportHtml' || choice.action === 'exportWord') {
+            await exportReport(report, choice.action === 'exportWord', log);
+            return;
+        }
+        if (choice.action === 'editInfo') {
+            info = await editInfo(context, info) || info;
+        } else if (choice.action === 'reset') {
+            await context.workspaceState.update(OVERRIDES_KEY, undefined);
+        } else if (choice.entry) {
+            await overrideVerdict(context, choice.entry, overrides);
+        }
+    }
+}
+
+async function selectSessions(currentSession: ConformanceSession, log: vscode.OutputChannel): Promise<ConformanceSession[] | undefined> {
+    const choice = await vscode.window.showQuickPick([
+        { label: currentSession.name, description: 'Current results only', addSaved: false },
+        { label: 'Add saved sessions...', description: 'Combine with AccessLint JSON reports from earlier runs', addSaved: true }
+    ], { placeHolder: 'Which testing sessions should the conformance report cover?' });
+    if (!choice) {
+        return undefined;
+    }
+
+    const sessions = [currentSession];
+    if (!choice.addSaved) {
+        return sessions;
+    }
+
+    const files = await vscode.window.showOpenDialog({
+        canSelectMany: true,
+        filters: { 'AccessLint JSON Reports': ['json'] },
+        openLabel: 'Add to Report'
+    }) || [];
+    for (const file of files) {
+        try {
+            const content = Buffer.from(await vscode.workspace.fs.readFile(file)).toString('utf8');
+            // Either an export from the testing view or a report from the CLI
+            const pages = JSON.parse(content)?.tool === 'accesslint'
+                ? toExportablePages(readReport(file.fsPath))
+                : parseJsonExport(content);
+            sessions.push({ name: path.basename(file.fsPath), pages });
+        } catch (error) {
+            log.appendLine(`⚠️ Skipping ${file.fsPath}: ${error instanceof Error ? error.message : error}`);
+            vscode.window.showWarningMessage(`Could not read ${path.basename(file.fsPath)} as an AccessLint report`);
+        }
+    }
+    return sessions;
+}
+
+function reviewItems(report: ConformanceReport): ReviewItem[] {
+    const unreviewed = report.criteria.filter(entry => entry.verdict === 'Not Evaluated').length;
+    const items: ReviewItem[] = [
+        { label: '$(export) Export as HTML', description: unreviewed > 0 ? `${unreviewed} criteria not evaluated yet` : undefined, action: 'exportHtml' },
+        { label: '$(file) Export as Word document', description: 'Editable .doc with the same tables', action: 'exportWord' },
+        { label: '$(edit) Edit product information', description: report.info.productName, action: 'editInfo' }
+    ];
+    if (report.criteria.some(entry => entry.overridden)) {
+        items.push({ label: '$(discard) Reset reviewer verdicts', action: 'reset' });
+    }
+
+    for (const level of ['A', 'AA'] as const) {
+        items.push({ label: `Level ${level}`, kind: vscode.QuickPickItemKind.Separator });
+        for (const entry of report.criteria.filter(criterion => criterion.criterion.level === level)) {
+            items.push({
+                label: `${entry.criterion.id} ${entry.criterion.title}`,
+                description: `${verdictIcon(entry)} ${entry.verdict}${entry.overridden ? ' (reviewed)' : ''}`,
+                detail: entry.remarks,
+                entry
+            });
+        }
+    }
+    return items;
+}
+
+function verdictIcon(entry: CriterionConformance): string {
+    switch (entry.verdict) {
+        case 'Supports': return '$(pass)';
+        case 'Partially Supports': return '$(warning)';
+        case 'Does Not Support': return '$(error)';
+        case 'Not Applicable': return '$(circle-slash)';
+        default: return '$(question)';
+    }
+}
+
+async function overrideVerdict(
+    context: vscode.ExtensionContext,
+    entry: CriterionConformance,
+    overrides: Record<string, VerdictOverride>
+): Promise<void> {
+    const verdict = await vscode.window.showQuickPick(
+        CONFORMANCE_VERDICTS.map(label => ({ label, description: label === entry.verdict ? 'current' : undefined })),
+        { placeHolder: `Conformance level for ${entry.criterion.id} ${entry.criterion.title}` }
+    );
+    if (!verdict) {
+        return;
+    }
+
+    const remarks = await vscode.window.showInputBox({
+        prompt: `Remarks and explanations for ${entry.criterion.id}`,
+        value: entry.remarks
+    });
+    if (remarks === undefined) {
+        return;
+    }
+
+    await context.workspaceState.update(OVERRIDES_KEY, {
+        ...overrides,
+        [entry.criterion.id]: { verdict: verdict.label, remarks }
+    });
+}
+
+async function editInfo(context: vscode.ExtensionContext, current: ConformanceInfo): Promise<ConformanceInfo | undefined> {
+    const productName = await vscode.window.showInputBox({ prompt: 'Name of product', value: current.productName });
+    if (!productName) {
+        return undefined;
+    }
+    const productVersion = await vscode.window.showInputBox({ prompt: 'Product version (optional)', value: current.productVersion || '' });
+    const productDescription = await vscode.window.showInputBox({ prompt: 'Product description (optional)', value: current.productDescription || '' });
+    const contact = await vscode.window.showInputBox({ prompt: 'Contact information (optional)', value: current.contact || '' });
+
+    const info: ConformanceInfo = {
+        ...current,
+        productName,
+        productVersion: productVersion || undefined,
+        productDescription: productDescription || undefined,
+        contact: contact || undefined
+    };
+    await context.workspaceState.update(INFO_KEY, info);
+    return info;
+}
+
+async function exportReport(report: ConformanceReport, word: boolean, log: vscode.OutputChannel): Promise<void> {
+    const edition = await vscode.window.showQuickPick([
+        { label: 'WCAG Edition', description: 'WCAG 2.x Level A and AA tables', includeEn301549: false },
+        { label: 'International Edition', description: 'Adds the EN 301 549 chapter 9 (Web) table', includeEn301549: true }
+    ], { placeHolder: 'Select the report edition' });
+    if (!edition) {
+        return;
+    }
+
+    const extension = word ? 'doc' : 'html';
+    const slug = report.info.productName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'product';
+    const saveUri = await vscode.window.showSaveDialog({
+        defaultUri: vscode.Uri.file(`${slug}-acr-${new Date().toISOString().split('T')[0]}.${extension}`),
+        filters: word ? { 'Word Documents': ['doc'], 'All Files': ['*'] } : { 'HTML Files': ['html'], 'All Files': ['*'] }
+    });
+    if (!saveUri) {
+        return;
+    }
+
+    try {
+        const content = renderConformanceReport(report, { includeEn301549: edition.includeEn301549, word });
+        await vscode.workspace.fs.writeFile(saveUri, Buffer.from(content, 'utf8'));
+        log.appendLine(`✅ Conformance report saved to: ${saveUri.fsPath}`);
+
+        const unreviewed = report.criteria.filter(entry => entry.verdict === 'Not Evaluated').length;
+        const open = await vscode.window.showInformationMessage(
+            unreviewed > 0
+                ? `Conformance report saved. ${unreviewed} criteria are still marked Not Evaluated.`
+                : 'Conformance report saved.',
+            'Open'
+        );
+        if (open === 'Open') {
+            await vscode.env.openExternal(saveUri);
+        }
+    } catch (error) {
+        log.appendLine(`❌ Error exporting conformance report: ${error}`);
+        vscode.window.showErrorMessage(`Failed to export conformance report: ${error instanceof Error ? error.message : String(error)}`);
+    }
+}
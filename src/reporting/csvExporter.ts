@@ -0,0 +1,50 @@
+/**
+ * CSV exporter - one row per issue, for spreadsheets and issue trackers
+ */
+
+import { ExportablePage, ReportExporter, sortIssues, toIsoString } from './exportModel';
+
+const COLUMNS = ['Page', 'Checkpoint', 'Tested', 'Severity', 'Criterion', 'Rule', 'Description', 'Element', 'Recommendation', 'Source File', 'Line', 'Column'];
+
+export const csvExporter: ReportExporter = {
+    id: 'csv',
+    label: 'CSV',
+    description: 'Spreadsheets and issue tracker imports',
+    fileExtension: 'csv',
+
+    export(pages: ExportablePage[]): string {
+        const rows: (string | number | undefined)[][] = [COLUMNS];
+        for (const page of pages) {
+            for (const issue of sortIssues(page.issues)) {
+                rows.push([
+                    page.url,
+                    page.checkpoint,
+                    toIsoString(page.timestamp),
+                    issue.severity,
+                    issue.criterion,
+                    issue.ruleId,
+                    issue.description,
+                    issue.element,
+                    issue.recommendation,
+                    issue.sourceLocation?.file,
+                    issue.sourceLocation?.line,
+                    issue.sourceLocation?.column
+                ]);
+            }
+        }
+        // CRLF line endings per RFC 4180
+        return rows.map(row => row.map(toCell).join(',')).join('\r\n') + '\r\n';
+    }
+};
+
+function toCell(value: string | number | undefined): string {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    let text = String(value);
+    // Spreadsheets run cells starting with these as formulas
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
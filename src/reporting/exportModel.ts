@@ -0,0 +1,67 @@
+/**
+ * Report export model
+ *
+ * Exporters turn tested pages into a file format for other tools. They accept anything shaped
+ * like a TestResult, including results that went through a webview message (string timestamps).
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { AccessibilityIssue } from '../accessibilityTester';
+import { SourceLocation } from '../testing/sourceMapper';
+
+/**
+ * An AccessibilityIssue, or an issue read back from a CLI report (which has no source-mapping details)
+ */
+export type ExportableIssue = Omit<AccessibilityIssue, 'sourceLocation'> & {
+    sourceLocation?: Pick<SourceLocation, 'file' | 'line' | 'column'>;
+};
+
+export interface ExportablePage {
+    url: string;
+    checkpoint?: string;
+    timestamp: Date | string;
+    issues: ExportableIssue[];
+    /** Accepted issues, listed separately and never counted */
+    suppressed?: ExportableIssue[];
+}
+
+export interface ReportExporter {
+    id: string;
+    /** Shown in the format picker */
+    label: string;
+    description: string;
+    fileExtension: string;
+    export(pages: ExportablePage[]): string;
+}
+
+const SEVERITY_ORDER: Record<AccessibilityIssue['severity'], number> = { error: 0, warning: 1, info: 2 };
+
+/**
+ * Issues in a deterministic order (severity, criterion, rule, description) so exports diff cleanly
+ */
+export function sortIssues<T extends ExportableIssue>(issues: T[]): T[] {
+    return [...issues].sort((a, b) =>
+        SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] ||
+        a.criterion.localeCompare(b.criterion, 'en', { numeric: true }) ||
+        (a.ruleId || '').localeCompare(b.ruleId || '') ||
+        a.description.localeCompare(b.description)
+    );
+}
+
+export function pageLabel(page: ExportablePage): string {
+    return page.checkpoint ? `${page.checkpoint} (${page.url})` : page.url;
+}
+
+export function toIsoString(timestamp: Date | string): string {
+    const date = timestamp instanceof Date ? timestamp : new Date(timestamp);
+    return isNaN(date.getTime()) ? String(timestamp) : date.toISOString();
+}
+
+export function getToolVersion(): string {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'package.json'), 'utf8')).version;
+    } catch {
+        return 'unknown';
+    }
+}
@@ -0,0 +1,15 @@
+/**
+ * Registry of report exporters, used by the Testing view's Download button and the CLI
+ */
+
+import { csvExporter } from './csvExporter';
+import { ReportExporter } from './exportModel';
+import { jsonExporter } from './jsonExporter';
+import { junitExporter } from './junitExporter';
+import { sarifExporter } from './sarifExporter';
+
+export const REPORT_EXPORTERS: ReportExporter[] = [sarifExporter, junitExporter, jsonExporter, csvExporter];
+
+export function getReportExporter(id: string): ReportExporter | undefined {
+    return REPORT_EXPORTERS.find(exporter => exporter.id === id);
+}
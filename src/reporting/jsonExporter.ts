@@ -0,0 +1,121 @@
+/**
+ * Stable JSON exporter
+ *
+ * A versioned, documented subset of TestResult: fixed key order, sorted issues and no bulky
+ * or run-specific data (NVDA logs, interactions, screenshots), so exports can be diffed and
+ * consumed by scripts. Suppressed issues are listed per page with their reason and never counted.
+ */
+
+import { ExportableIssue, ExportablePage, getToolVersion, ReportExporter, sortIssues, toIsoString } from './exportModel';
+
+export const JSON_SCHEMA_VERSION = 1;
+
+export const jsonExporter: ReportExporter = {
+    id: 'json',
+    label: 'JSON',
+    description: 'Stable machine-readable results for scripts',
+    fileExtension: 'json',
+
+    export(pages: ExportablePage[]): string {
+        const exportedPages = pages.map(page => {
+            const issues = sortIssues(page.issues).map(exportIssue);
+
+            return {
+                url: page.url,
+                checkpoint: page.checkpoint ?? null,
+                timestamp: toIsoString(page.timestamp),
+                summary: countBySeverity(issues),
+                issues,
+                suppressed: sortIssues(page.suppressed || []).map(issue => ({
+                    ...exportIssue(issue),
+                    suppression: {
+                        kind: issue.suppression?.kind ?? 'config',
+                        reason: issue.suppression?.reason ?? '',
+                        expires: issue.suppression?.expires ?? null,
+                        acceptedBy: issue.suppression?.acceptedBy ?? null
+                    }
+                }))
+            };
+        });
+
+        const report = {
+            schemaVersion: JSON_SCHEMA_VERSION,
+            tool: { name: 'AccessLint', version: getToolVersion() },
+            pages: exportedPages,
+            summary: {
+                pages: exportedPages.length,
+                ...countBySeverity(exportedPages.flatMap(page => page.issues))
+            }
+        };
+        return JSON.stringify(report, null, 2) + '\n';
+    }
+};
+
+function exportIssue(issue: ExportableIssue) {
+    return {
+        criterion: issue.criterion,
+        severity: issue.severity,
+        ruleId: issue.ruleId ?? null,
+        description: issue.description,
+        element: issue.element ?? null,
+        viewport: issue.viewport ?? null,
+        steps: issue.steps ?? null,
+        recommendation: issue.recommendation ?? null,
+        detectedBy: issue.source ?? null,
+        source: issue.sourceLocation
+            ? { file: issue.sourceLocation.file, line: issue.sourceLocation.line ?? null, column: issue.sourceLocation.column ?? null }
+            : null
+    };
+}
+
+function countBySeverity(issues: { severity: string }[]): { errors: number; warnings: number; info: number } {
+    return {
+        errors: issues.filter(issue => issue.severity === 'error').length,
+        warnings: issues.filter(issue => issue.severity === 'warning').length,
+        info: issues.filter(issue => issue.severity === 'info').length
+    };
+}
+
+/**
+ * Read a JSON export back into pages, e.g. to combine earlier sessions in a conformance report
+ */
+export function parseJsonExport(content: string): ExportablePage[] {
+    const report = JSON.parse(content);
+    if (typeof report?.schemaVersion !== 'number' || !Array.isArray(report.pages)) {
+        throw new Error('Not an AccessLint JSON export');
+    }
+    if (report.schemaVersion > JSON_SCHEMA_VERSION) {
+        throw new Error(`Unsupported JSON export schema version ${report.schemaVersion}`);
+    }
+
+    const readIssue = (issue: any): ExportableIssue => ({
+        criterion: issue.criterion,
+        severity: issue.severity,
+        ruleId: issue.ruleId ?? undefined,
+        description: issue.description,
+        element: issue.element ?? undefined,
+        viewport: issue.viewport ?? undefined,
+        steps: issue.steps ?? undefined,
+        recommendation: issue.recommendation ?? undefined,
+        source: issue.detectedBy ?? undefined,
+        sourceLocation: issue.source
+            ? { file: issue.source.file, line: issue.source.line ?? undefined, column: issue.source.column ?? undefined }
+            : undefined,
+        suppression: issue.suppression
+            ? {
+                kind: issue.suppression.kind,
+                reason: issue.suppression.reason,
+                expires: issue.suppression.expires ?? undefined,
+                acceptedBy: issue.suppression.acceptedBy ?? undefined
+            }
+            : undefined
+    });
+
+    return report.pages.map((page: any) => ({
+        url: page.url,
+        checkpoint: page.checkpoint ?? undefined,
+        timestamp: page.timestamp,
+        issues: (page.issues || []).map(readIssue),
+        suppressed: (page.suppressed || []).map(readIssue)
+    }));
+}
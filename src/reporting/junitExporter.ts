@@ -0,0 +1,86 @@
+/**
+ * JUnit XML exporter
+ *
+ * One test suite per tested page and one test case per WCAG criterion. Criteria are the union
+ * of everything reported across the pages, so a page without issues for a criterion shows a
+ * passing case for it. Errors fail a case; warnings and info are attached as output.
+ */
+
+import { ExportableIssue, ExportablePage, pageLabel, ReportExporter, sortIssues, toIsoString } from './exportModel';
+
+export const junitExporter: ReportExporter = {
+    id: 'junit',
+    label: 'JUnit XML',
+    description: 'Test reporters in CI (Jenkins, GitLab, Azure Pipelines)',
+    fileExtension: 'xml',
+
+    export(pages: ExportablePage[]): string {
+        const criteria = [...new Set(pages.flatMap(page => page.issues.map(issue => issue.criterion)))]
+            .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+
+        let totalTests = 0;
+        let totalFailures = 0;
+        const suites: string[] = [];
+
+        for (const page of pages) {
+            const cases: string[] = [];
+            let failures = 0;
+
+            for (const criterion of criteria) {
+                const issues = sortIssues(page.issues.filter(issue => issue.criterion === criterion));
+                const errors = issues.filter(issue => issue.severity === 'error');
+                const others = issues.filter(issue => issue.severity !== 'error');
+
+                let body = '';
+                if (errors.length > 0) {
+                    failures++;
+                    const message = `${errors.length} error${errors.length === 1 ? '' : 's'}: ${errors[0].description}`;
+                    body += `\n      <failure message="${escapeXml(message)}" type="error">${escapeXml(errors.map(formatIssue).join('\n'))}</failure>`;
+                }
+                if (others.length > 0) {
+                    body += `\n      <system-out>${escapeXml(others.map(formatIssue).join('\n'))}</system-out>`;
+                }
+
+                const attributes = `name="${escapeXml(criterion)}" classname="${escapeXml(pageLabel(page))}"`;
+                cases.push(body ? `    <testcase ${attributes}>${body}\n    </testcase>` : `    <testcase ${attributes}/>`);
+            }
+
+            totalTests += criteria.length;
+            totalFailures += failures;
+            suites.push(
+                `  <testsuite name="${escapeXml(pageLabel(page))}" tests="${criteria.length}" failures="${failures}" errors="0" timestamp="${escapeXml(toIsoString(page.timestamp))}">\n` +
+                cases.join('\n') + (cases.length > 0 ? '\n' : '') +
+                '  </testsuite>'
+            );
+        }
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<testsuites name="AccessLint accessibility" tests="${totalTests}" failures="${totalFailures}" errors="0">\n` +
+            suites.join('\n') + (suites.length > 0 ? '\n' : '') +
+            '</testsuites>\n';
+    }
+};
+
+function formatIssue(issue: ExportableIssue): string {
+    const parts = [`[${issue.severity}] ${issue.description}`];
+    if (issue.element) {
+        parts.push(`  Element: ${issue.element}`);
+    }
+    if (issue.sourceLocation) {
+        parts.push(`  Source: ${issue.sourceLocation.file}${issue.sourceLocation.line ? `:${issue.sourceLocation.line}` : ''}`);
+    }
+    if (issue.recommendation) {
+        parts.push(`  Recommendation: ${issue.recommendation}`);
+    }
+    return parts.join('\n');
+}
+
+function escapeXml(value: string): string {
+    return value
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
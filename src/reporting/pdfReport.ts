@@ -0,0 +1,428 @@
+/**
+ * PDF report
+ *
+ * Renders test results to a real, paginated PDF with headless Chromium: cover page, executive
+ * summary with severity charts, page overviews with numbered markers, one section per WCAG
+ * criterion with highlighted screenshots of the offending elements and an appendix with the
+ * screen reader transcript. The PDF is tagged and gets an outline from the headings, so it is
+ * accessible itself.
+ */
+
+import { Browser, chromium } from 'playwright';
+import { NVDAInteraction, TestResult } from '../accessibilityTester';
+import { getChromiumLaunchOptions } from '../testing/browserLaunch';
+import { captureElementScreenshot } from '../testing/issueScreenshots';
+import { ExportableIssue, ExportablePage, getToolVersion, pageLabel, sortIssues, toIsoString } from './exportModel';
+import { parseCriterion, understandingUrl } from './wcag';
+
+export interface PdfReportPage extends ExportablePage {
+    summary?: Partial<TestResult['summary']>;
+    nvdaLog?: string[];
+    interactions?: (Omit<NVDAInteraction, 'timestamp'> & { timestamp: Date | string })[];
+    pageScreenshot?: string;
+}
+
+export interface PdfReportOptions {
+    /** What was tested, shown on the cover (defaults to the first page URL) */
+    subject?: string;
+    /** Revisit the pages to screenshot offending elements the test run did not capture (default: true) */
+    captureScreenshots?: boolean;
+    maxScreenshotsPerPage?: number;
+    onProgress?: (message: string) => void;
+}
+
+/**
+ * The same finding on several pages is reported once, listing the pages
+ */
+interface IssueGroup {
+    issue: ExportableIssue;
+    pages: PdfReportPage[];
+}
+
+const SEVERITY_COLORS = { error: '#d32f2f', warning: '#b45309', info: '#1976d2' };
+const SEVERITY_LABELS = { error: 'Error', warning: 'Warning', info: 'Info' };
+
+export async function generatePdfReport(pages: PdfReportPage[], options: PdfReportOptions = {}): Promise<Buffer> {
+    const progress = options.onProgress || (() => undefined);
+    const browser = await chromium.launch(getChromiumLaunchOptions(true));
+
+    try {
+        const screenshots = options.captureScreenshots === false
+            ? new Map<ExportableIssue, string>()
+            : await captureMissingScreenshots(browser, pages, options.maxScreenshotsPerPage ?? 15, progress);
+
+        progress('📄 Rendering PDF...');
+        const page = await browser.newPage();
+        const subject = options.subject || pages[0]?.url || 'Accessibility report';
+        await page.setContent(buildReportHtml(pages, screenshots, subject), { waitUntil: 'load' });
+        await page.emulateMedia({ media: 'print' });
+
+        return await page.pdf({
+            format: 'A4',
+            printBackground: true,
+            tagged: true,
+            outline: true,
+            displayHeaderFooter: true,
+            headerTemplate: `<div style="font-size:8px;width:100%;padding:0 15mm;color:#555;display:flex;justify-content:space-between;">
+                <span>Accessibility Report</span><span>${escapeHtml(truncate(subject, 80))}</span></div>`,
+            footerTemplate: `<div style="font-size:8px;width:100%;padding:0 15mm;color:#555;display:flex;justify-content:space-between;">
+                <span>Generated by AccessLint ${escapeHtml(getToolVersion())}</span>
+                <span>Page <span class="pageNumber"></span> of <span class="totalPages"></span></span></div>`,
+            margin: { top: '18mm', bottom: '18mm', left: '15mm', right: '15mm' }
+        });
+    } finally {
+        await browser.close();
+    }
+}
+
+/**
+ * Reload tested pages to capture offending elements that have no screenshot from the test run
+ * (results saved before screenshots existed, or with them turned off). Only issues with a CSS
+ * selector location can be found again; anything else is skipped.
+ */
+async function captureMissingScreenshots(
+    browser: Browser,
+    pages: PdfReportPage[],
+    maxPerPage: number,
+    progress: (message: string) => void
+): Promise<Map<ExportableIssue, string>> {
+    const screenshots = new Map<ExportableIssue, string>();
+    const context = await browser.newContext({ viewport: { width: 1280, height: 800 } });
+
+    try {
+        for (const testedPage of pages) {
+            const candidates = sortIssues(testedPage.issues)
+                .filter(issue => issue.severity !== 'info' && issue.location)
+                .slice(0, maxPerPage)
+                .filter(issue => !issue.screenshot);
+            if (candidates.length === 0 || !/^(https?|file):/.test(testedPage.url)) {
+                continue;
+            }
+
+            progress(`📸 Capturing screenshots on ${testedPage.url}...`);
+            const page = await context.newPage();
+            try {
+                await page.goto(testedPage.url, { waitUntil: 'networkidle', timeout: 30000 });
+                for (const issue of candidates) {
+                    const capture = await captureElementScreenshot(page, issue.location!);
+                    if (capture) {
+                        screenshots.set(issue, capture.image);
+                    }
+                }
+            } catch (error) {
+                progress(`⚠️ Could not capture screenshots on ${testedPage.url}: ${error instanceof Error ? error.message.split('\n')[0] : error}`);
+            } finally {
+                await page.close();
+            }
+        }
+    } finally {
+        await context.close();
+    }
+
+    return screenshots;
+}
+
+export function buildReportHtml(pages: PdfReportPage[], screenshots: Map<ExportableIssue, string>, subject: string): string {
+    const groups = groupIssues(pages);
+    const byCriterion = new Map<string, IssueGroup[]>();
+    for (const group of groups) {
+        byCriterion.set(group.issue.criterion, [...(byCriterion.get(group.issue.criterion) || []), group]);
+    }
+    const criteria = [...byCriterion.keys()].sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+
+    const counts = {
+        error: groups.filter(group => group.issue.severity === 'error').length,
+        warning: groups.filter(group => group.issue.severity === 'warning').length,
+        info: groups.filter(group => group.issue.severity === 'info').length
+    };
+    const suppressedCount = pages.reduce((total, page) => total + (page.suppressed?.length || 0), 0);
+    const generated = new Date();
+    const testedDates = pages.map(page => toIsoString(page.timestamp)).sort();
+
+    const cover = `
+    <section class="cover" aria-labelledby="report-title">
+        <p class="eyebrow">Accessibility Test Report</p>
+        <h1 id="report-title">${escapeHtml(subject)}</h1>
+        <dl class="cover-meta">
+            <dt>Pages tested</dt><dd>${pages.length}</dd>
+            <dt>Tested</dt><dd>${escapeHtml(formatDate(testedDates[0]))}${testedDates.length > 1 && testedDates[0] !== testedDates[testedDates.length - 1] ? ` – ${escapeHtml(formatDate(testedDates[testedDates.length - 1]))}` : ''}</dd>
+            <dt>Report generated</dt><dd>${escapeHtml(generated.toLocaleString())}</dd>
+            <dt>Standard</dt><dd>WCAG 2.2 Level A and AA</dd>
+        </dl>
+    </section>`;
+
+    const failingCriteria = criteria.filter(criterion => byCriterion.get(criterion)!.some(group => group.issue.severity === 'error'));
+    const summary = `
+    <section class="page-break" aria-labelledby="summary-title">
+        <h2 id="summary-title">Executive Summary</h2>
+        <p>${groups.length === 0
+            ? 'No accessibility issues were found on the tested pages.'
+            : `Testing found <strong>${counts.error} error${counts.error === 1 ? '' : 's'}</strong>, ${counts.warning} warning${counts.warning === 1 ? '' : 's'} and ${counts.info} informational finding${counts.info === 1 ? '' : 's'} across ${pages.length} page${pages.length === 1 ? '' : 's'}. ` +
+              (failingCriteria.length > 0
+                ? `Errors affect ${failingCriteria.length} WCAG success criteri${failingCriteria.length === 1 ? 'on' : 'a'}, which should be fixed first.`
+                : 'No errors were found; warnings should be reviewed manually.')}</p>
+        ${suppressedCount > 0 ? `<p>${suppressedCount} accepted issue${suppressedCount === 1 ? ' was' : 's were'} suppressed and ${suppressedCount === 1 ? 'is' : 'are'} not counted; see Suppressed Issues.</p>` : ''}
+        <div class="cards">
+            ${(['error', 'warning', 'info'] as const).map(severity => `
+            <div class="card ${severity}"><span class="count">${counts[severity]}</span> <span class="label">${SEVERITY_LABELS[severity]}${counts[severity] === 1 ? '' : 's'}</span></div>`).join('')}
+        </div>
+        <h3>Issues by severity</h3>
+        ${barChart('severity-chart', 'Issues by severity',
+            (['error', 'warning', 'info'] as const).map(severity => ({ label: `${SEVERITY_LABELS[severity]}s`, value: counts[severity], color: SEVERITY_COLORS[severity] })))}
+        ${criteria.length > 0 ? `
+        <h3>Most affected criteria</h3>
+        ${barChart('criteria-chart', 'Issues per WCAG criterion',
+            criteria
+                .map(criterion => ({ criterion, groups: byCriterion.get(criterion)! }))
+                .sort((a, b) => b.groups.length - a.groups.length)
+                .slice(0, 8)
+                .map(({ criterion, groups: criterionGroups }) => ({
+                    label: truncate(criterion, 38),
+                    value: criterionGroups.length,
+                    color: SEVERITY_COLORS[criterionGroups.some(group => group.issue.severity === 'error') ? 'error' : criterionGroups.some(group => group.issue.severity === 'warning') ? 'warning' : 'info']
+                })))}` : ''}
+        <h3>Pages tested</h3>
+        <table>
+            <thead><tr><th scope="col">Page</th><th scope="col">Errors</th><th scope="col">Warnings</th><th scope="col">Info</th></tr></thead>
+            <tbody>
+            ${pages.map(page => `<tr><td>${escapeHtml(pageLabel(page))}</td>${(['error', 'warning', 'info'] as const)
+                .map(severity => `<td>${page.issues.filter(issue => issue.severity === severity).length}</td>`).join('')}</tr>`).join('')}
+            </tbody>
+        </table>
+    </section>`;
+
+    const findings = criteria.map(criterion => {
+        const parsed = parseCriterion(criterion);
+        const link = understandingUrl(parsed);
+        const criterionGroups = byCriterion.get(criterion)!;
+        return `
+    <section class="criterion page-break" aria-labelledby="${anchorId(criterion)}">
+        <h2 id="${anchorId(criterion)}">${escapeHtml(parsed.id ? `${parsed.id} ${parsed.title}` : parsed.title)}</h2>
+        <p class="criterion-meta">${criterionGroups.length} finding${criterionGroups.length === 1 ? '' : 's'}${link ? ` · <a href="${escapeHtml(link)}">Understanding ${escapeHtml(parsed.id!)}</a>` : ''}</p>
+        ${criterionGroups.map(group => renderIssue(group, screenshots.get(group.issue) || group.issue.screenshot, pages.length > 1)).join('')}
+    </section>`;
+    }).join('');
+
+    const overviewPages = pages.filter(page => page.pageScreenshot);
+    const overviews = overviewPages.length === 0 ? '' : `
+    <section class="page-break" aria-labelledby="overview-title">
+        <h2 id="overview-title">Page Overviews</h2>
+        <p>Each numbered marker points at an offending element; the findings below refer to these numbers.</p>
+        ${overviewPages.map(page => `
+        <figure class="overview">
+            <img src="${page.pageScreenshot}" alt="Full page of ${escapeHtml(pageLabel(page))} with numbered markers on the offending elements">
+            <figcaption>${escapeHtml(pageLabel(page))}</figcaption>
+        </figure>`).join('')}
+    </section>`;
+
+    const suppressedIssues = pages.flatMap(page => sortIssues(page.suppressed || []).map(issue => ({ issue, page })));
+    const suppressedSection = suppressedIssues.length === 0 ? '' : `
+    <section class="page-break" aria-labelledby="suppressed-title">
+        <h2 id="suppressed-title">Suppressed Issues</h2>
+        <p>Issues accepted as exceptions with inline comments or <code>.accesslintrc</code>. They are excluded from the counts above.</p>
+        <table class="suppressed">
+            <thead><tr><th scope="col">Issue</th><th scope="col">Page</th><th scope="col">Reason</th><th scope="col">Accepted by</th><th scope="col">Expires</th></tr></thead>
+            <tbody>
+            ${suppressedIssues.map(({ issue, page }) => `<tr>
+                <td><strong>${escapeHtml(issue.criterion)}</strong><br>${escapeHtml(issue.description)}</td>
+                <td>${escapeHtml(pageLabel(page))}</td>
+                <td>${escapeHtml(issue.suppression?.reason || '')}${issue.suppression?.kind === 'inline' ? ' (inline comment)' : ''}</td>
+                <td>${escapeHtml(issue.suppression?.acceptedBy || '')}</td>
+                <td>${escapeHtml(issue.suppression?.expires || 'Never')}</td>
+            </tr>`).join('')}
+            </tbody>
+        </table>
+    </section>`;
+
+    const transcripts = pages.filter(page => (page.nvdaLog && page.nvdaLog.length > 0) || (page.interactions && page.interactions.length > 0));
+    const appendix = transcripts.length === 0 ? '' : `
+    <section class="page-break" aria-labelledby="appendix-title">
+        <h2 id="appendix-title">Appendix: Screen Reader Transcript</h2>
+        <p>What the screen reader announced while the pages were tested, in order.</p>
+        ${transcripts.map(page => `
+        <h3>${escapeHtml(pageLabel(page))}</h3>
+        <ol class="transcript">
+            ${(page.nvdaLog && page.nvdaLog.length > 0
+                ? page.nvdaLog
+                : page.interactions!.map(interaction => `${interaction.action}: ${interaction.announcement}`)
+            ).map(line => `<li>${escapeHtml(line)}</li>`).join('')}
+        </ol>`).join('')}
+    </section>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Accessibility Test Report - ${escapeHtml(subject)}</title>
+    <style>${REPORT_CSS}</style>
+</head>
+<body>
+    <main>
+    ${cover}
+    ${summary}
+    ${overviews}
+    ${findings}
+    ${suppressedSection}
+    ${appendix}
+    </main>
+</body>
+</html>`;
+}
+
+function groupIssues(pages: PdfReportPage[]): IssueGroup[] {
+    const groups = new Map<string, IssueGroup>();
+    for (const page of pages) {
+        for (const issue of sortIssues(page.issues)) {
+            const key = [issue.criterion, issue.severity, issue.ruleId, issue.description, issue.element].join('|');
+            const group = groups.get(key);
+            if (group) {
+                group.pages.push(page);
+            } else {
+                groups.set(key, { issue, pages: [page] });
+            }
+        }
+    }
+    return [...groups.values()];
+}
+
+function renderIssue(group: IssueGroup, screenshot: string | undefined, showPages: boolean): string {
+    const { issue } = group;
+    const details: string[] = [];
+
+    if (issue.nvdaAnnouncement) {
+        details.push(`<dt>Screen reader announced</dt><dd>“${escapeHtml(issue.nvdaAnnouncement)}”</dd>`);
+    }
+    if (issue.expectedAnnouncement) {
+        details.push(`<dt>Expected</dt><dd>“${escapeHtml(issue.expectedAnnouncement)}”</dd>`);
+    }
+    if (issue.element) {
+        details.push(`<dt>Element</dt><dd><code>${escapeHtml(truncate(issue.element, 300))}</code></dd>`);
+    }
+    if (issue.location) {
+        details.push(`<dt>Location</dt><dd><code>${escapeHtml(issue.location)}</code></dd>`);
+    }
+    if (issue.viewport) {
+        details.push(`<dt>Viewport</dt><dd>${escapeHtml(issue.viewport)}</dd>`);
+    }
+    if (issue.steps && issue.steps.length > 0) {
+        details.push(`<dt>Steps</dt><dd><ol>${issue.steps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}</ol></dd>`);
+    }
+    if (issue.sourceLocation) {
+        const { file, line, column } = issue.sourceLocation;
+        details.push(`<dt>Source</dt><dd><code>${escapeHtml(`${file}${line ? `:${line}${column ? `:${column}` : ''}` : ''}`)}</code></dd>`);
+    }
+    if (issue.recommendation) {
+        details.push(`<dt>Recommendation</dt><dd>${escapeHtml(issue.recommendation)}</dd>`);
+    }
+    if (showPages) {
+        details.push(`<dt>Found on</dt><dd>${group.pages.map(page => escapeHtml(pageLabel(page))).join('<br>')}</dd>`);
+    }
+
+    return `
+        <article class="issue ${issue.severity}">
+            <h3><span class="badge ${issue.severity}">${SEVERITY_LABELS[issue.severity]}</span> ${escapeHtml(issue.description)}</h3>
+            ${details.length > 0 ? `<dl class="details">${details.join('')}</dl>` : ''}
+            ${screenshot ? `<figure><img src="${screenshot}" alt="Screenshot of the page with the offending element outlined in red"><figcaption>Offending element highlighted on the live page${issue.marker && group.pages[0].pageScreenshot ? ` · marker ${issue.marker} on the overview of ${escapeHtml(pageLabel(group.pages[0]))}` : ''}</figcaption></figure>` : ''}
+            ${issue.frameStrip ? `<figure><img src="${issue.frameStrip}" alt="Frames of the moving content sampled over time"><figcaption>Frames over time, left to right</figcaption></figure>` : ''}
+        </article>`;
+}
+
+/**
+ * Horizontal bar chart as inline SVG, with a text alternative listing every value
+ */
+function barChart(id: string, title: string, bars: { label: string; value: number; color: string }[]): string {
+    const rowHeight = 28;
+    const labelWidth = 230;
+    const chartWidth = 420;
+    const max = Math.max(1, ...bars.map(bar => bar.value));
+    const description = bars.map(bar => `${bar.label}: ${bar.value}`).join(', ');
+
+    return `<svg class="chart" role="img" aria-labelledby="${id}-title ${id}-desc" width="${labelWidth + chartWidth + 40}" height="${bars.length * rowHeight + 10}" viewBox="0 0 ${labelWidth + chartWidth + 40} ${bars.length * rowHeight + 10}">
+            <title id="${id}-title">${escapeHtml(title)}</title>
+            <desc id="${id}-desc">${escapeHtml(description)}</desc>
+            ${bars.map((bar, index) => {
+                const y = index * rowHeight + 5;
+                const width = Math.round((bar.value / max) * chartWidth);
+                return `<text x="${labelWidth - 8}" y="${y + 17}" text-anchor="end" font-size="12" fill="#333">${escapeHtml(bar.label)}</text>
+            <rect x="${labelWidth}" y="${y + 4}" width="${Math.max(width, 2)}" height="18" rx="3" fill="${bar.color}"></rect>
+            <text x="${labelWidth + Math.max(width, 2) + 6}" y="${y + 17}" font-size="12" fill="#333">${bar.value}</text>`;
+            }).join('')}
+        </svg>`;
+}
+
+function anchorId(criterion: string): string {
+    return `criterion-${criterion.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+}
+
+function formatDate(iso: string | undefined): string {
+    const date = iso ? new Date(iso) : new Date();
+    return isNaN(date.getTime()) ? String(iso) : date.toLocaleString();
+}
+
+function truncate(text: string, length: number): string {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function escapeHtml(text: string): string {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+const REPORT_CSS = `
+    * { box-sizing: border-box; }
+    body {
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+        font-size: 11pt;
+        line-height: 1.5;
+        color: #222;
+        margin: 0;
+    }
+    h1, h2, h3 { color: #1a1a1a; line-height: 1.25; }
+    h2 { font-size: 18pt; color: #005a9e; border-bottom: 2px solid #e0e0e0; padding-bottom: 6px; margin: 0 0 12px; }
+    h3 { font-size: 12pt; margin: 18px 0 8px; }
+    a { color: #005a9e; }
+    code { font-family: Consolas, 'Courier New', monospace; font-size: 9pt; word-break: break-all; }
+    .page-break { break-before: page; }
+    .cover { height: 240mm; display: flex; flex-direction: column; justify-content: center; border-left: 8px solid #0078d4; padding-left: 12mm; }
+    .cover .eyebrow { text-transform: uppercase; letter-spacing: 2px; color: #005a9e; font-weight: 600; margin: 0; }
+    .cover h1 { font-size: 26pt; margin: 8px 0 24px; word-break: break-all; }
+    .cover-meta { display: grid; grid-template-columns: 45mm auto; row-gap: 6px; margin: 0; }
+    .cover-meta dt { font-weight: 600; color: #555; }
+    .cover-meta dd { margin: 0; }
+    .cards { display: flex; gap: 12px; margin: 16px 0; }
+    .card { flex: 1; padding: 12px 16px; border-left: 5px solid; background: #f7f7f7; border-radius: 4px; }
+    .card .count { display: block; font-size: 24pt; font-weight: 700; }
+    .card.error { border-color: ${SEVERITY_COLORS.error}; } .card.error .count { color: ${SEVERITY_COLORS.error}; }
+    .card.warning { border-color: ${SEVERITY_COLORS.warning}; } .card.warning .count { color: ${SEVERITY_COLORS.warning}; }
+    .card.info { border-color: ${SEVERITY_COLORS.info}; } .card.info .count { color: ${SEVERITY_COLORS.info}; }
+    .chart { display: block; margin: 4px 0 12px; }
+    table { width: 100%; border-collapse: collapse; font-size: 10pt; }
+    th, td { text-align: left; padding: 5px 8px; border-bottom: 1px solid #ddd; vertical-align: top; }
+    th { background: #f0f4f8; }
+    td:not(:first-child), th:not(:first-child) { text-align: right; width: 18mm; }
+    table.suppressed td, table.suppressed th { text-align: left; width: auto; }
+    .criterion-meta { color: #555; margin-top: -6px; }
+    .issue { border: 1px solid #ddd; border-left: 5px solid; border-radius: 4px; padding: 10px 14px; margin: 12px 0; break-inside: avoid; }
+    .issue.error { border-left-color: ${SEVERITY_COLORS.error}; }
+    .issue.warning { border-left-color: ${SEVERITY_COLORS.warning}; }
+    .issue.info { border-left-color: ${SEVERITY_COLORS.info}; }
+    .issue h3 { font-size: 11pt; margin: 0 0 6px; }
+    .badge { display: inline-block; padding: 1px 8px; border-radius: 10px; color: #fff; font-size: 8pt; text-transform: uppercase; vertical-align: middle; }
+    .badge.error { background: ${SEVERITY_COLORS.error}; }
+    .badge.warning { background: ${SEVERITY_COLORS.warning}; }
+    .badge.info { background: ${SEVERITY_COLORS.info}; }
+    .details { display: grid; grid-template-columns: 42mm auto; column-gap: 8px; row-gap: 4px; margin: 6px 0 0; font-size: 10pt; }
+    .details dt { font-weight: 600; color: #444; }
+    .details dd { margin: 0; }
+    .details dd ol { margin: 0; padding-left: 18px; }
+    figure { margin: 10px 0 0; }
+    figure img { max-width: 100%; max-height: 90mm; border: 1px solid #ccc; }
+    figure.overview img { max-height: 230mm; }
+    figcaption { font-size: 8pt; color: #555; }
+    .transcript { font-size: 9pt; padding-left: 8mm; }
+    .transcript li { margin: 2px 0; }
+`;
@@ -0,0 +1,98 @@
+/**
+ * SARIF 2.1.0 exporter
+ *
+ * One SARIF rule per WCAG criterion, so code-scanning dashboards group findings by success
+ * criterion. Results carry the component source location when the source mapper found one;
+ * otherwise the page URL is recorded as the location. Suppressed issues are included with a
+ * SARIF suppression, which code-scanning dashboards show as dismissed.
+ */
+
+import { AccessibilityIssue } from '../accessibilityTester';
+import { ExportableIssue, ExportablePage, getToolVersion, ReportExporter, sortIssues } from './exportModel';
+import { parseCriterion, understandingUrl } from './wcag';
+
+const SARIF_LEVELS: Record<AccessibilityIssue['severity'], string> = { error: 'error', warning: 'warning', info: 'note' };
+
+export const sarifExporter: ReportExporter = {
+    id: 'sarif',
+    label: 'SARIF 2.1',
+    description: 'Code scanning dashboards (GitHub, Azure DevOps)',
+    fileExtension: 'sarif',
+
+    export(pages: ExportablePage[]): string {
+        const rules: any[] = [];
+        const ruleIndexes = new Map<string, number>();
+        const results: any[] = [];
+
+        for (const page of pages) {
+            for (const issue of [...sortIssues(page.issues), ...sortIssues(page.suppressed || [])]) {
+                const criterion = parseCriterion(issue.criterion);
+                const ruleId = criterion.id ? `WCAG-${criterion.id}` : criterion.title;
+
+                if (!ruleIndexes.has(ruleId)) {
+                    ruleIndexes.set(ruleId, rules.length);
+                    rules.push({
+                        id: ruleId,
+                        name: criterion.title,
+                        shortDescription: { text: criterion.id ? `WCAG ${criterion.id} ${criterion.title}` : criterion.title },
+                        helpUri: understandingUrl(criterion),
+                        properties: { tags: ['accessibility', 'wcag'] }
+                    });
+                }
+
+                results.push({
+                    ruleId,
+                    ruleIndex: ruleIndexes.get(ruleId),
+                    level: SARIF_LEVELS[issue.severity],
+                    message: { text: issue.recommendation ? `${issue.description}\n\nRecommendation: ${issue.recommendation}` : issue.description },
+                    locations: [toLocation(issue, page)],
+                    suppressions: issue.suppression
+                        ? [{ kind: issue.suppression.kind === 'inline' ? 'inSource' : 'external', status: 'accepted', justification: issue.suppression.reason }]
+                        : undefined,
+                    properties: {
+                        url: page.url,
+                        checkpoint: page.checkpoint,
+                        checkRuleId: issue.ruleId,
+                        element: issue.element,
+                        detectedBy: issue.source
+                    }
+                });
+            }
+        }
+
+        const log = {
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: 'AccessLint',
+                        version: getToolVersion(),
+                        informationUri: 'https://www.w3.org/WAI/standards-guidelines/wcag/',
+                        rules
+                    }
+                },
+                originalUriBaseIds: { SRCROOT: { uri: '' } },
+                results
+            }]
+        };
+        return JSON.stringify(log, null, 2) + '\n';
+    }
+};
+
+function toLocation(issue: ExportableIssue, page: ExportablePage): any {
+    const source = issue.sourceLocation;
+    if (source) {
+        return {
+            physicalLocation: {
+                artifactLocation: { uri: source.file.split('\\').join('/'), uriBaseId: 'SRCROOT' },
+                region: source.line ? { startLine: source.line, startColumn: source.column } : undefined
+            }
+        };
+    }
+
+    return {
+        physicalLocation: { artifactLocation: { uri: page.url } },
+        logicalLocations: issue.element ? [{ name: issue.element, kind: 'element' }] : undefined
+    };
+}
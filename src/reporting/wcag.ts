@@ -0,0 +1,102 @@
+/**
+ * WCAG criterion helpers shared by the report exporters and the conformance report
+ */
+
+export interface ParsedCriterion {
+    /** Success criterion number, e.g. `1.4.3`; undefined for non-WCAG buckets such as "General" */
+    id?: string;
+    title: string;
+}
+
+/**
+ * Split an issue criterion such as "1.4.3 Contrast (Minimum)" into number and title
+ */
+export function parseCriterion(criterion: string): ParsedCriterion {
+    const match = /^(?:WCAG\s*)?(\d+\.\d+\.\d+)\s*:?\s*(.*)$/i.exec(criterion.trim());
+    return match ? { id: match[1], title: match[2] || match[1] } : { title: criterion.trim() || 'General' };
+}
+
+/**
+ * W3C "Understanding" page for a criterion title, e.g. "Name, Role, Value" → .../name-role-value.html
+ */
+export function understandingUrl(criterion: ParsedCriterion): string | undefined {
+    if (!criterion.id) {
+        return undefined;
+    }
+    const slug = criterion.title.toLowerCase().replace(/[()]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `https://www.w3.org/WAI/WCAG22/Understanding/${slug}.html`;
+}
+
+export interface WcagCriterion {
+    id: string;
+    title: string;
+    level: 'A' | 'AA';
+    /** WCAG version that introduced the criterion */
+    version: '2.0' | '2.1' | '2.2';
+    /** Checked by the rule engine or the screen reader validation, so a clean run is evidence */
+    automated?: boolean;
+    /** Removed in WCAG 2.2; the 2.0/2.1 errata treat it as always satisfied */
+    obsolete?: boolean;
+}
+
+/**
+ * Every WCAG 2.2 Level A and AA success criterion, plus 4.1.1 Parsing for 2.0/2.1 reports
+ */
+export const WCAG_CRITERIA: WcagCriterion[] = [
+    { id: '1.1.1', title: 'Non-text Content', level: 'A', version: '2.0', automated: true },
+    { id: '1.2.1', title: 'Audio-only and Video-only (Prerecorded)', level: 'A', version: '2.0' },
+    { id: '1.2.2', title: 'Captions (Prerecorded)', level: 'A', version: '2.0' },
+    { id: '1.2.3', title: 'Audio Description or Media Alternative (Prerecorded)', level: 'A', version: '2.0' },
+    { id: '1.2.4', title: 'Captions (Live)', level: 'AA', version: '2.0' },
+    { id: '1.2.5', title: 'Audio Description (Prerecorded)', level: 'AA', version: '2.0' },
+    { id: '1.3.1', title: 'Info and Relationships', level: 'A', version: '2.0', automated: true },
+    { id: '1.3.2', title: 'Meaningful Sequence', level: 'A', version: '2.0', automated: true },
+    { id: '1.3.3', title: 'Sensory Characteristics', level: 'A', version: '2.0' },
+    { id: '1.3.4', title: 'Orientation', level: 'AA', version: '2.1' },
+    { id: '1.3.5', title: 'Identify Input Purpose', level: 'AA', version: '2.1' },
+    { id: '1.4.1', title: 'Use of Color', level: 'A', version: '2.0' },
+    { id: '1.4.2', title: 'Audio Control', level: 'A', version: '2.0' },
+    { id: '1.4.3', title: 'Contrast (Minimum)', level: 'AA', version: '2.0', automated: true },
+    { id: '1.4.4', title: 'Resize Text', level: 'AA', version: '2.0' },
+    { id: '1.4.5', title: 'Images of Text', level: 'AA', version: '2.0' },
+    { id: '1.4.10', title: 'Reflow', level: 'AA', version: '2.1' },
+    { id: '1.4.11', title: 'Non-text Contrast', level: 'AA', version: '2.1', automated: true },
+    { id: '1.4.12', title: 'Text Spacing', level: 'AA', version: '2.1' },
+    { id: '1.4.13', title: 'Content on Hover or Focus', level: 'AA', version: '2.1' },
+    { id: '2.1.1', title: 'Keyboard', level: 'A', version: '2.0', automated: true },
+    { id: '2.1.2', title: 'No Keyboard Trap', level: 'A', version: '2.0', automated: true },
+    { id: '2.1.4', title: 'Character Key Shortcuts', level: 'A', version: '2.1' },
+    { id: '2.2.1', title: 'Timing Adjustable', level: 'A', version: '2.0' },
+    { id: '2.2.2', title: 'Pause, Stop, Hide', level: 'A', version: '2.0' },
+    { id: '2.3.1', title: 'Three Flashes or Below Threshold', level: 'A', version: '2.0' },
+    { id: '2.4.1', title: 'Bypass Blocks', level: 'A', version: '2.0', automated: true },
+    { id: '2.4.2', title: 'Page Titled', level: 'A', version: '2.0', automated: true },
+    { id: '2.4.3', title: 'Focus Order', level: 'A', version: '2.0', automated: true },
+    { id: '2.4.4', title: 'Link Purpose (In Context)', level: 'A', version: '2.0', automated: true },
+    { id: '2.4.5', title: 'Multiple Ways', level: 'AA', version: '2.0' },
+    { id: '2.4.6', title: 'Headings and Labels', level: 'AA', version: '2.0' },
+    { id: '2.4.7', title: 'Focus Visible', level: 'AA', version: '2.0', automated: true },
+    { id: '2.4.11', title: 'Focus Not Obscured (Minimum)', level: 'AA', version: '2.2', automated: true },
+    { id: '2.5.1', title: 'Pointer Gestures', level: 'A', version: '2.1' },
+    { id: '2.5.2', title: 'Pointer Cancellation', level: 'A', version: '2.1' },
+    { id: '2.5.3', title: 'Label in Name', level: 'A', version: '2.1' },
+    { id: '2.5.4', title: 'Motion Actuation', level: 'A', version: '2.1' },
+    { id: '2.5.7', title: 'Dragging Movements', level: 'AA', version: '2.2' },
+    { id: '2.5.8', title: 'Target Size (Minimum)', level: 'AA', version: '2.2', automated: true },
+    { id: '3.1.1', title: 'Language of Page', level: 'A', version: '2.0', automated: true },
+    { id: '3.1.2', title: 'Language of Parts', level: 'AA', version: '2.0' },
+    { id: '3.2.1', title: 'On Focus', level: 'A', version: '2.0' },
+    { id: '3.2.2', title: 'On Input', level: 'A', version: '2.0' },
+    { id: '3.2.3', title: 'Consistent Navigation', level: 'AA', version: '2.0' },
+    { id: '3.2.4', title: 'Consistent Identification', level: 'AA', version: '2.0' },
+    { id: '3.2.6', title: 'Consistent Help', level: 'A', version: '2.2' },
+    { id: '3.3.1', title: 'Error Identification', level: 'A', version: '2.0', automated: true },
+    { id: '3.3.2', title: 'Labels or Instructions', level: 'A', version: '2.0', automated: true },
+    { id: '3.3.3', title: 'Error Suggestion', level: 'AA', version: '2.0' },
+    { id: '3.3.4', title: 'Error Prevention (Legal, Financial, Data)', level: 'AA', version: '2.0' },
+    { id: '3.3.7', title: 'Redundant Entry', level: 'A', version: '2.2' },
+    { id: '3.3.8', title: 'Accessible Authentication (Minimum)', level: 'AA', version: '2.2' },
+    { id: '4.1.1', title: 'Parsing', level: 'A', version: '2.0', obsolete: true },
+    { id: '4.1.2', title: 'Name, Role, Value', level: 'A', version: '2.0', automated: true },
+    { id: '4.1.3', title: 'Status Messages', level: 'AA', version: '2.1' }
+];
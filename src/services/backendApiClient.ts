@@ -7,6 +7,8 @@
 
 import * as vscode from 'vscode';
 import axios, { AxiosInstance, AxiosError } from 'axios';
+import { FixVerificationRow } from '../testing/fixVerification';
+import { ScreenshotArtifact } from '../testing/issueScreenshots';
 
 export interface BackendConfig {
   apiUrl: string;
@@ -305,21 +307,61 @@ export class BackendApiClient {
   }
 
   /**
-   * Save testing fix results
+   * Store issue screenshots and page overviews as artifacts of a testing session
+   */
+  async uploadTestingArtifacts(sessionId: string, artifacts: ScreenshotArtifact[]) {
+    const response = await this.axiosInstance.post(`/testing/sessions/${sessionId}/artifacts`, {
+      artifacts
+    });
+    return response.data.data;
+  }
+
+  /**
+   * Save testing fix results, with the re-audit's fixed / still-failing / introduced table when
+   * the fix was verified
    */
   async saveTestingFix(
     testingSessionId: string,
     agentSessionId: string,
     filesModified: string[],
     fixSummary: string,
-    success: boolean
+    success: boolean,
+    details?: {
+      /** Every sub-session when the fix ran one session per issue group */
+      agentSessionIds?: string[];
+      verification?: { attempts: number; issues: FixVerificationRow[] };
+    }
   ) {
     const response = await this.axiosInstance.post('/testing/fixes', {
       testingSessionId,
       agentSessionId,
       filesModified,
       fixSummary,
-      success
+      success,
+      ...details
+    });
+    return response.data.data;
+  }
+
+  /**
+   * Record an accepted-risk suppression; the backend falls back to the account email when
+   * `acceptedBy` is not given
+   */
+  async recordSuppression(
+    testingSessionId: string | undefined,
+    suppression: {
+      criterion?: string;
+      selector?: string;
+      url?: string;
+      reason: string;
+      expires?: string;
+      description: string;
+      acceptedBy?: string;
+    }
+  ) {
+    const response = await this.axiosInstance.post('/testing/suppressions', {
+      testingSessionId,
+      ...suppression
     });
     return response.data.data;
   }
@@ -0,0 +1,111 @@
+/**
+ * Static Code Action Provider
+ *
+ * Offers quick fixes for AccessLint diagnostics: deterministic edits where the fix is
+ * mechanical, plus "Ask AI to fix" which hands just that one finding to the agent.
+ */
+
+import * as vscode from 'vscode';
+import { ACCESSIBILITY_PATTERNS } from '../accessibilityPatterns';
+import { getQuickFixes } from './quickFixes';
+import { lintSource } from './staticLinter';
+import { StaticFinding } from './staticRules';
+
+const SNIPPET_CONTEXT_LINES = 6;
+
+export class StaticCodeActionProvider implements vscode.CodeActionProvider {
+    static readonly providedCodeActionKinds = [vscode.CodeActionKind.QuickFix];
+
+    provideCodeActions(
+        document: vscode.TextDocument,
+        _range: vscode.Range | vscode.Selection,
+        context: vscode.CodeActionContext
+    ): vscode.CodeAction[] {
+        const diagnostics = context.diagnostics.filter(diagnostic => diagnostic.source === 'AccessLint');
+        if (diagnostics.length === 0) {
+            return [];
+        }
+
+        const source = document.getText();
+        let findings: StaticFinding[] = [];
+        try {
+            findings = lintSource(source, document.fileName);
+        } catch (error) {
+            console.error(`Static lint failed for ${document.fileName}:`, error);
+        }
+
+        const actions: vscode.CodeAction[] = [];
+        for (const diagnostic of diagnostics) {
+            const ruleId = String(diagnostic.code);
+            const offset = document.offsetAt(diagnostic.range.start);
+            // Diagnostics can lag behind the text while typing; only offer edits for current findings
+            const finding = findings.find(candidate => candidate.ruleId === ruleId && candidate.start === offset);
+
+            if (finding) {
+                for (const fix of getQuickFixes(source, document.fileName, ruleId, offset)) {
+                    const action = new vscode.CodeAction(fix.title, vscode.CodeActionKind.QuickFix);
+                    action.edit = new vscode.WorkspaceEdit();
+                    for (const edit of fix.edits) {
+                        action.edit.replace(
+                            document.uri,
+                            new vscode.Range(document.positionAt(edit.start), document.positionAt(edit.end)),
+                            edit.newText
+                        );
+                    }
+                    action.diagnostics = [diagnostic];
+                    action.isPreferred = fix.isPreferred;
+                    actions.push(action);
+                }
+            }
+
+            const askAi = new vscode.CodeAction('Ask AI to fix this accessibility issue', vscode.CodeActionKind.QuickFix);
+            askAi.diagnostics = [diagnostic];
+            askAi.command = {
+                command: 'accesslint.startLLMAgent',
+                title: 'Ask AI to fix',
+                arguments: [
+                    buildFixPrompt(document, diagnostic, finding),
+                    vscode.workspace.getConfiguration('accesslint').get<string>('defaultAiProvider', 'gemini')
+                ]
+            };
+            actions.push(askAi);
+        }
+
+        return actions;
+    }
+}
+
+/**
+ * A prompt scoped to one finding: the file, the surrounding lines and the matching fix pattern
+ */
+function buildFixPrompt(document: vscode.TextDocument, diagnostic: vscode.Diagnostic, finding?: StaticFinding): string {
+    const filePath = vscode.workspace.asRelativePath(document.uri);
+    const line = diagnostic.range.start.line;
+    const firstLine = Math.max(0, line - SNIPPET_CONTEXT_LINES);
+    const lastLine = Math.min(document.lineCount - 1, line + SNIPPET_CONTEXT_LINES);
+    const snippet: string[] = [];
+    for (let index = firstLine; index <= lastLine; index++) {
+        snippet.push(`${index === line ? '>' : ' '} ${index + 1} | ${document.lineAt(index).text}`);
+    }
+
+    let prompt = `# Fix one accessibility issue\n\n`;
+    prompt += `**File:** ${filePath}\n`;
+    prompt += `**Line:** ${line + 1}\n`;
+    prompt += `**Rule:** ${String(diagnostic.code)}${finding ? ` (WCAG ${finding.criterion})` : ''}\n`;
+    prompt += `**Problem:** ${finding ? finding.message : diagnostic.message}\n`;
+    if (finding?.recommendation) {
+        prompt += `**Recommendation:** ${finding.recommendation}\n`;
+    }
+    prompt += `\n\`\`\`\n${snippet.join('\n')}\n\`\`\`\n`;
+
+    const pattern = finding?.patternId && ACCESSIBILITY_PATTERNS.find(candidate => candidate.id === finding.patternId);
+    if (pattern) {
+        prompt += `\n## ${pattern.name}\n${pattern.description}\n\n**Fix Strategy:**\n${pattern.fixStrategy}\n`;
+    }
+
+    prompt += `\n## Your Task:\n`;
+    prompt += `1. Read ${filePath} around line ${line + 1}\n`;
+    prompt += `2. Fix ONLY the element marked with ">" above, keeping its behavior and styling\n`;
+    prompt += `3. Do not search or change other files unless the fix requires it (e.g. a shared component)\n`;
+    return prompt;
+}
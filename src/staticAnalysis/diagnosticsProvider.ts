@@ -0,0 +1,160 @@
+/**
+ * Static Diagnostics Provider
+ *
+ * Publishes static linter findings to the Problems panel: open documents are linted live as
+ * they change, and the "Lint Workspace" command lints every supported file on disk. Findings
+ * suppressed inline or in `.accesslintrc` are left out.
+ */
+
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { loadSuppressionConfig, partitionStaticFindings, SuppressionConfig } from '../testing/suppressions';
+import { IGNORED_DIRECTORIES, LINTABLE_FILE, lintSource } from './staticLinter';
+import { StaticFinding } from './staticRules';
+
+const LINT_DELAY_MS = 300;
+const WORKSPACE_GLOB = '**/*.{html,htm,vue,svelte,jsx,tsx,js,vtt}';
+const WORKSPACE_EXCLUDE = `**/{${IGNORED_DIRECTORIES.join(',')}}/**`;
+
+export class StaticDiagnosticsProvider implements vscode.Disposable {
+    private readonly collection = vscode.languages.createDiagnosticCollection('accesslint');
+    private readonly pending = new Map<string, NodeJS.Timeout>();
+    private readonly disposables: vscode.Disposable[] = [this.collection];
+
+    constructor() {
+        this.disposables.push(
+            vscode.workspace.onDidOpenTextDocument(document => this.lintDocument(document)),
+            vscode.workspace.onDidChangeTextDocument(event => this.scheduleLint(event.document)),
+            vscode.workspace.onDidCloseTextDocument(document => {
+                // Workspace lint results stay for files that are not open
+                this.cancelPending(document.uri);
+            }),
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('accesslint.staticLinting')) {
+                    this.isEnabled() ? this.lintOpenDocuments() : this.collection.clear();
+                }
+            })
+        );
+
+        this.lintOpenDocuments();
+    }
+
+    /**
+     * Lint every supported file in the workspace
+     */
+    async lintWorkspace(): Promise<number> {
+        if (!this.isEnabled()) {
+            vscode.window.showWarningMessage('AccessLint: Static linting is disabled (accesslint.staticLinting)');
+            return 0;
+        }
+
+        const files = await vscode.workspace.findFiles(WORKSPACE_GLOB, WORKSPACE_EXCLUDE);
+        let issueCount = 0;
+
+        await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: 'AccessLint: Linting workspace',
+            cancellable: true
+        }, async (progress, token) => {
+            for (const [index, uri] of files.entries()) {
+                if (token.isCancellationRequested) {
+                    break;
+                }
+                progress.report({ message: `${index + 1}/${files.length}`, increment: 100 / files.length });
+
+                const openDocument = vscode.workspace.textDocuments.find(document => document.uri.toString() === uri.toString());
+                const document = openDocument || await vscode.workspace.openTextDocument(uri);
+                issueCount += this.lintDocument(document);
+            }
+        });
+
+        return issueCount;
+    }
+
+    dispose(): void {
+        this.pending.forEach(timer => clearTimeout(timer));
+        this.pending.clear();
+        this.disposables.forEach(disposable => disposable.dispose());
+    }
+
+    private lintOpenDocuments(): void {
+        vscode.workspace.textDocuments.forEach(document => this.lintDocument(document));
+    }
+
+    private scheduleLint(document: vscode.TextDocument): void {
+        this.cancelPending(document.uri);
+        this.pending.set(document.uri.toString(), setTimeout(() => {
+            this.pending.delete(document.uri.toString());
+            this.lintDocument(document);
+        }, LINT_DELAY_MS));
+    }
+
+    private cancelPending(uri: vscode.Uri): void {
+        const timer = this.pending.get(uri.toString());
+        if (timer) {
+            clearTimeout(timer);
+            this.pending.delete(uri.toString());
+        }
+    }
+
+    private lintDocument(document: vscode.TextDocument): number {
+        if (!this.isEnabled() || document.uri.scheme !== 'file' || !LINTABLE_FILE.test(document.fileName) ||
+            /[\\/]node_modules[\\/]/.test(document.fileName)) {
+            return 0;
+        }
+
+        let findings: StaticFinding[];
+        try {
+            const source = document.getText();
+            const root = vscode.workspace.getWorkspaceFolder(document.uri)?.uri.fsPath;
+            findings = partitionStaticFindings(
+                lintSource(source, document.fileName),
+                source,
+                root ? path.relative(root, document.fileName) : document.fileName,
+                this.loadSuppressions(root)
+            ).kept;
+        } catch (error) {
+            console.error(`Static lint failed for ${document.fileName}:`, error);
+            return 0;
+        }
+
+        this.collection.set(document.uri, findings.map(finding => toDiagnostic(document, finding)));
+        return findings.length;
+    }
+
+    private loadSuppressions(root: string | undefined): SuppressionConfig {
+        try {
+            return loadSuppressionConfig(root);
+        } catch (error) {
+            // Inline directives still apply while the config is being edited
+            console.error('Ignoring invalid .accesslintrc:', error);
+            return { ignore: [] };
+        }
+    }
+
+    private isEnabled(): boolean {
+        return vscode.workspace.getConfiguration('accesslint').get<boolean>('staticLinting', true);
+    }
+}
+
+function toDiagnostic(document: vscode.TextDocument, finding: StaticFinding): vscode.Diagnostic {
+    const range = new vscode.Range(document.positionAt(finding.start), document.positionAt(finding.end));
+    const message = finding.recommendation
+        ? `${finding.message} (WCAG ${finding.criterion}). ${finding.recommendation}`
+        : `${finding.message} (WCAG ${finding.criterion})`;
+    const diagnostic = new vscode.Diagnostic(range, message, toSeverity(finding.severity));
+    diagnostic.source = 'AccessLint';
+    diagnostic.code = finding.ruleId;
+    return diagnostic;
+}
+
+function toSeverity(severity: StaticFinding['severity']): vscode.DiagnosticSeverity {
+    switch (severity) {
+        case 'error':
+            return vscode.DiagnosticSeverity.Error;
+        case 'warning':
+            return vscode.DiagnosticSeverity.Warning;
+        default:
+            return vscode.DiagnosticSeverity.Information;
+    }
+}
@@ -0,0 +1,119 @@
+/**
+ * JSX/TSX parser
+ *
+ * Uses the TypeScript compiler's parser (no type checking) to pull JSX elements out of
+ * .jsx/.tsx/.js files into the shared markup model.
+ */
+
+import * as ts from 'typescript';
+import { MarkupAttribute, MarkupElement, normalizeAttributeName } from './markup';
+
+export function parseJsx(source: string, fileName: string): MarkupElement[] {
+    const scriptKind = /\.tsx$/i.test(fileName) ? ts.ScriptKind.TSX : ts.ScriptKind.JSX;
+    const sourceFile = ts.createSourceFile(fileName, source, ts.ScriptTarget.Latest, true, scriptKind);
+    const roots: MarkupElement[] = [];
+
+    const visit = (node: ts.Node, parent: MarkupElement | undefined) => {
+        if (ts.isJsxElement(node) || ts.isJsxSelfClosingElement(node)) {
+            const element = toElement(node, sourceFile);
+            if (parent) {
+                element.parent = parent;
+                parent.children.push(element);
+            } else {
+                roots.push(element);
+            }
+
+            if (ts.isJsxElement(node)) {
+                node.children.forEach(child => visitChild(child, element));
+            }
+            // Attribute expressions can hold JSX too (render props, icon={<Icon />})
+            const attributes = ts.isJsxElement(node) ? node.openingElement.attributes : node.attributes;
+            ts.forEachChild(attributes, child => visit(child, undefined));
+            return;
+        }
+
+        ts.forEachChild(node, child => visit(child, parent));
+    };
+
+    const visitChild = (child: ts.JsxChild, element: MarkupElement) => {
+        if (ts.isJsxText(child)) {
+            appendText(element, child.text, false);
+        } else if (ts.isJsxExpression(child)) {
+            if (child.expression) {
+                if (ts.isStringLiteral(child.expression) || ts.isNoSubstitutionTemplateLiteral(child.expression)) {
+                    appendText(element, child.expression.text, false);
+                } else {
+                    appendText(element, ' ', true);
+                    visit(child.expression, element);
+                }
+            }
+        } else if (ts.isJsxFragment(child)) {
+            child.children.forEach(grandChild => visitChild(grandChild, element));
+        } else {
+            visit(child, element);
+        }
+    };
+
+    visit(sourceFile, undefined);
+    return roots;
+}
+
+function toElement(node: ts.JsxElement | ts.JsxSelfClosingElement, sourceFile: ts.SourceFile): MarkupElement {
+    const opening = ts.isJsxElement(node) ? node.openingElement : node;
+    const attributes: MarkupAttribute[] = [];
+
+    for (const property of opening.attributes.properties) {
+        if (ts.isJsxSpreadAttribute(property)) {
+            attributes.push({ name: '...', rawName: '...', dynamic: true, start: property.getStart(sourceFile), end: property.end });
+            continue;
+        }
+
+        const rawName = property.name.getText(sourceFile);
+        const normalized = normalizeAttributeName(rawName);
+        const initializer = property.initializer;
+        let value: string | undefined;
+        let dynamic = false;
+
+        if (!initializer) {
+            value = 'true'; // <input required />
+        } else if (ts.isStringLiteral(initializer)) {
+            value = initializer.text;
+        } else if (ts.isJsxExpression(initializer) && initializer.expression &&
+            (ts.isStringLiteral(initializer.expression) || ts.isNoSubstitutionTemplateLiteral(initializer.expression))) {
+            value = initializer.expression.text;
+        } else {
+            dynamic = true;
+        }
+
+        attributes.push({
+            name: normalized.name,
+            rawName,
+            value: dynamic ? undefined : value,
+            dynamic,
+            start: property.getStart(sourceFile),
+            end: property.end
+        });
+    }
+
+    const closing = ts.isJsxElement(node) ? node.closingElement : undefined;
+    return {
+        tag: opening.tagName.getText(sourceFile),
+        attributes,
+        children: [],
+        text: '',
+        dynamicContent: false,
+        nameStart: opening.tagName.getStart(sourceFile),
+        nameEnd: opening.tagName.end,
+        start: opening.getStart(sourceFile),
+        end: opening.end,
+        closingNameStart: closing?.tagName.getStart(sourceFile),
+        closingNameEnd: closing?.tagName.end
+    };
+}
+
+function appendText(element: MarkupElement, text: string, dynamic: boolean): void {
+    for (let current: MarkupElement | undefined = element; current; current = current.parent) {
+        current.text += text;
+        current.dynamicContent = current.dynamicContent || dynamic;
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * Markup model shared by the static analyzers
+ *
+ * HTML, Vue and Svelte templates and JSX are all parsed into the same element tree, so the
+ * rules are written once. Offsets are into the original file text.
+ */
+
+export interface MarkupAttribute {
+    /** Attribute name with framework binding syntax removed (`:alt`, `v-bind:alt` → `alt`; `@click`, `v-on:click`, `on:click` → `onclick`) */
+    name: string;
+    /** Name as written in the source */
+    rawName: string;
+    /** Static value, when the attribute is a plain string */
+    value?: string;
+    /** Bound to an expression, so the value is only known at runtime */
+    dynamic: boolean;
+    start: number;
+    end: number;
+}
+
+export interface MarkupElement {
+    tag: string;
+    attributes: MarkupAttribute[];
+    children: MarkupElement[];
+    parent?: MarkupElement;
+    /** Static text inside the element and its descendants */
+    text: string;
+    /** Contains expressions ({name}, {{ label }}, slots) whose text is only known at runtime */
+    dynamicContent: boolean;
+    /** Range of the tag name in the opening tag, used for diagnostics */
+    nameStart: number;
+    nameEnd: number;
+    /** Range of the whole opening tag */
+    start: number;
+    end: number;
+    /** Range of the tag name in the closing tag, when there is one */
+    closingNameStart?: number;
+    closingNameEnd?: number;
+}
+
+export function getAttribute(element: MarkupElement, name: string): MarkupAttribute | undefined {
+    const lower = name.toLowerCase();
+    return element.attributes.find(attribute => attribute.name.toLowerCase() === lower);
+}
+
+export function hasAttribute(element: MarkupElement, name: string): boolean {
+    return getAttribute(element, name) !== undefined;
+}
+
+/**
+ * Depth-first walk over a forest of elements
+ */
+export function walkElements(roots: MarkupElement[], visit: (element: MarkupElement) => void): void {
+    for (const element of roots) {
+        visit(element);
+        walkElements(element.children, visit);
+    }
+}
+
+/**
+ * Normalize framework-specific attribute names to the plain DOM attribute they bind
+ */
+export function normalizeAttributeName(rawName: string): { name: string; dynamic: boolean } {
+    if (rawName.startsWith('v-bind:')) {
+        return { name: rawName.slice('v-bind:'.length), dynamic: true };
+    }
+    if (rawName.startsWith(':')) {
+        return { name: rawName.slice(1), dynamic: true };
+    }
+    if (rawName.startsWith('v-on:')) {
+        return { name: `on${rawName.slice('v-on:'.length).split('.')[0]}`, dynamic: true };
+    }
+    if (rawName.startsWith('@')) {
+        return { name: `on${rawName.slice(1).split('.')[0]}`, dynamic: true };
+    }
+    if (rawName.startsWith('on:')) {
+        return { name: `on${rawName.slice('on:'.length).split('|')[0]}`, dynamic: true };
+    }
+    if (/^\(\w+\)$/.test(rawName)) {
+        return { name: `on${rawName.slice(1, -1)}`, dynamic: true };
+    }
+    if (/^\[[\w.-]+\]$/.test(rawName)) {
+        return { name: rawName.slice(1, -1).replace(/^attr\./, ''), dynamic: true };
+    }
+    // React spells some attributes differently
+    if (rawName === 'htmlFor') {
+        return { name: 'for', dynamic: false };
+    }
+    if (rawName === 'className') {
+        return { name: 'class', dynamic: false };
+    }
+    return { name: rawName, dynamic: false };
+}
@@ -0,0 +1,226 @@
+/**
+ * Quick Fixes for static findings
+ *
+ * Deterministic source edits for the findings where the right fix is mechanical. Each fix is
+ * a list of text edits on the original source, so the same fixes can be applied by VS Code
+ * code actions or any other caller.
+ */
+
+import { getAttribute, MarkupAttribute, MarkupElement, walkElements } from './markup';
+import { parseSource } from './staticLinter';
+import { FORM_CONTROLS, UNLABELED_INPUT_TYPES } from './staticRules';
+
+export interface TextEdit {
+    start: number;
+    end: number;
+    newText: string;
+}
+
+export interface QuickFix {
+    title: string;
+    edits: TextEdit[];
+    isPreferred?: boolean;
+}
+
+/**
+ * Fixes for the finding of `ruleId` reported on the element whose tag name starts at `offset`
+ */
+export function getQuickFixes(source: string, fileName: string, ruleId: string, offset: number): QuickFix[] {
+    const elements: MarkupElement[] = [];
+    walkElements(parseSource(source, fileName), element => elements.push(element));
+    elements.sort((a, b) => a.start - b.start);
+
+    const element = elements.find(candidate => candidate.nameStart === offset);
+    if (!element) {
+        return [];
+    }
+
+    const context: FixContext = { source, jsx: /\.(jsx|tsx|js)$/i.test(fileName), elements, element };
+    switch (ruleId) {
+        case 'clickable-non-interactive':
+            return fixClickable(context);
+        case 'img-alt':
+            return fixImageAlt(context);
+        case 'input-label':
+        case 'placeholder-only-input':
+            return fixLabel(context);
+        case 'error-message-binding':
+            return fixErrorBinding(context);
+        default:
+            return [];
+    }
+}
+
+interface FixContext {
+    source: string;
+    jsx: boolean;
+    /** Every element in the file, in source order */
+    elements: MarkupElement[];
+    /** Element the finding was reported on */
+    element: MarkupElement;
+}
+
+function fixClickable({ source, element }: FixContext): QuickFix[] {
+    const role = getAttribute(element, 'role');
+    if (!['div', 'span'].includes(element.tag) || (role && role.value !== 'button')) {
+        return [];
+    }
+
+    const edits: TextEdit[] = [
+        { start: element.nameStart, end: element.nameEnd, newText: 'button type="button"' }
+    ];
+    for (const attribute of [role, getAttribute(element, 'tabindex')]) {
+        if (attribute) {
+            edits.push(removeAttribute(source, attribute));
+        }
+    }
+    if (element.closingNameStart !== undefined && element.closingNameEnd !== undefined) {
+        edits.push({ start: element.closingNameStart, end: element.closingNameEnd, newText: 'button' });
+    }
+
+    return [{ title: `Convert <${element.tag}> to <button type="button">`, edits, isPreferred: true }];
+}
+
+function fixImageAlt({ element }: FixContext): QuickFix[] {
+    return [{
+        title: 'Mark image as decorative (alt="" aria-hidden="true")',
+        edits: [insertAttributes(element, 'alt=""', 'aria-hidden="true"')]
+    }];
+}
+
+function fixLabel({ source, jsx, elements, element }: FixContext): QuickFix[] {
+    const forAttribute = jsx ? 'htmlFor' : 'for';
+    const id = getAttribute(element, 'id');
+    if (id?.dynamic) {
+        return [];
+    }
+
+    const controlId = id?.value || uniqueId(elements, slugify(
+        getAttribute(element, 'name')?.value || getAttribute(element, 'placeholder')?.value ||
+        getAttribute(element, 'type')?.value || element.tag
+    ));
+    const idEdits = id ? [] : [insertAttributes(element, `id="${controlId}"`)];
+
+    // A label right before the control that is just missing its for attribute
+    const siblings = element.parent ? element.parent.children : elements.filter(candidate => !candidate.parent);
+    const previous = siblings[siblings.indexOf(element) - 1];
+    if (previous && previous.tag.toLowerCase() === 'label' && !getAttribute(previous, 'for')) {
+        return [{
+            title: `Associate with the preceding <label> (${forAttribute}="${controlId}")`,
+            edits: [insertAttributes(previous, `${forAttribute}="${controlId}"`), ...idEdits],
+            isPreferred: true
+        }];
+    }
+
+    const labelText = escapeText(
+        getAttribute(element, 'placeholder')?.value || humanize(getAttribute(element, 'name')?.value || '') || 'Label'
+    );
+    const indentation = lineIndentation(source, element.start);
+    return [{
+        title: `Add <label ${forAttribute}="${controlId}">`,
+        edits: [
+            { start: element.start, end: element.start, newText: `<label ${forAttribute}="${controlId}">${labelText}</label>\n${indentation}` },
+            ...idEdits
+        ],
+        isPreferred: true
+    }];
+}
+
+function fixErrorBinding({ elements, element }: FixContext): QuickFix[] {
+    const fixes: QuickFix[] = [];
+    const control = findAdjacentControl(elements, element);
+    const describedBy = control && getAttribute(control, 'aria-describedby');
+
+    if (control && !describedBy?.dynamic) {
+        const errorIdAttribute = getAttribute(element, 'id');
+        const controlName = getAttribute(control, 'id')?.value || getAttribute(control, 'name')?.value || 'field';
+        const errorId = errorIdAttribute?.value || uniqueId(elements, `${slugify(controlName)}-error`);
+
+        const edits: TextEdit[] = errorIdAttribute ? [] : [insertAttributes(element, `id="${errorId}"`)];
+        edits.push(describedBy
+            ? { start: describedBy.start, end: describedBy.end, newText: `${describedBy.rawName}="${`${describedBy.value || ''} ${errorId}`.trim()}"` }
+            : insertAttributes(control, `aria-describedby="${errorId}"`));
+
+        fixes.push({ title: `Connect to the nearby <${control.tag}> with aria-describedby`, edits, isPreferred: true });
+    }
+
+    fixes.push({ title: 'Announce the message with role="alert"', edits: [insertAttributes(element, 'role="alert"')] });
+    return fixes;
+}
+
+/**
+ * Closest form control near an error message: searched within its parent, then grandparent,
+ * preferring the control that precedes the message in the source
+ */
+function findAdjacentControl(elements: MarkupElement[], errorElement: MarkupElement): MarkupElement | undefined {
+    const isControl = (candidate: MarkupElement) => {
+        const type = getAttribute(candidate, 'type')?.value?.toLowerCase();
+        return FORM_CONTROLS.includes(candidate.tag.toLowerCase()) && !(type && UNLABELED_INPUT_TYPES.includes(type));
+    };
+
+    for (let scope = errorElement.parent, depth = 0; scope && depth < 2; scope = scope.parent, depth++) {
+        const controls = elements.filter(candidate => isControl(candidate) && isDescendant(candidate, scope!));
+        const preceding = controls.filter(control => control.start < errorElement.start);
+        const control = preceding[preceding.length - 1] || controls[0];
+        if (control) {
+            return control;
+        }
+    }
+    return undefined;
+}
+
+function isDescendant(element: MarkupElement, ancestor: MarkupElement): boolean {
+    for (let current = element.parent; current; current = current.parent) {
+        if (current === ancestor) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Insert attributes straight after the tag name, so they land in the opening tag whatever follows
+ */
+function insertAttributes(element: MarkupElement, ...attributes: string[]): TextEdit {
+    return { start: element.nameEnd, end: element.nameEnd, newText: ` ${attributes.join(' ')}` };
+}
+
+function removeAttribute(source: string, attribute: MarkupAttribute): TextEdit {
+    let start = attribute.start;
+    while (start > 0 && /[ \t]/.test(source[start - 1])) {
+        start--;
+    }
+    return { start, end: attribute.end, newText: '' };
+}
+
+function lineIndentation(source: string, offset: number): string {
+    const lineStart = source.lastIndexOf('\n', offset - 1) + 1;
+    return /^[ \t]*/.exec(source.slice(lineStart, offset))![0];
+}
+
+function uniqueId(elements: MarkupElement[], base: string): string {
+    const used = new Set(elements.map(element => getAttribute(element, 'id')?.value).filter(Boolean));
+    let id = base;
+    for (let suffix = 2; used.has(id); suffix++) {
+        id = `${base}-${suffix}`;
+    }
+    return id;
+}
+
+function slugify(text: string): string {
+    const slug = text
+        .replace(/([a-z])([A-Z])/g, '$1-$2')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return slug || 'field';
+}
+
+function humanize(name: string): string {
+    const words = name.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').trim();
+    return words ? words[0].toUpperCase() + words.slice(1) : '';
+}
+
+function escapeText(text: string): string {
+    return text.replace(/[<>{}]/g, '');
+}
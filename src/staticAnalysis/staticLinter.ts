@@ -0,0 +1,66 @@
+/**
+ * Static Linter
+ *
+ * Entry point for linting a single source file: picks the parser for the file type, then runs
+ * the static rules. Independent of VS Code so it can also run from the command line.
+ */
+
+import { MarkupElement } from './markup';
+import { parseJsx } from './jsxParser';
+import { findTopLevelBlocks, parseTemplate } from './templateParser';
+import { runStaticRules, StaticFinding } from './staticRules';
+import { lintWebVtt } from './webvttLinter';
+
+export const LINTABLE_FILE = /\.(html?|vue|svelte|jsx|tsx|js|vtt)$/i;
+
+/**
+ * Dependency and build output folders that are never linted
+ */
+export const IGNORED_DIRECTORIES = ['node_modules', 'dist', 'build', 'out', '.next', '.svelte-kit', 'coverage', '.git'];
+
+export function lintSource(source: string, fileName: string): StaticFinding[] {
+    // Caption files are not markup and have their own checks
+    if (/\.vtt$/i.test(fileName)) {
+        return lintWebVtt(source);
+    }
+    const roots = parseSource(source, fileName);
+    return roots.length > 0 ? runStaticRules(fileName, roots) : [];
+}
+
+/**
+ * Parse a file into the shared markup model, or an empty forest for unsupported files
+ */
+export function parseSource(source: string, fileName: string): MarkupElement[] {
+    if (/\.vue$/i.test(fileName)) {
+        return findTopLevelBlocks(source, 'template')
+            .slice(0, 1)
+            .flatMap(block => parseTemplate(source, 'mustache', block.start, block.end));
+    }
+
+    if (/\.svelte$/i.test(fileName)) {
+        // Markup is everything outside the top-level <script> and <style> blocks
+        const skipped = [...findTopLevelBlocks(source, 'script'), ...findTopLevelBlocks(source, 'style')]
+            .sort((a, b) => a.start - b.start);
+        const roots: MarkupElement[] = [];
+        let from = 0;
+        for (const block of skipped) {
+            const blockStart = source.lastIndexOf('<', block.start - 1);
+            roots.push(...parseTemplate(source, 'braces', from, blockStart));
+            const closeEnd = source.indexOf('>', block.end);
+            from = closeEnd === -1 ? source.length : closeEnd + 1;
+        }
+        roots.push(...parseTemplate(source, 'braces', from, source.length));
+        return roots;
+    }
+
+    if (/\.html?$/i.test(fileName)) {
+        return parseTemplate(source, 'mustache');
+    }
+
+    // Plain .js files only count when they contain JSX
+    if (/\.js$/i.test(fileName) && !/<[A-Za-z][\w.]*[\s/>]/.test(source)) {
+        return [];
+    }
+
+    return parseJsx(source, fileName);
+}
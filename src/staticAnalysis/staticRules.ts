@@ -0,0 +1,266 @@
+/**
+ * Static Accessibility Rules
+ *
+ * Deterministic versions of the detection logic that ACCESSIBILITY_PATTERNS describes in prose
+ * for the fix agent. Rules run on parsed markup and only report what is certain from source:
+ * attributes bound to expressions or spread props are given the benefit of the doubt.
+ */
+
+import { getAttribute, hasAttribute, MarkupElement, walkElements } from './markup';
+
+export interface StaticFinding {
+    ruleId: string;
+    /** Matching entry in ACCESSIBILITY_PATTERNS, for fix guidance */
+    patternId?: string;
+    criterion: string;
+    severity: 'error' | 'warning' | 'info';
+    message: string;
+    recommendation?: string;
+    start: number;
+    end: number;
+}
+
+export interface RuleContext {
+    fileName: string;
+    roots: MarkupElement[];
+    /** Every element in document order */
+    elements: MarkupElement[];
+    /** ids referenced by label[for], aria-labelledby, aria-describedby and aria-errormessage */
+    referencedIds: Set<string>;
+    labelForIds: Set<string>;
+}
+
+export interface StaticRule {
+    id: string;
+    check(context: RuleContext): StaticFinding[];
+}
+
+export const FORM_CONTROLS = ['input', 'select', 'textarea'];
+export const UNLABELED_INPUT_TYPES = ['hidden', 'submit', 'reset', 'button', 'image'];
+const NON_INTERACTIVE_CLICK_TARGETS = ['div', 'span', 'li', 'p', 'section', 'article', 'td', 'tr', 'img', 'label', 'i', 'svg'];
+const INTERACTIVE_ROLES = ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'treeitem', 'slider', 'spinbutton', 'combobox', 'textbox', 'searchbox', 'gridcell'];
+// Components from common libraries that render an <img>
+const IMAGE_COMPONENTS = ['img', 'Image', 'NuxtImg', 'GatsbyImage', 'StaticImage'];
+
+const isDomElement = (element: MarkupElement) => /^[a-z]/.test(element.tag) && !element.tag.includes('.');
+
+/**
+ * Spread props ({...props}) may carry any attribute, so rules cannot say it is missing
+ */
+const hasSpread = (element: MarkupElement) => hasAttribute(element, '...');
+
+const hasAccessibleNameAttribute = (element: MarkupElement) =>
+    hasAttribute(element, 'aria-label') || hasAttribute(element, 'aria-labelledby') || hasAttribute(element, 'title');
+
+const isHiddenFromAT = (element: MarkupElement) => {
+    for (let current: MarkupElement | undefined = element; current; current = current.parent) {
+        if (getAttribute(current, 'aria-hidden')?.value === 'true' || hasAttribute(current, 'hidden')) {
+            return true;
+        }
+    }
+    return false;
+};
+
+const finding = (
+    element: MarkupElement,
+    fields: Omit<StaticFinding, 'start' | 'end'>
+): StaticFinding => ({ ...fields, start: element.nameStart, end: element.nameEnd });
+
+/**
+ * Whether a form control gets a label from its own attributes, a wrapping <label> or label[for]
+ */
+function isLabelled(element: MarkupElement, context: RuleContext): boolean {
+    if (hasAccessibleNameAttribute(element) || hasSpread(element)) {
+        return true;
+    }
+
+    const id = getAttribute(element, 'id');
+    if (id && (id.dynamic || (id.value && context.labelForIds.has(id.value)))) {
+        return true;
+    }
+
+    for (let current = element.parent; current; current = current.parent) {
+        if (current.tag.toLowerCase() === 'label') {
+            return true;
+        }
+    }
+    return false;
+}
+
+export const STATIC_RULES: StaticRule[] = [
+    {
+        id: 'img-alt',
+        check: ({ elements }) => elements
+            .filter(element => IMAGE_COMPONENTS.includes(element.tag))
+            .filter(element => !hasAttribute(element, 'alt') && !hasAccessibleNameAttribute(element) && !hasSpread(element))
+            .filter(element => {
+                const role = getAttribute(element, 'role')?.value;
+                return role !== 'presentation' && role !== 'none' && !isHiddenFromAT(element);
+            })
+            .map(element => finding(element, {
+                ruleId: 'img-alt',
+                patternId: 'decorative-image-classification',
+                criterion: '1.1.1 Non-text Content',
+                severity: 'error',
+                message: `<${element.tag}> is missing an alt attribute`,
+                recommendation: 'Describe the image in alt="…", or use alt="" if it is purely decorative'
+            }))
+    },
+    {
+        id: 'placeholder-only-input',
+        check: context => context.elements
+            .filter(element => FORM_CONTROLS.includes(element.tag.toLowerCase()))
+            .filter(element => hasAttribute(element, 'placeholder') && !isLabelled(element, context))
+            .map(element => finding(element, {
+                ruleId: 'placeholder-only-input',
+                patternId: 'placeholder-to-label-conversion',
+                criterion: '3.3.2 Labels or Instructions',
+                severity: 'error',
+                message: `<${element.tag}> relies on its placeholder as a label`,
+                recommendation: 'Add a visible <label for="…"> (placeholders disappear while typing and are not reliably announced)'
+            }))
+    },
+    {
+        id: 'input-label',
+        check: context => context.elements
+            .filter(element => FORM_CONTROLS.includes(element.tag.toLowerCase()))
+            .filter(element => {
+                const type = getAttribute(element, 'type');
+                return !(type?.value && UNLABELED_INPUT_TYPES.includes(type.value.toLowerCase()));
+            })
+            .filter(element => !hasAttribute(element, 'placeholder') && !isLabelled(element, context) && !isHiddenFromAT(element))
+            .map(element => finding(element, {
+                ruleId: 'input-label',
+                patternId: 'auto-link-labels-inputs',
+                criterion: '1.3.1 Info and Relationships',
+                severity: 'error',
+                message: `<${element.tag}> has no associated label`,
+                recommendation: 'Wrap it in <label> or give it an id referenced by <label for="…">'
+            }))
+    },
+    {
+        id: 'clickable-non-interactive',
+        check: ({ elements }) => elements
+            .filter(element => NON_INTERACTIVE_CLICK_TARGETS.includes(element.tag) && hasAttribute(element, 'onclick'))
+            .flatMap(element => {
+                const role = getAttribute(element, 'role');
+                const hasInteractiveRole = role && (role.dynamic || INTERACTIVE_ROLES.includes(role.value || ''));
+                const focusable = hasAttribute(element, 'tabindex') || hasAttribute(element, 'tabIndex');
+                const keyboard = element.attributes.some(attribute => /^onkey(down|up|press)$/i.test(attribute.name));
+
+                if (hasInteractiveRole && focusable && keyboard) {
+                    return [];
+                }
+
+                return [finding(element, {
+                    ruleId: 'clickable-non-interactive',
+                    patternId: 'clickable-div-span-refactor',
+                    criterion: '2.1.1 Keyboard',
+                    severity: hasInteractiveRole ? 'warning' : 'error',
+                    message: hasInteractiveRole
+                        ? `Clickable <${element.tag}> with role="${role!.value || '…'}" is missing ${[!focusable && 'tabIndex', !keyboard && 'a key handler'].filter(Boolean).join(' and ')}`
+                        : `Clickable <${element.tag}> is not keyboard accessible and has no role`,
+                    recommendation: 'Use a <button type="button"> (or <a href> for navigation) instead of a click handler on a generic element'
+                })];
+            })
+    },
+    {
+        id: 'main-landmark',
+        check: ({ fileName, elements }) => {
+            const body = elements.find(element => element.tag.toLowerCase() === 'body');
+            const appShell = /(^|[\\/])(App|app|layout|\+layout|_app)\.(jsx?|tsx?|vue|svelte)$/.test(fileName);
+            if (!body && !appShell) {
+                return [];
+            }
+
+            const hasMain = elements.some(element =>
+                element.tag.toLowerCase() === 'main' ||
+                getAttribute(element, 'role')?.value === 'main' ||
+                // Layout components usually render the <main> themselves
+                /^[A-Z][\w.]*(Main|Layout)$/.test(element.tag)
+            );
+            const anchor = body || elements[0];
+            if (hasMain || !anchor) {
+                return [];
+            }
+
+            return [finding(anchor, {
+                ruleId: 'main-landmark',
+                patternId: 'skip-link-main-landmark',
+                criterion: '2.4.1 Bypass Blocks',
+                severity: 'warning',
+                message: 'Page has no <main> landmark',
+                recommendation: 'Wrap the primary content in <main id="main-content"> and add a skip link to it'
+            })];
+        }
+    },
+    {
+        id: 'error-message-binding',
+        check: ({ elements, referencedIds }) => elements
+            .filter(element => isDomElement(element) && !FORM_CONTROLS.includes(element.tag))
+            .filter(element => {
+                const className = getAttribute(element, 'class')?.value || '';
+                const id = getAttribute(element, 'id')?.value || '';
+                return /(^|[\s_-])(error|invalid)([\s_-]|message|msg|text|$)/i.test(`${className} ${id}`) && (element.text.trim() || element.dynamicContent);
+            })
+            .filter(element => {
+                const id = getAttribute(element, 'id');
+                const role = getAttribute(element, 'role')?.value;
+                const live = hasAttribute(element, 'aria-live') || role === 'alert' || role === 'status';
+                return !live && !(id && (id.dynamic || (id.value && referencedIds.has(id.value))));
+            })
+            .map(element => finding(element, {
+                ruleId: 'error-message-binding',
+                patternId: 'error-message-binding',
+                criterion: '3.3.1 Error Identification',
+                severity: 'warning',
+                message: 'Error message is not connected to its field or announced',
+                recommendation: 'Give it an id referenced by the field\'s aria-describedby (plus aria-invalid="true"), or role="alert" so it is announced'
+            }))
+    },
+    {
+        id: 'video-captions',
+        check: ({ elements }) => elements
+            .filter(element => element.tag === 'video' && !hasSpread(element) && !element.dynamicContent && !isHiddenFromAT(element))
+            // Muted looping background video has no speech to caption
+            .filter(element => !['muted', 'autoplay', 'loop'].every(name => hasAttribute(element, name)) || hasAttribute(element, 'controls'))
+            .filter(element => !element.children.some(child => {
+                const kind = getAttribute(child, 'kind');
+                return child.tag === 'track' && (!kind || kind.dynamic || ['captions', 'subtitles'].includes((kind.value || '').toLowerCase()));
+            }))
+            .map(element => finding(element, {
+                ruleId: 'video-captions',
+                criterion: '1.2.2 Captions (Prerecorded)',
+                severity: 'error',
+                message: '<video> has no captions track',
+                recommendation: 'Add <track kind="captions" src="…vtt" srclang="en" label="English"> inside the <video>'
+            }))
+    }
+];
+
+/**
+ * Run every rule over a parsed document
+ */
+export function runStaticRules(fileName: string, roots: MarkupElement[]): StaticFinding[] {
+    const elements: MarkupElement[] = [];
+    walkElements(roots, element => elements.push(element));
+
+    const referencedIds = new Set<string>();
+    const labelForIds = new Set<string>();
+    for (const element of elements) {
+        for (const attribute of element.attributes) {
+            if (!attribute.value) {
+                continue;
+            }
+            if (attribute.name === 'for' && element.tag.toLowerCase() === 'label') {
+                labelForIds.add(attribute.value);
+                referencedIds.add(attribute.value);
+            } else if (['aria-labelledby', 'aria-describedby', 'aria-errormessage'].includes(attribute.name.toLowerCase())) {
+                attribute.value.split(/\s+/).forEach(id => referencedIds.add(id));
+            }
+        }
+    }
+
+    const context: RuleContext = { fileName, roots, elements, referencedIds, labelForIds };
+    return STATIC_RULES.flatMap(rule => rule.check(context));
+}
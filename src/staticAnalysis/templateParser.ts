@@ -0,0 +1,294 @@
+/**
+ * Template parser for HTML, Vue single-file components and Svelte components
+ *
+ * A forgiving tokenizer, not a validating parser: unclosed elements are closed by their parent,
+ * stray closing tags are ignored, and template syntax ({{ }}, {#if}, {expr}) is treated as
+ * dynamic content. Offsets always refer to the original file.
+ */
+
+import { MarkupAttribute, MarkupElement, normalizeAttributeName } from './markup';
+
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title'];
+
+/**
+ * Text interpolation syntax: `{{ value }}` in HTML/Vue/Angular templates, `{value}` in Svelte
+ */
+export type ExpressionSyntax = 'mustache' | 'braces';
+
+/**
+ * Parse markup into an element forest. `from`/`to` limit parsing to a region (e.g. a Vue <template>).
+ */
+export function parseTemplate(
+    source: string,
+    expressions: ExpressionSyntax = 'mustache',
+    from: number = 0,
+    to: number = source.length
+): MarkupElement[] {
+    const roots: MarkupElement[] = [];
+    const stack: MarkupElement[] = [];
+    let i = from;
+
+    const appendText = (text: string, dynamic: boolean) => {
+        for (const element of stack) {
+            element.text += text;
+            element.dynamicContent = element.dynamicContent || dynamic;
+        }
+    };
+
+    while (i < to) {
+        const char = source[i];
+
+        if (source.startsWith('<!--', i)) {
+            const close = source.indexOf('-->', i + 4);
+            i = close === -1 ? to : close + 3;
+            continue;
+        }
+
+        // Template expressions inside text: {{ value }} (Vue/Angular) or {value} / {#if} (Svelte)
+        if (expressions === 'mustache' && source.startsWith('{{', i)) {
+            const close = source.indexOf('}}', i + 2);
+            appendText(' ', true);
+            i = close === -1 || close > to ? to : close + 2;
+            continue;
+        }
+        if (expressions === 'braces' && char === '{') {
+            const close = findClosingBrace(source, i, to);
+            appendText(' ', true);
+            i = close + 1;
+            continue;
+        }
+
+        if (char === '<' && source[i + 1] === '/') {
+            const match = /^<\/\s*([\w:.-]+)\s*>/.exec(source.slice(i, Math.min(to, i + 200)));
+            if (match) {
+                const tag = match[1].toLowerCase();
+                const index = findOpenElement(stack, tag);
+                if (index !== -1) {
+                    const nameStart = i + match[0].indexOf(match[1]);
+                    stack[index].closingNameStart = nameStart;
+                    stack[index].closingNameEnd = nameStart + match[1].length;
+                    stack.length = index;
+                }
+                i += match[0].length;
+                continue;
+            }
+        }
+
+        if (char === '<' && /[A-Za-z]/.test(source[i + 1] || '')) {
+            const parsed = parseOpeningTag(source, i, to);
+            if (parsed) {
+                const { element, selfClosing, end } = parsed;
+                const parent = stack[stack.length - 1];
+                if (parent) {
+                    element.parent = parent;
+                    parent.children.push(element);
+                } else {
+                    roots.push(element);
+                }
+                i = end;
+
+                const lowerTag = element.tag.toLowerCase();
+                if (RAW_TEXT_ELEMENTS.includes(lowerTag) && !selfClosing) {
+                    const closeIndex = source.toLowerCase().indexOf(`</${lowerTag}`, i);
+                    const contentEnd = closeIndex === -1 || closeIndex > to ? to : closeIndex;
+                    if (lowerTag !== 'script' && lowerTag !== 'style') {
+                        element.text = source.slice(i, contentEnd);
+                    }
+                    const closeEnd = source.indexOf('>', contentEnd);
+                    i = closeEnd === -1 ? to : closeEnd + 1;
+                    continue;
+                }
+
+                if (!selfClosing && !VOID_ELEMENTS.includes(lowerTag)) {
+                    stack.push(element);
+                }
+                continue;
+            }
+        }
+
+        // Plain text up to the next tag or expression
+        let next = i + 1;
+        while (next < to && source[next] !== '<' && source[next] !== '{') {
+            next++;
+        }
+        appendText(decodeEntities(source.slice(i, next)), false);
+        i = next;
+    }
+
+    return roots;
+}
+
+/**
+ * Ranges of the top-level blocks of a single-file component (`template`, `script`, `style`)
+ */
+export function findTopLevelBlocks(source: string, tag: string): { start: number; end: number }[] {
+    const blocks: { start: number; end: number }[] = [];
+    const open = new RegExp(`<${tag}(\\s[^>]*)?>`, 'gi');
+    let match: RegExpExecArray | null;
+
+    while ((match = open.exec(source)) !== null) {
+        const contentStart = match.index + match[0].length;
+        // Templates can nest <template> elements, so balance them
+        let depth = 1;
+        const tokens = new RegExp(`<${tag}(\\s[^>]*)?>|</${tag}\\s*>`, 'gi');
+        tokens.lastIndex = contentStart;
+        let token: RegExpExecArray | null;
+        let contentEnd = source.length;
+        while ((token = tokens.exec(source)) !== null) {
+            depth += token[0].startsWith('</') ? -1 : 1;
+            if (depth === 0) {
+                contentEnd = token.index;
+                break;
+            }
+        }
+        blocks.push({ start: contentStart, end: contentEnd });
+        open.lastIndex = contentEnd;
+    }
+
+    return blocks;
+}
+
+function parseOpeningTag(source: string, start: number, to: number): { element: MarkupElement; selfClosing: boolean; end: number } | null {
+    const nameMatch = /^<([A-Za-z][\w:.-]*)/.exec(source.slice(start, Math.min(to, start + 100)));
+    if (!nameMatch) {
+        return null;
+    }
+
+    const element: MarkupElement = {
+        tag: nameMatch[1],
+        attributes: [],
+        children: [],
+        text: '',
+        dynamicContent: false,
+        nameStart: start + 1,
+        nameEnd: start + nameMatch[0].length,
+        start,
+        end: start
+    };
+
+    let i = start + nameMatch[0].length;
+    while (i < to) {
+        while (i < to && /\s/.test(source[i])) {
+            i++;
+        }
+
+        if (source[i] === '>') {
+            element.end = i + 1;
+            return { element, selfClosing: false, end: i + 1 };
+        }
+        if (source.startsWith('/>', i)) {
+            element.end = i + 2;
+            return { element, selfClosing: true, end: i + 2 };
+        }
+
+        // Svelte shorthand {value} and spread {...props}
+        if (source[i] === '{') {
+            const close = findClosingBrace(source, i, to);
+            const inner = source.slice(i + 1, close).trim();
+            const shorthand = /^[A-Za-z_$][\w$]*$/.test(inner) ? inner : '...';
+            element.attributes.push({ name: shorthand, rawName: shorthand, dynamic: true, start: i, end: close + 1 });
+            i = close + 1;
+            continue;
+        }
+
+        if (source[i] === '/') {
+            i++; // Stray slash, e.g. <br / >
+            continue;
+        }
+
+        const attrMatch = /^[^\s=>/"'{]+/.exec(source.slice(i, Math.min(to, i + 200)));
+        if (!attrMatch) {
+            return null;
+        }
+        const rawName = attrMatch[0];
+        const attrStart = i;
+        i += rawName.length;
+
+        while (i < to && /\s/.test(source[i])) {
+            i++;
+        }
+
+        let value: string | undefined;
+        let dynamicValue = false;
+        if (source[i] === '=') {
+            i++;
+            while (i < to && /\s/.test(source[i])) {
+                i++;
+            }
+            const quote = source[i];
+            if (quote === '"' || quote === "'") {
+                const close = source.indexOf(quote, i + 1);
+                const valueEnd = close === -1 ? to : close;
+                value = source.slice(i + 1, valueEnd);
+                i = valueEnd + 1;
+            } else if (quote === '{') {
+                const close = findClosingBrace(source, i, to);
+                value = source.slice(i + 1, close);
+                dynamicValue = true;
+                i = close + 1;
+            } else {
+                const unquoted = /^[^\s>]+/.exec(source.slice(i, Math.min(to, i + 500)));
+                value = unquoted ? unquoted[0] : '';
+                i += value.length;
+            }
+        }
+
+        const normalized = normalizeAttributeName(rawName);
+        const attribute: MarkupAttribute = {
+            name: normalized.name,
+            rawName,
+            value: normalized.dynamic || dynamicValue ? undefined : value ?? '',
+            dynamic: normalized.dynamic || dynamicValue || /\{\{.*\}\}/.test(value || ''),
+            start: attrStart,
+            end: i
+        };
+        element.attributes.push(attribute);
+    }
+
+    return null;
+}
+
+function findOpenElement(stack: MarkupElement[], tag: string): number {
+    for (let i = stack.length - 1; i >= 0; i--) {
+        if (stack[i].tag.toLowerCase() === tag) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Index of the `}` matching the `{` at `start`, skipping strings
+ */
+function findClosingBrace(source: string, start: number, to: number): number {
+    let depth = 0;
+    for (let i = start; i < to; i++) {
+        const char = source[i];
+        if (char === '"' || char === "'" || char === '`') {
+            const close = source.indexOf(char, i + 1);
+            if (close === -1) {
+                return to - 1;
+            }
+            i = close;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            depth--;
+            if (depth === 0) {
+                return i;
+            }
+        }
+    }
+    return to - 1;
+}
+
+function decodeEntities(text: string): string {
+    return text
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
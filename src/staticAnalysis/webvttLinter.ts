@@ -0,0 +1,156 @@
+/**
+ * WebVTT Linter
+ *
+ * Checks caption files for problems that leave viewers without captions at the right time:
+ * a missing WEBVTT header, malformed or reversed timings, cues out of order, empty cues and
+ * cues shown too briefly to read. Findings use the same shape as the markup rules.
+ */
+
+import { StaticFinding } from './staticRules';
+
+const TIMING_LINE = /^(\S+)[ \t]+-->[ \t]+(\S+)/;
+const TIMESTAMP = /^(?:(\d{2,}):)?([0-5]\d):([0-5]\d)\.(\d{3})$/;
+/** Characters per second above which most viewers cannot finish reading a cue */
+const MAX_READING_RATE = 25;
+const CRITERION = '1.2.2 Captions (Prerecorded)';
+
+interface Cue {
+    start: number;
+    end: number;
+    /** Offsets of the timing line */
+    lineStart: number;
+    lineEnd: number;
+    text: string;
+}
+
+/**
+ * Parse a timestamp into seconds, or undefined when it is malformed
+ */
+export function parseTimestamp(value: string): number | undefined {
+    const match = TIMESTAMP.exec(value);
+    if (!match) {
+        return undefined;
+    }
+    const [, hours, minutes, seconds, millis] = match;
+    return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis) / 1000;
+}
+
+export function lintWebVtt(source: string): StaticFinding[] {
+    const findings: StaticFinding[] = [];
+    const text = source.replace(/^﻿/, '');
+    const offset = source.length - text.length;
+
+    if (!/^WEBVTT(?:[ \t].*)?(?:\r?\n|$)/.test(text)) {
+        const firstLineEnd = text.search(/\r?\n|$/);
+        findings.push({
+            ruleId: 'webvtt-header',
+            criterion: CRITERION,
+            severity: 'error',
+            message: 'Caption file does not start with "WEBVTT", so browsers will not load it',
+            recommendation: 'Make "WEBVTT" the first line of the file',
+            start: offset,
+            end: offset + Math.max(firstLineEnd, 1)
+        });
+    }
+
+    const cues: Cue[] = [];
+    const blockPattern = /(?:^|\r?\n)((?:[^\r\n]+(?:\r?\n|$))+)/g;
+    let block: RegExpExecArray | null;
+    while ((block = blockPattern.exec(text)) !== null) {
+        const blockStart = offset + block.index + block[0].length - block[1].length;
+        const lines = block[1].replace(/\r?\n$/, '').split(/\r?\n/);
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        // Header, NOTE, STYLE and REGION blocks have no timing line before their content
+        if (timingIndex === -1 || timingIndex > 1 || /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) {
+            continue;
+        }
+
+        const lineStart = blockStart + (timingIndex === 0 ? 0 : block[1].indexOf(lines[timingIndex], lines[0].length));
+        const lineEnd = lineStart + lines[timingIndex].length;
+        const match = TIMING_LINE.exec(lines[timingIndex]);
+        const start = match ? parseTimestamp(match[1]) : undefined;
+        const end = match ? parseTimestamp(match[2]) : undefined;
+        if (start === undefined || end === undefined) {
+            findings.push({
+                ruleId: 'webvtt-timing-invalid',
+                criterion: CRITERION,
+                severity: 'error',
+                message: `Malformed cue timing "${lines[timingIndex].trim()}"; the cue is dropped`,
+                recommendation: 'Use "mm:ss.ttt --> mm:ss.ttt" or "hh:mm:ss.ttt --> hh:mm:ss.ttt" (a period before the milliseconds, not a comma)',
+                start: lineStart,
+                end: lineEnd
+            });
+            continue;
+        }
+        cues.push({ start, end, lineStart, lineEnd, text: lines.slice(timingIndex + 1).join('\n') });
+    }
+
+    let previous: Cue | undefined;
+    for (const cue of cues) {
+        const at = { start: cue.lineStart, end: cue.lineEnd };
+        const spoken = cue.text.replace(/<[^>]*>/g, '').replace(/&[a-z]+;/gi, ' ').trim();
+        const duration = cue.end - cue.start;
+
+        if (duration <= 0) {
+            findings.push({
+                ruleId: 'webvtt-cue-timing',
+                criterion: CRITERION,
+                severity: 'error',
+                message: `Cue ends at ${formatSeconds(cue.end)}, ${duration === 0 ? 'the moment it starts' : 'before it starts'}, so it is never shown`,
+                recommendation: 'Make the end time later than the start time',
+                ...at
+            });
+        } else if (spoken && spoken.length / duration > MAX_READING_RATE) {
+            findings.push({
+                ruleId: 'webvtt-cue-too-fast',
+                criterion: CRITERION,
+                severity: 'warning',
+                message: `Cue shows ${spoken.length} characters for ${duration.toFixed(2)}s, too briefly to read`,
+                recommendation: `Extend the cue or split the text (keep it under about ${MAX_READING_RATE} characters per second)`,
+                ...at
+            });
+        }
+
+        if (!spoken) {
+            findings.push({
+                ruleId: 'webvtt-cue-empty',
+                criterion: CRITERION,
+                severity: 'error',
+                message: 'Cue has no text',
+                recommendation: 'Add the caption text or remove the cue',
+                ...at
+            });
+        }
+
+        if (previous && cue.start < previous.start) {
+            findings.push({
+                ruleId: 'webvtt-cue-order',
+                criterion: CRITERION,
+                severity: 'error',
+                message: `Cue starts at ${formatSeconds(cue.start)}, before the previous cue (${formatSeconds(previous.start)})`,
+                recommendation: 'Sort cues by start time; players may skip cues that are out of order',
+                ...at
+            });
+        }
+        previous = cue;
+    }
+
+    if (cues.length === 0 && findings.length === 0) {
+        findings.push({
+            ruleId: 'webvtt-no-cues',
+            criterion: CRITERION,
+            severity: 'error',
+            message: 'Caption file has no cues',
+            recommendation: 'Add timed cues covering all speech and relevant sounds',
+            start: offset,
+            end: offset + Math.min(text.length, 6)
+        });
+    }
+
+    return findings;
+}
+
+function formatSeconds(seconds: number): string {
+    const minutes = Math.floor(seconds / 60);
+    return `${String(minutes).padStart(2, '0')}:${(seconds - minutes * 60).toFixed(3).padStart(6, '0')}`;
+}
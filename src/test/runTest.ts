@@ -0,0 +1,33 @@
+/**
+ * Test runner
+ *
+ * The suites cover modules that do not import vscode, so they run with Mocha in plain Node
+ * instead of inside a downloaded VS Code instance. Every compiled *.test.js under suite/ runs.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import Mocha from 'mocha';
+
+function findTestFiles(directory: string): string[] {
+    return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            return findTestFiles(fullPath);
+        }
+        return entry.name.endsWith('.test.js') ? [fullPath] : [];
+    });
+}
+
+function main(): void {
+    const mocha = new Mocha({ ui: 'tdd', color: true });
+    for (const file of findTestFiles(path.resolve(__dirname, 'suite')).sort()) {
+        mocha.addFile(file);
+    }
+
+    mocha.run(failures => {
+        process.exitCode = failures > 0 ? 1 : 0;
+    });
+}
+
+main();
@@ -0,0 +1,88 @@
+import * as assert from 'assert';
+import { compareToBaseline, createBaseline, fingerprintIssue, normalizeSnippet, pageKey, parseBaseline } from '../../reporting/baseline';
+import { ExportableIssue, ExportablePage } from '../../reporting/exportModel';
+
+const missingAlt: ExportableIssue = {
+    criterion: '1.1.1 Non-text Content',
+    severity: 'error',
+    description: 'Image has no alt text',
+    element: '<img class="css-1x9fz2 logo" data-v-7ba5bd90 src="/logo.png" style="width: 40px">'
+};
+
+function page(url: string, issues: ExportableIssue[], checkpoint?: string): ExportablePage {
+    return { url, checkpoint, timestamp: '2024-05-01T10:00:00.000Z', issues: issues.map(issue => ({ ...issue })) };
+}
+
+suite('baseline', () => {
+    suite('fingerprintIssue', () => {
+        test('ignores the host, build hashes and volatile attributes', () => {
+            const rebuilt = { ...missingAlt, element: '<img class="css-8q2lk1 logo"  data-v-0c2f1a4e src="/logo.png">' };
+            assert.strictEqual(
+                fingerprintIssue(missingAlt, { url: 'http://localhost:3000/about?tab=2' }),
+                fingerprintIssue(rebuilt, { url: 'https://staging.example.com/about?tab=2' })
+            );
+        });
+
+        test('differs by page, checkpoint and criterion', () => {
+            const fingerprint = fingerprintIssue(missingAlt, { url: 'https://example.com/' });
+            assert.notStrictEqual(fingerprintIssue(missingAlt, { url: 'https://example.com/contact' }), fingerprint);
+            assert.notStrictEqual(fingerprintIssue(missingAlt, { url: 'https://example.com/', checkpoint: 'Menu open' }), fingerprint);
+            assert.notStrictEqual(fingerprintIssue({ ...missingAlt, criterion: '1.4.3 Contrast (Minimum)' }, { url: 'https://example.com/' }), fingerprint);
+        });
+
+        test('tells issues without an element apart by their description', () => {
+            const pageLevel = (description: string) => fingerprintIssue({ criterion: '2.4.2 Page Titled', severity: 'error', description }, { url: '/' });
+            assert.strictEqual(pageLevel('Page has no title'), pageLevel('  Page has NO title '));
+            assert.notStrictEqual(pageLevel('Page has no title'), pageLevel('Page title is empty'));
+        });
+    });
+
+    test('normalizeSnippet collapses numbers and whitespace', () => {
+        assert.strictEqual(normalizeSnippet('<li\n  id="item-42" nonce="abc">'), '<li id="item-0">');
+    });
+
+    test('pageKey keeps the path and query of URLs and other locations as-is', () => {
+        assert.strictEqual(pageKey({ url: 'https://example.com/shop?page=2#top' }), '/shop?page=2');
+        assert.strictEqual(pageKey({ url: 'src/App.tsx', checkpoint: 'Menu open' }), 'Menu open src/App.tsx');
+    });
+
+    suite('compareToBaseline', () => {
+        const contrast: ExportableIssue = { criterion: '1.4.3 Contrast (Minimum)', severity: 'warning', description: 'Low contrast', element: '<p class="muted">' };
+        const baseline = createBaseline([
+            page('http://localhost:3000/', [missingAlt, contrast]),
+            page('http://localhost:3000/pricing', [contrast])
+        ]);
+
+        test('classifies issues as new, unchanged or fixed', () => {
+            const headingSkip: ExportableIssue = { criterion: '1.3.1 Info and Relationships', severity: 'warning', description: 'Heading level skipped', element: '<h4>' };
+            const pages = [page('https://staging.example.com/', [missingAlt, headingSkip])];
+            const comparison = compareToBaseline(pages, baseline);
+
+            assert.deepStrictEqual(comparison.unchanged.map(issue => issue.description), ['Image has no alt text']);
+            assert.deepStrictEqual(comparison.newIssues.map(issue => issue.description), ['Heading level skipped']);
+            // /pricing was not tested, so its contrast issue is not reported as fixed
+            assert.deepStrictEqual(comparison.fixed.map(entry => [entry.page, entry.description]), [['/', 'Low contrast']]);
+            assert.deepStrictEqual(pages[0].issues.map(issue => issue.baselineStatus), ['unchanged', 'new']);
+            assert.strictEqual(pages[0].issues[0].fingerprint, baseline.issues.find(entry => entry.criterion === missingAlt.criterion)?.fingerprint);
+        });
+
+        test('needs one baseline entry per repeated issue', () => {
+            const comparison = compareToBaseline([page('/', [missingAlt, missingAlt])], createBaseline([page('/', [missingAlt])]));
+            assert.strictEqual(comparison.unchanged.length, 1);
+            assert.strictEqual(comparison.newIssues.length, 1);
+        });
+    });
+
+    suite('parseBaseline', () => {
+        test('round-trips a created baseline', () => {
+            const baseline = createBaseline([page('/', [missingAlt])]);
+            assert.deepStrictEqual(parseBaseline(JSON.stringify(baseline)), baseline);
+        });
+
+        test('rejects files that are not baselines or are from a newer version', () => {
+            assert.throws(() => parseBaseline('{', 'base.json'), /Could not parse baseline base\.json/);
+            assert.throws(() => parseBaseline('{"issues": {}}', 'base.json'), /base\.json is not an AccessLint baseline/);
+            assert.throws(() => parseBaseline('{"version": 99, "issues": []}', 'base.json'), /newer AccessLint/);
+        });
+    });
+});
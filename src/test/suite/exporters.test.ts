@@ -0,0 +1,95 @@
+import * as assert from 'assert';
+import { csvExporter } from '../../reporting/csvExporter';
+import { ExportablePage } from '../../reporting/exportModel';
+import { jsonExporter } from '../../reporting/jsonExporter';
+import { junitExporter } from '../../reporting/junitExporter';
+import { sarifExporter } from '../../reporting/sarifExporter';
+
+const pages: ExportablePage[] = [
+    {
+        url: 'https://shop.test/',
+        timestamp: '2024-05-01T10:00:00.000Z',
+        issues: [
+            {
+                criterion: '2.4.6 Headings and Labels',
+                severity: 'warning',
+                description: 'Heading "Deals" repeats the previous heading',
+                ruleId: 'heading-repeated'
+            },
+            {
+                criterion: '1.1.1 Non-text Content',
+                severity: 'error',
+                description: 'Image has no alt text',
+                ruleId: 'image-alt',
+                element: '<img src="logo.png">',
+                recommendation: 'Add alt="Shop home"',
+                source: 'rules',
+                sourceLocation: { file: 'src\\Header.tsx', line: 12, column: 5 }
+            }
+        ]
+    },
+    {
+        url: 'https://shop.test/cart',
+        checkpoint: 'After adding an item',
+        timestamp: new Date('2024-05-01T10:05:00.000Z'),
+        issues: [
+            {
+                criterion: '1.1.1 Non-text Content',
+                severity: 'info',
+                description: '=SUM(A1) "quoted", text'
+            }
+        ]
+    }
+];
+
+suite('exporters', () => {
+    test('CSV writes one row per sorted issue with RFC 4180 quoting', () => {
+        const lines = csvExporter.export(pages).split('\r\n');
+        assert.deepStrictEqual(lines, [
+            'Page,Checkpoint,Tested,Severity,Criterion,Rule,Description,Element,Recommendation,Source File,Line,Column',
+            'https://shop.test/,,2024-05-01T10:00:00.000Z,error,1.1.1 Non-text Content,image-alt,Image has no alt text,"<img src=""logo.png"">","Add alt=""Shop home""",src\\Header.tsx,12,5',
+            'https://shop.test/,,2024-05-01T10:00:00.000Z,warning,2.4.6 Headings and Labels,heading-repeated,"Heading ""Deals"" repeats the previous heading",,,,,',
+            `https://shop.test/cart,After adding an item,2024-05-01T10:05:00.000Z,info,1.1.1 Non-text Content,,"'=SUM(A1) ""quoted"", text",,,,,`,
+            ''
+        ]);
+    });
+
+    test('JUnit reports one case per criterion on every page and fails only on errors', () => {
+        const xml = junitExporter.export(pages);
+        assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="AccessLint accessibility" tests="4" failures="1" errors="0">\n'));
+        assert.ok(xml.includes('<testsuite name="https://shop.test/" tests="2" failures="1" errors="0" timestamp="2024-05-01T10:00:00.000Z">'));
+        assert.ok(xml.includes('<failure message="1 error: Image has no alt text" type="error">[error] Image has no alt text\n  Element: &lt;img src=&quot;logo.png&quot;&gt;'));
+        assert.ok(xml.includes('<system-out>[warning] Heading &quot;Deals&quot; repeats the previous heading</system-out>'));
+        assert.ok(xml.includes('<testcase name="2.4.6 Headings and Labels" classname="After adding an item (https://shop.test/cart)"/>'));
+        assert.ok(xml.endsWith('  </testsuite>\n</testsuites>\n'));
+    });
+
+    test('JUnit writes an empty report for no pages', () => {
+        assert.strictEqual(
+            junitExporter.export([]),
+            '<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="AccessLint accessibility" tests="0" failures="0" errors="0">\n</testsuites>\n'
+        );
+    });
+
+    test('SARIF groups results by WCAG criterion and falls back to the page URL', () => {
+        const run = JSON.parse(sarifExporter.export(pages)).runs[0];
+        assert.deepStrictEqual(run.tool.driver.rules.map((rule: any) => rule.id), ['WCAG-1.1.1', 'WCAG-2.4.6']);
+        assert.deepStrictEqual(run.results.map((result: any) => [result.ruleIndex, result.level]), [[0, 'error'], [1, 'warning'], [0, 'note']]);
+        assert.deepStrictEqual(run.results[0].locations[0].physicalLocation, {
+            artifactLocation: { uri: 'src/Header.tsx', uriBaseId: 'SRCROOT' },
+            region: { startLine: 12, startColumn: 5 }
+        });
+        assert.strictEqual(run.results[2].locations[0].physicalLocation.artifactLocation.uri, 'https://shop.test/cart');
+    });
+
+    test('JSON summarises each page and the whole run', () => {
+        const report = JSON.parse(jsonExporter.export(pages));
+        assert.deepStrictEqual(report.summary, { pages: 2, errors: 1, warnings: 1, info: 1 });
+        assert.deepStrictEqual(report.pages.map((page: any) => [page.checkpoint, page.timestamp]), [
+            [null, '2024-05-01T10:00:00.000Z'],
+            ['After adding an item', '2024-05-01T10:05:00.000Z']
+        ]);
+        assert.deepStrictEqual(report.pages[0].issues.map((issue: any) => issue.ruleId), ['image-alt', 'heading-repeated']);
+        assert.deepStrictEqual(report.pages[0].issues[0].source, { file: 'src\\Header.tsx', line: 12, column: 5 });
+    });
+});
@@ -0,0 +1,68 @@
+import * as assert from 'assert';
+import { getQuickFixes, QuickFix, TextEdit } from '../../staticAnalysis/quickFixes';
+
+function applyEdits(source: string, edits: TextEdit[]): string {
+    return [...edits]
+        .sort((a, b) => b.start - a.start)
+        .reduce((text, edit) => text.slice(0, edit.start) + edit.newText + text.slice(edit.end), source);
+}
+
+/**
+ * Fixes for the finding reported on the first `<tag` in the source
+ */
+function fixesAt(source: string, fileName: string, ruleId: string, tag: string): QuickFix[] {
+    return getQuickFixes(source, fileName, ruleId, source.indexOf(`<${tag}`) + 1);
+}
+
+suite('quickFixes', () => {
+    test('converts a clickable div into a button and drops the role and tabindex', () => {
+        const source = '<div onclick="save()" role="button" tabindex="0">Save</div>';
+        const [fix] = fixesAt(source, 'page.html', 'clickable-non-interactive', 'div');
+        assert.strictEqual(fix.title, 'Convert <div> to <button type="button">');
+        assert.strictEqual(applyEdits(source, fix.edits), '<button type="button" onclick="save()">Save</button>');
+    });
+
+    test('leaves clickable elements with another role alone', () => {
+        const source = '<span onclick="open()" role="link">Docs</span>';
+        assert.deepStrictEqual(fixesAt(source, 'page.html', 'clickable-non-interactive', 'span'), []);
+    });
+
+    test('marks an image as decorative', () => {
+        const source = '<img src="divider.png">';
+        const [fix] = fixesAt(source, 'page.html', 'img-alt', 'img');
+        assert.strictEqual(applyEdits(source, fix.edits), '<img alt="" aria-hidden="true" src="divider.png">');
+    });
+
+    test('associates a JSX input with the label right before it', () => {
+        const source = '<form><label>Email</label><input name="email" /></form>';
+        const [fix] = fixesAt(source, 'Signup.tsx', 'input-label', 'input');
+        assert.strictEqual(fix.title, 'Associate with the preceding <label> (htmlFor="email")');
+        assert.strictEqual(applyEdits(source, fix.edits), '<form><label htmlFor="email">Email</label><input id="email" name="email" /></form>');
+    });
+
+    test('adds a label built from the placeholder, with an unused id', () => {
+        const source = '<div id="search">\n    <input placeholder="Search">\n</div>';
+        const [fix] = fixesAt(source, 'page.html', 'placeholder-only-input', 'input');
+        assert.strictEqual(
+            applyEdits(source, fix.edits),
+            '<div id="search">\n    <label for="search-2">Search</label>\n    <input id="search-2" placeholder="Search">\n</div>'
+        );
+    });
+
+    test('connects an error message to the field before it', () => {
+        const source = '<div><input id="email"><span class="error">Enter an email address</span></div>';
+        const fixes = fixesAt(source, 'page.html', 'error-message-binding', 'span');
+        assert.deepStrictEqual(fixes.map(fix => fix.title), [
+            'Connect to the nearby <input> with aria-describedby',
+            'Announce the message with role="alert"'
+        ]);
+        assert.strictEqual(
+            applyEdits(source, fixes[0].edits),
+            '<div><input aria-describedby="email-error" id="email"><span id="email-error" class="error">Enter an email address</span></div>'
+        );
+    });
+
+    test('returns nothing when no element starts at the offset', () => {
+        assert.deepStrictEqual(getQuickFixes('<img src="a.png">', 'page.html', 'img-alt', 0), []);
+    });
+});
@@ -0,0 +1,69 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { discoverWorkspaceRoutes } from '../../testing/routeDiscovery';
+
+suite('routeDiscovery', () => {
+    let root: string;
+
+    setup(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'accesslint-routes-'));
+        fs.mkdirSync(path.join(root, 'src'));
+    });
+
+    teardown(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const routesFor = (fileName: string, source: string) => {
+        fs.writeFileSync(path.join(root, 'src', fileName), source);
+        return discoverWorkspaceRoutes(root);
+    };
+
+    test('resolves child routes in config objects against their parents', () => {
+        const routes = routesFor('router.ts', `
+            import { createRouter } from 'vue-router';
+            export default createRouter({
+                routes: [
+                    { path: '/', component: Home },
+                    {
+                        path: 'settings',
+                        component: Settings,
+                        children: [
+                            { path: 'profile', component: Profile },
+                            { path: '', component: Overview },
+                            { path: '/help', component: Help }
+                        ]
+                    },
+                    { path: '/users/:id', component: User }
+                ]
+            });
+        `);
+        assert.deepStrictEqual(routes, ['/', '/help', '/settings', '/settings/profile']);
+    });
+
+    test('resolves nested JSX routes and skips braced element props', () => {
+        const routes = routesFor('App.tsx', `
+            import { Route, Routes } from 'react-router-dom';
+            // <Route path="commented-out" />
+            export const App = () => (
+                <Routes>
+                    <Route path="/" element={<Layout title="Don't panic" />}>
+                        <Route index element={<Home />} />
+                        <Route path="about" element={<About />} />
+                        <Route path="account" element={<Account />}>
+                            <Route path="billing" element={<Billing />} />
+                        </Route>
+                    </Route>
+                    <Route path="/login" element={<Login />} />
+                </Routes>
+            );
+        `);
+        assert.deepStrictEqual(routes, ['/', '/about', '/account', '/account/billing', '/login']);
+    });
+
+    test('ignores files that do not use a router', () => {
+        assert.deepStrictEqual(routesFor('config.ts', `export const files = [{ path: 'uploads' }];`), ['/']);
+    });
+});
@@ -0,0 +1,73 @@
+import * as assert from 'assert';
+import { findSuppression, isExpired, parseInlineDirectives, SuppressionConfig } from '../../testing/suppressions';
+
+const noConfig: SuppressionConfig = { ignore: [] };
+const now = new Date('2026-03-15T12:00:00Z');
+
+suite('suppressions', () => {
+    suite('parseInlineDirectives', () => {
+        test('keys directives by the line after the comment', () => {
+            const directives = parseInlineDirectives([
+                '<header>',
+                '    <!-- accesslint-disable-next-line image-alt -- Alt text comes from the CMS -->',
+                '    <img src="logo.png">',
+                '    {/* accesslint-disable-next-line 1.1.1, 4.1.2 expires:2026-06-30 */}',
+                '    <Icon />'
+            ].join('\n'));
+
+            assert.deepStrictEqual([...directives.entries()], [
+                [3, { targets: ['image-alt'], reason: 'Alt text comes from the CMS', expires: undefined }],
+                [5, { targets: ['1.1.1', '4.1.2'], reason: 'Suppressed inline', expires: '2026-06-30' }]
+            ]);
+        });
+
+        test('suppresses everything on the line when no target is given', () => {
+            const directives = parseInlineDirectives('// accesslint-disable-next-line -- Legacy widget\n<div onclick="go()">');
+            assert.deepStrictEqual(directives.get(2), { targets: [], reason: 'Legacy widget', expires: undefined });
+        });
+    });
+
+    test('isExpired still covers the expiry day', () => {
+        assert.strictEqual(isExpired('2026-03-15', now), false);
+        assert.strictEqual(isExpired('2026-03-14', now), true);
+        assert.strictEqual(isExpired(undefined, now), false);
+    });
+
+    suite('findSuppression', () => {
+        const issue = { criterion: '1.1.1 Non-text Content', ruleId: 'image-alt', location: 'header > img.logo' };
+
+        test('applies an inline directive that names the criterion or rule', () => {
+            const directives = parseInlineDirectives('// accesslint-disable-next-line 1.1.1 -- Decorative\n<img>');
+            assert.deepStrictEqual(
+                findSuppression(issue, { line: 2, directives }, noConfig, now),
+                { kind: 'inline', reason: 'Decorative', expires: undefined }
+            );
+            assert.strictEqual(findSuppression({ ...issue, criterion: '4.1.2 Name, Role, Value', ruleId: 'button-name' }, { line: 2, directives }, noConfig, now), undefined);
+            assert.strictEqual(findSuppression(issue, { line: 3, directives }, noConfig, now), undefined);
+        });
+
+        test('ignores expired directives and config rules', () => {
+            const directives = parseInlineDirectives('// accesslint-disable-next-line expires:2026-01-31\n<img>');
+            const config: SuppressionConfig = { ignore: [{ criterion: 'image-alt', reason: 'Until the redesign', expires: '2026-02-28' }] };
+            assert.strictEqual(findSuppression(issue, { line: 2, directives }, config, now), undefined);
+        });
+
+        test('matches config rules by selector, page path and source file', () => {
+            const config: SuppressionConfig = {
+                ignore: [
+                    { selector: '.carousel', reason: 'Third-party carousel' },
+                    { criterion: '1.1.1', url: '/admin/**', reason: 'Internal pages', acceptedBy: 'jordan' },
+                    { file: 'src/legacy/**', reason: 'Scheduled for removal' }
+                ]
+            };
+
+            assert.deepStrictEqual(
+                findSuppression(issue, { url: 'https://example.com/admin/users' }, config, now),
+                { kind: 'config', reason: 'Internal pages', expires: undefined, acceptedBy: 'jordan' }
+            );
+            assert.strictEqual(findSuppression(issue, { url: 'https://example.com/shop' }, config, now), undefined);
+            assert.strictEqual(findSuppression({ ...issue, location: '.carousel > img' }, {}, config, now)?.reason, 'Third-party carousel');
+            assert.strictEqual(findSuppression(issue, { file: 'src/legacy/Banner.tsx' }, config, now)?.reason, 'Scheduled for removal');
+        });
+    });
+});
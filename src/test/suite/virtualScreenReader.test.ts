@@ -0,0 +1,149 @@
+import * as assert from 'assert';
+import {
+    AccessibilityTreeNode,
+    accessibilityTreeFromProtocol,
+    announceNode,
+    flattenAccessibilityTree,
+    ProtocolAXNode,
+    VirtualScreenReader
+} from '../../testing/virtualScreenReader';
+
+const page: AccessibilityTreeNode = {
+    role: 'WebArea',
+    name: 'Plans',
+    children: [
+        {
+            role: 'banner', name: '', children: [
+                { role: 'link', name: 'Home', children: [{ role: 'text', name: 'Home' }] }
+            ]
+        },
+        {
+            role: 'main', name: '', children: [
+                { role: 'heading', name: 'Pricing', level: 2, children: [{ role: 'text', name: 'Pricing' }] },
+                { role: 'paragraph', name: '', children: [{ role: 'text', name: 'Pick a plan.' }] },
+                { role: 'link', name: 'Read more', visited: true },
+                { role: 'heading', name: 'FAQ', level: 3 },
+                { role: 'button', name: 'Buy', disabled: true },
+                { role: 'textbox', name: 'Email' }
+            ]
+        }
+    ]
+};
+
+suite('virtualScreenReader', () => {
+    suite('announceNode', () => {
+        test('announces headings with their level', () => {
+            assert.strictEqual(announceNode({ role: 'heading', name: 'Pricing', level: 2 }), 'heading level 2 Pricing');
+        });
+
+        test('announces visited links', () => {
+            assert.strictEqual(announceNode({ role: 'link', name: 'Read more', visited: true }), 'link, visited, Read more');
+        });
+
+        test('announces states in NVDA order', () => {
+            assert.strictEqual(announceNode({ role: 'checkbox', name: 'Remember me', checked: false }), 'check box, not checked, Remember me');
+            assert.strictEqual(announceNode({ role: 'button', name: 'Menu', expanded: false, haspopup: 'menu' }), 'button, collapsed, submenu, Menu');
+            assert.strictEqual(announceNode({ role: 'textbox', name: 'Email', required: true, invalid: 'true' }), 'edit, required, invalid entry, Email, blank');
+        });
+
+        test('announces values, item counts and unlabeled graphics', () => {
+            assert.strictEqual(announceNode({ role: 'slider', name: 'Volume', value: 30, valuetext: '30%' }), 'slider, Volume, 30%');
+            assert.strictEqual(announceNode({ role: 'list', name: '' }, 3), 'list with 3 items');
+            assert.strictEqual(announceNode({ role: 'img', name: '' }), 'unlabeled graphic');
+        });
+    });
+
+    suite('flattenAccessibilityTree', () => {
+        test('skips structural nodes and text already spoken as a name', () => {
+            const order = flattenAccessibilityTree(page).map(node => `${node.role}:${node.name}`);
+            assert.deepStrictEqual(order, [
+                'banner:',
+                'link:Home',
+                'main:',
+                'heading:Pricing',
+                'text:Pick a plan.',
+                'link:Read more',
+                'heading:FAQ',
+                'button:Buy',
+                'textbox:Email'
+            ]);
+        });
+    });
+
+    suite('press', () => {
+        test('stops on each heading and reports when there is no next one', () => {
+            const reader = new VirtualScreenReader(page);
+            assert.strictEqual(reader.press('h'), 'heading level 2 Pricing');
+            assert.strictEqual(reader.press('h'), 'heading level 3 FAQ');
+            assert.strictEqual(reader.press('h'), 'no next heading');
+            assert.strictEqual(reader.currentItem?.name, 'FAQ');
+            assert.strictEqual(reader.press('Shift+h'), 'heading level 2 Pricing');
+        });
+
+        test('moves line by line and stops at the edges', () => {
+            const reader = new VirtualScreenReader(page);
+            assert.strictEqual(reader.press('ArrowUp'), 'top');
+            assert.strictEqual(reader.press('ArrowDown'), 'banner landmark');
+            reader.press('Control+End');
+            assert.strictEqual(reader.press('ArrowDown'), 'bottom');
+            assert.strictEqual(reader.press('ArrowUp'), 'edit, Email, blank');
+        });
+
+        test('Tab skips disabled controls', () => {
+            const reader = new VirtualScreenReader(page);
+            const stops = [reader.press('Tab'), reader.press('Tab'), reader.press('Tab'), reader.press('Tab')];
+            assert.deepStrictEqual(stops, ['link, Home', 'link, visited, Read more', 'edit, Email, blank', 'no next focusable item']);
+        });
+
+        test('logs spoken phrases and item text', () => {
+            const reader = new VirtualScreenReader(page);
+            reader.press('k');
+            reader.press('k');
+            assert.deepStrictEqual(reader.spokenPhraseLog(), ['link, Home', 'link, visited, Read more']);
+            assert.strictEqual(reader.itemText(), 'Read more');
+            reader.clearSpokenPhraseLog();
+            assert.deepStrictEqual(reader.spokenPhraseLog(), []);
+        });
+    });
+
+    suite('accessibilityTreeFromProtocol', () => {
+        const nodes: ProtocolAXNode[] = [
+            {
+                nodeId: '1', role: { value: 'RootWebArea' }, name: { value: 'Shop' }, childIds: ['2', '4', '5'],
+                properties: [{ name: 'focused', value: { value: true } }]
+            },
+            { nodeId: '2', role: { value: 'link' }, name: { value: 'Cart' }, childIds: ['3'], backendDOMNodeId: 10 },
+            { nodeId: '3', role: { value: 'StaticText' }, name: { value: 'Cart' } },
+            {
+                nodeId: '4', role: { value: 'checkbox' }, name: { value: 'Gift wrap' },
+                properties: [{ name: 'checked', value: { value: 'mixed' } }, { name: 'invalid', value: { value: 'false' } }]
+            },
+            {
+                nodeId: '5', role: { value: 'heading' }, name: { value: 'Basket' },
+                properties: [{ name: 'level', value: { value: 1 } }, { name: 'disabled', value: { value: false } }]
+            }
+        ];
+
+        test('maps roles and properties like the Playwright snapshot', () => {
+            assert.deepStrictEqual(accessibilityTreeFromProtocol(nodes), {
+                role: 'WebArea',
+                name: 'Shop',
+                children: [
+                    { role: 'link', name: 'Cart', children: [{ role: 'text', name: 'Cart' }] },
+                    { role: 'checkbox', name: 'Gift wrap', checked: 'mixed' },
+                    { role: 'heading', name: 'Basket', level: 1 }
+                ]
+            });
+        });
+
+        test('marks links visited by their DOM node', () => {
+            const tree = accessibilityTreeFromProtocol(nodes, backendNodeId => backendNodeId === 10);
+            assert.strictEqual(tree?.children?.[0].visited, true);
+            assert.strictEqual(new VirtualScreenReader(tree).press('k'), 'link, visited, Cart');
+        });
+
+        test('returns null for an empty tree', () => {
+            assert.strictEqual(accessibilityTreeFromProtocol([]), null);
+        });
+    });
+});
@@ -0,0 +1,22 @@
+/**
+ * Chromium launch options shared by the testers and the PDF report renderer
+ */
+
+import { LaunchOptions } from 'playwright';
+
+export function getChromiumLaunchOptions(headless: boolean): LaunchOptions {
+    const launchOptions: LaunchOptions = {
+        headless,
+        timeout: 60000,
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+    };
+
+    // Check if we should use system browser (for corporate environments)
+    // Set environment variable: ACCESSLINT_USE_SYSTEM_BROWSER=chrome or msedge
+    const useSystemBrowser = process.env.ACCESSLINT_USE_SYSTEM_BROWSER;
+    if (useSystemBrowser) {
+        launchOptions.channel = useSystemBrowser;
+    }
+
+    return launchOptions;
+}
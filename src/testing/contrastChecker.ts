@@ -0,0 +1,391 @@
+/**
+ * Color Contrast Checker
+ *
+ * Measures WCAG 1.4.3 text contrast and 1.4.11 non-text contrast from computed styles.
+ * The page side only collects colors; compositing (opacity, stacked translucent backgrounds),
+ * ratio math and passing-color suggestions happen here so they stay deterministic.
+ * Text drawn over background images or gradients cannot be measured from styles alone and is
+ * reported as "needs review".
+ */
+
+import { Page } from 'playwright';
+import { AccessibilityIssue } from '../accessibilityTester';
+import { ensurePageHelpers } from './pageHelpers';
+
+export interface RGBA {
+    r: number;
+    g: number;
+    b: number;
+    a: number;
+}
+
+interface ContrastSample {
+    kind: 'text' | 'border' | 'focus';
+    selector: string;
+    snippet: string;
+    text?: string;
+    foreground: string;
+    /** Background colors from the element outward, nearest first */
+    backgrounds: string[];
+    /** Product of the opacity of the element and its ancestors */
+    opacity: number;
+    fontSize: number;
+    fontWeight: number;
+    hasBackgroundImage: boolean;
+    /** Composited fill of the control itself (border samples only) */
+    fill?: string;
+}
+
+const WHITE: RGBA = { r: 255, g: 255, b: 255, a: 1 };
+const MAX_TEXT_SAMPLES = 300;
+const MAX_COMPONENT_SAMPLES = 40;
+const MAX_ISSUES_PER_KIND = 25;
+
+// ==================== COLOR MATH ====================
+
+/**
+ * Parse a computed CSS color (rgb()/rgba()/transparent). Returns null for colors we cannot measure.
+ */
+export function parseColor(value: string): RGBA | null {
+    const trimmed = value.trim().toLowerCase();
+    if (trimmed === 'transparent') {
+        return { r: 0, g: 0, b: 0, a: 0 };
+    }
+
+    const match = trimmed.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/);
+    if (!match) {
+        return null;
+    }
+
+    let alpha = 1;
+    if (match[4] !== undefined) {
+        alpha = match[4].endsWith('%') ? parseFloat(match[4]) / 100 : parseFloat(match[4]);
+    }
+
+    return { r: parseFloat(match[1]), g: parseFloat(match[2]), b: parseFloat(match[3]), a: alpha };
+}
+
+/**
+ * Alpha-composite a color over an opaque backdrop
+ */
+export function composite(top: RGBA, bottom: RGBA): RGBA {
+    const a = top.a;
+    return {
+        r: top.r * a + bottom.r * (1 - a),
+        g: top.g * a + bottom.g * (1 - a),
+        b: top.b * a + bottom.b * (1 - a),
+        a: 1
+    };
+}
+
+/**
+ * Flatten a stack of backgrounds (nearest first) onto the white canvas
+ */
+export function resolveBackground(layers: RGBA[]): RGBA {
+    let result = WHITE;
+    for (let i = layers.length - 1; i >= 0; i--) {
+        result = composite(layers[i], result);
+    }
+    return result;
+}
+
+export function relativeLuminance(color: RGBA): number {
+    const channel = (value: number) => {
+        const c = value / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(color.r) + 0.7152 * channel(color.g) + 0.0722 * channel(color.b);
+}
+
+export function contrastRatio(a: RGBA, b: RGBA): number {
+    const l1 = relativeLuminance(a);
+    const l2 = relativeLuminance(b);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+export function toHex(color: RGBA): string {
+    const hex = (value: number) => Math.round(Math.max(0, Math.min(255, value))).toString(16).padStart(2, '0');
+    return `#${hex(color.r)}${hex(color.g)}${hex(color.b)}`;
+}
+
+/**
+ * Closest color to `foreground` (same hue, shifted toward black or white) that meets `target` on `background`
+ */
+export function suggestPassingColor(foreground: RGBA, background: RGBA, target: number): RGBA {
+    const towardBlack = relativeLuminance(background) > 0.18;
+    const goal = towardBlack ? { r: 0, g: 0, b: 0, a: 1 } : WHITE;
+
+    for (let step = 1; step <= 100; step++) {
+        const t = step / 100;
+        const candidate: RGBA = {
+            r: foreground.r + (goal.r - foreground.r) * t,
+            g: foreground.g + (goal.g - foreground.g) * t,
+            b: foreground.b + (goal.b - foreground.b) * t,
+            a: 1
+        };
+        if (contrastRatio(candidate, background) >= target) {
+            return candidate;
+        }
+    }
+
+    return goal;
+}
+
+export function isLargeText(fontSizePx: number, fontWeight: number): boolean {
+    // 18pt regular or 14pt bold (1pt = 1.333px)
+    return fontSizePx >= 24 || (fontSizePx >= 18.66 && fontWeight >= 700);
+}
+
+// ==================== PAGE CHECK ====================
+
+/**
+ * Sample text, control borders and focus indicators on the page and report contrast failures
+ */
+export async function checkColorContrast(page: Page): Promise<AccessibilityIssue[]> {
+    await ensurePageHelpers(page);
+
+    const samples = await page.evaluate(({ maxText, maxComponents }) => {
+        const { selectorFor, snippetFor, isHidden } = window.__accesslint!;
+        const results: ContrastSample[] = [];
+
+        const backgroundChain = (el: Element | null) => {
+            const backgrounds: string[] = [];
+            let hasBackgroundImage = false;
+            for (let current = el; current; current = current.parentElement) {
+                const style = getComputedStyle(current);
+                backgrounds.push(style.backgroundColor);
+                if (style.backgroundImage && style.backgroundImage !== 'none') {
+                    hasBackgroundImage = true;
+                }
+                if (/^rgb\(/.test(style.backgroundColor)) {
+                    break; // opaque layer, nothing below shows through
+                }
+            }
+            return { backgrounds, hasBackgroundImage };
+        };
+
+        const opacityOf = (el: Element) => {
+            let opacity = 1;
+            for (let current: Element | null = el; current; current = current.parentElement) {
+                opacity *= parseFloat(getComputedStyle(current).opacity || '1');
+            }
+            return opacity;
+        };
+
+        const overlapsMedia = (el: Element) => {
+            const rect = el.getBoundingClientRect();
+            return Array.from(document.querySelectorAll('img, video, canvas, picture')).some(media => {
+                if (media.contains(el) || el.contains(media)) {
+                    return false;
+                }
+                const m = media.getBoundingClientRect();
+                const overlaps = rect.left < m.right && rect.right > m.left && rect.top < m.bottom && rect.bottom > m.top;
+                if (!overlaps) {
+                    return false;
+                }
+                // Only media painted below the text matters
+                const position = media.compareDocumentPosition(el);
+                return (position & Node.DOCUMENT_POSITION_FOLLOWING) !== 0;
+            });
+        };
+
+        // ---------- Text (1.4.3) ----------
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT);
+        let textCount = 0;
+        for (let node = walker.nextNode(); node && textCount < maxText; node = walker.nextNode()) {
+            const el = node as Element;
+            if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'OPTION', 'TEMPLATE'].includes(el.tagName)) {
+                continue;
+            }
+            const ownText = Array.from(el.childNodes)
+                .filter(child => child.nodeType === 3)
+                .map(child => child.textContent || '')
+                .join('')
+                .trim();
+            if (!ownText || isHidden(el)) {
+                continue;
+            }
+            // Disabled controls are exempt (inactive user interface components)
+            if ((el as HTMLButtonElement).disabled || el.closest('[aria-disabled="true"], fieldset:disabled')) {
+                continue;
+            }
+
+            const style = getComputedStyle(el);
+            const chain = backgroundChain(el);
+            results.push({
+                kind: 'text',
+                selector: selectorFor(el),
+                snippet: snippetFor(el),
+                text: ownText.slice(0, 80),
+                foreground: style.color,
+                backgrounds: chain.backgrounds,
+                opacity: opacityOf(el),
+                fontSize: parseFloat(style.fontSize),
+                fontWeight: parseInt(style.fontWeight, 10) || 400,
+                hasBackgroundImage: chain.hasBackgroundImage || overlapsMedia(el)
+            });
+            textCount++;
+        }
+
+        // ---------- Component boundaries (1.4.11) ----------
+        // Buttons whose visible text identifies them need no boundary, so only icon buttons count
+        const hasVisibleText = (el: Element) => el.tagName === 'INPUT'
+            ? ['submit', 'button', 'reset'].includes((el as HTMLInputElement).type) && !!(el as HTMLInputElement).value.trim()
+            : el.tagName === 'BUTTON' && !!(el as HTMLElement).innerText.trim();
+        const controls = Array.from(document.querySelectorAll(
+            'input:not([type="hidden"]):not([type="checkbox"]):not([type="radio"]):not([type="range"]):not([type="color"]):not([type="image"]), select, textarea, button'
+        )).filter(el => !isHidden(el) && !(el as HTMLInputElement).disabled && !hasVisibleText(el)).slice(0, maxComponents);
+
+        for (const el of controls) {
+            const style = getComputedStyle(el);
+            const outer = backgroundChain(el.parentElement);
+            const borderWidth = Math.max(
+                parseFloat(style.borderTopWidth), parseFloat(style.borderRightWidth),
+                parseFloat(style.borderBottomWidth), parseFloat(style.borderLeftWidth)
+            ) || 0;
+            results.push({
+                kind: 'border',
+                selector: selectorFor(el),
+                snippet: snippetFor(el),
+                foreground: borderWidth > 0 && style.borderTopStyle !== 'none' ? style.borderTopColor : 'transparent',
+                fill: style.backgroundColor,
+                backgrounds: outer.backgrounds,
+                opacity: opacityOf(el),
+                fontSize: parseFloat(style.fontSize),
+                fontWeight: parseInt(style.fontWeight, 10) || 400,
+                hasBackgroundImage: outer.hasBackgroundImage || (style.backgroundImage !== 'none')
+            });
+        }
+
+        // ---------- Focus indicators (1.4.11) ----------
+        const previouslyFocused = document.activeElement as HTMLElement | null;
+        const focusables = Array.from(document.querySelectorAll<HTMLElement>(
+            'a[href], button, input:not([type="hidden"]), select, textarea, [tabindex]:not([tabindex="-1"])'
+        )).filter(el => !isHidden(el) && !(el as HTMLInputElement).disabled).slice(0, maxComponents);
+
+        for (const el of focusables) {
+            el.focus({ preventScroll: true });
+            if (document.activeElement !== el) {
+                continue;
+            }
+            const style = getComputedStyle(el);
+            const hasOutline = style.outlineStyle !== 'none' && parseFloat(style.outlineWidth) > 0;
+            if (hasOutline) {
+                const outer = backgroundChain(el.parentElement);
+                results.push({
+                    kind: 'focus',
+                    selector: selectorFor(el),
+                    snippet: snippetFor(el),
+                    foreground: style.outlineColor,
+                    backgrounds: outer.backgrounds,
+                    opacity: opacityOf(el),
+                    fontSize: parseFloat(style.fontSize),
+                    fontWeight: parseInt(style.fontWeight, 10) || 400,
+                    hasBackgroundImage: outer.hasBackgroundImage
+                });
+            }
+            el.blur();
+        }
+        if (previouslyFocused && previouslyFocused.focus) {
+            previouslyFocused.focus({ preventScroll: true });
+        }
+
+        return results;
+    }, { maxText: MAX_TEXT_SAMPLES, maxComponents: MAX_COMPONENT_SAMPLES });
+
+    return evaluateContrastSamples(samples);
+}
+
+function evaluateContrastSamples(samples: ContrastSample[]): AccessibilityIssue[] {
+    const issues: AccessibilityIssue[] = [];
+    const counts: Record<string, number> = {};
+
+    const push = (ruleId: string, issue: AccessibilityIssue) => {
+        counts[ruleId] = (counts[ruleId] || 0) + 1;
+        if (counts[ruleId] <= MAX_ISSUES_PER_KIND) {
+            issues.push({ ...issue, ruleId, source: 'rules' });
+        }
+    };
+
+    for (const sample of samples) {
+        const layers = sample.backgrounds.map(parseColor);
+        const foreground = parseColor(sample.foreground);
+        if (!foreground || layers.some(layer => layer === null)) {
+            continue; // Colors in spaces we cannot measure (e.g. color-mix/oklch) are skipped
+        }
+
+        const background = resolveBackground(layers as RGBA[]);
+
+        if (sample.kind === 'text') {
+            if (sample.hasBackgroundImage) {
+                push('contrast-needs-review', {
+                    criterion: '1.4.3 Contrast (Minimum)',
+                    severity: 'info',
+                    description: `Text "${sample.text}" is drawn over a background image or gradient - contrast needs manual review`,
+                    element: sample.snippet,
+                    location: sample.selector,
+                    recommendation: 'Check the lightest and darkest parts of the image behind the text, or add a solid/scrim background behind it'
+                });
+                continue;
+            }
+
+            const effective = composite({ ...foreground, a: foreground.a * sample.opacity }, background);
+            const ratio = contrastRatio(effective, background);
+            const large = isLargeText(sample.fontSize, sample.fontWeight);
+            const required = large ? 3 : 4.5;
+
+            if (ratio < required) {
+                const suggestion = suggestPassingColor(effective, background, required);
+                push('color-contrast', {
+                    criterion: '1.4.3 Contrast (Minimum)',
+                    severity: 'error',
+                    description: `Text "${sample.text}" has contrast ${ratio.toFixed(2)}:1 (${toHex(effective)} on ${toHex(background)}), below ${required}:1 for ${large ? 'large' : 'normal'} text`,
+                    element: sample.snippet,
+                    location: sample.selector,
+                    recommendation: `Use ${toHex(suggestion)} for the text (${contrastRatio(suggestion, background).toFixed(2)}:1) or adjust the background`
+                });
+            }
+            continue;
+        }
+
+        if (sample.hasBackgroundImage) {
+            continue;
+        }
+
+        if (sample.kind === 'border') {
+            // A control is distinguishable if either its fill or its border reaches 3:1 against the surroundings
+            const fill = parseColor(sample.fill || 'transparent');
+            const fillRatio = fill ? contrastRatio(composite(fill, background), background) : 1;
+            const borderRatio = foreground.a > 0 ? contrastRatio(composite(foreground, background), background) : 1;
+
+            if (fillRatio < 3 && borderRatio < 3) {
+                const suggestion = toHex(suggestPassingColor(foreground.a > 0 ? composite(foreground, background) : background, background, 3));
+                push('non-text-contrast', {
+                    criterion: '1.4.11 Non-text Contrast',
+                    severity: 'warning',
+                    description: `Control boundary has contrast ${Math.max(fillRatio, borderRatio).toFixed(2)}:1 against its background, below 3:1`,
+                    element: sample.snippet,
+                    location: sample.selector,
+                    recommendation: `Give the control a border of at least ${suggestion} (3:1) or a fill that contrasts with the page`
+                });
+            }
+            continue;
+        }
+
+        const indicator = composite(foreground, background);
+        const ratio = contrastRatio(indicator, background);
+        if (ratio < 3) {
+            const suggestion = toHex(suggestPassingColor(indicator, background, 3));
+            push('focus-indicator-contrast', {
+                criterion: '1.4.11 Non-text Contrast',
+                severity: 'warning',
+                description: `Focus indicator (${toHex(indicator)}) has contrast ${ratio.toFixed(2)}:1 against ${toHex(background)}, below 3:1`,
+                element: sample.snippet,
+                location: sample.selector,
+                recommendation: `Use an outline color such as ${suggestion} in :focus-visible styles`
+            });
+        }
+    }
+
+    return issues;
+}
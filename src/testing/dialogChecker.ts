@@ -0,0 +1,333 @@
+/**
+ * Dialog Checker
+ *
+ * Opens each dialog the page offers (aria-haspopup="dialog", aria-controls pointing at a dialog,
+ * popover and common modal-library triggers) from the keyboard and checks the behaviours
+ * screen reader and keyboard users depend on:
+ *   - the dialog has a dialog role and an accessible name (4.1.2)
+ *   - focus moves into the dialog and Tab stays inside a modal one (2.4.3)
+ *   - the content behind a modal dialog is inert or aria-hidden (4.1.2)
+ *   - Escape closes it (2.1.1) and focus returns to the trigger (2.4.3)
+ * Every issue carries the exact key sequence that reproduces it.
+ */
+
+import { Page } from 'playwright';
+import { AccessibilityIssue } from '../accessibilityTester';
+import { ensurePageHelpers } from './pageHelpers';
+import { DESTRUCTIVE_LABEL } from './safety';
+
+interface DialogTrigger {
+    selector: string;
+    label: string;
+}
+
+interface OpenDialog {
+    selector: string;
+    snippet: string;
+    role: string;
+    name: string;
+    modal: boolean;
+    /** Opened with showModal(), so the browser makes the rest of the page inert */
+    nativeModal: boolean;
+    ariaModal: boolean;
+    focusInside: boolean;
+    /** Background elements a screen reader can still reach */
+    exposedBackground: string[];
+}
+
+const MAX_TRIGGERS = 5;
+const MAX_TABS_IN_DIALOG = 20;
+const OPEN_SETTLE_MS = 500;
+const CLOSE_SETTLE_MS = 300;
+
+const DIALOG_SELECTOR = 'dialog[open], [role="dialog"], [role="alertdialog"], [aria-modal="true"], [popover]:popover-open';
+const CLOSE_BUTTON_SELECTOR = '[aria-label*="close" i], [aria-label*="dismiss" i], [data-dismiss], [data-bs-dismiss], button.close, .btn-close, button[value="cancel"]';
+
+/**
+ * Open every dialog trigger on the page and report dialog focus-management failures
+ */
+export async function checkDialogs(page: Page): Promise<AccessibilityIssue[]> {
+    await ensurePageHelpers(page);
+    const triggers = await findDialogTriggers(page);
+    const issues: AccessibilityIssue[] = [];
+
+    for (const trigger of triggers) {
+        const result = await exerciseDialog(page, trigger);
+        issues.push(...result.issues);
+        if (!result.closed) {
+            // The page is stuck behind an open dialog; later triggers cannot be reached reliably
+            break;
+        }
+    }
+
+    return issues;
+}
+
+async function findDialogTriggers(page: Page): Promise<DialogTrigger[]> {
+    return page.evaluate(({ dialogSelector, maxTriggers, destructive }) => {
+        const { selectorFor, isHidden } = window.__accesslint!;
+        const isDestructive = new RegExp(destructive, 'i');
+        const labelOf = (el: Element) => (el.getAttribute('aria-label') || (el as HTMLElement).innerText || '').replace(/\s+/g, ' ').trim().slice(0, 60);
+        const controlsDialog = (el: Element) => (el.getAttribute('aria-controls') || '').split(/\s+/).filter(Boolean)
+            .map(id => document.getElementById(id))
+            .some(target => !!target && (target.matches('dialog, [role="dialog"], [role="alertdialog"]')));
+        const opensDialogByText = /^(open|show) .*(dialog|modal|popup)|^(sign in|log ?in|share|settings|preferences|filters?)$/i;
+        const submitsForm = (el: Element) => !!(el as HTMLButtonElement).form &&
+            ((el.tagName === 'BUTTON' && (el as HTMLButtonElement).type === 'submit') || (el.tagName === 'INPUT' && ['submit', 'image'].includes((el as HTMLInputElement).type)));
+        // A label alone is weak evidence, so only trust it on buttons that cannot submit anything
+        const scriptOnlyButton = (el: Element) => el.tagName === 'BUTTON' && el.getAttribute('type') === 'button' && !el.closest('form');
+
+        const candidates = Array.from(document.querySelectorAll(
+            '[aria-haspopup="dialog"], [aria-controls], [popovertarget], [data-toggle="modal"], [data-bs-toggle="modal"], [data-modal-target], [data-open-modal], button, [role="button"]'
+        ));
+        const seen = new Set<string>();
+        return candidates
+            .filter(el => {
+                // Enter or a click on a submit button would leave the page under test
+                if (isHidden(el) || (el as HTMLButtonElement).disabled || el.closest(dialogSelector) || submitsForm(el) || isDestructive.test(labelOf(el))) {
+                    return false;
+                }
+                return el.getAttribute('aria-haspopup') === 'dialog' ||
+                    controlsDialog(el) ||
+                    el.hasAttribute('popovertarget') ||
+                    el.matches('[data-toggle="modal"], [data-bs-toggle="modal"], [data-modal-target], [data-open-modal]') ||
+                    /showModal|openModal|openDialog/.test(el.getAttribute('onclick') || '') ||
+                    (scriptOnlyButton(el) && opensDialogByText.test(labelOf(el)));
+            })
+            .map(el => ({ selector: selectorFor(el), label: labelOf(el) || el.tagName.toLowerCase() }))
+            .filter(trigger => {
+                if (seen.has(trigger.selector)) {
+                    return false;
+                }
+                seen.add(trigger.selector);
+                return true;
+            })
+            .slice(0, maxTriggers);
+    }, { dialogSelector: DIALOG_SELECTOR, maxTriggers: MAX_TRIGGERS, destructive: DESTRUCTIVE_LABEL.source });
+}
+
+/**
+ * Open one dialog with the keyboard, run the checks and close it again
+ */
+async function exerciseDialog(page: Page, trigger: DialogTrigger): Promise<{ issues: AccessibilityIssue[]; closed: boolean }> {
+    const issues: AccessibilityIssue[] = [];
+    const steps: string[] = [`Focus "${trigger.label}" (${trigger.selector})`];
+    const report = (criterion: string, severity: AccessibilityIssue['severity'], description: string, recommendation: string, ruleId: string, dialog?: OpenDialog) => {
+        issues.push({
+            criterion,
+            severity,
+            description: `${description} (dialog opened by "${trigger.label}")`,
+            element: dialog?.snippet,
+            location: dialog?.selector ?? trigger.selector,
+            recommendation,
+            ruleId,
+            source: 'rules',
+            steps: [...steps]
+        });
+    };
+
+    const alreadyOpen = await openDialogSelectors(page);
+    try {
+        await page.locator(trigger.selector).first().focus({ timeout: OPEN_SETTLE_MS * 4 });
+    } catch {
+        return { issues, closed: true };
+    }
+
+    steps.push('Press Enter');
+    await page.keyboard.press('Enter');
+    await page.waitForTimeout(OPEN_SETTLE_MS);
+    let dialog = await readOpenDialog(page, alreadyOpen);
+
+    if (!dialog) {
+        // Some triggers only listen for clicks
+        try {
+            await page.locator(trigger.selector).first().click({ timeout: OPEN_SETTLE_MS * 4 });
+        } catch {
+            return { issues, closed: true };
+        }
+        await page.waitForTimeout(OPEN_SETTLE_MS);
+        dialog = await readOpenDialog(page, alreadyOpen);
+        if (!dialog) {
+            return { issues, closed: true };
+        }
+        report('2.1.1 Keyboard', 'error', 'Dialog opens on mouse click but not with Enter on its trigger',
+            'Use a <button> as the trigger, or handle Enter and Space on the custom control', 'dialog-trigger-not-keyboard', dialog);
+        steps.splice(1, 1, 'Click the trigger');
+    }
+
+    // Role and name
+    if (!dialog.role) {
+        report('4.1.2 Name, Role, Value', 'error', 'Overlay opened but is not exposed as a dialog',
+            'Use <dialog> opened with showModal(), or add role="dialog" and aria-modal="true" to the overlay container', 'dialog-role-missing', dialog);
+    } else if (dialog.modal && !dialog.nativeModal && !dialog.ariaModal) {
+        report('4.1.2 Name, Role, Value', 'warning', 'Modal dialog does not set aria-modal="true"',
+            'Add aria-modal="true" so screen readers confine browsing to the dialog', 'dialog-aria-modal-missing', dialog);
+    }
+    if (!dialog.name) {
+        report('4.1.2 Name, Role, Value', 'error', 'Dialog has no accessible name',
+            'Point aria-labelledby at the dialog heading, or add aria-label', 'dialog-name-missing', dialog);
+    }
+
+    // Focus moves in
+    if (!dialog.focusInside) {
+        report('2.4.3 Focus Order', 'error', 'Focus stays outside the dialog when it opens',
+            'Move focus to the first focusable element (or the dialog heading with tabindex="-1") when the dialog opens', 'dialog-focus-not-moved', dialog);
+    }
+
+    // Background hidden from assistive technology
+    if (dialog.modal && !dialog.nativeModal && dialog.exposedBackground.length > 0) {
+        report('4.1.2 Name, Role, Value', dialog.ariaModal ? 'warning' : 'error',
+            `Content behind the modal dialog is not inert or aria-hidden (${dialog.exposedBackground.slice(0, 3).join(', ')}${dialog.exposedBackground.length > 3 ? ', …' : ''})`,
+            'Set the inert attribute on the page content outside the dialog while it is open, or use <dialog> with showModal()', 'dialog-background-exposed', dialog);
+    }
+
+    // Tab stays inside a modal dialog
+    if (dialog.modal) {
+        for (let i = 1; i <= MAX_TABS_IN_DIALOG; i++) {
+            await page.keyboard.press('Tab');
+            const escaped = await focusOutside(page, dialog.selector);
+            if (escaped !== null) {
+                steps.push(`Press Tab ×${i}`);
+                report('2.4.3 Focus Order', 'error', `Tab moves focus out of the modal dialog to ${escaped}`,
+                    'Keep Tab and Shift+Tab cycling through the dialog while it is open', 'dialog-focus-not-contained', dialog);
+                break;
+            }
+            if (i === MAX_TABS_IN_DIALOG) {
+                steps.push(`Press Tab ×${i}`);
+            }
+        }
+    }
+
+    // Escape closes and focus returns
+    steps.push('Press Escape');
+    await page.keyboard.press('Escape');
+    await page.waitForTimeout(CLOSE_SETTLE_MS);
+    let closed = !(await isStillOpen(page, dialog.selector));
+
+    if (!closed) {
+        const closeButton = page.locator(`${dialog.selector} :is(${CLOSE_BUTTON_SELECTOR})`).first();
+        const hasCloseButton = await closeButton.count().catch(() => 0) > 0;
+        report('2.1.1 Keyboard', hasCloseButton ? 'warning' : 'error', 'Escape does not close the dialog',
+            'Close the dialog on Escape and return focus to the control that opened it', 'dialog-escape-not-closing', dialog);
+        if (hasCloseButton) {
+            steps.push('Activate the close button');
+            await closeButton.click({ timeout: OPEN_SETTLE_MS * 4 }).catch(() => undefined);
+            await page.waitForTimeout(CLOSE_SETTLE_MS);
+            closed = !(await isStillOpen(page, dialog.selector));
+        }
+    }
+
+    if (closed) {
+        const returned = await page.evaluate((triggerSelector) => {
+            const trigger = document.querySelector(triggerSelector);
+            const active = document.activeElement;
+            return !!trigger && !!active && (active === trigger || trigger.contains(active));
+        }, trigger.selector);
+        if (!returned) {
+            report('2.4.3 Focus Order', 'error', 'Focus does not return to the trigger when the dialog closes',
+                'Store the element that opened the dialog and focus it again when the dialog closes', 'dialog-focus-not-returned', dialog);
+        }
+    }
+
+    return { issues, closed };
+}
+
+async function openDialogSelectors(page: Page): Promise<string[]> {
+    return page.evaluate((dialogSelector) => {
+        const { selectorFor, isHidden } = window.__accesslint!;
+        return Array.from(document.querySelectorAll(dialogSelector)).filter(el => !isHidden(el)).map(el => selectorFor(el));
+    }, DIALOG_SELECTOR);
+}
+
+/**
+ * The dialog (or dialog-like overlay) that appeared since `alreadyOpen` was taken
+ */
+async function readOpenDialog(page: Page, alreadyOpen: string[]): Promise<OpenDialog | null> {
+    return page.evaluate(({ dialogSelector, alreadyOpen }) => {
+        const { selectorFor, snippetFor, isHidden } = window.__accesslint!;
+        const isNew = (el: Element) => !isHidden(el) && !alreadyOpen.includes(selectorFor(el));
+
+        let dialog = Array.from(document.querySelectorAll(dialogSelector)).find(isNew) || null;
+        if (!dialog) {
+            // Overlays built from plain divs: a large fixed-position layer that holds controls
+            const viewportArea = window.innerWidth * window.innerHeight;
+            dialog = Array.from(document.body.querySelectorAll('*')).find(el => {
+                const style = getComputedStyle(el);
+                const rect = el.getBoundingClientRect();
+                return style.position === 'fixed' && isNew(el) && rect.width * rect.height > viewportArea * 0.1 &&
+                    !!el.querySelector('button, a[href], input, select, textarea, [tabindex]');
+            }) || null;
+        }
+        if (!dialog) {
+            return null;
+        }
+
+        const role = dialog.tagName === 'DIALOG' ? 'dialog' : (dialog.getAttribute('role') || '').trim();
+        const labelledBy = (dialog.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean)
+            .map(id => document.getElementById(id)?.textContent || '').join(' ');
+        const name = (dialog.getAttribute('aria-label') || labelledBy || dialog.getAttribute('title') || '').replace(/\s+/g, ' ').trim();
+
+        const nativeModal = dialog.matches('dialog:modal');
+        const ariaModal = dialog.getAttribute('aria-modal') === 'true';
+        const rect = dialog.getBoundingClientRect();
+        const coversPage = rect.width * rect.height > window.innerWidth * window.innerHeight * 0.5;
+        const backdrop = Array.from(document.body.querySelectorAll('[class*="backdrop" i], [class*="overlay" i]')).some(el => !isHidden(el) && !el.contains(dialog));
+        const modal = nativeModal || ariaModal || (dialog.getAttribute('aria-modal') !== 'false' && (coversPage || backdrop));
+
+        // Everything beside the dialog's ancestors must be hidden from assistive technology
+        const exposed: string[] = [];
+        for (let current: Element | null = dialog; current && current !== document.body; current = current.parentElement) {
+            const parent: Element | null = current.parentElement;
+            if (!parent) {
+                break;
+            }
+            for (const sibling of Array.from(parent.children)) {
+                if (sibling === current || ['SCRIPT', 'STYLE', 'TEMPLATE', 'LINK', 'META', 'NOSCRIPT'].includes(sibling.tagName)) {
+                    continue;
+                }
+                const hidden = sibling.closest('[inert], [aria-hidden="true"]') || isHidden(sibling);
+                if (!hidden && (sibling.textContent || '').trim()) {
+                    exposed.push(selectorFor(sibling));
+                }
+            }
+        }
+
+        const active = document.activeElement;
+        return {
+            selector: selectorFor(dialog),
+            snippet: snippetFor(dialog),
+            role: ['dialog', 'alertdialog'].includes(role) ? role : '',
+            name,
+            modal,
+            nativeModal,
+            ariaModal,
+            focusInside: !!active && dialog.contains(active),
+            exposedBackground: exposed
+        };
+    }, { dialogSelector: DIALOG_SELECTOR, alreadyOpen });
+}
+
+/**
+ * Selector of the focused element when it is outside the dialog, null while focus is inside
+ */
+async function focusOutside(page: Page, dialogSelector: string): Promise<string | null> {
+    return page.evaluate((selector) => {
+        const dialog = document.querySelector(selector);
+        const active = document.activeElement;
+        if (!dialog || !active || dialog.contains(active)) {
+            return null;
+        }
+        // showModal() lets Tab reach the browser toolbar, never the inert page behind
+        if (active === document.body && dialog.matches('dialog:modal')) {
+            return null;
+        }
+        return active === document.body ? 'the page body' : window.__accesslint!.selectorFor(active);
+    }, dialogSelector);
+}
+
+async function isStillOpen(page: Page, dialogSelector: string): Promise<boolean> {
+    return page.evaluate((selector) => {
+        const dialog = document.querySelector(selector);
+        return !!dialog && !window.__accesslint!.isHidden(dialog) && !(dialog.tagName === 'DIALOG' && !(dialog as HTMLDialogElement).open);
+    }, dialogSelector);
+}
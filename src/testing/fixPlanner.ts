@@ -0,0 +1,61 @@
+/**
+ * Fix planning
+ *
+ * Splits the issues picked in the Testing view into groups that the agent fixes one focused
+ * session at a time: one group per WCAG criterion, with large groups cut into batches so a busy
+ * page never overflows the agent's context and each batch of edits stays small enough to review.
+ */
+
+import { AccessibilityIssue } from '../accessibilityTester';
+import { parseCriterion } from '../reporting/wcag';
+
+export interface FixGroup {
+    /** Criterion the group covers, e.g. "1.1.1 Non-text Content" */
+    criterion: string;
+    issues: AccessibilityIssue[];
+    /** Files the agent should look at first: mapped sources, then workspace guesses */
+    files: string[];
+    prompt: string;
+}
+
+export const MAX_ISSUES_PER_SESSION = 10;
+
+const SEVERITY_ORDER: Record<AccessibilityIssue['severity'], number> = { error: 0, warning: 1, info: 2 };
+
+/**
+ * Group issues by criterion, most severe groups first, in batches of at most `batchSize`
+ */
+export function groupIssuesForFix(
+    issues: AccessibilityIssue[],
+    batchSize: number = MAX_ISSUES_PER_SESSION
+): { criterion: string; issues: AccessibilityIssue[] }[] {
+    const byCriterion = new Map<string, AccessibilityIssue[]>();
+    for (const issue of issues) {
+        const { id, title } = parseCriterion(issue.criterion);
+        const key = id || title;
+        byCriterion.set(key, [...(byCriterion.get(key) || []), issue]);
+    }
+
+    const worstSeverity = (group: AccessibilityIssue[]) => Math.min(...group.map(issue => SEVERITY_ORDER[issue.severity]));
+    const groups = Array.from(byCriterion.values()).sort((a, b) =>
+        worstSeverity(a) - worstSeverity(b) ||
+        a[0].criterion.localeCompare(b[0].criterion, 'en', { numeric: true })
+    );
+
+    return groups.flatMap(group => {
+        const sorted = [...group].sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+        const batches: { criterion: string; issues: AccessibilityIssue[] }[] = [];
+        for (let i = 0; i < sorted.length; i += batchSize) {
+            batches.push({ criterion: sorted[0].criterion, issues: sorted.slice(i, i + batchSize) });
+        }
+        return batches;
+    });
+}
+
+/**
+ * Source files the issues were traced to, followed by the other candidate files
+ */
+export function targetFilesFor(issues: AccessibilityIssue[], candidates: string[]): string[] {
+    const mapped = Array.from(new Set(issues.filter(issue => issue.sourceLocation).map(issue => issue.sourceLocation!.file)));
+    return [...mapped, ...candidates.filter(file => !mapped.includes(file))];
+}
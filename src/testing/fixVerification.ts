@@ -0,0 +1,116 @@
+/**
+ * Fix verification
+ *
+ * After the agent edits code, the page is audited again and both runs are compared by issue
+ * fingerprint: issues that disappeared are fixed, issues in both runs are still failing and
+ * issues only in the new run were introduced by the edits. AI findings are left out of the
+ * comparison because their wording changes from run to run.
+ */
+
+import fetch from 'node-fetch';
+import { AccessibilityIssue, TestResult } from '../accessibilityTester';
+import { fingerprintIssue } from '../reporting/baseline';
+
+export interface FixVerification {
+    fixed: AccessibilityIssue[];
+    stillFailing: AccessibilityIssue[];
+    introduced: AccessibilityIssue[];
+}
+
+export type FixVerificationStatus = 'fixed' | 'still-failing' | 'introduced';
+
+/**
+ * One row of the table shown in the Testing view and stored with the TestingFix
+ */
+export interface FixVerificationRow {
+    status: FixVerificationStatus;
+    criterion: string;
+    severity: AccessibilityIssue['severity'];
+    description: string;
+    location?: string;
+}
+
+// Time for the dev server to notice the edits and rebuild before we start polling
+const HMR_SETTLE_MS = 3000;
+const DEV_SERVER_TIMEOUT_MS = 60000;
+const POLL_INTERVAL_MS = 500;
+
+/**
+ * Issues the comparison covers: deterministic checks only
+ */
+export function verifiableIssues(result: Pick<TestResult, 'issues'>): AccessibilityIssue[] {
+    return result.issues.filter(issue => issue.source !== 'ai');
+}
+
+/**
+ * Compare the runs before and after a fix. With `targeted`, fixed and still-failing only cover
+ * the issues the agent was asked to fix; the others were left alone on purpose.
+ */
+export function compareFixResults(before: TestResult, after: TestResult, targeted?: AccessibilityIssue[]): FixVerification {
+    const remaining = new Map<string, AccessibilityIssue[]>();
+    for (const issue of verifiableIssues(before)) {
+        const fingerprint = fingerprintIssue(issue, before);
+        remaining.set(fingerprint, [...(remaining.get(fingerprint) || []), issue]);
+    }
+
+    const verification: FixVerification = { fixed: [], stillFailing: [], introduced: [] };
+    for (const issue of verifiableIssues(after)) {
+        const matches = remaining.get(fingerprintIssue(issue, after));
+        if (matches && matches.length > 0) {
+            matches.pop();
+            verification.stillFailing.push(issue);
+        } else {
+            verification.introduced.push(issue);
+        }
+    }
+    verification.fixed = [...remaining.values()].flat();
+
+    if (targeted) {
+        const targetedFingerprints = new Set(targeted.map(issue => fingerprintIssue(issue, before)));
+        const isTargeted = (page: TestResult) => (issue: AccessibilityIssue) => targetedFingerprints.has(fingerprintIssue(issue, page));
+        verification.fixed = verification.fixed.filter(isTargeted(before));
+        verification.stillFailing = verification.stillFailing.filter(isTargeted(after));
+    }
+    return verification;
+}
+
+export function toVerificationTable(verification: FixVerification): FixVerificationRow[] {
+    const rows = (status: FixVerificationStatus, issues: AccessibilityIssue[]) => issues.map(issue => ({
+        status,
+        criterion: issue.criterion,
+        severity: issue.severity,
+        description: issue.description,
+        location: issue.location
+    }));
+    return [
+        ...rows('introduced', verification.introduced),
+        ...rows('still-failing', verification.stillFailing),
+        ...rows('fixed', verification.fixed)
+    ];
+}
+
+/**
+ * Wait until the dev server has had time to hot-reload the edits and answers again.
+ * Servers that restart on change refuse connections for a while, so poll until one succeeds.
+ */
+export async function waitForDevServer(url: string): Promise<boolean> {
+    await delay(HMR_SETTLE_MS);
+
+    const deadline = Date.now() + DEV_SERVER_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        try {
+            const response = await fetch(url);
+            if (response.status < 500) {
+                return true;
+            }
+        } catch {
+            // Server restarting
+        }
+        await delay(POLL_INTERVAL_MS);
+    }
+    return false;
+}
+
+function delay(ms: number): Promise<void> {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,343 @@
+/**
+ * Focus Order Analyzer
+ *
+ * Walks the page with real Tab/Shift+Tab key presses and records every focus stop with its
+ * bounding box. From the recorded path it reports keyboard traps (2.1.2), focus moving backwards
+ * through the layout (2.4.3), focused elements that are invisible or lack a visible indicator
+ * (2.4.7), and focus hidden behind sticky or fixed content (2.4.11). It can also render the path
+ * as a numbered overlay screenshot for the Testing view.
+ */
+
+import { Page } from 'playwright';
+import { AccessibilityIssue } from '../accessibilityTester';
+import { ensurePageHelpers } from './pageHelpers';
+
+export interface FocusStop {
+    index: number;
+    selector: string;
+    snippet: string;
+    name: string;
+    /** Bounding box in document coordinates */
+    rect: { x: number; y: number; width: number; height: number };
+    visible: boolean;
+    /** Share of the element covered by fixed/sticky content, 0..1 */
+    obscured: number;
+    obscuredBy?: string;
+    /** Computed styles that carry a focus indicator while focused */
+    focusStyle: Record<string, string>;
+}
+
+export interface FocusOrderResult {
+    stops: FocusStop[];
+    issues: AccessibilityIssue[];
+    /** PNG data URL of the page with the focus path drawn over it */
+    overlayScreenshot?: string;
+}
+
+const MAX_TAB_STOPS = 150;
+const BACKWARD_JUMP_PX = 40;
+const MAX_ISSUES_PER_RULE = 25;
+
+/**
+ * Tab through the page and analyze the focus path
+ */
+export async function analyzeFocusOrder(page: Page, options: { screenshot?: boolean } = {}): Promise<FocusOrderResult> {
+    await ensurePageHelpers(page);
+
+    await page.evaluate(() => {
+        (document.activeElement as HTMLElement | null)?.blur();
+        window.scrollTo(0, 0);
+    });
+
+    const stops: FocusStop[] = [];
+    const issues: AccessibilityIssue[] = [];
+    let trap: { selectors: string[]; escapedBackwards: boolean } | null = null;
+
+    for (let i = 0; i < MAX_TAB_STOPS; i++) {
+        await page.keyboard.press('Tab');
+        const stop = await readFocusStop(page, stops.length);
+
+        if (!stop) {
+            if (stops.length > 0) {
+                break; // Focus left the document: the walk reached the end of the page
+            }
+            continue;
+        }
+
+        const seenAt = stops.findIndex(s => s.selector === stop.selector);
+        if (seenAt === 0) {
+            break; // Wrapped around to the first stop - normal end of the cycle
+        }
+        if (seenAt > 0) {
+            // Focus cycles without ever returning to the start of the page
+            const cycle = stops.slice(seenAt).map(s => s.selector);
+            trap = { selectors: cycle, escapedBackwards: await canEscapeBackwards(page, cycle) };
+            break;
+        }
+
+        stops.push(stop);
+    }
+
+    // A cycle is only a trap if focusable content outside it is unreachable (modal dialogs are exempt)
+    if (trap) {
+        const trapInfo = await page.evaluate((selectors) => {
+            const elements = selectors.map(s => document.querySelector(s)).filter(Boolean) as Element[];
+            const modal = elements[0]?.closest('dialog[open], [role="dialog"][aria-modal="true"], [role="alertdialog"][aria-modal="true"]');
+            return { insideModal: !!modal && elements.every(el => modal.contains(el)) };
+        }, trap.selectors);
+
+        if (!trapInfo.insideModal) {
+            const first = stops.find(s => s.selector === trap!.selectors[0]);
+            issues.push({
+                criterion: '2.1.2 No Keyboard Trap',
+                severity: trap.escapedBackwards ? 'warning' : 'error',
+                description: trap.escapedBackwards
+                    ? `Tab keeps focus cycling through ${trap.selectors.length} element(s); only Shift+Tab moves out`
+                    : `Keyboard focus is trapped in a cycle of ${trap.selectors.length} element(s) and cannot leave with Tab or Shift+Tab`,
+                element: first?.snippet,
+                location: trap.selectors.join(' → '),
+                recommendation: 'Let Tab and Shift+Tab move past the component, or provide Escape to leave it and document how to do so',
+                ruleId: 'keyboard-trap',
+                source: 'rules'
+            });
+        }
+    }
+
+    issues.push(...await analyzeStops(page, stops));
+
+    let overlayScreenshot: string | undefined;
+    if (options.screenshot && stops.length > 0) {
+        overlayScreenshot = await captureOverlayScreenshot(page, stops);
+    }
+
+    return { stops, issues, overlayScreenshot };
+}
+
+async function readFocusStop(page: Page, index: number): Promise<FocusStop | null> {
+    return page.evaluate((stopIndex) => {
+        let el = document.activeElement as HTMLElement | null;
+        // Follow focus into open shadow roots
+        while (el && el.shadowRoot && el.shadowRoot.activeElement) {
+            el = el.shadowRoot.activeElement as HTMLElement;
+        }
+        if (!el || el === document.body || el === document.documentElement) {
+            return null;
+        }
+
+        const { selectorFor, snippetFor } = window.__accesslint!;
+        const style = getComputedStyle(el);
+        const box = el.getBoundingClientRect();
+
+        const offscreen = box.right < 0 || box.bottom < 0 || box.left > document.documentElement.scrollWidth || box.top > document.documentElement.scrollHeight;
+        const visible = box.width >= 1 && box.height >= 1 && !offscreen &&
+            style.visibility !== 'hidden' && parseFloat(style.opacity) > 0 &&
+            !(style.clip === 'rect(0px, 0px, 0px, 0px)' || style.clipPath === 'inset(50%)');
+
+        // Sample points inside the element to see what is painted on top of it
+        let covered = 0;
+        let coveredBy: Element | null = null;
+        const points = [[0.5, 0.5], [0.15, 0.15], [0.85, 0.15], [0.15, 0.85], [0.85, 0.85]];
+        if (visible) {
+            for (const [fx, fy] of points) {
+                const x = box.left + box.width * fx;
+                const y = box.top + box.height * fy;
+                if (x < 0 || y < 0 || x >= window.innerWidth || y >= window.innerHeight) {
+                    continue;
+                }
+                const top = document.elementFromPoint(x, y);
+                if (!top || el.contains(top) || top.contains(el)) {
+                    continue;
+                }
+                for (let current: Element | null = top; current; current = current.parentElement) {
+                    const position = getComputedStyle(current).position;
+                    if (position === 'fixed' || position === 'sticky') {
+                        covered++;
+                        coveredBy = current;
+                        break;
+                    }
+                }
+            }
+        }
+
+        return {
+            index: stopIndex,
+            selector: selectorFor(el),
+            snippet: snippetFor(el),
+            name: (el.getAttribute('aria-label') || el.textContent || (el as HTMLInputElement).value || el.getAttribute('title') || '').trim().replace(/\s+/g, ' ').slice(0, 80),
+            rect: { x: box.left + window.scrollX, y: box.top + window.scrollY, width: box.width, height: box.height },
+            visible,
+            obscured: covered / points.length,
+            obscuredBy: coveredBy ? selectorFor(coveredBy) : undefined,
+            focusStyle: {
+                outline: `${style.outlineStyle} ${style.outlineWidth} ${style.outlineColor}`,
+                boxShadow: style.boxShadow,
+                border: `${style.borderTopColor} ${style.borderTopWidth} ${style.borderBottomColor} ${style.borderBottomWidth}`,
+                background: `${style.backgroundColor} ${style.backgroundImage}`,
+                color: style.color,
+                textDecoration: style.textDecorationLine
+            }
+        };
+    }, index);
+}
+
+/**
+ * Press Shift+Tab from inside a cycle and report whether focus leaves it
+ */
+async function canEscapeBackwards(page: Page, cycle: string[]): Promise<boolean> {
+    for (let i = 0; i <= cycle.length; i++) {
+        await page.keyboard.press('Shift+Tab');
+        const current = await readFocusStop(page, -1);
+        if (!current || !cycle.includes(current.selector)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+async function analyzeStops(page: Page, stops: FocusStop[]): Promise<AccessibilityIssue[]> {
+    const issues: AccessibilityIssue[] = [];
+    const counts: Record<string, number> = {};
+
+    const push = (ruleId: string, issue: Omit<AccessibilityIssue, 'ruleId' | 'source'>) => {
+        counts[ruleId] = (counts[ruleId] || 0) + 1;
+        if (counts[ruleId] <= MAX_ISSUES_PER_RULE) {
+            issues.push({ ...issue, ruleId, source: 'rules' });
+        }
+    };
+
+    // Styles of every stop while not focused, to diff against the focused styles
+    await page.evaluate(() => (document.activeElement as HTMLElement | null)?.blur());
+    const unfocusedStyles = await page.evaluate((selectors) => selectors.map(selector => {
+        const el = document.querySelector(selector);
+        if (!el) {
+            return null;
+        }
+        const style = getComputedStyle(el);
+        return {
+            outline: `${style.outlineStyle} ${style.outlineWidth} ${style.outlineColor}`,
+            boxShadow: style.boxShadow,
+            border: `${style.borderTopColor} ${style.borderTopWidth} ${style.borderBottomColor} ${style.borderBottomWidth}`,
+            background: `${style.backgroundColor} ${style.backgroundImage}`,
+            color: style.color,
+            textDecoration: style.textDecorationLine
+        } as Record<string, string>;
+    }), stops.map(s => s.selector));
+
+    stops.forEach((stop, i) => {
+        if (!stop.visible) {
+            push('focus-visible-element', {
+                criterion: '2.4.7 Focus Visible',
+                severity: 'error',
+                description: `Focus lands on an element that is not visible (${Math.round(stop.rect.width)}×${Math.round(stop.rect.height)}px or hidden/off-screen)`,
+                element: stop.snippet,
+                location: stop.selector,
+                recommendation: 'Remove hidden elements from the tab order (tabindex="-1", disabled or display:none), or make them visible when focused'
+            });
+        } else {
+            // An outline that is always present is not a focus indicator, so only a style change counts
+            const before = unfocusedStyles[i];
+            if (before && Object.keys(stop.focusStyle).every(key => stop.focusStyle[key] === before[key])) {
+                push('focus-indicator', {
+                    criterion: '2.4.7 Focus Visible',
+                    severity: 'error',
+                    description: `No visible focus indicator on "${stop.name || stop.selector}" - its styles do not change when focused`,
+                    element: stop.snippet,
+                    location: stop.selector,
+                    recommendation: 'Add a :focus-visible style (e.g. outline: 2px solid currentColor; outline-offset: 2px) instead of removing the outline'
+                });
+            }
+        }
+
+        if (stop.obscured >= 1) {
+            push('focus-obscured', {
+                criterion: '2.4.11 Focus Not Obscured (Minimum)',
+                severity: 'error',
+                description: `Focused element "${stop.name || stop.selector}" is completely hidden behind fixed or sticky content`,
+                element: stop.snippet,
+                location: stop.selector,
+                recommendation: `Add scroll-padding-top (or scroll-margin) equal to the height of ${stop.obscuredBy || 'the sticky content'} so focused elements scroll clear of it`
+            });
+        } else if (stop.obscured > 0) {
+            push('focus-obscured', {
+                criterion: '2.4.12 Focus Not Obscured (Enhanced)',
+                severity: 'info',
+                description: `Focused element "${stop.name || stop.selector}" is partially covered by fixed or sticky content`,
+                element: stop.snippet,
+                location: stop.selector,
+                recommendation: `Use scroll-padding so ${stop.obscuredBy || 'the sticky content'} never overlaps the focused element`
+            });
+        }
+
+        const previous = stops[i - 1];
+        if (previous && previous.visible && stop.visible && stop.rect.y + stop.rect.height < previous.rect.y - BACKWARD_JUMP_PX) {
+            push('focus-order', {
+                criterion: '2.4.3 Focus Order',
+                severity: 'warning',
+                description: `Focus moves backwards up the page from stop ${i} ("${previous.name || previous.selector}") to stop ${i + 1} ("${stop.name || stop.selector}")`,
+                element: stop.snippet,
+                location: stop.selector,
+                recommendation: 'Make the DOM order match the visual order instead of repositioning with CSS or positive tabindex'
+            });
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Draw numbered badges along the focus path, screenshot the page, then remove the overlay
+ */
+async function captureOverlayScreenshot(page: Page, stops: FocusStop[]): Promise<string | undefined> {
+    try {
+        await page.evaluate((path) => {
+            const width = document.documentElement.scrollWidth;
+            const height = document.documentElement.scrollHeight;
+            const svgNs = 'http://www.w3.org/2000/svg';
+            const svg = document.createElementNS(svgNs, 'svg');
+            svg.setAttribute('id', '__accesslint-focus-overlay');
+            svg.setAttribute('width', String(width));
+            svg.setAttribute('height', String(height));
+            svg.setAttribute('style', 'position:absolute;left:0;top:0;z-index:2147483647;pointer-events:none');
+
+            const centers = path.map(stop => [stop.rect.x + stop.rect.width / 2, stop.rect.y + stop.rect.height / 2]);
+            const line = document.createElementNS(svgNs, 'polyline');
+            line.setAttribute('points', centers.map(c => c.join(',')).join(' '));
+            line.setAttribute('style', 'fill:none;stroke:#d6336c;stroke-width:2;stroke-dasharray:6 4;opacity:0.8');
+            svg.appendChild(line);
+
+            path.forEach((stop, i) => {
+                const box = document.createElementNS(svgNs, 'rect');
+                box.setAttribute('x', String(stop.rect.x));
+                box.setAttribute('y', String(stop.rect.y));
+                box.setAttribute('width', String(Math.max(stop.rect.width, 4)));
+                box.setAttribute('height', String(Math.max(stop.rect.height, 4)));
+                box.setAttribute('style', `fill:none;stroke:${stop.visible ? '#1c7ed6' : '#e03131'};stroke-width:2`);
+                svg.appendChild(box);
+
+                const badge = document.createElementNS(svgNs, 'circle');
+                badge.setAttribute('cx', String(stop.rect.x));
+                badge.setAttribute('cy', String(stop.rect.y));
+                badge.setAttribute('r', '11');
+                badge.setAttribute('style', 'fill:#1c7ed6;stroke:#fff;stroke-width:2');
+                svg.appendChild(badge);
+
+                const label = document.createElementNS(svgNs, 'text');
+                label.setAttribute('x', String(stop.rect.x));
+                label.setAttribute('y', String(stop.rect.y + 4));
+                label.setAttribute('text-anchor', 'middle');
+                label.setAttribute('style', 'font:bold 11px sans-serif;fill:#fff');
+                label.textContent = String(i + 1);
+                svg.appendChild(label);
+            });
+
+            document.body.appendChild(svg);
+        }, stops);
+
+        const buffer = await page.screenshot({ fullPage: true, type: 'png' });
+        return `data:image/png;base64,${buffer.toString('base64')}`;
+    } catch {
+        return undefined;
+    } finally {
+        await page.evaluate(() => document.getElementById('__accesslint-focus-overlay')?.remove()).catch(() => undefined);
+    }
+}
@@ -0,0 +1,314 @@
+/**
+ * Headless Accessibility Tester
+ *
+ * Cross-platform engine that runs the same basic checks as the NVDA tester in headless Chromium.
+ * Announcements come from the virtual screen reader walking Playwright's accessibility tree,
+ * with DOM inspection for what the tree does not expose. Used on Linux/macOS and anywhere
+ * NVDA is not installed.
+ */
+
+import { AccessibilityTester, AccessibilityIssue, BasicTestResults, NVDAInteraction, TestLogger } from '../accessibilityTester';
+import type { AiProviderManager } from '../aiProviderManager';
+import { AccessibilityTreeNode, QuickNavKey, VirtualScreenReader } from './virtualScreenReader';
+
+const NON_DESCRIPTIVE_LINK_TEXT = [
+    /^click here$/i,
+    /^here$/i,
+    /^link$/i,
+    /^read more$/i,
+    /^more$/i
+];
+
+export class HeadlessAccessibilityTester extends AccessibilityTester {
+    readonly engineName: string = 'Virtual Screen Reader';
+
+    private reader: VirtualScreenReader = new VirtualScreenReader(null);
+
+    constructor(outputChannel: TestLogger, aiProviderManager?: AiProviderManager) {
+        super(outputChannel, aiProviderManager);
+    }
+
+    async initialize(): Promise<void> {
+        try {
+            this.outputChannel.appendLine('🚀 Initializing headless accessibility engine...');
+            this.outputChannel.appendLine(`   Platform: ${process.platform}`);
+            this.outputChannel.appendLine(`   Node version: ${process.version}`);
+
+            await this.launchBrowser(true);
+        } catch (error) {
+            this.outputChannel.appendLine(`❌ Failed to initialize: ${error}`);
+            throw error;
+        }
+    }
+
+    protected assertEngineReady(): void {
+        // The headless engine only needs the page, which testUrl() already checks
+    }
+
+    protected async prepareForTesting(progress: (message: string) => void): Promise<void> {
+        progress('🌳 Capturing accessibility tree...');
+
+        this.reader = await VirtualScreenReader.fromPage(this.page!, this.visitedUrls);
+        this.reader.clearSpokenPhraseLog();
+        this.reader.clearItemTextLog();
+
+        progress(`   ${this.reader.readingOrder.length} accessible nodes in reading order`);
+    }
+
+    protected async captureSpokenLog(): Promise<string[]> {
+        return this.reader.spokenPhraseLog();
+    }
+
+    protected async spokenDuring(action: () => Promise<void>): Promise<string[] | undefined> {
+        // The accessibility snapshot is static, so live updates come from the virtual announcer
+        await action();
+        return undefined;
+    }
+
+    // ==================== BASIC CHECKS ====================
+
+    protected async testHeadings(): Promise<BasicTestResults> {
+        const interactions: NVDAInteraction[] = [];
+        const issues: AccessibilityIssue[] = [];
+        let lastLevel = 0;
+
+        const headingCount = this.navigate('h', 'Navigate to heading', interactions, (announcement, item) => {
+            const level = item.level || 0;
+            if (level > 0) {
+                if (lastLevel === 0 && level !== 1) {
+                    issues.push({
+                        criterion: '1.3.2 Meaningful Sequence',
+                        severity: 'warning',
+                        description: `First heading is h${level}, should be h1`,
+                        nvdaAnnouncement: announcement,
+                        element: item.name
+                    });
+                }
+
+                if (lastLevel > 0 && level - lastLevel > 1) {
+                    issues.push({
+                        criterion: '1.3.2 Meaningful Sequence',
+                        severity: 'warning',
+                        description: `Heading hierarchy skip from h${lastLevel} to h${level}`,
+                        nvdaAnnouncement: announcement,
+                        element: item.name
+                    });
+                }
+
+                lastLevel = level;
+            } else {
+                issues.push({
+                    criterion: '1.3.2 Meaningful Sequence',
+                    severity: 'info',
+                    description: 'Heading exposed without a level (role="heading" needs aria-level)',
+                    nvdaAnnouncement: announcement,
+                    element: item.name
+                });
+            }
+
+            if (!item.name || item.name.trim().length === 0) {
+                issues.push({
+                    criterion: '1.1.1 Non-text Content',
+                    severity: 'error',
+                    description: 'Heading is empty or has no accessible text',
+                    nvdaAnnouncement: announcement
+                });
+            }
+        });
+
+        if (headingCount === 0) {
+            issues.push({
+                criterion: '1.3.2 Meaningful Sequence',
+                severity: 'warning',
+                description: 'No headings found on page. Headings help screen reader users navigate.'
+            });
+        }
+
+        return { interactions, issues };
+    }
+
+    protected async testLinks(): Promise<BasicTestResults> {
+        const interactions: NVDAInteraction[] = [];
+        const issues: AccessibilityIssue[] = [];
+
+        this.navigate('k', 'Navigate to link', interactions, (announcement, item) => {
+            const itemText = item.name.trim();
+
+            if (NON_DESCRIPTIVE_LINK_TEXT.some(pattern => pattern.test(itemText))) {
+                issues.push({
+                    criterion: '2.4.4 Link Purpose',
+                    severity: 'warning',
+                    description: `Link has non-descriptive text: "${itemText}"`,
+                    nvdaAnnouncement: announcement,
+                    element: itemText
+                });
+            }
+
+            if (itemText.length === 0) {
+                issues.push({
+                    criterion: '2.4.4 Link Purpose',
+                    severity: 'error',
+                    description: 'Link has no accessible text',
+                    nvdaAnnouncement: announcement
+                });
+            }
+        });
+
+        return { interactions, issues };
+    }
+
+    protected async testFormElements(): Promise<BasicTestResults> {
+        const interactions: NVDAInteraction[] = [];
+        const issues: AccessibilityIssue[] = [];
+
+        const fieldCount = this.navigate('f', 'Navigate to form field', interactions, (announcement, item) => {
+            // Buttons are form fields for NVDA's F key, but their names are checked with the other buttons
+            if (item.role === 'button') {
+                return;
+            }
+
+            if (!item.name || item.name.trim().length === 0) {
+                issues.push({
+                    criterion: '3.3.2 Labels or Instructions',
+                    severity: 'error',
+                    description: 'Form field has no accessible label',
+                    nvdaAnnouncement: announcement
+                });
+            }
+
+            if (item.invalid && item.invalid !== 'false') {
+                issues.push({
+                    criterion: '3.3.1 Error Identification',
+                    severity: 'info',
+                    description: 'Form field marked as invalid - ensure error message is clear',
+                    nvdaAnnouncement: announcement,
+                    element: item.name
+                });
+            }
+        });
+
+        if (fieldCount === 0) {
+            issues.push({
+                criterion: 'General',
+                severity: 'info',
+                description: 'No form fields found on page'
+            });
+        }
+
+        return { interactions, issues };
+    }
+
+    protected async testLandmarks(): Promise<BasicTestResults> {
+        const interactions: NVDAInteraction[] = [];
+        const issues: AccessibilityIssue[] = [];
+
+        const landmarkCount = this.navigate('d', 'Navigate to landmark', interactions, () => undefined);
+
+        if (landmarkCount === 0) {
+            issues.push({
+                criterion: '1.3.1 Info and Relationships',
+                severity: 'warning',
+                description: 'No landmarks found. Consider using <nav>, <main>, <header>, <footer>, etc.'
+            });
+        }
+
+        return { interactions, issues };
+    }
+
+    protected async testSequentialNavigation(): Promise<BasicTestResults> {
+        const interactions: NVDAInteraction[] = [];
+        const issues: AccessibilityIssue[] = [];
+
+        this.navigate('ArrowDown', 'Sequential navigation (down arrow)', interactions, (announcement, item) => {
+            if ((item.role === 'img' || item.role === 'image') && !item.name.trim()) {
+                issues.push({
+                    criterion: '1.1.1 Non-text Content',
+                    severity: 'error',
+                    description: 'Image has no alt text - it is announced as an unlabeled graphic',
+                    nvdaAnnouncement: announcement
+                });
+            }
+        });
+
+        // The accessibility tree does not expose click handlers, so look for them in the DOM
+        try {
+            const clickables = await this.page!.evaluate(() => {
+                const semantic = ['A', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'SUMMARY', 'LABEL', 'OPTION'];
+                return Array.from(document.querySelectorAll('[onclick]'))
+                    .filter(el => !semantic.includes(el.tagName) && !el.getAttribute('role'))
+                    .slice(0, 50)
+                    .map(el => ({
+                        tag: el.tagName.toLowerCase(),
+                        text: (el.textContent || '').trim().slice(0, 80)
+                    }));
+            });
+
+            for (const clickable of clickables) {
+                issues.push({
+                    criterion: '4.1.2 Name, Role, Value',
+                    severity: 'warning',
+                    description: 'Clickable element role unclear - consider using button or link',
+                    nvdaAnnouncement: ['clickable', clickable.text].filter(Boolean).join(', '),
+                    element: `<${clickable.tag}> ${clickable.text}`
+                });
+            }
+        } catch (error) {
+            this.outputChannel.appendLine(`Error inspecting clickable elements: ${error}`);
+        }
+
+        return { interactions, issues };
+    }
+
+    protected async testInteractiveElements(): Promise<BasicTestResults> {
+        const interactions: NVDAInteraction[] = [];
+        const issues: AccessibilityIssue[] = [];
+
+        this.navigate('b', 'Navigate to button', interactions, (announcement, item) => {
+            if (!item.name || item.name.trim().length === 0) {
+                issues.push({
+                    criterion: '4.1.2 Name, Role, Value',
+                    severity: 'error',
+                    description: 'Button has no accessible text',
+                    nvdaAnnouncement: announcement
+                });
+            }
+        });
+
+        return { interactions, issues };
+    }
+
+    // ==================== UTILITY METHODS ====================
+
+    /**
+     * Move through the page with a quick navigation key until the reader runs out of items,
+     * recording an interaction for each stop
+     */
+    private navigate(
+        key: QuickNavKey,
+        action: string,
+        interactions: NVDAInteraction[],
+        visit: (announcement: string, item: AccessibilityTreeNode) => void
+    ): number {
+        this.reader.press('Control+Home');
+
+        let count = 0;
+        while (true) {
+            const announcement = this.reader.press(key);
+            const item = this.reader.currentItem;
+            if (!item || /^(no next|bottom$)/.test(announcement)) {
+                break;
+            }
+
+            interactions.push({
+                action,
+                announcement,
+                element: this.reader.itemText(),
+                timestamp: new Date()
+            });
+            visit(announcement, item);
+            count++;
+        }
+
+        return count;
+    }
+}
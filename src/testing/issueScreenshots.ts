@@ -0,0 +1,215 @@
+/**
+ * Issue screenshots
+ *
+ * Captures what an issue looks like for people who do not read markup: a cropped screenshot of
+ * each offending element with a highlight box around it, and one full-page thumbnail with a
+ * numbered marker per issue. Only issues located by a CSS selector can be found on the page.
+ */
+
+import { Page } from 'playwright';
+import { AccessibilityIssue, TestResult } from '../accessibilityTester';
+import { fingerprintIssue } from '../reporting/baseline';
+
+export const MAX_ISSUE_SCREENSHOTS = 25;
+
+const SCREENSHOT_PADDING = 40;
+const SCREENSHOT_TIMEOUT_MS = 3000;
+// Long pages are cut off: the thumbnail is for orientation, not for reading
+const MAX_THUMBNAIL_HEIGHT = 4000;
+const JPEG_QUALITY = 70;
+
+const SEVERITY_ORDER: Record<AccessibilityIssue['severity'], number> = { error: 0, warning: 1, info: 2 };
+
+/**
+ * Screenshot the offending elements (setting `screenshot` and `marker` on each captured issue)
+ * and return the full-page thumbnail with the markers drawn on it
+ */
+export async function captureIssueScreenshots(
+    page: Page,
+    issues: AccessibilityIssue[],
+    maxIssues: number = MAX_ISSUE_SCREENSHOTS
+): Promise<string | undefined> {
+    const candidates = issues
+        .filter(issue => issue.location)
+        .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity])
+        .slice(0, maxIssues);
+
+    const markers: { number: number; x: number; y: number; width: number; height: number; severity: string }[] = [];
+    for (const issue of candidates) {
+        const capture = await captureElementScreenshot(page, issue.location!);
+        if (!capture) {
+            continue;
+        }
+        issue.screenshot = capture.image;
+        issue.marker = markers.length + 1;
+        markers.push({ number: issue.marker, ...capture.documentBox, severity: issue.severity });
+    }
+
+    return markers.length > 0 ? captureMarkedThumbnail(page, markers) : undefined;
+}
+
+/**
+ * Cropped screenshot of the first element matching `selector`, outlined in red, plus its box in
+ * document coordinates. Null when the element is missing, hidden or cannot be scrolled to.
+ */
+export async function captureElementScreenshot(
+    page: Page,
+    selector: string
+): Promise<{ image: string; documentBox: { x: number; y: number; width: number; height: number } } | null> {
+    try {
+        const locator = page.locator(selector).first();
+        if (await locator.count() === 0) {
+            return null;
+        }
+        await locator.scrollIntoViewIfNeeded({ timeout: SCREENSHOT_TIMEOUT_MS });
+        const box = await locator.boundingBox({ timeout: SCREENSHOT_TIMEOUT_MS });
+        const viewport = page.viewportSize();
+        if (!box || !viewport || box.width === 0 || box.height === 0) {
+            return null;
+        }
+
+        const scroll = await page.evaluate(({ x, y, width, height }) => {
+            const highlight = document.createElement('div');
+            highlight.id = '__accesslint_highlight';
+            highlight.style.cssText = `position:fixed;left:${x - 4}px;top:${y - 4}px;width:${width + 8}px;height:${height + 8}px;` +
+                'border:3px solid #d32f2f;border-radius:4px;box-shadow:0 0 0 4000px rgba(0,0,0,0.25);z-index:2147483647;pointer-events:none;';
+            document.body.appendChild(highlight);
+            return { x: window.scrollX, y: window.scrollY };
+        }, box);
+
+        try {
+            const x = Math.max(0, box.x - SCREENSHOT_PADDING);
+            const y = Math.max(0, box.y - SCREENSHOT_PADDING);
+            const clip = {
+                x,
+                y,
+                width: Math.min(viewport.width, box.x + box.width + SCREENSHOT_PADDING) - x,
+                height: Math.min(viewport.height, box.y + box.height + SCREENSHOT_PADDING) - y
+            };
+            if (clip.width <= 0 || clip.height <= 0) {
+                return null;
+            }
+            const image = await page.screenshot({ clip, type: 'jpeg', quality: JPEG_QUALITY });
+            return {
+                image: `data:image/jpeg;base64,${image.toString('base64')}`,
+                documentBox: { x: box.x + scroll.x, y: box.y + scroll.y, width: box.width, height: box.height }
+            };
+        } finally {
+            await page.evaluate(() => document.getElementById('__accesslint_highlight')?.remove());
+        }
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Draw a box and numbered badge per issue over the page, screenshot it, then remove the overlay
+ */
+async function captureMarkedThumbnail(
+    page: Page,
+    markers: { number: number; x: number; y: number; width: number; height: number; severity: string }[]
+): Promise<string | undefined> {
+    try {
+        const size = await page.evaluate((items) => {
+            const colors: Record<string, string> = { error: '#d32f2f', warning: '#b45309', info: '#1976d2' };
+            const width = document.documentElement.scrollWidth;
+            const height = document.documentElement.scrollHeight;
+            const svgNs = 'http://www.w3.org/2000/svg';
+            const svg = document.createElementNS(svgNs, 'svg');
+            svg.setAttribute('id', '__accesslint-issue-markers');
+            svg.setAttribute('width', String(width));
+            svg.setAttribute('height', String(height));
+            svg.setAttribute('style', 'position:absolute;left:0;top:0;z-index:2147483647;pointer-events:none');
+
+            items.forEach(item => {
+                const color = colors[item.severity] || colors.error;
+                const box = document.createElementNS(svgNs, 'rect');
+                box.setAttribute('x', String(item.x - 2));
+                box.setAttribute('y', String(item.y - 2));
+                box.setAttribute('width', String(item.width + 4));
+                box.setAttribute('height', String(item.height + 4));
+                box.setAttribute('style', `fill:none;stroke:${color};stroke-width:3`);
+                svg.appendChild(box);
+
+                const badge = document.createElementNS(svgNs, 'circle');
+                badge.setAttribute('cx', String(item.x));
+                badge.setAttribute('cy', String(item.y));
+                badge.setAttribute('r', '13');
+                badge.setAttribute('style', `fill:${color};stroke:#fff;stroke-width:2`);
+                svg.appendChild(badge);
+
+                const label = document.createElementNS(svgNs, 'text');
+                label.setAttribute('x', String(item.x));
+                label.setAttribute('y', String(item.y + 5));
+                label.setAttribute('text-anchor', 'middle');
+                label.setAttribute('style', 'font:bold 13px sans-serif;fill:#fff');
+                label.textContent = String(item.number);
+                svg.appendChild(label);
+            });
+
+            document.body.appendChild(svg);
+            return { width, height };
+        }, markers);
+
+        const buffer = await page.screenshot({
+            fullPage: true,
+            type: 'jpeg',
+            quality: JPEG_QUALITY,
+            clip: { x: 0, y: 0, width: size.width, height: Math.min(size.height, MAX_THUMBNAIL_HEIGHT) }
+        });
+        return `data:image/jpeg;base64,${buffer.toString('base64')}`;
+    } catch {
+        return undefined;
+    } finally {
+        await page.evaluate(() => document.getElementById('__accesslint-issue-markers')?.remove()).catch(() => undefined);
+    }
+}
+
+/**
+ * A screenshot stored with a testing session. Issue screenshots and frame strips are linked to
+ * their issue by fingerprint, so they can be matched up again with later runs.
+ */
+export interface ScreenshotArtifact {
+    kind: 'issue' | 'page' | 'frames';
+    pageUrl: string;
+    fingerprint?: string;
+    marker?: number;
+    contentType: string;
+    /** Base64 image data */
+    data: string;
+}
+
+export function screenshotArtifacts(result: TestResult): ScreenshotArtifact[] {
+    const artifacts: ScreenshotArtifact[] = [];
+    if (result.pageScreenshot) {
+        artifacts.push({ kind: 'page', pageUrl: result.url, ...parseDataUrl(result.pageScreenshot) });
+    }
+    for (const issue of result.issues) {
+        if (issue.screenshot) {
+            artifacts.push({
+                kind: 'issue',
+                pageUrl: result.url,
+                fingerprint: fingerprintIssue(issue, result),
+                marker: issue.marker,
+                ...parseDataUrl(issue.screenshot)
+            });
+        }
+        if (issue.frameStrip) {
+            artifacts.push({ kind: 'frames', pageUrl: result.url, fingerprint: fingerprintIssue(issue, result), ...parseDataUrl(issue.frameStrip) });
+        }
+    }
+    return artifacts;
+}
+
+/**
+ * The result without image data, for payloads that store the screenshots separately
+ */
+export function withoutScreenshots(result: TestResult): TestResult {
+    const { pageScreenshot, ...rest } = result;
+    return { ...rest, issues: result.issues.map(({ screenshot, frameStrip, ...issue }) => issue) };
+}
+
+function parseDataUrl(dataUrl: string): { contentType: string; data: string } {
+    const match = /^data:([^;,]+);base64,(.*)$/.exec(dataUrl);
+    return match ? { contentType: match[1], data: match[2] } : { contentType: 'application/octet-stream', data: '' };
+}
@@ -0,0 +1,208 @@
+/**
+ * Journey Runner
+ *
+ * Scripted user journeys take the tester past the landing page: log in, fill a multi-step form,
+ * open a dialog, then audit the page in that state. A journey is a JSON or YAML file:
+ *
+ *   name: Checkout with validation errors
+ *   baseUrl: http://localhost:3000
+ *   steps:
+ *     - goto: /login
+ *     - fill: "#email"
+ *       value: "{{secrets.email}}"
+ *     - fill: "#password"
+ *       value: "{{secrets.password}}"
+ *     - click: button[type=submit]
+ *     - waitFor: "[data-testid=dashboard]"
+ *     - audit: Dashboard
+ *
+ * `{{secrets.NAME}}` placeholders are resolved at run time (VS Code SecretStorage in the
+ * extension) so credentials never live in the journey file.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as yaml from 'js-yaml';
+import { Page } from 'playwright';
+import { TestResult } from '../accessibilityTester';
+import { deduplicateIssues, SiteIssue } from './siteCrawler';
+
+export type JourneyStep =
+    | { goto: string }
+    | { fill: string; value: string }
+    | { click: string }
+    | { press: string; selector?: string }
+    | { select: string; value: string }
+    | { check: string }
+    | { waitFor: string | number; state?: 'attached' | 'detached' | 'visible' | 'hidden' }
+    | { audit: string };
+
+export interface Journey {
+    name: string;
+    baseUrl?: string;
+    /** Per-step timeout in milliseconds */
+    timeout?: number;
+    steps: JourneyStep[];
+}
+
+export interface JourneyResult {
+    journey: string;
+    timestamp: Date;
+    /** One result per audit step, labelled with `checkpoint` */
+    checkpoints: TestResult[];
+    failedStep?: { index: number; step: string; error: string };
+    /** Issues deduplicated across checkpoints */
+    issues: SiteIssue[];
+    summary: {
+        checkpoints: number;
+        errors: number;
+        warnings: number;
+        info: number;
+        totalIssues: number;
+    };
+}
+
+export interface JourneyHooks {
+    resolveSecret: (name: string) => Promise<string>;
+    audit: (checkpoint: string) => Promise<TestResult>;
+    onProgress?: (message: string) => void;
+    isCancelled?: () => boolean;
+}
+
+const STEP_ACTIONS = ['goto', 'fill', 'click', 'press', 'select', 'check', 'waitFor', 'audit'];
+const SECRET_PLACEHOLDER = /\{\{\s*secrets\.([\w.-]+)\s*\}\}/g;
+const DEFAULT_STEP_TIMEOUT = 15000;
+
+/**
+ * Read and validate a journey file (.json, .yaml or .yml)
+ */
+export function loadJourney(filePath: string): Journey {
+    const source = fs.readFileSync(filePath, 'utf8');
+    const data = /\.ya?ml$/i.test(filePath) ? yaml.load(source) : JSON.parse(source);
+    return validateJourney(data, path.basename(filePath));
+}
+
+export function validateJourney(data: unknown, fallbackName: string): Journey {
+    if (!data || typeof data !== 'object' || !Array.isArray((data as Journey).steps)) {
+        throw new Error(`${fallbackName}: a journey needs a "steps" list`);
+    }
+
+    const journey = data as Journey;
+    journey.steps.forEach((step, index) => {
+        const actions = Object.keys(step || {}).filter(key => STEP_ACTIONS.includes(key));
+        if (actions.length !== 1) {
+            throw new Error(`${fallbackName}: step ${index + 1} must have exactly one of ${STEP_ACTIONS.join(', ')}`);
+        }
+        if (('fill' in step || 'select' in step) && typeof (step as { value?: unknown }).value !== 'string') {
+            throw new Error(`${fallbackName}: step ${index + 1} (${actions[0]}) needs a string "value"`);
+        }
+    });
+
+    return { ...journey, name: journey.name || fallbackName };
+}
+
+/**
+ * Run the journey's steps on the page, auditing at every `audit` step. Stops at the first
+ * failing step, since later steps depend on the state it should have produced.
+ */
+export async function runJourneySteps(page: Page, journey: Journey, hooks: JourneyHooks): Promise<JourneyResult> {
+    const progress = (message: string) => {
+        if (hooks.onProgress) hooks.onProgress(message);
+    };
+    const timeout = journey.timeout || DEFAULT_STEP_TIMEOUT;
+    const checkpoints: TestResult[] = [];
+    let failedStep: JourneyResult['failedStep'];
+
+    progress(`🧭 Running journey "${journey.name}" (${journey.steps.length} steps)`);
+
+    for (let index = 0; index < journey.steps.length; index++) {
+        if (hooks.isCancelled && hooks.isCancelled()) {
+            break;
+        }
+
+        const step = journey.steps[index];
+        progress(`   ${index + 1}. ${describeStep(step)}`);
+
+        try {
+            if ('audit' in step) {
+                const result = await hooks.audit(step.audit);
+                checkpoints.push(result);
+                progress(`✅ Checkpoint "${step.audit}" audited (${result.issues.length} issues found)`);
+            } else {
+                await runStep(page, step, journey, timeout, hooks);
+            }
+        } catch (error) {
+            const message = error instanceof Error ? error.message.split('\n')[0] : String(error);
+            failedStep = { index: index + 1, step: describeStep(step), error: message };
+            progress(`❌ Step ${index + 1} failed: ${message}`);
+            break;
+        }
+    }
+
+    const issues = deduplicateIssues(checkpoints);
+
+    return {
+        journey: journey.name,
+        timestamp: new Date(),
+        checkpoints,
+        failedStep,
+        issues,
+        summary: {
+            checkpoints: checkpoints.length,
+            errors: issues.filter(i => i.severity === 'error').length,
+            warnings: issues.filter(i => i.severity === 'warning').length,
+            info: issues.filter(i => i.severity === 'info').length,
+            totalIssues: issues.length
+        }
+    };
+}
+
+async function runStep(page: Page, step: JourneyStep, journey: Journey, timeout: number, hooks: JourneyHooks): Promise<void> {
+    if ('goto' in step) {
+        const url = journey.baseUrl ? new URL(step.goto, journey.baseUrl).href : step.goto;
+        await page.goto(url, { waitUntil: 'networkidle', timeout: Math.max(timeout, 60000) });
+    } else if ('fill' in step) {
+        await page.fill(step.fill, await resolveSecrets(step.value, hooks.resolveSecret), { timeout });
+    } else if ('click' in step) {
+        await page.click(step.click, { timeout });
+    } else if ('press' in step) {
+        if (step.selector) {
+            await page.press(step.selector, step.press, { timeout });
+        } else {
+            await page.keyboard.press(step.press);
+        }
+    } else if ('select' in step) {
+        await page.selectOption(step.select, await resolveSecrets(step.value, hooks.resolveSecret), { timeout });
+    } else if ('check' in step) {
+        await page.check(step.check, { timeout });
+    } else if ('waitFor' in step) {
+        if (typeof step.waitFor === 'number') {
+            await page.waitForTimeout(step.waitFor);
+        } else {
+            await page.waitForSelector(step.waitFor, { state: step.state || 'visible', timeout });
+        }
+    }
+}
+
+async function resolveSecrets(value: string, resolveSecret: (name: string) => Promise<string>): Promise<string> {
+    let result = value;
+    for (const match of Array.from(value.matchAll(SECRET_PLACEHOLDER))) {
+        const secret = await resolveSecret(match[1]);
+        result = result.replace(match[0], () => secret);
+    }
+    return result;
+}
+
+/**
+ * Human-readable step for progress logs, with secret values masked
+ */
+function describeStep(step: JourneyStep): string {
+    if ('goto' in step) return `goto ${step.goto}`;
+    if ('fill' in step) return `fill ${step.fill} with ${/\{\{\s*secrets\./.test(step.value) ? '••••••' : `"${step.value}"`}`;
+    if ('click' in step) return `click ${step.click}`;
+    if ('press' in step) return `press ${step.press}${step.selector ? ` in ${step.selector}` : ''}`;
+    if ('select' in step) return `select "${step.value}" in ${step.select}`;
+    if ('check' in step) return `check ${step.check}`;
+    if ('waitFor' in step) return typeof step.waitFor === 'number' ? `wait ${step.waitFor}ms` : `wait for ${step.waitFor}`;
+    return `audit "${step.audit}"`;
+}
@@ -0,0 +1,480 @@
+/**
+ * Dynamic content and live regions
+ *
+ * Single-page apps report results through aria-live regions, toasts and client-side route
+ * changes, none of which exist until something happens on the page. This module installs a
+ * MutationObserver that acts as a virtual announcer (it records what a screen reader would
+ * speak for each live region change), then submits forms, clicks scripted buttons and follows
+ * same-origin links, and checks that:
+ *   - status messages that appear are announced (4.1.3), from the engine's spoken log when it
+ *     has one, otherwise from the virtual announcer
+ *   - live regions exist before their message is written into them (4.1.3)
+ *   - client-side route changes update the title (2.4.2) and move focus or announce the new page
+ * The page is reloaded afterwards so later checks see it as loaded. Only forms that declare
+ * method="get" and submit to the same origin are submitted, unless the user allowlisted them by
+ * selector: forms without a method are usually sent by script, often as a POST.
+ */
+
+import { Page } from 'playwright';
+import { AccessibilityIssue, NVDAInteraction } from '../accessibilityTester';
+import { ensurePageHelpers } from './pageHelpers';
+import { DESTRUCTIVE_LABEL } from './safety';
+
+/**
+ * Runs an action and returns what the screen reader spoke meanwhile, or undefined when the
+ * engine has no speech output of its own
+ */
+export type SpokenDuring = (action: () => Promise<void>) => Promise<string[] | undefined>;
+
+export interface DynamicContentOptions {
+    /** Selectors of forms that are safe to submit whatever their method and action */
+    formAllowlist?: string[];
+}
+
+export interface DynamicContentResult {
+    issues: AccessibilityIssue[];
+    interactions: NVDAInteraction[];
+}
+
+interface LiveMessage {
+    text: string;
+    selector: string;
+    snippet: string;
+}
+
+interface LiveRegionLog {
+    /** What the virtual announcer spoke: changes inside live regions that were already on the page */
+    announcements: (LiveMessage & { politeness: 'polite' | 'assertive' })[];
+    /** Status-looking text that appeared outside any live region */
+    unannounced: LiveMessage[];
+    /** Live regions inserted together with their message, which screen readers skip */
+    insertedWithContent: LiveMessage[];
+}
+
+interface PageAction {
+    kind: 'submit' | 'click' | 'route';
+    selector: string;
+    label: string;
+    href?: string;
+}
+
+declare global {
+    interface Window {
+        __accesslintLive?: LiveRegionLog;
+    }
+}
+
+const ACTION_SETTLE_MS = 1500;
+const ACTION_TIMEOUT_MS = 3000;
+const MAX_FORMS = 3;
+const MAX_BUTTONS = 5;
+const MAX_ROUTES = 3;
+
+/**
+ * Exercise the page's dynamic behaviour and report status messages and route changes that
+ * screen reader users would miss
+ */
+export async function testDynamicContent(
+    page: Page,
+    spokenDuring?: SpokenDuring,
+    options: DynamicContentOptions = {}
+): Promise<DynamicContentResult> {
+    const originalUrl = page.url();
+    const issues: AccessibilityIssue[] = [];
+    const interactions: NVDAInteraction[] = [];
+
+    await installLiveRegionObserver(page);
+    const actions = await discoverActions(page, options.formAllowlist || []);
+
+    try {
+        for (const action of actions) {
+            const before = await page.evaluate(() => ({
+                title: document.title,
+                url: location.href,
+                counts: {
+                    announcements: window.__accesslintLive!.announcements.length,
+                    unannounced: window.__accesslintLive!.unannounced.length,
+                    insertedWithContent: window.__accesslintLive!.insertedWithContent.length
+                }
+            }));
+
+            const run = () => performAction(page, action);
+            let spoken: string[] | undefined;
+            try {
+                spoken = spokenDuring ? await spokenDuring(run) : (await run(), undefined);
+            } catch {
+                // Element gone or covered by an earlier action; nothing to observe
+                continue;
+            }
+
+            const after = await readAfterAction(page, action, before.counts);
+            if (!after) {
+                // Full page load: the browser announces the new document itself
+                interactions.push({ action: actionLabel(action), announcement: `navigated to ${page.url()}`, element: action.label, timestamp: new Date() });
+                await reload(page, originalUrl);
+                await installLiveRegionObserver(page);
+                continue;
+            }
+
+            const virtual = after.announcements.map(message => message.text);
+            interactions.push({
+                action: actionLabel(action),
+                announcement: (spoken ?? virtual).join(' | ') || '(nothing announced)',
+                element: action.label,
+                timestamp: new Date()
+            });
+
+            issues.push(...statusMessageIssues(action, after, spoken));
+            if (after.url !== before.url) {
+                issues.push(...routeChangeIssues(action, before.title, after, spoken));
+                await reload(page, originalUrl);
+                await installLiveRegionObserver(page);
+            }
+        }
+    } finally {
+        if (actions.length > 0) {
+            await reload(page, originalUrl).catch(() => undefined);
+        }
+    }
+
+    return { issues: uniqueIssues(issues), interactions };
+}
+
+/**
+ * Start the virtual announcer on the current document
+ */
+export async function installLiveRegionObserver(page: Page): Promise<void> {
+    await ensurePageHelpers(page);
+    await page.evaluate(() => {
+        if (window.__accesslintLive) {
+            return;
+        }
+
+        const { selectorFor, snippetFor, isHidden } = window.__accesslint!;
+        const log: LiveRegionLog = { announcements: [], unannounced: [], insertedWithContent: [] };
+        window.__accesslintLive = log;
+
+        // role="timer" and role="marquee" are live regions that are off by default
+        const regionSelector = '[aria-live]:not([aria-live="off"]), [role="status"], [role="alert"], [role="log"], output';
+        const statusLike = /toast|snackbar|alert|notif|status|message|flash|feedback|error|success|validation/i;
+        const known = new WeakSet<Element>(Array.from(document.querySelectorAll(regionSelector)));
+        const reported = new WeakSet<Element>();
+
+        const textOf = (node: Node) => ((node as HTMLElement).innerText ?? node.textContent ?? '').replace(/\s+/g, ' ').trim();
+        const elementOf = (node: Node) => (node.nodeType === Node.ELEMENT_NODE ? node as Element : node.parentElement);
+        const looksLikeStatus = (el: Element) => {
+            for (let current: Element | null = el, depth = 0; current && depth < 3; current = current.parentElement, depth++) {
+                if (statusLike.test(`${current.id} ${current.getAttribute('class') || ''}`)) {
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        const observer = new MutationObserver(records => {
+            const changedRegions = new Map<Element, string[]>();
+
+            for (const record of records) {
+                const target = elementOf(record.target);
+                if (!target) {
+                    continue;
+                }
+                const region = target.closest(regionSelector);
+
+                if (region) {
+                    const added = record.type === 'characterData'
+                        ? [textOf(record.target)]
+                        : Array.from(record.addedNodes).map(textOf);
+                    changedRegions.set(region, [...(changedRegions.get(region) || []), ...added.filter(Boolean)]);
+                }
+
+                // Live regions arriving inside new markup, already holding their message
+                for (const node of Array.from(record.addedNodes)) {
+                    const el = elementOf(node);
+                    if (!el || node.nodeType !== Node.ELEMENT_NODE) {
+                        continue;
+                    }
+                    const regions = [...(el.matches(regionSelector) ? [el] : []), ...Array.from(el.querySelectorAll(regionSelector))];
+                    for (const inserted of regions) {
+                        // NVDA and JAWS do speak role="alert" when it is inserted
+                        if (!known.has(inserted) && inserted.getAttribute('role') !== 'alert' && textOf(inserted) && !isHidden(inserted)) {
+                            log.insertedWithContent.push({ text: textOf(inserted).slice(0, 120), selector: selectorFor(inserted), snippet: snippetFor(inserted) });
+                            known.add(inserted);
+                            reported.add(inserted);
+                        }
+                    }
+                }
+
+                // Status-looking text shown outside any live region (inserted, or revealed by class/style/hidden)
+                const candidates = record.type === 'attributes'
+                    ? [target]
+                    : Array.from(record.addedNodes).map(elementOf).filter((el): el is Element => !!el);
+                for (const el of candidates) {
+                    if (reported.has(el) || el.closest(regionSelector) || el.querySelector(regionSelector) || isHidden(el)) {
+                        continue;
+                    }
+                    const text = textOf(el);
+                    if (text && text.length <= 300 && looksLikeStatus(el)) {
+                        reported.add(el);
+                        log.unannounced.push({ text: text.slice(0, 120), selector: selectorFor(el), snippet: snippetFor(el) });
+                    }
+                }
+            }
+
+            for (const [region, added] of changedRegions) {
+                if (!known.has(region) || isHidden(region)) {
+                    continue;
+                }
+                const text = region.getAttribute('aria-atomic') === 'true' ? textOf(region) : added.join(' ');
+                if (text) {
+                    const assertive = region.getAttribute('aria-live') === 'assertive' || region.getAttribute('role') === 'alert';
+                    log.announcements.push({ text: text.slice(0, 200), politeness: assertive ? 'assertive' : 'polite', selector: selectorFor(region), snippet: snippetFor(region) });
+                }
+            }
+
+            document.querySelectorAll(regionSelector).forEach(region => known.add(region));
+        });
+
+        observer.observe(document.documentElement, {
+            subtree: true,
+            childList: true,
+            characterData: true,
+            attributes: true,
+            attributeFilter: ['class', 'style', 'hidden', 'aria-hidden']
+        });
+    });
+}
+
+/**
+ * Forms, scripted buttons and same-origin links worth triggering, skipping anything destructive
+ */
+async function discoverActions(page: Page, formAllowlist: string[]): Promise<PageAction[]> {
+    const found = await page.evaluate(({ maxForms, maxButtons, maxRoutes, destructive, formAllowlist }) => {
+        const { selectorFor, isHidden } = window.__accesslint!;
+        const isDestructive = new RegExp(destructive, 'i');
+        const labelOf = (el: Element) => (el.getAttribute('aria-label') || (el as HTMLElement).innerText || el.getAttribute('value') || '').replace(/\s+/g, ' ').trim().slice(0, 60);
+        const usable = (el: Element) => !isHidden(el) && !(el as HTMLButtonElement).disabled && el.getAttribute('aria-disabled') !== 'true';
+
+        const allowlisted = (form: HTMLFormElement) => formAllowlist.some(selector => {
+            try {
+                return form.matches(selector);
+            } catch {
+                return false;
+            }
+        });
+        // The submit button's formmethod / formaction override the form's own
+        const submitsSafely = (form: HTMLFormElement, submit: HTMLButtonElement | HTMLInputElement) => {
+            const method = submit.getAttribute('formmethod') ?? form.getAttribute('method');
+            const action = submit.hasAttribute('formaction') ? submit.formAction : form.action;
+            return method?.trim().toLowerCase() === 'get' && new URL(action, location.href).origin === location.origin;
+        };
+
+        const forms = Array.from(document.forms)
+            .filter(form => usable(form) && !isDestructive.test(`${form.getAttribute('action') || ''} ${labelOf(form)}`))
+            .map(form => {
+                const submit = form.querySelector<HTMLButtonElement | HTMLInputElement>('button[type="submit"], input[type="submit"], button:not([type])');
+                return submit && usable(submit) && !isDestructive.test(labelOf(submit)) && (allowlisted(form) || submitsSafely(form, submit))
+                    ? { kind: 'submit' as const, selector: selectorFor(submit), label: labelOf(submit) || 'Submit' }
+                    : null;
+            })
+            .filter((action): action is NonNullable<typeof action> => !!action)
+            .slice(0, maxForms);
+
+        // Disclosure buttons (menus, accordions) are covered by the widget checks, not status messages
+        const buttons = Array.from(document.querySelectorAll('button, [role="button"]'))
+            .filter(el => !el.closest('form') && usable(el) && !el.hasAttribute('aria-expanded') && !el.hasAttribute('aria-haspopup'))
+            .filter(el => labelOf(el) && !isDestructive.test(labelOf(el)))
+            .slice(0, maxButtons)
+            .map(el => ({ kind: 'click' as const, selector: selectorFor(el), label: labelOf(el) }));
+
+        const here = location.href.split('#')[0];
+        const seen = new Set<string>();
+        const routes = Array.from(document.querySelectorAll('a[href]'))
+            .map(el => ({ el, href: (el as HTMLAnchorElement).href }))
+            .filter(({ el, href }) => {
+                const target = href.split('#')[0];
+                const sameOrigin = href.startsWith(location.origin + '/');
+                const ok = sameOrigin && target !== here && !seen.has(target) && usable(el) &&
+                    !el.hasAttribute('download') && el.getAttribute('target') !== '_blank' && !isDestructive.test(`${labelOf(el)} ${href}`);
+                if (ok) {
+                    seen.add(target);
+                }
+                return ok;
+            })
+            .slice(0, maxRoutes)
+            .map(({ el, href }) => ({ kind: 'route' as const, selector: selectorFor(el), label: labelOf(el) || href, href }));
+
+        return [...forms, ...buttons, ...routes];
+    }, { maxForms: MAX_FORMS, maxButtons: MAX_BUTTONS, maxRoutes: MAX_ROUTES, destructive: DESTRUCTIVE_LABEL.source, formAllowlist });
+
+    return found;
+}
+
+async function performAction(page: Page, action: PageAction): Promise<void> {
+    await page.locator(action.selector).first().click({ timeout: ACTION_TIMEOUT_MS });
+    await page.waitForTimeout(ACTION_SETTLE_MS);
+    await page.waitForLoadState('domcontentloaded', { timeout: ACTION_TIMEOUT_MS }).catch(() => undefined);
+}
+
+/**
+ * What the action changed, or null when it replaced the document
+ */
+async function readAfterAction(
+    page: Page,
+    action: PageAction,
+    counts: Record<keyof LiveRegionLog, number>
+): Promise<(LiveRegionLog & { title: string; url: string; focusMoved: boolean }) | null> {
+    try {
+        return await page.evaluate(({ selector, counts }) => {
+            const log = window.__accesslintLive;
+            if (!log) {
+                return null;
+            }
+            const active = document.activeElement;
+            const trigger = document.querySelector(selector);
+            return {
+                title: document.title,
+                url: location.href,
+                focusMoved: !!active && active !== document.body && active !== document.documentElement && active !== trigger,
+                announcements: log.announcements.slice(counts.announcements),
+                unannounced: log.unannounced.slice(counts.unannounced),
+                insertedWithContent: log.insertedWithContent.slice(counts.insertedWithContent)
+            };
+        }, { selector: action.selector, counts });
+    } catch {
+        // Execution context destroyed by a navigation
+        return null;
+    }
+}
+
+function statusMessageIssues(action: PageAction, after: LiveRegionLog, spoken?: string[]): AccessibilityIssue[] {
+    const issues: AccessibilityIssue[] = [];
+    const trigger = actionLabel(action);
+    const wasSpoken = (text: string) => !!spoken && isSpoken(text, spoken);
+
+    for (const message of after.unannounced) {
+        if (wasSpoken(message.text)) {
+            continue;
+        }
+        issues.push({
+            criterion: '4.1.3 Status Messages',
+            severity: 'error',
+            description: `Status message "${message.text}" appeared after ${trigger} but is not in a live region, so screen readers do not announce it`,
+            element: message.snippet,
+            location: message.selector,
+            recommendation: 'Render an empty role="status" (or role="alert" for errors) container on page load and write the message into it',
+            ruleId: 'status-message-not-announced',
+            source: 'rules'
+        });
+    }
+
+    for (const message of after.insertedWithContent) {
+        if (wasSpoken(message.text)) {
+            continue;
+        }
+        issues.push({
+            criterion: '4.1.3 Status Messages',
+            severity: 'error',
+            description: `Live region was added to the page together with its message "${message.text}" after ${trigger}; screen readers only announce changes to regions that already exist`,
+            element: message.snippet,
+            location: message.selector,
+            recommendation: 'Keep the live region in the page from the start and only change its text',
+            ruleId: 'live-region-inserted-with-content',
+            source: 'rules'
+        });
+    }
+
+    // With a real screen reader, check the virtual announcer's expectations were actually spoken
+    if (spoken) {
+        for (const message of after.announcements) {
+            if (!isSpoken(message.text, spoken)) {
+                issues.push({
+                    criterion: '4.1.3 Status Messages',
+                    severity: 'warning',
+                    description: `Live region updated to "${message.text}" after ${trigger}, but the screen reader did not speak it`,
+                    element: message.snippet,
+                    location: message.selector,
+                    recommendation: 'Make sure the region is visible, not aria-hidden, and that the text changes after the region is rendered (not in the same frame)',
+                    ruleId: 'live-region-not-spoken',
+                    source: 'rules'
+                });
+            }
+        }
+    }
+
+    return issues;
+}
+
+function routeChangeIssues(
+    action: PageAction,
+    previousTitle: string,
+    after: LiveRegionLog & { title: string; url: string; focusMoved: boolean },
+    spoken?: string[]
+): AccessibilityIssue[] {
+    const issues: AccessibilityIssue[] = [];
+    const path = new URL(after.url).pathname;
+    const titleChanged = after.title.trim() !== previousTitle.trim();
+
+    if (!titleChanged) {
+        issues.push({
+            criterion: '2.4.2 Page Titled',
+            severity: 'warning',
+            description: `Page title stays "${previousTitle}" after the client-side route change to ${path}`,
+            element: action.label,
+            location: action.selector,
+            recommendation: 'Set document.title for each route when the route renders',
+            ruleId: 'route-title-unchanged',
+            source: 'rules'
+        });
+    }
+
+    const announced = after.announcements.length > 0 || (!!spoken && titleChanged && isSpoken(after.title, spoken));
+    if (!after.focusMoved && !announced) {
+        issues.push({
+            criterion: '2.4.3 Focus Order',
+            severity: 'error',
+            description: `Client-side route change to ${path} neither moves focus to the new content nor announces the new page`,
+            element: action.label,
+            location: action.selector,
+            recommendation: 'After each route change, move focus to the new page heading (tabindex="-1") or announce the new title in a polite live region',
+            ruleId: 'route-change-not-announced',
+            source: 'rules'
+        });
+    }
+
+    return issues;
+}
+
+function isSpoken(text: string, spoken: string[]): boolean {
+    const normalize = (value: string) => value.toLowerCase().replace(/\s+/g, ' ').trim();
+    // Screen readers split long messages; the start of the message is enough
+    const needle = normalize(text).slice(0, 40);
+    return spoken.some(phrase => normalize(phrase).includes(needle));
+}
+
+function actionLabel(action: PageAction): string {
+    switch (action.kind) {
+        case 'submit':
+            return `submitting the form with "${action.label}"`;
+        case 'route':
+            return `following the link "${action.label}"`;
+        default:
+            return `clicking "${action.label}"`;
+    }
+}
+
+async function reload(page: Page, url: string): Promise<void> {
+    await page.goto(url, { waitUntil: 'networkidle', timeout: 60000 });
+}
+
+function uniqueIssues(issues: AccessibilityIssue[]): AccessibilityIssue[] {
+    const seen = new Set<string>();
+    return issues.filter(issue => {
+        const key = [issue.ruleId, issue.location].join('|');
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
@@ -0,0 +1,399 @@
+/**
+ * Media Checker
+ *
+ * Inspects every <video> and <audio> on the page:
+ *   - captions: a <track kind="captions"> with a srclang that loads and has cues (1.2.2)
+ *   - transcripts linked near audio (1.2.1), and audio description or a transcript for video (1.2.5)
+ *   - media that starts playing with sound (1.4.2)
+ *   - custom player controls that cannot be focused, have no role or ignore Enter and Space (2.1.1, 4.1.2)
+ * Muted, looping, control-less background videos are decorative and only checked for motion.
+ */
+
+import { Page } from 'playwright';
+import { AccessibilityIssue } from '../accessibilityTester';
+import { ensurePageHelpers } from './pageHelpers';
+
+interface MediaTrack {
+    kind: string;
+    srclang: string;
+    label: string;
+    src: string;
+    /** HTMLTrackElement.readyState: 0 none, 1 loading, 2 loaded, 3 error */
+    readyState: number;
+    cueCount: number;
+}
+
+interface MediaControl {
+    selector: string;
+    snippet: string;
+    label: string;
+    focusable: boolean;
+    role: string;
+    playPause: boolean;
+}
+
+interface MediaElement {
+    kind: 'video' | 'audio';
+    selector: string;
+    snippet: string;
+    label: string;
+    autoplay: boolean;
+    muted: boolean;
+    controls: boolean;
+    decorative: boolean;
+    longerThanThreeSeconds: boolean;
+    tracks: MediaTrack[];
+    hasTranscript: boolean;
+    customControls: MediaControl[];
+}
+
+const MAX_MEDIA = 10;
+const TRACK_LOAD_TIMEOUT_MS = 2000;
+const KEY_SETTLE_MS = 300;
+
+/**
+ * Check the page's video and audio elements and embedded players
+ */
+export async function checkMedia(page: Page): Promise<AccessibilityIssue[]> {
+    await ensurePageHelpers(page);
+    const media = await inspectMedia(page);
+    const issues: AccessibilityIssue[] = [];
+
+    for (const item of media) {
+        issues.push(...alternativeIssues(item));
+        issues.push(...autoplayIssues(item));
+        issues.push(...await controlIssues(page, item));
+    }
+    issues.push(...await embeddedPlayerIssues(page));
+
+    return issues;
+}
+
+async function inspectMedia(page: Page): Promise<MediaElement[]> {
+    return page.evaluate(async ({ maxMedia, trackTimeout }) => {
+        const { selectorFor, snippetFor, isHidden } = window.__accesslint!;
+        const controlPattern = /\b(play|pause|mute|unmute|volume|full ?screen|seek|captions?|subtitles?|cc)\b/i;
+        const textOf = (el: Element) => `${el.getAttribute('aria-label') || ''} ${el.getAttribute('title') || ''} ${(el as HTMLElement).innerText || ''}`.replace(/\s+/g, ' ').trim();
+
+        const containerOf = (el: Element) =>
+            el.closest('figure, [class*="player" i], [class*="video" i], [class*="audio" i], [class*="media" i]') || el.parentElement || el;
+
+        const hasTranscript = (el: Element) => {
+            const described = (el.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean)
+                .some(id => /transcript/i.test(document.getElementById(id)?.textContent || ''));
+            const scope = containerOf(el).parentElement || containerOf(el);
+            const nearby = Array.from(scope.querySelectorAll('a, button, summary, [id*="transcript" i], [class*="transcript" i]'))
+                .some(candidate => /transcript/i.test(`${textOf(candidate)} ${candidate.id} ${candidate.getAttribute('class') || ''}`));
+            return described || nearby;
+        };
+
+        const customControls = (el: Element) => {
+            const matches = Array.from(containerOf(el).querySelectorAll('*'))
+                .filter(candidate => candidate !== el && !isHidden(candidate) && !['VIDEO', 'AUDIO', 'TRACK', 'SOURCE'].includes(candidate.tagName))
+                .filter(candidate => controlPattern.test(`${textOf(candidate).slice(0, 40)} ${candidate.getAttribute('class') || ''}`));
+            // The innermost match is the actual control, not a toolbar around it
+            return matches
+                .filter(candidate => !matches.some(other => other !== candidate && candidate.contains(other)))
+                .slice(0, 8)
+                .map(control => {
+                    const native = ['BUTTON', 'INPUT', 'SELECT'].includes(control.tagName) || (control.tagName === 'A' && control.hasAttribute('href'));
+                    const label = textOf(control).slice(0, 40) || (control.getAttribute('class') || control.tagName.toLowerCase());
+                    return {
+                        selector: selectorFor(control),
+                        snippet: snippetFor(control),
+                        label,
+                        focusable: (control as HTMLElement).tabIndex >= 0 && !(control as HTMLButtonElement).disabled,
+                        role: native ? (control.tagName === 'INPUT' && (control as HTMLInputElement).type === 'range' ? 'slider' : 'button') : (control.getAttribute('role') || ''),
+                        playPause: /\b(play|pause)\b/i.test(`${label} ${control.getAttribute('class') || ''}`)
+                    };
+                });
+        };
+
+        // Tracks only load once enabled; load them hidden, read the cues, then restore the mode
+        const loadTrack = async (trackElement: HTMLTrackElement) => {
+            const previousMode = trackElement.track.mode;
+            if (previousMode === 'disabled') {
+                trackElement.track.mode = 'hidden';
+            }
+            const deadline = Date.now() + trackTimeout;
+            while (trackElement.readyState < 2 && Date.now() < deadline) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+            const result = { readyState: trackElement.readyState, cueCount: trackElement.track.cues?.length ?? 0 };
+            trackElement.track.mode = previousMode;
+            return result;
+        };
+
+        const results: MediaElement[] = [];
+        for (const el of Array.from(document.querySelectorAll('video, audio')).slice(0, maxMedia) as HTMLMediaElement[]) {
+            // <audio> without controls renders nothing, so only skip it when it is explicitly hidden
+            if (el.tagName === 'VIDEO' ? isHidden(el) : !!el.closest('[hidden], [aria-hidden="true"]')) {
+                continue;
+            }
+            const tracks: MediaTrack[] = [];
+            for (const trackElement of Array.from(el.querySelectorAll('track'))) {
+                tracks.push({
+                    kind: trackElement.kind || 'subtitles',
+                    srclang: trackElement.srclang,
+                    label: trackElement.label,
+                    src: trackElement.getAttribute('src') || '',
+                    ...await loadTrack(trackElement)
+                });
+            }
+            const autoplay = el.autoplay || (!el.paused && !el.ended);
+            const muted = el.muted || el.volume === 0;
+            const source = (el.currentSrc || el.getAttribute('src') || '').split('/').pop() || '';
+            results.push({
+                kind: el.tagName === 'VIDEO' ? 'video' : 'audio',
+                selector: selectorFor(el),
+                snippet: snippetFor(el),
+                label: el.getAttribute('aria-label') || el.getAttribute('title') || source || el.tagName.toLowerCase(),
+                autoplay,
+                muted,
+                controls: el.controls,
+                decorative: el.tagName === 'VIDEO' && autoplay && muted && el.loop && !el.controls,
+                longerThanThreeSeconds: !isFinite(el.duration) || isNaN(el.duration) || el.duration > 3 || el.loop,
+                tracks,
+                hasTranscript: hasTranscript(el),
+                customControls: el.controls ? [] : customControls(el)
+            });
+        }
+        return results;
+    }, { maxMedia: MAX_MEDIA, trackTimeout: TRACK_LOAD_TIMEOUT_MS });
+}
+
+/**
+ * Captions, transcripts and audio description
+ */
+function alternativeIssues(item: MediaElement): AccessibilityIssue[] {
+    const issues: AccessibilityIssue[] = [];
+    const base = { element: item.snippet, location: item.selector, source: 'rules' as const };
+
+    if (item.kind === 'audio') {
+        if (!item.hasTranscript) {
+            issues.push({
+                ...base,
+                criterion: '1.2.1 Audio-only and Video-only (Prerecorded)',
+                severity: 'error',
+                description: `Audio "${item.label}" has no transcript linked near it`,
+                recommendation: 'Publish a text transcript and link it right next to the player (e.g. a "Transcript" link or <details>)',
+                ruleId: 'media-transcript-missing'
+            });
+        }
+        return issues;
+    }
+
+    if (item.decorative) {
+        return issues;
+    }
+
+    const captions = item.tracks.filter(track => track.kind === 'captions');
+    const subtitles = item.tracks.filter(track => track.kind === 'subtitles');
+    if (captions.length === 0 && subtitles.length === 0) {
+        issues.push({
+            ...base,
+            criterion: '1.2.2 Captions (Prerecorded)',
+            severity: 'error',
+            description: `Video "${item.label}" has no captions track`,
+            recommendation: 'Add <track kind="captions" src="captions.vtt" srclang="en" label="English"> inside the <video>',
+            ruleId: 'media-captions-missing'
+        });
+    } else if (captions.length === 0) {
+        issues.push({
+            ...base,
+            criterion: '1.2.2 Captions (Prerecorded)',
+            severity: 'warning',
+            description: `Video "${item.label}" only has subtitle tracks, which usually leave out sound effects and speaker names`,
+            recommendation: 'Provide kind="captions" tracks that describe relevant sounds and identify speakers',
+            ruleId: 'media-subtitles-only'
+        });
+    }
+
+    for (const track of [...captions, ...subtitles]) {
+        const name = track.label || track.src || track.kind;
+        if (!track.srclang) {
+            issues.push({
+                ...base,
+                criterion: '1.2.2 Captions (Prerecorded)',
+                severity: 'warning',
+                description: `${track.kind === 'captions' ? 'Caption' : 'Subtitle'} track "${name}" has no srclang`,
+                recommendation: 'Set srclang (e.g. srclang="en") so players can pick the track matching the user\'s language',
+                ruleId: 'media-track-language'
+            });
+        }
+        if (track.readyState === 3) {
+            issues.push({
+                ...base,
+                criterion: '1.2.2 Captions (Prerecorded)',
+                severity: 'error',
+                description: `${track.kind === 'captions' ? 'Caption' : 'Subtitle'} track "${name}" failed to load`,
+                recommendation: 'Check the track src URL, that it is served as text/vtt, and CORS (crossorigin on the <video>) when it is on another origin',
+                ruleId: 'media-track-load-failed'
+            });
+        } else if (track.readyState === 2 && track.cueCount === 0) {
+            issues.push({
+                ...base,
+                criterion: '1.2.2 Captions (Prerecorded)',
+                severity: 'error',
+                description: `${track.kind === 'captions' ? 'Caption' : 'Subtitle'} track "${name}" has no cues`,
+                recommendation: 'Fill the WebVTT file with timed cues covering all speech and relevant sounds',
+                ruleId: 'media-track-empty'
+            });
+        }
+    }
+
+    if (!item.tracks.some(track => track.kind === 'descriptions') && !item.hasTranscript) {
+        issues.push({
+            ...base,
+            criterion: '1.2.5 Audio Description (Prerecorded)',
+            severity: 'warning',
+            description: `Video "${item.label}" has no audio description track and no transcript nearby`,
+            recommendation: 'Provide an audio-described version or a <track kind="descriptions">, unless the soundtrack already describes everything shown',
+            ruleId: 'media-audio-description'
+        });
+    }
+
+    return issues;
+}
+
+function autoplayIssues(item: MediaElement): AccessibilityIssue[] {
+    if (!item.autoplay || item.muted || !item.longerThanThreeSeconds) {
+        return [];
+    }
+    const canStop = item.controls || item.customControls.some(control => /pause|stop|mute/i.test(control.label));
+    return [{
+        criterion: '1.4.2 Audio Control',
+        severity: canStop ? 'warning' : 'error',
+        description: `${item.kind === 'video' ? 'Video' : 'Audio'} "${item.label}" starts playing with sound${canStop ? '' : ' and has no control to pause or mute it'}`,
+        element: item.snippet,
+        location: item.selector,
+        recommendation: 'Do not autoplay media with sound; if it must, start muted or stop within three seconds and offer a pause/mute control first in the page',
+        ruleId: 'media-autoplay-sound',
+        source: 'rules'
+    }];
+}
+
+/**
+ * Custom player controls: focusable, exposed as buttons/sliders, and operable with Enter or Space
+ */
+async function controlIssues(page: Page, item: MediaElement): Promise<AccessibilityIssue[]> {
+    if (item.controls || item.decorative) {
+        return [];
+    }
+    const issues: AccessibilityIssue[] = [];
+
+    if (item.customControls.length === 0 && !item.autoplay) {
+        issues.push({
+            criterion: '2.1.1 Keyboard',
+            severity: 'warning',
+            description: `${item.kind === 'video' ? 'Video' : 'Audio'} "${item.label}" has no native controls and no recognizable custom controls`,
+            element: item.snippet,
+            location: item.selector,
+            recommendation: 'Add the controls attribute, or build player controls from <button> elements with accessible names',
+            ruleId: 'media-controls-missing',
+            source: 'rules'
+        });
+        return issues;
+    }
+
+    for (const control of item.customControls) {
+        if (!control.focusable) {
+            issues.push({
+                criterion: '2.1.1 Keyboard',
+                severity: 'error',
+                description: `Player control "${control.label}" cannot be reached with the keyboard`,
+                element: control.snippet,
+                location: control.selector,
+                recommendation: 'Use a <button> for player controls (or add tabindex="0" with Enter/Space handlers)',
+                ruleId: 'media-control-not-focusable',
+                source: 'rules'
+            });
+            continue;
+        }
+        if (!control.role) {
+            issues.push({
+                criterion: '4.1.2 Name, Role, Value',
+                severity: 'error',
+                description: `Player control "${control.label}" is focusable but has no role`,
+                element: control.snippet,
+                location: control.selector,
+                recommendation: 'Use a <button> (or role="button"; role="slider" with aria-valuenow for seek and volume)',
+                ruleId: 'media-control-role',
+                source: 'rules'
+            });
+        }
+        if (control.playPause && !await togglesWithKeyboard(page, item.selector, control.selector)) {
+            issues.push({
+                criterion: '2.1.1 Keyboard',
+                severity: 'error',
+                description: `Player control "${control.label}" does not start or pause playback with Enter or Space`,
+                element: control.snippet,
+                location: control.selector,
+                recommendation: 'Handle Enter and Space (a native <button> does this for you)',
+                ruleId: 'media-control-keyboard',
+                source: 'rules',
+                steps: [`Focus "${control.label}" (${control.selector})`, 'Press Enter', 'Press Space']
+            });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Whether Enter or Space on the control changes the media's paused state; restores the state after
+ */
+async function togglesWithKeyboard(page: Page, mediaSelector: string, controlSelector: string): Promise<boolean> {
+    const pausedState = () => page.evaluate((selector) => (document.querySelector(selector) as HTMLMediaElement | null)?.paused ?? null, mediaSelector);
+    const initial = await pausedState();
+    if (initial === null) {
+        return true;
+    }
+
+    let toggled = false;
+    try {
+        for (const key of ['Enter', ' ']) {
+            await page.locator(controlSelector).first().focus({ timeout: 2000 });
+            await page.keyboard.press(key);
+            await page.waitForTimeout(KEY_SETTLE_MS);
+            if (await pausedState() !== initial) {
+                toggled = true;
+                break;
+            }
+        }
+    } catch {
+        // Control disappeared; nothing to report
+        return true;
+    } finally {
+        await page.evaluate(({ selector, paused }) => {
+            const media = document.querySelector(selector) as HTMLMediaElement | null;
+            if (media && media.paused !== paused) {
+                paused ? media.pause() : media.play().catch(() => undefined);
+            }
+        }, { selector: mediaSelector, paused: initial }).catch(() => undefined);
+    }
+    return toggled;
+}
+
+/**
+ * Third-party players render in cross-origin frames that cannot be inspected
+ */
+async function embeddedPlayerIssues(page: Page): Promise<AccessibilityIssue[]> {
+    const players = await page.evaluate(() => {
+        const { selectorFor, snippetFor, isHidden } = window.__accesslint!;
+        return Array.from(document.querySelectorAll('iframe[src]'))
+            .filter(frame => !isHidden(frame) && /youtube(-nocookie)?\.com\/embed|player\.vimeo\.com|wistia|brightcove|jwplayer|dailymotion\.com\/embed/i.test(frame.getAttribute('src') || ''))
+            .slice(0, 5)
+            .map(frame => ({ selector: selectorFor(frame), snippet: snippetFor(frame), title: frame.getAttribute('title') || '' }));
+    });
+    return players.map(player => ({
+        criterion: '1.2.2 Captions (Prerecorded)',
+        severity: 'info' as const,
+        description: `Embedded player${player.title ? ` "${player.title}"` : ''} cannot be inspected; check that captions are available and turned on in the player settings`,
+        element: player.snippet,
+        location: player.selector,
+        recommendation: 'Upload captions to the video host (auto-generated captions need review), and link a transcript next to the embed',
+        ruleId: 'media-embedded-player',
+        source: 'rules' as const
+    }));
+}
@@ -0,0 +1,415 @@
+/**
+ * Motion Checker
+ *
+ * Looks for content that moves or flashes on its own:
+ *   - infinite CSS/Web Animations, auto-rotating carousels without a pause control, playing
+ *     videos without controls, <marquee> and <blink> (2.2.2 Pause, Stop, Hide)
+ *   - flashes: viewport frames are sampled as fast as the browser can screenshot, reduced to a
+ *     grid of relative luminance, and each cell is checked for more than three flashes in any
+ *     one second over an area above the WCAG general flash threshold (2.3.1)
+ * Moving offenders are checked again with prefers-reduced-motion: reduce emulated; content that
+ * stops is reported as a warning, content that keeps moving as an error. Offenders in the viewport
+ * get a short strip of frames so reviewers can see the motion without reloading the page.
+ *
+ * Frames are decoded in the audited page with createImageBitmap() on in-memory bytes, which the
+ * page's Content Security Policy does not restrict, and drawn on a detached canvas. Sampling stops
+ * after a second when nothing on screen changes and the DOM shows nothing moving.
+ */
+
+import { Page } from 'playwright';
+import { AccessibilityIssue } from '../accessibilityTester';
+import { ensurePageHelpers } from './pageHelpers';
+
+interface MovingContent {
+    kind: 'animation' | 'carousel' | 'video' | 'marquee';
+    selector: string;
+    snippet: string;
+    label: string;
+    /** Viewport coordinates, for the frame strip */
+    box: { x: number; y: number; width: number; height: number };
+    hasPauseControl: boolean;
+}
+
+interface Frame {
+    time: number;
+    image: Buffer;
+}
+
+export interface MotionCheckOptions {
+    /** Reload the page for the reduced-motion pass (not possible at journey checkpoints) */
+    reload?: boolean;
+}
+
+const SAMPLE_WINDOW_MS = 5000;
+const STILL_WINDOW_MS = 1000;
+const CAROUSEL_WINDOW_MS = 3000;
+const GRID_CELL_PX = 40;
+// WCAG general flash: a pair of opposing changes of at least 10% relative luminance where the darker state is below 0.80
+const FLASH_LUMINANCE_DELTA = 0.1;
+const FLASH_DARK_LIMIT = 0.8;
+// More than three flashes (six transitions) in any one second
+const MAX_TRANSITIONS_PER_SECOND = 6;
+// 25% of 10 degrees of visual field, as 341×256 px on a 1024×768 screen
+const FLASH_AREA_THRESHOLD = 341 * 256;
+// Below this sampling rate flashes at the threshold cannot be told apart
+const MIN_FLASH_FPS = 8;
+const STRIP_FRAMES = 4;
+const STRIP_FRAME_WIDTH = 240;
+const MAX_OFFENDERS = 10;
+const JPEG_QUALITY = 60;
+
+/**
+ * Sample the page for moving and flashing content
+ */
+export async function checkMotion(page: Page, options: MotionCheckOptions = {}): Promise<AccessibilityIssue[]> {
+    await ensurePageHelpers(page);
+    const offenders = await findMovingContent(page);
+    const signaturesBefore = await carouselSignatures(page, offenders);
+    const frames = await sampleFrames(page, SAMPLE_WINDOW_MS, offenders.length === 0);
+
+    // Carousels only count when they rotate on their own during the window
+    const signaturesAfter = await carouselSignatures(page, offenders);
+    const moving = offenders.filter(item => item.kind === 'marquee' || (!item.hasPauseControl &&
+        (item.kind !== 'carousel' || signaturesAfter.get(item.selector) !== signaturesBefore.get(item.selector))));
+
+    const viewport = page.viewportSize() || { width: 1280, height: 720 };
+    const cols = Math.ceil(viewport.width / GRID_CELL_PX);
+    const rows = Math.ceil(viewport.height / GRID_CELL_PX);
+    const grids: number[][] = [];
+    for (const frame of frames) {
+        grids.push(await luminanceGrid(page, frame.image, cols, rows));
+    }
+
+    const issues: AccessibilityIssue[] = [];
+    issues.push(...await flashIssues(page, frames, grids, cols));
+
+    // Strips are cut before the reduced-motion pass, which may reload the page
+    const strips = new Map<string, string | undefined>();
+    for (const item of moving.slice(0, MAX_OFFENDERS)) {
+        const inView = item.box.width > 0 && item.box.height > 0 && item.box.y < viewport.height && item.box.y + item.box.height > 0;
+        strips.set(item.selector, inView ? await frameStrip(page, frames, item.box) : undefined);
+    }
+
+    const stillMoving = moving.length > 0 ? await movingWithReducedMotion(page, moving, options) : new Set<string>();
+    for (const item of moving.slice(0, MAX_OFFENDERS)) {
+        issues.push({
+            ...motionIssue(item, stillMoving.has(item.selector)),
+            frameStrip: strips.get(item.selector)
+        });
+    }
+    return issues;
+}
+
+/**
+ * Animations, carousels, videos and marquees the DOM says are moving
+ */
+async function findMovingContent(page: Page): Promise<MovingContent[]> {
+    return page.evaluate((maxOffenders) => {
+        const { selectorFor, snippetFor, isHidden } = window.__accesslint!;
+        const pauseLabel = /pause|stop/i;
+        const labelOf = (el: Element) => `${el.getAttribute('aria-label') || ''} ${el.getAttribute('title') || ''} ${(el as HTMLElement).innerText || ''}`;
+        const hasPauseControl = (el: Element) => {
+            const scope = el.parentElement?.parentElement || el;
+            return Array.from(scope.querySelectorAll('button, [role="button"], input[type="button"]')).some(control => pauseLabel.test(labelOf(control)));
+        };
+        const describe = (el: Element, kind: MovingContent['kind'], label: string) => {
+            const rect = el.getBoundingClientRect();
+            return {
+                kind, label,
+                selector: selectorFor(el),
+                snippet: snippetFor(el),
+                box: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+                hasPauseControl: hasPauseControl(el)
+            };
+        };
+        const found: MovingContent[] = [];
+
+        document.querySelectorAll('marquee, blink').forEach(el => {
+            if (!isHidden(el)) {
+                found.push(describe(el, 'marquee', `<${el.tagName.toLowerCase()}>`));
+            }
+        });
+
+        document.querySelectorAll('video').forEach(video => {
+            const playing = !video.paused && !video.ended && (video.loop || !isFinite(video.duration) || video.duration > 5);
+            if (!isHidden(video) && playing && !video.controls) {
+                found.push(describe(video, 'video', 'video'));
+            }
+        });
+
+        const carousels = Array.from(document.querySelectorAll('[aria-roledescription="carousel" i], .carousel, .slideshow, .swiper, .slick-slider, .splide, [class*="carousel" i]'))
+            .filter(el => !isHidden(el) && !el.parentElement?.closest('[aria-roledescription="carousel" i], .carousel, .slideshow, .swiper, .slick-slider, .splide, [class*="carousel" i]'));
+        carousels.forEach(el => found.push(describe(el, 'carousel', el.getAttribute('aria-label') || 'carousel')));
+
+        // Infinite or longer-than-five-seconds animations on visible, non-trivial elements
+        const animated = new Set<Element>();
+        for (const animation of document.getAnimations()) {
+            const target = (animation.effect as KeyframeEffect | null)?.target;
+            const timing = animation.effect?.getComputedTiming();
+            if (!target || animated.has(target) || animation.playState !== 'running' || !timing) {
+                continue;
+            }
+            const endless = timing.iterations === Infinity || Number(timing.endTime) > 5000;
+            const rect = target.getBoundingClientRect();
+            if (!endless || isHidden(target) || rect.width < 16 || rect.height < 16 || found.some(item => target.closest(item.selector))) {
+                continue;
+            }
+            animated.add(target);
+            const name = (animation as CSSAnimation).animationName || animation.id || 'animation';
+            found.push(describe(target, 'animation', name));
+        }
+
+        return found.slice(0, maxOffenders * 2);
+    }, MAX_OFFENDERS);
+}
+
+/**
+ * Per carousel, a string that changes when it rotates: transforms, scroll positions and which
+ * slide is marked active
+ */
+async function carouselSignatures(page: Page, items: MovingContent[]): Promise<Map<string, string>> {
+    const selectors = items.filter(item => item.kind === 'carousel').map(item => item.selector);
+    const signatures = await page.evaluate((targets) => targets.map(selector => {
+        const el = document.querySelector(selector);
+        if (!el) {
+            return '';
+        }
+        const parts = [String(el.scrollLeft)];
+        Array.from(el.querySelectorAll('*')).slice(0, 40).forEach(child => {
+            const transform = getComputedStyle(child).transform;
+            parts.push(`${transform}|${/active|current|selected/i.test(child.getAttribute('class') || '') ? 1 : 0}|${child.scrollLeft}`);
+        });
+        return parts.join(';');
+    }), selectors);
+    return new Map(selectors.map((selector, index) => [selector, signatures[index]]));
+}
+
+/**
+ * Viewport screenshots as fast as the browser produces them. With stopWhenStill, gives up after
+ * STILL_WINDOW_MS of identical frames.
+ */
+async function sampleFrames(page: Page, windowMs: number, stopWhenStill: boolean): Promise<Frame[]> {
+    const frames: Frame[] = [];
+    const start = Date.now();
+    while (Date.now() - start < windowMs) {
+        const image = await page.screenshot({ type: 'jpeg', quality: JPEG_QUALITY, scale: 'css' });
+        frames.push({ time: Date.now() - start, image });
+        if (stopWhenStill && Date.now() - start >= STILL_WINDOW_MS && frames.every(frame => frame.image.equals(frames[0].image))) {
+            break;
+        }
+    }
+    return frames;
+}
+
+/**
+ * Average relative luminance (0..1) per grid cell, row by row
+ */
+async function luminanceGrid(page: Page, image: Buffer, cols: number, rows: number): Promise<number[]> {
+    return page.evaluate(async ({ data, cols, rows }) => {
+        const bytes = Uint8Array.from(atob(data), char => char.charCodeAt(0));
+        const img = await createImageBitmap(new Blob([bytes], { type: 'image/jpeg' }));
+
+        // Four samples per cell side is plenty for an average
+        const canvas = document.createElement('canvas');
+        canvas.width = cols * 4;
+        canvas.height = rows * 4;
+        const context = canvas.getContext('2d')!;
+        context.drawImage(img, 0, 0, canvas.width, canvas.height);
+        img.close();
+        const pixels = context.getImageData(0, 0, canvas.width, canvas.height).data;
+
+        const linear = (channel: number) => {
+            const c = channel / 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        };
+        const grid = new Array(cols * rows).fill(0);
+        for (let y = 0; y < canvas.height; y++) {
+            for (let x = 0; x < canvas.width; x++) {
+                const i = (y * canvas.width + x) * 4;
+                const luminance = 0.2126 * linear(pixels[i]) + 0.7152 * linear(pixels[i + 1]) + 0.0722 * linear(pixels[i + 2]);
+                grid[Math.floor(y / 4) * cols + Math.floor(x / 4)] += luminance / 16;
+            }
+        }
+        return grid;
+    }, { data: image.toString('base64'), cols, rows });
+}
+
+/**
+ * Cells that flash more than three times in a second, reported when together they exceed the
+ * general flash area threshold
+ */
+async function flashIssues(page: Page, frames: Frame[], grids: number[][], cols: number): Promise<AccessibilityIssue[]> {
+    if (frames.length < 2) {
+        return [];
+    }
+    const fps = (frames.length - 1) / ((frames[frames.length - 1].time - frames[0].time) / 1000);
+    if (fps < MIN_FLASH_FPS) {
+        return [{
+            criterion: '2.3.1 Three Flashes or Below Threshold',
+            severity: 'info',
+            description: `Flashing could not be ruled out: the page was sampled at ${fps.toFixed(1)} frames per second, below the ${MIN_FLASH_FPS} needed to see flashes at the threshold`,
+            recommendation: 'Check any flashing or strobing content manually, or with a photosensitive epilepsy analysis tool',
+            ruleId: 'flash-sampling-too-slow',
+            source: 'rules'
+        }];
+    }
+
+    const flashing: { cell: number; flashes: number }[] = [];
+    for (let cell = 0; cell < grids[0].length; cell++) {
+        const transitions = luminanceTransitions(frames.map((frame, index) => ({ time: frame.time, value: grids[index][cell] })));
+        const worst = maxPerSecond(transitions);
+        if (worst > MAX_TRANSITIONS_PER_SECOND) {
+            flashing.push({ cell, flashes: Math.floor(worst / 2) });
+        }
+    }
+
+    if (flashing.length * GRID_CELL_PX * GRID_CELL_PX < FLASH_AREA_THRESHOLD) {
+        return [];
+    }
+
+    const xs = flashing.map(item => (item.cell % cols) * GRID_CELL_PX);
+    const ys = flashing.map(item => Math.floor(item.cell / cols) * GRID_CELL_PX);
+    const box = { x: Math.min(...xs), y: Math.min(...ys), width: Math.max(...xs) - Math.min(...xs) + GRID_CELL_PX, height: Math.max(...ys) - Math.min(...ys) + GRID_CELL_PX };
+    const element = await page.evaluate(({ x, y }) => {
+        const el = document.elementFromPoint(x, y);
+        return el ? { selector: window.__accesslint!.selectorFor(el), snippet: window.__accesslint!.snippetFor(el) } : null;
+    }, { x: box.x + box.width / 2, y: box.y + box.height / 2 });
+
+    return [{
+        criterion: '2.3.1 Three Flashes or Below Threshold',
+        severity: 'error',
+        description: `Content flashes up to ${Math.max(...flashing.map(item => item.flashes))} times in one second over about ${box.width}×${box.height} px`,
+        element: element?.snippet,
+        location: element?.selector,
+        recommendation: 'Remove the flashing, slow it to three flashes or fewer per second, or reduce the flashing area and contrast below the general flash threshold',
+        ruleId: 'general-flash',
+        source: 'rules',
+        frameStrip: await frameStrip(page, frames, box)
+    }];
+}
+
+/**
+ * Times of opposing luminance changes large enough to count towards a flash
+ */
+function luminanceTransitions(samples: { time: number; value: number }[]): number[] {
+    const transitions: number[] = [];
+    let extreme = samples[0].value;
+    let direction = 0;
+    for (const sample of samples.slice(1)) {
+        const delta = sample.value - extreme;
+        const sign = Math.sign(delta);
+        if (sign !== 0 && sign === direction) {
+            extreme = sample.value; // still moving the same way: extend the change
+        } else if (Math.abs(delta) >= FLASH_LUMINANCE_DELTA && Math.min(sample.value, extreme) < FLASH_DARK_LIMIT) {
+            transitions.push(sample.time);
+            extreme = sample.value;
+            direction = sign;
+        }
+    }
+    return transitions;
+}
+
+function maxPerSecond(times: number[]): number {
+    let worst = 0;
+    for (let start = 0, end = 0; end < times.length; end++) {
+        while (times[end] - times[start] >= 1000) {
+            start++;
+        }
+        worst = Math.max(worst, end - start + 1);
+    }
+    return worst;
+}
+
+/**
+ * Selectors of offenders that keep moving with prefers-reduced-motion: reduce
+ */
+async function movingWithReducedMotion(page: Page, items: MovingContent[], options: MotionCheckOptions): Promise<Set<string>> {
+    await page.emulateMedia({ reducedMotion: 'reduce' });
+    try {
+        if (options.reload) {
+            await page.reload({ waitUntil: 'networkidle', timeout: 60000 });
+            await page.waitForTimeout(1000);
+        }
+        await ensurePageHelpers(page);
+
+        const before = await carouselSignatures(page, items);
+        if (items.some(item => item.kind === 'carousel')) {
+            await page.waitForTimeout(CAROUSEL_WINDOW_MS);
+        }
+        const after = await carouselSignatures(page, items);
+        const current = new Set((await findMovingContent(page)).filter(item => item.kind !== 'carousel').map(item => item.selector));
+
+        return new Set(items
+            .filter(item => item.kind === 'carousel' ? before.get(item.selector) !== after.get(item.selector) : current.has(item.selector))
+            .map(item => item.selector));
+    } finally {
+        await page.emulateMedia({ reducedMotion: null });
+        if (options.reload) {
+            await page.reload({ waitUntil: 'networkidle', timeout: 60000 }).catch(() => undefined);
+        }
+    }
+}
+
+function motionIssue(item: MovingContent, stillMovingWhenReduced: boolean): AccessibilityIssue {
+    const what: Record<MovingContent['kind'], string> = {
+        animation: `Animation "${item.label}" runs for more than five seconds with no way to pause it`,
+        carousel: 'Carousel rotates automatically and has no pause or stop control',
+        video: 'Video plays automatically for more than five seconds without controls',
+        marquee: `${item.label} scrolls or blinks continuously`
+    };
+    const recommendation: Record<MovingContent['kind'], string> = {
+        animation: 'Stop the animation after five seconds, provide a pause control, and disable it inside @media (prefers-reduced-motion: reduce)',
+        carousel: 'Add a visible pause/stop button, pause rotation on hover and keyboard focus, and do not auto-rotate with prefers-reduced-motion: reduce',
+        video: 'Add the controls attribute or a pause button, or do not autoplay',
+        marquee: 'Replace <marquee>/<blink> with static content'
+    };
+    return {
+        criterion: '2.2.2 Pause, Stop, Hide',
+        severity: stillMovingWhenReduced || item.kind === 'marquee' ? 'error' : 'warning',
+        description: `${what[item.kind]}; it ${stillMovingWhenReduced ? 'keeps moving' : 'stops'} with prefers-reduced-motion: reduce`,
+        element: item.snippet,
+        location: item.selector,
+        recommendation: recommendation[item.kind],
+        ruleId: `motion-${item.kind}`,
+        source: 'rules'
+    };
+}
+
+/**
+ * A few frames of one region side by side, as a JPEG data URL
+ */
+async function frameStrip(page: Page, frames: Frame[], box: MovingContent['box']): Promise<string | undefined> {
+    if (frames.length === 0) {
+        return undefined;
+    }
+    const picks = Array.from({ length: Math.min(STRIP_FRAMES, frames.length) }, (_, i) =>
+        frames[Math.round(i * (frames.length - 1) / Math.max(1, STRIP_FRAMES - 1))]);
+    try {
+        return await page.evaluate(async ({ images, box, frameWidth, quality }) => {
+            const decoded = await Promise.all(images.map(data =>
+                createImageBitmap(new Blob([Uint8Array.from(atob(data), char => char.charCodeAt(0))], { type: 'image/jpeg' }))));
+            const crop = {
+                x: Math.max(0, box.x),
+                y: Math.max(0, box.y),
+                width: Math.min(decoded[0].width - Math.max(0, box.x), box.width),
+                height: Math.min(decoded[0].height - Math.max(0, box.y), box.height)
+            };
+            const scale = Math.min(1, frameWidth / crop.width);
+            const width = Math.round(crop.width * scale);
+            const height = Math.round(crop.height * scale);
+            const gap = 4;
+
+            const canvas = document.createElement('canvas');
+            canvas.width = decoded.length * (width + gap) - gap;
+            canvas.height = height;
+            const context = canvas.getContext('2d')!;
+            context.fillStyle = '#fff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            decoded.forEach((img, i) => context.drawImage(img, crop.x, crop.y, crop.width, crop.height, i * (width + gap), 0, width, height));
+            decoded.forEach(img => img.close());
+            return canvas.toDataURL('image/jpeg', quality / 100);
+        }, { images: picks.map(frame => frame.image.toString('base64')), box, frameWidth: STRIP_FRAME_WIDTH, quality: JPEG_QUALITY });
+    } catch {
+        return undefined;
+    }
+}
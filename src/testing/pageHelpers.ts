@@ -0,0 +1,79 @@
+/**
+ * In-page helpers shared by the DOM checks
+ *
+ * Functions passed to page.evaluate() are serialized, so they cannot import anything.
+ * ensurePageHelpers() installs the common helpers on window.__accesslint once per document,
+ * and each check reads them from there.
+ */
+
+import { Page } from 'playwright';
+
+export interface PageHelpers {
+    /** Unique-ish CSS selector for an element (id when unique, else an nth-of-type path) */
+    selectorFor(el: Element): string;
+    /** Outer HTML, or just the opening tag when the element is large */
+    snippetFor(el: Element): string;
+    /** Not rendered, or removed from the accessibility tree */
+    isHidden(el: Element): boolean;
+}
+
+declare global {
+    interface Window {
+        __accesslint?: PageHelpers;
+    }
+}
+
+/**
+ * Install the helpers if the current document does not have them yet
+ */
+export async function ensurePageHelpers(page: Page): Promise<void> {
+    await page.evaluate(() => {
+        if (window.__accesslint) {
+            return;
+        }
+
+        const cssEscape = (value: string) => (window.CSS && CSS.escape) ? CSS.escape(value) : value.replace(/([^\w-])/g, '\\$1');
+
+        window.__accesslint = {
+            selectorFor(el: Element): string {
+                const parts: string[] = [];
+                let current: Element | null = el;
+                while (current && current.nodeType === 1) {
+                    if (current.id && document.querySelectorAll(`#${cssEscape(current.id)}`).length === 1) {
+                        parts.unshift(`#${cssEscape(current.id)}`);
+                        break;
+                    }
+                    let part = current.tagName.toLowerCase();
+                    const parent: Element | null = current.parentElement;
+                    if (parent) {
+                        const tagName = current.tagName;
+                        const siblings = Array.from(parent.children).filter(child => child.tagName === tagName);
+                        if (siblings.length > 1) {
+                            part += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+                        }
+                    }
+                    parts.unshift(part);
+                    current = parent;
+                }
+                return parts.join(' > ');
+            },
+
+            snippetFor(el: Element): string {
+                const html = el.outerHTML.replace(/\s+/g, ' ');
+                if (html.length <= 200) {
+                    return html;
+                }
+                const openingTag = html.slice(0, html.indexOf('>') + 1);
+                return (openingTag.length <= 200 ? openingTag : openingTag.slice(0, 197)) + '…';
+            },
+
+            isHidden(el: Element): boolean {
+                if (el.closest('[aria-hidden="true"], [hidden], template')) {
+                    return true;
+                }
+                const style = getComputedStyle(el);
+                return style.display === 'none' || style.visibility === 'hidden' || el.getClientRects().length === 0;
+            }
+        };
+    });
+}
@@ -0,0 +1,298 @@
+/**
+ * Responsive and zoom checks
+ *
+ * Re-lays out the loaded page across a viewport matrix and looks for content that breaks:
+ *   - 320 CSS px width (1.4.10 Reflow): horizontal scrolling and the elements causing it
+ *   - 200% zoom (1.4.4 Resize Text) and 400% zoom (1.4.10): clipped text and, at 400%,
+ *     horizontal scrolling. Zoom is emulated by shrinking the viewport, which is what browser
+ *     zoom does to CSS pixels, so media queries respond as they would for a real user.
+ *   - WCAG text-spacing overrides (1.4.12) injected as a stylesheet: text that gets clipped
+ *   - portrait and landscape (1.3.4 Orientation): content locked to one orientation
+ * Every issue is tagged with the viewport that triggered it. The original viewport is restored
+ * afterwards so the checks that follow see the page as loaded.
+ */
+
+import { Page } from 'playwright';
+import { AccessibilityIssue } from '../accessibilityTester';
+import { ensurePageHelpers } from './pageHelpers';
+
+interface Offender {
+    selector: string;
+    snippet: string;
+    text?: string;
+}
+
+const REFLOW_WIDTH = 320;
+const REFLOW_HEIGHT = 256;
+const DEFAULT_VIEWPORT = { width: 1280, height: 720 };
+const LAYOUT_SETTLE_MS = 300;
+const MAX_OFFENDERS = 10;
+const TEXT_SPACING_STYLE_ID = '__accesslint-text-spacing';
+
+// Values from WCAG 1.4.12
+const TEXT_SPACING_CSS = `
+* { line-height: 1.5 !important; letter-spacing: 0.12em !important; word-spacing: 0.16em !important; }
+p { margin-bottom: 2em !important; }`;
+
+export async function checkResponsiveLayout(page: Page): Promise<AccessibilityIssue[]> {
+    const original = page.viewportSize() || DEFAULT_VIEWPORT;
+    const issues: AccessibilityIssue[] = [];
+
+    try {
+        // Reflow at 320 CSS px
+        await resize(page, REFLOW_WIDTH, REFLOW_HEIGHT);
+        issues.push(...await horizontalScrollIssues(page, `${REFLOW_WIDTH} CSS px`));
+        issues.push(...tag(await findClippedText(page), '1.4.10 Reflow', `${REFLOW_WIDTH} CSS px`,
+            'Text is cut off when the page reflows to a narrow column', 'reflow-clipped-text'));
+
+        // Browser zoom
+        for (const zoom of [2, 4]) {
+            const viewport = `${zoom * 100}% zoom`;
+            await resize(page, Math.round(original.width / zoom), Math.round(original.height / zoom));
+            if (zoom === 4) {
+                issues.push(...await horizontalScrollIssues(page, viewport));
+            }
+            issues.push(...tag(await findClippedText(page), zoom === 2 ? '1.4.4 Resize Text' : '1.4.10 Reflow', viewport,
+                `Text is cut off at ${zoom * 100}% zoom`, 'zoom-clipped-text'));
+        }
+
+        // Text spacing, at the original viewport: only clipping the overrides cause counts
+        await resize(page, original.width, original.height);
+        const clippedBefore = new Set((await findClippedText(page)).map(offender => offender.selector));
+        await page.evaluate(({ id, css }) => {
+            const style = document.createElement('style');
+            style.id = id;
+            style.textContent = css;
+            document.head.appendChild(style);
+        }, { id: TEXT_SPACING_STYLE_ID, css: TEXT_SPACING_CSS });
+        await page.waitForTimeout(LAYOUT_SETTLE_MS);
+        const clippedAfter = (await findClippedText(page)).filter(offender => !clippedBefore.has(offender.selector));
+        await page.evaluate(id => document.getElementById(id)?.remove(), TEXT_SPACING_STYLE_ID);
+        issues.push(...tag(clippedAfter, '1.4.12 Text Spacing', 'text spacing',
+            'Text is cut off when users increase line, letter, word and paragraph spacing', 'text-spacing-clipped'));
+
+        // Orientation
+        issues.push(...await orientationIssues(page, original));
+    } finally {
+        await page.evaluate(id => document.getElementById(id)?.remove(), TEXT_SPACING_STYLE_ID).catch(() => undefined);
+        await page.setViewportSize(original);
+    }
+
+    return mergeByElement(issues);
+}
+
+async function resize(page: Page, width: number, height: number): Promise<void> {
+    await page.setViewportSize({ width, height });
+    await page.waitForTimeout(LAYOUT_SETTLE_MS);
+}
+
+function tag(offenders: Offender[], criterion: string, viewport: string, description: string, ruleId: string): AccessibilityIssue[] {
+    return offenders.map(offender => ({
+        criterion,
+        severity: 'warning' as const,
+        description: offender.text ? `${description}: "${offender.text}"` : description,
+        element: offender.snippet,
+        location: offender.selector,
+        recommendation: 'Let the container grow with its content (avoid fixed heights and overflow: hidden on text), or wrap the text',
+        ruleId,
+        source: 'rules' as const,
+        viewport
+    }));
+}
+
+/**
+ * One page-level issue when the page scrolls sideways, plus one per element pushing past the edge
+ */
+async function horizontalScrollIssues(page: Page, viewport: string): Promise<AccessibilityIssue[]> {
+    await ensurePageHelpers(page);
+    const result = await page.evaluate((maxOffenders) => {
+        const { selectorFor, snippetFor, isHidden } = window.__accesslint!;
+        const width = window.innerWidth;
+        const overflow = document.documentElement.scrollWidth - width;
+        if (overflow <= 1) {
+            return { overflow: 0, offenders: [] };
+        }
+
+        // Two-dimensional content may scroll (WCAG lists data tables, maps, diagrams, video)
+        const exempt = 'table, pre, code, canvas, video, svg, iframe, [role="grid"], [role="application"]';
+        const insideScroller = (el: Element) => {
+            for (let current = el.parentElement; current && current !== document.body; current = current.parentElement) {
+                if (/(auto|scroll|hidden|clip)/.test(getComputedStyle(current).overflowX)) {
+                    return true;
+                }
+            }
+            return false;
+        };
+        const pokesOut = (el: Element) => {
+            const rect = el.getBoundingClientRect();
+            return rect.width > 0 && rect.right > width + 1;
+        };
+
+        // Report the outermost element that sticks out, not every descendant
+        const offenders = Array.from(document.body.querySelectorAll('*'))
+            .filter(el => pokesOut(el) && !(el.parentElement && el.parentElement !== document.body && pokesOut(el.parentElement)))
+            .filter(el => !el.closest(exempt) && !isHidden(el) && getComputedStyle(el).position !== 'fixed' && !insideScroller(el))
+            .slice(0, maxOffenders)
+            .map(el => ({ selector: selectorFor(el), snippet: snippetFor(el) }));
+        return { overflow, offenders };
+    }, MAX_OFFENDERS);
+
+    if (result.overflow <= 0) {
+        return [];
+    }
+
+    const recommendation = 'Use flexible widths (max-width: 100%, flex-wrap, grid with minmax) and media queries so content fits a 320 CSS px column';
+    return [
+        {
+            criterion: '1.4.10 Reflow',
+            severity: 'error',
+            description: `Page scrolls horizontally by ${result.overflow}px at ${viewport}`,
+            recommendation,
+            ruleId: 'reflow-horizontal-scroll',
+            source: 'rules',
+            viewport
+        },
+        ...result.offenders.map(offender => ({
+            criterion: '1.4.10 Reflow',
+            severity: 'error' as const,
+            description: `Element is wider than the viewport at ${viewport} and forces horizontal scrolling`,
+            element: offender.snippet,
+            location: offender.selector,
+            recommendation,
+            ruleId: 'reflow-overflowing-element',
+            source: 'rules' as const,
+            viewport
+        }))
+    ];
+}
+
+/**
+ * Elements whose own text is cut off by an ancestor (or themselves) with overflow hidden/clip
+ */
+async function findClippedText(page: Page): Promise<Offender[]> {
+    await ensurePageHelpers(page);
+    return page.evaluate((maxOffenders) => {
+        const { selectorFor, snippetFor, isHidden } = window.__accesslint!;
+        const clips = (style: CSSStyleDeclaration) => /(hidden|clip)/.test(style.overflowX + style.overflowY);
+        const offenders: { selector: string; snippet: string; text?: string }[] = [];
+        const seenContainers = new Set<Element>();
+
+        for (const el of Array.from(document.body.querySelectorAll('*'))) {
+            if (offenders.length >= maxOffenders) {
+                break;
+            }
+            const ownText = Array.from(el.childNodes)
+                .filter(node => node.nodeType === Node.TEXT_NODE)
+                .map(node => node.textContent || '')
+                .join(' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+            if (ownText.length < 2 || isHidden(el)) {
+                continue;
+            }
+
+            // Visually-hidden text (sr-only patterns) is clipped on purpose
+            const rect = el.getBoundingClientRect();
+            if (rect.width <= 1 || rect.height <= 1) {
+                continue;
+            }
+
+            // Only the nearest clipping box matters: text inside it cannot escape further out
+            let container: Element | null = el;
+            while (container && container !== document.body && !clips(getComputedStyle(container))) {
+                container = container.parentElement;
+            }
+            if (!container || container === document.body || seenContainers.has(container)) {
+                continue;
+            }
+            const overflowsX = container.scrollWidth > container.clientWidth + 1;
+            const overflowsY = container.scrollHeight > container.clientHeight + 1;
+            const box = container.getBoundingClientRect();
+            const cut = (overflowsX && (rect.right > box.right + 1 || rect.left < box.left - 1)) ||
+                (overflowsY && (rect.bottom > box.bottom + 1 || rect.top < box.top - 1)) ||
+                (container === el && (overflowsX || overflowsY));
+            if (cut) {
+                seenContainers.add(container);
+                offenders.push({ selector: selectorFor(el), snippet: snippetFor(el), text: ownText.slice(0, 60) });
+            }
+        }
+        return offenders;
+    }, MAX_OFFENDERS);
+}
+
+/**
+ * Content that only works in one orientation: a rotated root, or most of the text disappearing
+ * behind a "rotate your device" message
+ */
+async function orientationIssues(page: Page, original: { width: number; height: number }): Promise<AccessibilityIssue[]> {
+    const long = Math.max(original.width, original.height);
+    const short = Math.min(original.width, original.height);
+    const orientations = [
+        { name: 'portrait', width: short, height: long },
+        { name: 'landscape', width: long, height: short }
+    ];
+
+    const measurements: { name: string; viewport: string; textLength: number; rotated: boolean; rotateMessage?: string }[] = [];
+    for (const orientation of orientations) {
+        await resize(page, orientation.width, orientation.height);
+        const measured = await page.evaluate(() => {
+            const visibleText = document.body ? document.body.innerText.replace(/\s+/g, ' ').trim() : '';
+            const rotated = [document.documentElement, document.body, document.querySelector('main')]
+                .filter((el): el is HTMLElement => !!el)
+                .some(el => {
+                    const transform = getComputedStyle(el).transform;
+                    const match = /^matrix\(([^,]+),\s*([^,]+)/.exec(transform);
+                    // rotate(±90deg) gives matrix(0, ±1, ...)
+                    return !!match && Math.abs(parseFloat(match[1])) < 0.01 && Math.abs(Math.abs(parseFloat(match[2])) - 1) < 0.01;
+                });
+            const rotateMessage = /(rotate|turn) your (device|phone|screen)|(switch|change) to (portrait|landscape)|best viewed in (portrait|landscape)/i.exec(visibleText);
+            return { textLength: visibleText.length, rotated, rotateMessage: rotateMessage ? rotateMessage[0] : undefined };
+        });
+        measurements.push({ name: orientation.name, viewport: `${orientation.name} ${orientation.width}×${orientation.height}`, ...measured });
+    }
+
+    const issues: AccessibilityIssue[] = [];
+    const recommendation = 'Let the layout adapt to both orientations instead of rotating the page or asking users to turn their device';
+    const [portrait, landscape] = measurements;
+    for (const [current, other] of [[portrait, landscape], [landscape, portrait]]) {
+        if (current.rotated) {
+            issues.push({
+                criterion: '1.3.4 Orientation',
+                severity: 'error',
+                description: `The page is rotated by 90° in ${current.name} orientation`,
+                recommendation,
+                ruleId: 'orientation-rotated',
+                source: 'rules',
+                viewport: current.viewport
+            });
+        } else if (current.rotateMessage && current.textLength < other.textLength * 0.5) {
+            issues.push({
+                criterion: '1.3.4 Orientation',
+                severity: 'error',
+                description: `Content is replaced by "${current.rotateMessage}" in ${current.name} orientation`,
+                recommendation,
+                ruleId: 'orientation-locked',
+                source: 'rules',
+                viewport: current.viewport
+            });
+        }
+    }
+    return issues;
+}
+
+/**
+ * The same problem found at several viewports is reported once, listing every viewport
+ */
+function mergeByElement(issues: AccessibilityIssue[]): AccessibilityIssue[] {
+    const merged = new Map<string, AccessibilityIssue>();
+    for (const issue of issues) {
+        const key = [issue.criterion, issue.location || issue.ruleId].join('|');
+        const existing = merged.get(key);
+        if (!existing) {
+            merged.set(key, issue);
+        } else if (issue.viewport && !existing.viewport?.split(', ').includes(issue.viewport)) {
+            existing.viewport = existing.viewport ? `${existing.viewport}, ${issue.viewport}` : issue.viewport;
+        }
+    }
+    return [...merged.values()];
+}
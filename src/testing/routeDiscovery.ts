@@ -0,0 +1,172 @@
+/**
+ * Route Discovery
+ *
+ * Finds static page routes in a workspace so the crawler can test pages that are not linked
+ * from the seed page. Understands file-system routing (Next.js pages/ and app/, Nuxt pages/,
+ * SvelteKit src/routes) and `path` entries in React Router, Vue Router and Angular configs.
+ * Dynamic segments (`:id`, `[slug]`, `*`) cannot be visited without data and are skipped.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+const IGNORED_DIRS = ['node_modules', '.git', 'dist', 'build', 'out', '.next', '.nuxt', '.svelte-kit', 'coverage'];
+const SOURCE_FILE = /\.(jsx?|tsx?|vue|svelte)$/;
+const MAX_SCANNED_FILES = 2000;
+
+export function discoverWorkspaceRoutes(workspaceRoot: string): string[] {
+    const routes = new Set<string>(['/']);
+
+    for (const base of ['', 'src']) {
+        collectFileRoutes(path.join(workspaceRoot, base, 'pages'), '', routes, 'pages');
+        collectFileRoutes(path.join(workspaceRoot, base, 'app'), '', routes, 'app');
+    }
+    collectFileRoutes(path.join(workspaceRoot, 'src', 'routes'), '', routes, 'sveltekit');
+
+    const files: string[] = [];
+    collectSourceFiles(path.join(workspaceRoot, 'src'), files);
+    for (const file of files) {
+        collectConfiguredRoutes(fs.readFileSync(file, 'utf8'), routes);
+    }
+
+    return Array.from(routes).filter(route => !/[:*[\]]/.test(route)).sort();
+}
+
+function collectFileRoutes(dir: string, prefix: string, routes: Set<string>, style: 'pages' | 'app' | 'sveltekit'): void {
+    let entries: fs.Dirent[];
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+        return;
+    }
+
+    for (const entry of entries) {
+        if (entry.isDirectory()) {
+            if (entry.name === 'api' || entry.name.startsWith('_') || IGNORED_DIRS.includes(entry.name)) {
+                continue;
+            }
+            // Route groups like (marketing) do not appear in the URL
+            const segment = /^\(.*\)$/.test(entry.name) ? '' : `/${entry.name}`;
+            collectFileRoutes(path.join(dir, entry.name), prefix + segment, routes, style);
+            continue;
+        }
+
+        const name = entry.name.replace(SOURCE_FILE, '');
+        if (!SOURCE_FILE.test(entry.name)) {
+            continue;
+        }
+
+        if (style === 'pages' && !name.startsWith('_')) {
+            routes.add(name === 'index' ? prefix || '/' : `${prefix}/${name}`);
+        } else if (style === 'app' && name === 'page') {
+            routes.add(prefix || '/');
+        } else if (style === 'sveltekit' && name === '+page') {
+            routes.add(prefix || '/');
+        }
+    }
+}
+
+function collectSourceFiles(dir: string, files: string[]): void {
+    let entries: fs.Dirent[];
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+        return;
+    }
+
+    for (const entry of entries) {
+        if (files.length >= MAX_SCANNED_FILES) {
+            return;
+        }
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory() && !IGNORED_DIRS.includes(entry.name)) {
+            collectSourceFiles(fullPath, files);
+        } else if (entry.isFile() && SOURCE_FILE.test(entry.name)) {
+            files.push(fullPath);
+        }
+    }
+}
+
+function collectConfiguredRoutes(source: string, routes: Set<string>): void {
+    // Only files that use a router; `path:` is far too common elsewhere
+    if (!/\b(Route|Routes|createBrowserRouter|createRouter|RouterModule|VueRouter)\b/.test(source)) {
+        return;
+    }
+
+    for (const segments of findRoutePaths(source)) {
+        // Child paths are relative to their parents unless they start with a slash
+        const absoluteFrom = segments.reduce((last, segment, index) => segment.startsWith('/') ? index : last, 0);
+        const route = segments.slice(absoluteFrom).map(segment => segment.replace(/^\/+|\/+$/g, '')).filter(Boolean).join('/');
+        const own = segments[segments.length - 1];
+        if (!own || /^(https?:|\.|\/\/)/.test(own) || /\.\w+$/.test(own)) {
+            continue;
+        }
+        routes.add(`/${route}`);
+    }
+}
+
+/**
+ * Every `path` in route config objects ({ path: 'settings', children: [...] }) and JSX
+ * (<Route path="settings">…</Route>), as the chain of paths from the outermost parent route
+ */
+function findRoutePaths(source: string): string[][] {
+    interface Frame { path?: string }
+    const found: Frame[][] = [];
+    const objects: Frame[] = [];
+    const elements: Frame[] = [];
+    // Comments and strings are skipped so braces and tags inside them do not count
+    const token = /\/\/[^\n]*|\/\*[\s\S]*?\*\/|\bpath\s*:\s*(['"`])((?:(?!\1)[^\\\n]|\\.)*)\1|'(?:[^'\\\n]|\\.)*'|"(?:[^"\\\n]|\\.)*"|`(?:[^`\\]|\\.)*`|<\/Route\s*>|<Route\b|[{}]/g;
+
+    let match: RegExpExecArray | null;
+    while ((match = token.exec(source)) !== null) {
+        const text = match[0];
+        if (match[2] !== undefined) {
+            if (objects.length > 0) {
+                objects[objects.length - 1].path = match[2].trim();
+                found.push([...objects]);
+            }
+        } else if (text === '{') {
+            objects.push({});
+        } else if (text === '}') {
+            objects.pop();
+        } else if (text.startsWith('</Route')) {
+            elements.pop();
+        } else if (text === '<Route') {
+            const tag = readTag(source, token.lastIndex);
+            token.lastIndex = tag.end;
+            const frame: Frame = { path: tag.path };
+            if (tag.path !== undefined) {
+                found.push([...elements, frame]);
+            }
+            if (!tag.selfClosing) {
+                elements.push(frame);
+            }
+        }
+    }
+
+    return found.map(chain => chain.map(frame => frame.path).filter((path): path is string => path !== undefined));
+}
+
+/**
+ * Attributes of a JSX tag from just after its name: the static `path`, and whether it closes itself.
+ * Braced attribute values (element={<Home />}) are skipped as a whole.
+ */
+function readTag(source: string, from: number): { path?: string; selfClosing: boolean; end: number } {
+    let depth = 0;
+    for (let i = from; i < source.length; i++) {
+        const char = source[i];
+        if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            depth--;
+        } else if (char === '"' || char === "'" || char === '`') {
+            const close = source.indexOf(char, i + 1);
+            i = close === -1 ? source.length : close;
+        } else if (char === '>' && depth === 0) {
+            const attributes = source.slice(from, i);
+            const path = /\bpath\s*=\s*\{?\s*(['"`])([^'"`]*)\1/.exec(attributes)?.[2].trim();
+            return { path, selfClosing: /\/\s*$/.test(attributes), end: i + 1 };
+        }
+    }
+    return { selfClosing: true, end: source.length };
+}
@@ -0,0 +1,477 @@
+/**
+ * DOM Rule Engine
+ *
+ * Deterministic WCAG 2.2 AA checks that run inside the page. Unlike the screen reader phase,
+ * which only sees what gets spoken, these rules inspect computed accessible names, ARIA
+ * validity, document metadata and structure directly. Every finding carries the exact
+ * success criterion, a CSS selector and an HTML snippet of the offending element.
+ */
+
+import { Page } from 'playwright';
+import { AccessibilityIssue } from '../accessibilityTester';
+import { ensurePageHelpers } from './pageHelpers';
+
+export interface RuleViolation {
+    ruleId: string;
+    criterion: string;
+    severity: 'error' | 'warning' | 'info';
+    description: string;
+    selector: string;
+    snippet: string;
+    recommendation?: string;
+}
+
+// WAI-ARIA 1.2 roles (abstract roles excluded - they are not valid in content)
+const VALID_ROLES = [
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell', 'checkbox',
+    'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion', 'dialog', 'directory',
+    'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img', 'image',
+    'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'marquee', 'math', 'menu', 'menubar', 'menuitem',
+    'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option', 'paragraph', 'presentation',
+    'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox',
+    'separator', 'slider', 'spinbutton', 'status', 'strong', 'subscript', 'superscript', 'switch', 'tab', 'table',
+    'tablist', 'tabpanel', 'term', 'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem',
+    // DPUB-ARIA and Graphics-ARIA roles browsers expose
+    'doc-abstract', 'doc-acknowledgments', 'doc-afterword', 'doc-appendix', 'doc-backlink', 'doc-biblioentry',
+    'doc-bibliography', 'doc-biblioref', 'doc-chapter', 'doc-colophon', 'doc-conclusion', 'doc-cover', 'doc-credit',
+    'doc-credits', 'doc-dedication', 'doc-endnote', 'doc-endnotes', 'doc-epigraph', 'doc-epilogue', 'doc-errata',
+    'doc-example', 'doc-footnote', 'doc-foreword', 'doc-glossary', 'doc-glossref', 'doc-index', 'doc-introduction',
+    'doc-noteref', 'doc-notice', 'doc-pagebreak', 'doc-pagelist', 'doc-part', 'doc-preface', 'doc-prologue',
+    'doc-pullquote', 'doc-qna', 'doc-subtitle', 'doc-tip', 'doc-toc', 'graphics-document', 'graphics-object',
+    'graphics-symbol'
+];
+
+const VALID_ARIA_ATTRIBUTES = [
+    'aria-activedescendant', 'aria-atomic', 'aria-autocomplete', 'aria-braillelabel', 'aria-brailleroledescription',
+    'aria-busy', 'aria-checked', 'aria-colcount', 'aria-colindex', 'aria-colindextext', 'aria-colspan', 'aria-controls',
+    'aria-current', 'aria-describedby', 'aria-description', 'aria-details', 'aria-disabled', 'aria-dropeffect',
+    'aria-errormessage', 'aria-expanded', 'aria-flowto', 'aria-grabbed', 'aria-haspopup', 'aria-hidden', 'aria-invalid',
+    'aria-keyshortcuts', 'aria-label', 'aria-labelledby', 'aria-level', 'aria-live', 'aria-modal', 'aria-multiline',
+    'aria-multiselectable', 'aria-orientation', 'aria-owns', 'aria-placeholder', 'aria-posinset', 'aria-pressed',
+    'aria-readonly', 'aria-relevant', 'aria-required', 'aria-roledescription', 'aria-rowcount', 'aria-rowindex',
+    'aria-rowindextext', 'aria-rowspan', 'aria-selected', 'aria-setsize', 'aria-sort', 'aria-valuemax', 'aria-valuemin',
+    'aria-valuenow', 'aria-valuetext'
+];
+
+// Attributes a role must carry when it is applied to an element without native semantics
+const REQUIRED_ARIA_ATTRIBUTES: Record<string, string[]> = {
+    checkbox: ['aria-checked'],
+    switch: ['aria-checked'],
+    menuitemcheckbox: ['aria-checked'],
+    menuitemradio: ['aria-checked'],
+    radio: ['aria-checked'],
+    combobox: ['aria-expanded'],
+    slider: ['aria-valuenow'],
+    scrollbar: ['aria-controls', 'aria-valuenow'],
+    spinbutton: ['aria-valuenow']
+};
+
+const MAX_VIOLATIONS_PER_RULE = 25;
+
+/**
+ * Run every rule against the page and return the raw violations
+ */
+export async function runRuleEngine(page: Page): Promise<RuleViolation[]> {
+    await ensurePageHelpers(page);
+
+    return page.evaluate(({ validRoles, validAria, requiredAria, maxPerRule }) => {
+        const violations: RuleViolation[] = [];
+        const counts: Record<string, number> = {};
+
+        const { selectorFor, snippetFor, isHidden } = window.__accesslint!;
+
+        const report = (
+            el: Element,
+            ruleId: string,
+            criterion: string,
+            severity: 'error' | 'warning' | 'info',
+            description: string,
+            recommendation?: string
+        ) => {
+            counts[ruleId] = (counts[ruleId] || 0) + 1;
+            if (counts[ruleId] > maxPerRule) {
+                return;
+            }
+            violations.push({ ruleId, criterion, severity, description, selector: selectorFor(el), snippet: snippetFor(el), recommendation });
+        };
+
+        // Hidden content still counts when aria-labelledby points at it (accname 1.2, step 2A),
+        // so a hidden referenced node passes includeHidden on to its subtree
+        const textAlternative = (node: Node, includeHidden = false): string => {
+            if (node.nodeType === 3) {
+                return node.textContent || '';
+            }
+            if (node.nodeType !== 1) {
+                return '';
+            }
+            const el = node as Element;
+            const style = getComputedStyle(el);
+            const hidden = el.getAttribute('aria-hidden') === 'true' || style.display === 'none' || style.visibility === 'hidden';
+            if (hidden && !includeHidden) {
+                return '';
+            }
+            const label = el.getAttribute('aria-label');
+            if (label && label.trim()) {
+                return label;
+            }
+            if (el.tagName === 'IMG' || el.tagName === 'AREA') {
+                return el.getAttribute('alt') || '';
+            }
+            if (el.tagName.toLowerCase() === 'svg') {
+                const title = el.querySelector('title');
+                return title ? title.textContent || '' : '';
+            }
+            return Array.from(el.childNodes).map(child => textAlternative(child, includeHidden && hidden)).join(' ');
+        };
+
+        const normalize = (text: string) => text.replace(/\s+/g, ' ').trim();
+
+        // Simplified accessible name computation (accname 1.2, steps 2B-2I)
+        const accessibleName = (el: Element): string => {
+            const labelledBy = el.getAttribute('aria-labelledby');
+            if (labelledBy) {
+                const text = normalize(labelledBy.split(/\s+/)
+                    .map(id => document.getElementById(id))
+                    .filter((ref): ref is HTMLElement => !!ref)
+                    .map(ref => textAlternative(ref, true))
+                    .join(' '));
+                if (text) {
+                    return text;
+                }
+            }
+
+            const ariaLabel = normalize(el.getAttribute('aria-label') || '');
+            if (ariaLabel) {
+                return ariaLabel;
+            }
+
+            const tag = el.tagName;
+            if (tag === 'IMG' || tag === 'AREA' || (tag === 'INPUT' && (el as HTMLInputElement).type === 'image')) {
+                const alt = el.getAttribute('alt');
+                if (alt !== null) {
+                    return normalize(alt);
+                }
+            }
+
+            if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') {
+                const input = el as HTMLInputElement;
+                if (input.labels && input.labels.length > 0) {
+                    const text = normalize(Array.from(input.labels).map(label => textAlternative(label)).join(' '));
+                    if (text) {
+                        return text;
+                    }
+                }
+                if (tag === 'INPUT' && ['submit', 'reset', 'button'].includes(input.type)) {
+                    return normalize(input.value || (input.type === 'submit' ? 'Submit' : input.type === 'reset' ? 'Reset' : ''));
+                }
+            }
+
+            if (tag === 'FIELDSET') {
+                const legend = el.querySelector(':scope > legend');
+                if (legend) {
+                    return normalize(textAlternative(legend));
+                }
+            }
+
+            if (tag.toLowerCase() === 'svg') {
+                const title = el.querySelector(':scope > title');
+                if (title && normalize(title.textContent || '')) {
+                    return normalize(title.textContent || '');
+                }
+            }
+
+            const nameFromContent = ['A', 'BUTTON', 'SUMMARY', 'OPTION', 'TH', 'TD', 'LEGEND', 'CAPTION', 'LABEL'].includes(tag) ||
+                /^(button|link|tab|menuitem|menuitemcheckbox|menuitemradio|option|treeitem|checkbox|radio|switch|heading|cell|columnheader|rowheader|tooltip)$/
+                    .test(el.getAttribute('role') || '');
+            if (nameFromContent || /^H[1-6]$/.test(tag)) {
+                const text = normalize(Array.from(el.childNodes).map(child => textAlternative(child)).join(' '));
+                if (text) {
+                    return text;
+                }
+            }
+
+            return normalize(el.getAttribute('title') || '');
+        };
+
+        // ---------- Document metadata ----------
+
+        const html = document.documentElement;
+        const lang = (html.getAttribute('lang') || '').trim();
+        if (!lang) {
+            report(html, 'html-has-lang', '3.1.1 Language of Page', 'error',
+                'The <html> element has no lang attribute, so screen readers cannot pick the right pronunciation',
+                'Add the page language, e.g. <html lang="en">');
+        } else if (!/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/.test(lang)) {
+            report(html, 'html-lang-valid', '3.1.1 Language of Page', 'error',
+                `The <html> lang attribute "${lang}" is not a valid BCP 47 language tag`,
+                'Use a valid language tag such as "en", "en-US" or "fr"');
+        }
+
+        const title = document.querySelector('title');
+        if (!title || !normalize(title.textContent || '')) {
+            report(title || document.head || html, 'document-title', '2.4.2 Page Titled', 'error',
+                'The page has no <title> (or it is empty)',
+                'Add a <title> that describes the page topic or purpose');
+        }
+
+        // ---------- IDs ----------
+
+        const idCounts = new Map<string, number>();
+        document.querySelectorAll('[id]').forEach(el => idCounts.set(el.id, (idCounts.get(el.id) || 0) + 1));
+
+        const referencedIds = new Set<string>();
+        document.querySelectorAll('label[for]').forEach(label => referencedIds.add(label.getAttribute('for') || ''));
+        const idrefAttributes = ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'aria-activedescendant', 'aria-errormessage', 'aria-flowto', 'aria-details'];
+        document.querySelectorAll(idrefAttributes.map(attr => `[${attr}]`).join(',')).forEach(el => {
+            for (const attr of idrefAttributes) {
+                (el.getAttribute(attr) || '').split(/\s+/).filter(Boolean).forEach(id => referencedIds.add(id));
+            }
+        });
+
+        const reportedDuplicates = new Set<string>();
+        document.querySelectorAll('[id]').forEach(el => {
+            const id = el.id;
+            if (!id || (idCounts.get(id) || 0) < 2 || reportedDuplicates.has(id)) {
+                return;
+            }
+            reportedDuplicates.add(id);
+            if (referencedIds.has(id)) {
+                report(el, 'duplicate-id-aria', '1.3.1 Info and Relationships', 'error',
+                    `id="${id}" is used ${idCounts.get(id)} times and is referenced by a label or ARIA attribute, so the relationship points at the wrong element`,
+                    'Make every id unique, especially ids referenced by for, aria-labelledby or aria-describedby');
+            } else {
+                report(el, 'duplicate-id', '4.1.1 Parsing (obsolete in WCAG 2.2)', 'info',
+                    `id="${id}" is used ${idCounts.get(id)} times`,
+                    'Make ids unique to avoid broken relationships in future changes');
+            }
+        });
+
+        // ---------- ARIA validity ----------
+
+        document.querySelectorAll('*').forEach(el => {
+            const role = (el.getAttribute('role') || '').trim();
+            if (role) {
+                const primary = role.split(/\s+/)[0].toLowerCase();
+                if (!validRoles.includes(primary)) {
+                    report(el, 'aria-valid-role', '4.1.2 Name, Role, Value', 'error',
+                        `role="${role}" is not a valid ARIA role`,
+                        'Use a role defined in WAI-ARIA 1.2, or remove the attribute and use a native element');
+                } else if (requiredAria[primary]) {
+                    const nativeInput = el.tagName === 'INPUT' || el.tagName === 'SELECT' || el.tagName === 'OPTION';
+                    const missing = requiredAria[primary].filter((attr: string) => !el.hasAttribute(attr));
+                    if (!nativeInput && missing.length > 0) {
+                        report(el, 'aria-required-attr', '4.1.2 Name, Role, Value', 'error',
+                            `role="${primary}" is missing required state ${missing.join(', ')}`,
+                            `Add ${missing.map((attr: string) => `${attr}="…"`).join(' ')} and keep it updated from script`);
+                    }
+                }
+            }
+
+            for (const attr of Array.from(el.attributes)) {
+                if (!attr.name.startsWith('aria-')) {
+                    continue;
+                }
+                if (!validAria.includes(attr.name)) {
+                    report(el, 'aria-valid-attr', '4.1.2 Name, Role, Value', 'error',
+                        `${attr.name} is not a valid ARIA attribute`,
+                        'Check the spelling against the WAI-ARIA 1.2 attribute list');
+                    continue;
+                }
+                if (['aria-hidden', 'aria-atomic', 'aria-busy', 'aria-disabled', 'aria-modal', 'aria-multiline', 'aria-multiselectable', 'aria-readonly', 'aria-required'].includes(attr.name) &&
+                    !['true', 'false', ''].includes(attr.value.trim())) {
+                    report(el, 'aria-valid-attr-value', '4.1.2 Name, Role, Value', 'error',
+                        `${attr.name}="${attr.value}" must be "true" or "false"`);
+                }
+                if (idrefAttributes.includes(attr.name)) {
+                    const missingIds = attr.value.split(/\s+/).filter(Boolean).filter(id => !document.getElementById(id));
+                    if (missingIds.length > 0) {
+                        report(el, 'aria-valid-attr-value', '4.1.2 Name, Role, Value', attr.name === 'aria-labelledby' ? 'error' : 'warning',
+                            `${attr.name} references missing id${missingIds.length > 1 ? 's' : ''}: ${missingIds.join(', ')}`,
+                            'Point the attribute at an element that exists in the DOM');
+                    }
+                }
+            }
+        });
+
+        const focusableSelector = 'a[href], button, input:not([type="hidden"]), select, textarea, iframe, [tabindex], [contenteditable="true"], summary';
+        document.querySelectorAll('[aria-hidden="true"]').forEach(container => {
+            const focusable = [container, ...Array.from(container.querySelectorAll(focusableSelector))]
+                .filter(el => el.matches(focusableSelector) && el.getAttribute('tabindex') !== '-1' && !(el as HTMLButtonElement).disabled);
+            if (focusable.length > 0) {
+                report(container, 'aria-hidden-focus', '4.1.2 Name, Role, Value', 'error',
+                    `aria-hidden="true" content contains ${focusable.length} focusable element${focusable.length > 1 ? 's' : ''}, which keyboard users reach but screen readers cannot describe`,
+                    'Remove the focusable elements, give them tabindex="-1", or use the inert attribute instead');
+            }
+        });
+
+        // ---------- Accessible names ----------
+
+        // svg[role="img"] is covered by svg-img-alt below
+        document.querySelectorAll('img, [role="img"]:not(svg), input[type="image"], area[href]').forEach(el => {
+            const role = el.getAttribute('role');
+            if (role === 'presentation' || role === 'none' || isHidden(el)) {
+                return;
+            }
+            if (el.tagName === 'IMG' && el.getAttribute('alt') === '') {
+                return;
+            }
+            if (!accessibleName(el)) {
+                report(el, 'image-alt', '1.1.1 Non-text Content', 'error',
+                    'Image has no text alternative',
+                    'Add alt text describing the image, or alt="" if it is purely decorative');
+            }
+        });
+
+        document.querySelectorAll('svg').forEach(el => {
+            if (el.getAttribute('role') === 'img' && !isHidden(el) && !accessibleName(el)) {
+                report(el, 'svg-img-alt', '1.1.1 Non-text Content', 'error',
+                    'SVG with role="img" has no accessible name',
+                    'Add a <title> child or aria-label');
+            }
+        });
+
+        document.querySelectorAll('a[href], [role="link"]').forEach(el => {
+            if (!isHidden(el) && !accessibleName(el)) {
+                report(el, 'link-name', '2.4.4 Link Purpose (In Context)', 'error',
+                    'Link has no accessible name',
+                    'Add link text, or an aria-label / alt text on the image inside the link');
+            }
+        });
+
+        document.querySelectorAll('button, [role="button"], input[type="button"], input[type="submit"], input[type="reset"]').forEach(el => {
+            if (!isHidden(el) && !accessibleName(el)) {
+                report(el, 'button-name', '4.1.2 Name, Role, Value', 'error',
+                    'Button has no accessible name',
+                    'Add visible text or an aria-label describing the action');
+            }
+        });
+
+        document.querySelectorAll('input, select, textarea, [role="textbox"], [role="combobox"], [role="listbox"], [role="searchbox"], [role="spinbutton"], [role="slider"], [role="checkbox"], [role="radio"], [role="switch"]').forEach(el => {
+            if (el.tagName === 'INPUT' && ['hidden', 'submit', 'reset', 'button', 'image'].includes((el as HTMLInputElement).type)) {
+                return;
+            }
+            if (isHidden(el) || accessibleName(el)) {
+                return;
+            }
+            if (el.getAttribute('placeholder')) {
+                report(el, 'label-placeholder-only', '3.3.2 Labels or Instructions', 'warning',
+                    `Form field is labelled only by its placeholder "${el.getAttribute('placeholder')}", which disappears while typing`,
+                    'Add a visible <label for="…"> associated with the field');
+            } else {
+                report(el, 'label', '4.1.2 Name, Role, Value', 'error',
+                    'Form field has no accessible name',
+                    'Associate a <label for="…">, wrap the field in a <label>, or add aria-labelledby');
+            }
+        });
+
+        document.querySelectorAll('iframe, frame').forEach(el => {
+            if (isHidden(el) || el.getAttribute('tabindex') === '-1') {
+                return;
+            }
+            if (!normalize(el.getAttribute('title') || '') && !el.getAttribute('aria-label') && !el.getAttribute('aria-labelledby')) {
+                report(el, 'frame-title', '4.1.2 Name, Role, Value', 'error',
+                    'Frame has no title describing its content',
+                    'Add a title attribute, e.g. <iframe title="Product video">');
+            }
+        });
+
+        // ---------- Structure ----------
+
+        document.querySelectorAll('table').forEach(table => {
+            const role = table.getAttribute('role');
+            if (role === 'presentation' || role === 'none' || isHidden(table)) {
+                return;
+            }
+            const rows = table.querySelectorAll('tr');
+            const maxCells = Math.max(0, ...Array.from(rows).map(row => row.children.length));
+            const hasHeaders = table.querySelector('th, [role="columnheader"], [role="rowheader"], td[scope]') !== null;
+            if (rows.length >= 2 && maxCells >= 2 && !hasHeaders) {
+                report(table, 'table-headers', '1.3.1 Info and Relationships', 'warning',
+                    'Data table has no header cells, so cells are read without their row/column context',
+                    'Mark header cells with <th scope="col"> / <th scope="row">, or role="presentation" if the table is only for layout');
+            }
+            table.querySelectorAll('th').forEach(th => {
+                if (!normalize(textAlternative(th)) && !th.getAttribute('aria-label')) {
+                    report(th, 'th-has-name', '1.3.1 Info and Relationships', 'warning',
+                        'Table header cell is empty');
+                }
+            });
+        });
+
+        document.querySelectorAll('ul, ol').forEach(list => {
+            const role = list.getAttribute('role');
+            if (role && role !== 'list') {
+                return;
+            }
+            const invalidChildren = Array.from(list.children).filter(child =>
+                !['LI', 'SCRIPT', 'TEMPLATE'].includes(child.tagName) && child.getAttribute('role') !== 'listitem');
+            if (invalidChildren.length > 0) {
+                report(list, 'list', '1.3.1 Info and Relationships', 'error',
+                    `<${list.tagName.toLowerCase()}> contains ${invalidChildren.length} direct child element${invalidChildren.length > 1 ? 's' : ''} that ${invalidChildren.length > 1 ? 'are' : 'is'} not <li>`,
+                    'Only <li>, <script> or <template> may be direct children of a list');
+            }
+        });
+
+        document.querySelectorAll('li').forEach(item => {
+            const parent = item.parentElement;
+            const parentRole = parent ? parent.getAttribute('role') : null;
+            if (!parent || (!['UL', 'OL', 'MENU'].includes(parent.tagName) && parentRole !== 'list')) {
+                report(item, 'listitem', '1.3.1 Info and Relationships', 'error',
+                    '<li> is not contained in a <ul>, <ol> or <menu>',
+                    'Wrap list items in a list element');
+            }
+        });
+
+        // ---------- Focus order ----------
+
+        document.querySelectorAll('[tabindex]').forEach(el => {
+            const tabindex = parseInt(el.getAttribute('tabindex') || '0', 10);
+            if (tabindex > 0) {
+                report(el, 'tabindex', '2.4.3 Focus Order', 'warning',
+                    `tabindex="${tabindex}" forces this element ahead of the natural focus order`,
+                    'Use tabindex="0" and order the DOM to match the visual order');
+            }
+        });
+
+        // ---------- Target size (new in WCAG 2.2) ----------
+
+        document.querySelectorAll('button, [role="button"], input[type="checkbox"], input[type="radio"], input[type="button"], input[type="submit"], a[href]').forEach(el => {
+            if (isHidden(el)) {
+                return;
+            }
+            // Links inside running text are exempt (inline exception)
+            if (el.tagName === 'A' && getComputedStyle(el).display === 'inline') {
+                return;
+            }
+            const rect = el.getBoundingClientRect();
+            if (rect.width > 0 && rect.height > 0 && (rect.width < 24 || rect.height < 24)) {
+                report(el, 'target-size', '2.5.8 Target Size (Minimum)', 'warning',
+                    `Target is ${Math.round(rect.width)}×${Math.round(rect.height)} CSS px, smaller than 24×24`,
+                    'Increase the hit area to at least 24×24 CSS px (padding or min-width/min-height), or ensure enough spacing from other targets');
+            }
+        });
+
+        return violations;
+    }, {
+        validRoles: VALID_ROLES,
+        validAria: VALID_ARIA_ATTRIBUTES,
+        requiredAria: REQUIRED_ARIA_ATTRIBUTES,
+        maxPerRule: MAX_VIOLATIONS_PER_RULE
+    });
+}
+
+/**
+ * Convert rule violations into the issue format used by TestResult
+ */
+export function toAccessibilityIssues(violations: RuleViolation[]): AccessibilityIssue[] {
+    return violations.map(violation => ({
+        criterion: violation.criterion,
+        severity: violation.severity,
+        description: violation.description,
+        element: violation.snippet,
+        location: violation.selector,
+        recommendation: violation.recommendation,
+        ruleId: violation.ruleId,
+        source: 'rules' as const
+    }));
+}
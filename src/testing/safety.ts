@@ -0,0 +1,11 @@
+/**
+ * Interaction safety
+ *
+ * Checks that click, press keys or submit forms on the page under test must never trigger
+ * anything that changes data the user cares about. DESTRUCTIVE_LABEL matches the label,
+ * accessible name or URL of such controls; checks pass its `.source` into page.evaluate() and
+ * skip every element it matches.
+ */
+
+// Whole words only, so "Display" or "Sender details" stay clickable
+export const DESTRUCTIVE_LABEL = /\b(?:delete|remove|destroy|log ?out|sign ?out|unsubscribe|subscribe|cancel (?:my )?(?:account|subscription|order)|deactivate|archive|pay(?:ment)?|purchase|buy|check ?out|order now|place (?:my |your |the )?order|transfer|send|post comment|publish)\b/i;
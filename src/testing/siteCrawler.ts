@@ -0,0 +1,248 @@
+/**
+ * Site Crawler
+ *
+ * Runs the tester across many pages of a site. Pages come from following same-origin links
+ * breadth-first from a seed URL, from the site's sitemap.xml, or from a route list discovered
+ * in the workspace. Issues that repeat on several pages (a shared header, a footer) are merged
+ * into one site-level issue that lists every page it appears on.
+ */
+
+import fetch from 'node-fetch';
+import { AccessibilityIssue, AccessibilityTester, TestResult } from '../accessibilityTester';
+
+export type CrawlSource = 'links' | 'sitemap' | 'routes';
+
+export interface CrawlOptions {
+    source: CrawlSource;
+    /** Link depth to follow from the seed URL (links mode only) */
+    maxDepth: number;
+    maxPages: number;
+    /** Glob patterns matched against the URL path; empty means everything */
+    include: string[];
+    exclude: string[];
+    /** Route paths for 'routes' mode, e.g. from discoverWorkspaceRoutes() */
+    routes?: string[];
+}
+
+export interface SiteIssue extends AccessibilityIssue {
+    /** Every page (or journey checkpoint) the issue was found on */
+    pages: string[];
+}
+
+export interface SiteCrawlResult {
+    seedUrl: string;
+    timestamp: Date;
+    pages: TestResult[];
+    failedPages: { url: string; error: string }[];
+    /** Issues deduplicated across pages */
+    issues: SiteIssue[];
+    summary: {
+        pagesTested: number;
+        errors: number;
+        warnings: number;
+        info: number;
+        totalIssues: number;
+    };
+}
+
+// Links to files rather than pages
+const NON_PAGE_EXTENSIONS = /\.(pdf|zip|gz|tar|dmg|exe|msi|png|jpe?g|gif|svg|webp|ico|mp3|mp4|webm|mov|avi|css|js|json|xml|txt|csv|docx?|xlsx?|pptx?)$/i;
+const MAX_SITEMAP_FILES = 10;
+
+export async function crawlSite(
+    tester: AccessibilityTester,
+    seedUrl: string,
+    options: CrawlOptions,
+    onProgress?: (message: string) => void,
+    isCancelled: () => boolean = () => false
+): Promise<SiteCrawlResult> {
+    const progress = (message: string) => {
+        if (onProgress) onProgress(message);
+    };
+
+    const seed = new URL(seedUrl);
+    const queue: { url: string; depth: number }[] = [];
+    const queued = new Set<string>();
+
+    const enqueue = (url: string, depth: number) => {
+        const normalized = normalizeUrl(url, seed);
+        if (normalized && !queued.has(normalized) && isIncluded(normalized, options)) {
+            queued.add(normalized);
+            queue.push({ url: normalized, depth });
+        }
+    };
+
+    enqueue(seed.href, 0);
+
+    if (options.source === 'sitemap') {
+        progress('🗺️ Reading sitemap.xml...');
+        const urls = await readSitemap(seed);
+        progress(`   Found ${urls.length} URLs in sitemap`);
+        urls.forEach(url => enqueue(url, 1));
+    } else if (options.source === 'routes') {
+        const routes = options.routes || [];
+        progress(`🧭 Using ${routes.length} routes from the workspace router config`);
+        routes.forEach(route => enqueue(new URL(route, seed).href, 1));
+    }
+
+    const pages: TestResult[] = [];
+    const failedPages: { url: string; error: string }[] = [];
+
+    while (queue.length > 0 && pages.length + failedPages.length < options.maxPages && !isCancelled()) {
+        const { url, depth } = queue.shift()!;
+        const pageNumber = pages.length + failedPages.length + 1;
+        progress(`\n🌐 [${pageNumber}/${Math.min(queued.size, options.maxPages)}] ${url}`);
+
+        try {
+            pages.push(await tester.testUrl(url, onProgress));
+
+            if (options.source === 'links' && depth < options.maxDepth) {
+                const links = await tester.collectLinks();
+                links.forEach(link => enqueue(link, depth + 1));
+            }
+        } catch (error) {
+            if (isCancelled()) {
+                break;
+            }
+            const message = error instanceof Error ? error.message : String(error);
+            failedPages.push({ url, error: message });
+            progress(`⚠️ Skipping ${url}: ${message}`);
+        }
+    }
+
+    const issues = deduplicateIssues(pages);
+
+    return {
+        seedUrl: seed.href,
+        timestamp: new Date(),
+        pages,
+        failedPages,
+        issues,
+        summary: {
+            pagesTested: pages.length,
+            errors: issues.filter(i => i.severity === 'error').length,
+            warnings: issues.filter(i => i.severity === 'warning').length,
+            info: issues.filter(i => i.severity === 'info').length,
+            totalIssues: issues.length
+        }
+    };
+}
+
+/**
+ * Merge issues that are the same problem on the same element across pages or checkpoints
+ */
+export function deduplicateIssues(pages: TestResult[]): SiteIssue[] {
+    const byKey = new Map<string, SiteIssue>();
+
+    for (const page of pages) {
+        const pageLabel = page.checkpoint || page.url;
+        for (const issue of page.issues) {
+            const key = siteIssueKey(issue);
+            const existing = byKey.get(key);
+            if (existing) {
+                if (!existing.pages.includes(pageLabel)) {
+                    existing.pages.push(pageLabel);
+                }
+            } else {
+                byKey.set(key, { ...issue, pages: [pageLabel] });
+            }
+        }
+    }
+
+    // Site-wide problems first: they are usually fixed once in a shared component
+    return Array.from(byKey.values()).sort((a, b) => b.pages.length - a.pages.length);
+}
+
+/**
+ * Identity used to merge an issue across pages: the same problem on the same element
+ */
+export function siteIssueKey(issue: Pick<AccessibilityIssue, 'criterion' | 'ruleId' | 'description' | 'element' | 'location'>): string {
+    return [issue.criterion, issue.ruleId || '', issue.description, issue.element || '', issue.location || ''].join('\u0000');
+}
+
+/**
+ * Convert a glob (`*` within a path segment, `**` across segments) to a RegExp
+ */
+export function globToRegExp(glob: string): RegExp {
+    let pattern = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            pattern += '.*';
+            i++;
+        } else if (char === '*') {
+            pattern += '[^/]*';
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else {
+            pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${pattern}$`);
+}
+
+function isIncluded(url: string, options: CrawlOptions): boolean {
+    const { pathname } = new URL(url);
+    const matches = (glob: string) => globToRegExp(glob).test(pathname);
+
+    if (options.include.length > 0 && !options.include.some(matches)) {
+        return false;
+    }
+    return !options.exclude.some(matches);
+}
+
+/**
+ * Same-origin page URL without its fragment, or null if the link should not be crawled
+ */
+function normalizeUrl(url: string, seed: URL): string | null {
+    try {
+        const parsed = new URL(url, seed);
+        if (parsed.origin !== seed.origin || NON_PAGE_EXTENSIONS.test(parsed.pathname)) {
+            return null;
+        }
+        parsed.hash = '';
+        return parsed.href;
+    } catch {
+        return null;
+    }
+}
+
+async function readSitemap(seed: URL): Promise<string[]> {
+    const urls: string[] = [];
+    const pending = [new URL('/sitemap.xml', seed).href];
+    let fetched = 0;
+
+    while (pending.length > 0 && fetched < MAX_SITEMAP_FILES) {
+        const sitemapUrl = pending.shift()!;
+        fetched++;
+
+        try {
+            const response = await fetch(sitemapUrl);
+            if (!response.ok) {
+                continue;
+            }
+            const xml = await response.text();
+            const locations = Array.from(xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi), match => decodeXml(match[1]));
+
+            // A sitemap index points at further sitemaps
+            if (/<sitemapindex[\s>]/i.test(xml)) {
+                pending.push(...locations);
+            } else {
+                urls.push(...locations);
+            }
+        } catch {
+            // Unreachable sitemap - crawl continues with what we have
+        }
+    }
+
+    return urls;
+}
+
+function decodeXml(value: string): string {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
@@ -0,0 +1,331 @@
+/**
+ * Source Mapper
+ *
+ * Maps elements found at runtime back to the source that rendered them, so issues can point at
+ * `src/components/Header.tsx:42:7` instead of a CSS selector. Sources, in order of preference:
+ *   - data-* source attributes added by build plugins (data-source, data-inspector-*, data-sentry-*)
+ *   - Svelte's __svelte_meta in dev builds
+ *   - React fibers in dev builds (_debugSource, or the _debugStack frame in React 19)
+ *   - Vue component __file (file only)
+ * Stack frames point at served JavaScript, so they are resolved through the script's source map.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { Page } from 'playwright';
+import { AccessibilityIssue } from '../accessibilityTester';
+
+export interface SourceLocation {
+    /** Workspace-relative path when it could be resolved, otherwise the path as reported */
+    file: string;
+    line?: number;
+    column?: number;
+    via: 'attribute' | 'svelte' | 'react' | 'vue' | 'sourcemap';
+}
+
+interface SourceHint {
+    file?: string;
+    line?: number;
+    column?: number;
+    /** Script URL from a stack frame, to be resolved through its source map */
+    scriptUrl?: string;
+    via: SourceLocation['via'];
+}
+
+interface DecodedSourceMap {
+    sources: string[];
+    /** Per generated line: [generatedColumn, sourceIndex, sourceLine, sourceColumn] segments */
+    lines: number[][][];
+}
+
+const MAX_ANCESTOR_DEPTH = 15;
+
+/**
+ * Attach a sourceLocation to every issue whose element can be traced to source.
+ * Returns the number of issues mapped.
+ */
+export async function mapIssuesToSource(page: Page, issues: AccessibilityIssue[], sourceRoot?: string): Promise<number> {
+    const selectors = Array.from(new Set(issues.map(issue => issue.location).filter((location): location is string => !!location)));
+    if (selectors.length === 0) {
+        return 0;
+    }
+
+    const hints = await collectSourceHints(page, selectors);
+    const sourceMaps = new Map<string, Promise<DecodedSourceMap | null>>();
+    const resolved = new Map<string, SourceLocation | null>();
+
+    for (const [selector, hint] of Object.entries(hints)) {
+        resolved.set(selector, hint ? await resolveHint(page, hint, sourceRoot, sourceMaps) : null);
+    }
+
+    let mapped = 0;
+    for (const issue of issues) {
+        const location = issue.location ? resolved.get(issue.location) : null;
+        if (location) {
+            issue.sourceLocation = location;
+            mapped++;
+        }
+    }
+    return mapped;
+}
+
+async function collectSourceHints(page: Page, selectors: string[]): Promise<Record<string, SourceHint | null>> {
+    return page.evaluate(({ selectors, maxDepth }) => {
+        const parseLocation = (value: string) => {
+            const match = value.match(/^(.*?):(\d+)(?::(\d+))?$/);
+            return match
+                ? { file: match[1], line: parseInt(match[2], 10), column: match[3] ? parseInt(match[3], 10) : undefined }
+                : { file: value };
+        };
+
+        const fromAttributes = (el: Element) => {
+            const combined = el.getAttribute('data-source') || el.getAttribute('data-source-loc');
+            if (combined) {
+                return { ...parseLocation(combined), via: 'attribute' as const };
+            }
+            const file = el.getAttribute('data-inspector-relative-path') || el.getAttribute('data-source-file') || el.getAttribute('data-sentry-source-file');
+            if (file) {
+                const line = el.getAttribute('data-inspector-line') || el.getAttribute('data-source-line');
+                const column = el.getAttribute('data-inspector-column') || el.getAttribute('data-source-column');
+                return { file, line: line ? parseInt(line, 10) : undefined, column: column ? parseInt(column, 10) : undefined, via: 'attribute' as const };
+            }
+            return null;
+        };
+
+        const fromSvelte = (el: Element) => {
+            const loc = (el as any).__svelte_meta?.loc;
+            // Svelte reports zero-based positions
+            return loc?.file ? { file: loc.file, line: loc.line + 1, column: loc.column + 1, via: 'svelte' as const } : null;
+        };
+
+        const fromReact = (el: Element) => {
+            const key = Object.keys(el).find(k => k.startsWith('__reactFiber$') || k.startsWith('__reactInternalInstance$'));
+            let fiber = key ? (el as any)[key] : null;
+            for (let depth = 0; fiber && depth < maxDepth; depth++, fiber = fiber.return) {
+                const source = fiber._debugSource;
+                if (source?.fileName) {
+                    return { file: source.fileName, line: source.lineNumber, column: source.columnNumber, via: 'react' as const };
+                }
+                const stack: string | undefined = fiber._debugStack?.stack;
+                if (stack) {
+                    // First frame outside React itself is the JSX call site
+                    for (const line of stack.split('\n')) {
+                        const match = line.match(/(https?:\/\/[^\s()]+):(\d+):(\d+)/);
+                        if (match && !/node_modules|react-dom|react_jsx|jsx-dev-runtime|chunk-/.test(match[1])) {
+                            return { scriptUrl: match[1], line: parseInt(match[2], 10), column: parseInt(match[3], 10), via: 'react' as const };
+                        }
+                    }
+                }
+            }
+            return null;
+        };
+
+        const fromVue = (el: Element) => {
+            let instance = (el as any).__vueParentComponent;
+            for (let depth = 0; instance && depth < maxDepth; depth++, instance = instance.parent) {
+                if (instance.type?.__file) {
+                    return { file: instance.type.__file, via: 'vue' as const };
+                }
+            }
+            const legacy = (el as any).__vue__?.$options?.__file;
+            return legacy ? { file: legacy, via: 'vue' as const } : null;
+        };
+
+        const results: Record<string, SourceHint | null> = {};
+        for (const selector of selectors) {
+            let el: Element | null = null;
+            try {
+                el = document.querySelector(selector);
+            } catch {
+                // Not a CSS selector (free-text location from AI or basic checks)
+            }
+
+            let hint: SourceHint | null = null;
+            for (let current = el, depth = 0; current && !hint && depth < maxDepth; current = current.parentElement, depth++) {
+                hint = fromAttributes(current) || fromSvelte(current) || fromReact(current) || fromVue(current);
+            }
+            results[selector] = hint;
+        }
+        return results;
+    }, { selectors, maxDepth: MAX_ANCESTOR_DEPTH });
+}
+
+async function resolveHint(
+    page: Page,
+    hint: SourceHint,
+    sourceRoot: string | undefined,
+    sourceMaps: Map<string, Promise<DecodedSourceMap | null>>
+): Promise<SourceLocation | null> {
+    if (hint.file) {
+        return {
+            file: resolveWorkspacePath(hint.file, sourceRoot) || hint.file,
+            line: hint.line,
+            column: hint.column,
+            via: hint.via
+        };
+    }
+
+    if (!hint.scriptUrl || !hint.line) {
+        return null;
+    }
+
+    if (!sourceMaps.has(hint.scriptUrl)) {
+        sourceMaps.set(hint.scriptUrl, loadSourceMap(page, hint.scriptUrl));
+    }
+    const sourceMap = await sourceMaps.get(hint.scriptUrl)!;
+
+    if (sourceMap) {
+        const original = lookupOriginalPosition(sourceMap, hint.line, hint.column || 1);
+        if (original) {
+            return {
+                file: resolveWorkspacePath(original.source, sourceRoot) || original.source,
+                line: original.line,
+                column: original.column,
+                via: 'sourcemap'
+            };
+        }
+    }
+
+    // No map: the served path may still name the file (positions are not trustworthy then)
+    const file = resolveWorkspacePath(hint.scriptUrl, sourceRoot);
+    return file ? { file, via: hint.via } : null;
+}
+
+async function loadSourceMap(page: Page, scriptUrl: string): Promise<DecodedSourceMap | null> {
+    try {
+        const script = await page.context().request.get(scriptUrl);
+        if (!script.ok()) {
+            return null;
+        }
+
+        const code = await script.text();
+        const reference = code.match(/\/\/[#@]\s*sourceMappingURL=(\S+)\s*$/m)?.[1];
+        if (!reference) {
+            return null;
+        }
+
+        let mapText: string;
+        const inline = reference.match(/^data:application\/json;(?:charset=[\w-]+;)?base64,(.+)$/);
+        if (inline) {
+            mapText = Buffer.from(inline[1], 'base64').toString('utf8');
+        } else {
+            const mapResponse = await page.context().request.get(new URL(reference, scriptUrl).href);
+            if (!mapResponse.ok()) {
+                return null;
+            }
+            mapText = await mapResponse.text();
+        }
+
+        const raw = JSON.parse(mapText) as { sources: string[]; sourceRoot?: string; mappings: string };
+        return {
+            sources: raw.sources.map(source => raw.sourceRoot ? `${raw.sourceRoot.replace(/\/$/, '')}/${source}` : source),
+            lines: decodeMappings(raw.mappings)
+        };
+    } catch {
+        return null;
+    }
+}
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Decode the VLQ "mappings" field of a v3 source map into absolute positions
+ */
+export function decodeMappings(mappings: string): number[][][] {
+    const lines: number[][][] = [];
+    let sourceIndex = 0;
+    let sourceLine = 0;
+    let sourceColumn = 0;
+
+    for (const lineText of mappings.split(';')) {
+        const segments: number[][] = [];
+        let generatedColumn = 0;
+
+        for (const segmentText of lineText.split(',')) {
+            if (!segmentText) {
+                continue;
+            }
+
+            const values: number[] = [];
+            let value = 0;
+            let shift = 0;
+            for (const char of segmentText) {
+                const digit = BASE64_CHARS.indexOf(char);
+                value += (digit & 31) << shift;
+                if (digit & 32) {
+                    shift += 5;
+                } else {
+                    values.push(value & 1 ? -(value >> 1) : value >> 1);
+                    value = 0;
+                    shift = 0;
+                }
+            }
+
+            generatedColumn += values[0];
+            if (values.length >= 4) {
+                sourceIndex += values[1];
+                sourceLine += values[2];
+                sourceColumn += values[3];
+                segments.push([generatedColumn, sourceIndex, sourceLine, sourceColumn]);
+            }
+        }
+
+        lines.push(segments);
+    }
+
+    return lines;
+}
+
+/**
+ * Original position for a 1-based generated line/column
+ */
+export function lookupOriginalPosition(sourceMap: DecodedSourceMap, line: number, column: number): { source: string; line: number; column: number } | null {
+    const segments = sourceMap.lines[line - 1];
+    if (!segments || segments.length === 0) {
+        return null;
+    }
+
+    let match = segments[0];
+    for (const segment of segments) {
+        if (segment[0] > column - 1) {
+            break;
+        }
+        match = segment;
+    }
+
+    return { source: sourceMap.sources[match[1]], line: match[2] + 1, column: match[3] + 1 };
+}
+
+/**
+ * Turn a reported path (absolute build path, served URL, webpack:// source) into a
+ * workspace-relative path that exists, or null when it cannot be found
+ */
+export function resolveWorkspacePath(reported: string, sourceRoot?: string): string | null {
+    const cleaned = reported
+        .replace(/[?#].*$/, '')
+        .replace(/^webpack:\/\/[^/]*\//, '')
+        .replace(/^file:\/\//, '')
+        .replace(/^https?:\/\/[^/]+/, '')
+        .replace(/^\/@fs(?=\/)/, '')
+        .replace(/\\/g, '/');
+
+    if (!sourceRoot) {
+        return cleaned.replace(/^\.\//, '') || null;
+    }
+
+    if (path.isAbsolute(cleaned) && fs.existsSync(cleaned)) {
+        const relative = path.relative(sourceRoot, cleaned);
+        return relative.startsWith('..') ? cleaned : relative.replace(/\\/g, '/');
+    }
+
+    // Drop leading segments until the rest exists in the workspace (build machine paths, /src/ URLs)
+    const segments = cleaned.split('/').filter(segment => segment && segment !== '.' && segment !== '..');
+    for (let start = 0; start < segments.length; start++) {
+        const candidate = path.join(sourceRoot, ...segments.slice(start));
+        if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+            return segments.slice(start).join('/');
+        }
+    }
+
+    return null;
+}
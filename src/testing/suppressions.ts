@@ -0,0 +1,272 @@
+/**
+ * Issue suppressions
+ *
+ * Two ways to accept an issue instead of fixing it, each with a reason and an optional expiry:
+ *   - inline comments in source, on the line above the element:
+ *       // accesslint-disable-next-line 1.1.1 expires:2027-01-31 -- Decorative logo, see #123
+ *       <!-- accesslint-disable-next-line image-alt -- Alt text comes from the CMS -->
+ *   - `ignore` entries in `.accesslintrc` at the project root, scoped by criterion, selector,
+ *     page URL and/or source file.
+ * Suppressed issues are moved out of the result's issues (so counts, the fix agent and CI gates
+ * ignore them) into `suppressed`, which reports list separately. Expired suppressions no longer
+ * apply.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { AccessibilityIssue, TestResult } from '../accessibilityTester';
+import { parseCriterion } from '../reporting/wcag';
+import { globToRegExp } from './siteCrawler';
+
+export const SUPPRESSION_CONFIG_FILE = '.accesslintrc';
+
+export interface SuppressionRule {
+    /** WCAG criterion number (`1.4.3`) or rule id (`image-alt`); omit to match any */
+    criterion?: string;
+    /** Matches issues whose selector contains it */
+    selector?: string;
+    /** Glob matched against the page path (`/admin/**`), or against the full URL when it has a scheme */
+    url?: string;
+    /** Glob matched against the workspace-relative source file */
+    file?: string;
+    reason: string;
+    /** Last day the suppression applies, YYYY-MM-DD */
+    expires?: string;
+    acceptedBy?: string;
+}
+
+export interface SuppressionConfig {
+    ignore: SuppressionRule[];
+}
+
+/**
+ * Why an issue was suppressed, attached to issues moved to `suppressed`
+ */
+export interface IssueSuppression {
+    kind: 'inline' | 'config';
+    reason: string;
+    expires?: string;
+    acceptedBy?: string;
+}
+
+interface InlineDirective {
+    /** Criterion numbers or rule ids; empty suppresses everything on the line */
+    targets: string[];
+    reason: string;
+    expires?: string;
+}
+
+const DIRECTIVE = /accesslint-disable-next-line\b(.*)$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Read `.accesslintrc` from the project root. A missing file means no suppressions; an invalid
+ * one throws, since silently ignoring it would bring back every accepted issue.
+ */
+export function loadSuppressionConfig(root: string | undefined): SuppressionConfig {
+    const file = root ? path.join(root, SUPPRESSION_CONFIG_FILE) : undefined;
+    if (!file || !fs.existsSync(file)) {
+        return { ignore: [] };
+    }
+
+    let parsed: any;
+    try {
+        parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not parse ${SUPPRESSION_CONFIG_FILE}: ${error instanceof Error ? error.message : error}`);
+    }
+
+    const ignore = parsed?.ignore ?? [];
+    if (!Array.isArray(ignore)) {
+        throw new Error(`${SUPPRESSION_CONFIG_FILE}: "ignore" must be an array`);
+    }
+    ignore.forEach((rule: any, index: number) => {
+        if (!rule || typeof rule.reason !== 'string' || !rule.reason.trim()) {
+            throw new Error(`${SUPPRESSION_CONFIG_FILE}: ignore[${index}] needs a "reason"`);
+        }
+        if (rule.expires !== undefined && !DATE.test(rule.expires)) {
+            throw new Error(`${SUPPRESSION_CONFIG_FILE}: ignore[${index}].expires must be a YYYY-MM-DD date`);
+        }
+        if (!rule.criterion && !rule.selector && !rule.url && !rule.file) {
+            throw new Error(`${SUPPRESSION_CONFIG_FILE}: ignore[${index}] must be scoped by criterion, selector, url or file`);
+        }
+    });
+    return { ...parsed, ignore };
+}
+
+/**
+ * Inline directives by the 1-based line they suppress
+ */
+export function parseInlineDirectives(source: string): Map<number, InlineDirective> {
+    const directives = new Map<number, InlineDirective>();
+    source.split('\n').forEach((line, index) => {
+        const match = DIRECTIVE.exec(line);
+        if (!match) {
+            return;
+        }
+
+        // Drop the comment terminator: `-->`, `*/` and JSX's `*/}`
+        const body = match[1].replace(/\s*(?:-->|\*\/\s*\}?)\s*$/, '');
+        const separator = body.indexOf('--');
+        const spec = separator === -1 ? body : body.slice(0, separator);
+        const tokens = spec.split(/[\s,]+/).filter(Boolean);
+        const expires = tokens.find(token => token.startsWith('expires:'))?.slice('expires:'.length);
+
+        directives.set(index + 2, {
+            targets: tokens.filter(token => !token.startsWith('expires:')),
+            reason: separator === -1 ? 'Suppressed inline' : body.slice(separator + 2).trim() || 'Suppressed inline',
+            expires
+        });
+    });
+    return directives;
+}
+
+export function isExpired(expires: string | undefined, now: Date = new Date()): boolean {
+    // The expiry day itself is still covered
+    return !!expires && DATE.test(expires) && now.toISOString().slice(0, 10) > expires;
+}
+
+function matchesCriterion(target: string, issue: Pick<AccessibilityIssue, 'criterion' | 'ruleId'>): boolean {
+    return parseCriterion(issue.criterion).id === target || issue.ruleId === target;
+}
+
+function matchesRule(
+    rule: SuppressionRule,
+    issue: Pick<AccessibilityIssue, 'criterion' | 'ruleId' | 'location'>,
+    context: { url?: string; file?: string }
+): boolean {
+    if (rule.criterion && !matchesCriterion(rule.criterion, issue)) {
+        return false;
+    }
+    if (rule.selector && !(issue.location && issue.location.includes(rule.selector))) {
+        return false;
+    }
+    if (rule.url) {
+        if (!context.url) {
+            return false;
+        }
+        let target = context.url;
+        if (!rule.url.includes('://')) {
+            try {
+                target = new URL(context.url).pathname;
+            } catch {
+                // Not a URL: match the raw value
+            }
+        }
+        if (!globToRegExp(rule.url).test(target)) {
+            return false;
+        }
+    }
+    if (rule.file && !(context.file && globToRegExp(rule.file).test(context.file.split(path.sep).join('/')))) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * The first config rule or inline directive that suppresses the issue, if any
+ */
+export function findSuppression(
+    issue: Pick<AccessibilityIssue, 'criterion' | 'ruleId' | 'location'>,
+    context: { url?: string; file?: string; line?: number; directives?: Map<number, InlineDirective> },
+    config: SuppressionConfig,
+    now: Date = new Date()
+): IssueSuppression | undefined {
+    const directive = context.line !== undefined ? context.directives?.get(context.line) : undefined;
+    if (directive && !isExpired(directive.expires, now) &&
+        (directive.targets.length === 0 || directive.targets.some(target => matchesCriterion(target, issue)))) {
+        return { kind: 'inline', reason: directive.reason, expires: directive.expires };
+    }
+
+    const rule = config.ignore.find(candidate => !isExpired(candidate.expires, now) && matchesRule(candidate, issue, context));
+    return rule ? { kind: 'config', reason: rule.reason, expires: rule.expires, acceptedBy: rule.acceptedBy } : undefined;
+}
+
+/**
+ * Move suppressed runtime issues from `result.issues` to `result.suppressed` and recount the
+ * summary. Inline directives are read from the source files issues were mapped to.
+ * Returns the number of issues suppressed.
+ */
+export function applySuppressions(result: TestResult, sourceRoot: string | undefined, config: SuppressionConfig, now: Date = new Date()): number {
+    const directivesByFile = new Map<string, Map<number, InlineDirective>>();
+    const directivesFor = (file: string) => {
+        if (!directivesByFile.has(file)) {
+            const fullPath = path.isAbsolute(file) || !sourceRoot ? file : path.join(sourceRoot, file);
+            let directives = new Map<number, InlineDirective>();
+            try {
+                directives = parseInlineDirectives(fs.readFileSync(fullPath, 'utf8'));
+            } catch {
+                // Unreadable or unresolved source: only config rules apply
+            }
+            directivesByFile.set(file, directives);
+        }
+        return directivesByFile.get(file)!;
+    };
+
+    const kept: AccessibilityIssue[] = [];
+    const suppressed: AccessibilityIssue[] = [];
+    for (const issue of result.issues) {
+        const source = issue.sourceLocation;
+        const suppression = findSuppression(issue, {
+            url: result.url,
+            file: source?.file,
+            line: source?.line,
+            directives: source?.line ? directivesFor(source.file) : undefined
+        }, config, now);
+
+        if (suppression) {
+            suppressed.push({ ...issue, suppression });
+        } else {
+            kept.push(issue);
+        }
+    }
+
+    result.issues = kept;
+    result.suppressed = [...(result.suppressed || []), ...suppressed];
+    result.summary = {
+        ...result.summary,
+        errors: kept.filter(issue => issue.severity === 'error').length,
+        warnings: kept.filter(issue => issue.severity === 'warning').length,
+        info: kept.filter(issue => issue.severity === 'info').length
+    };
+    return suppressed.length;
+}
+
+/**
+ * Split static findings into reported and suppressed ones, using the directives in the linted
+ * source and the config rules scoped to its file
+ */
+export function partitionStaticFindings<T extends { criterion: string; ruleId?: string; start: number }>(
+    findings: T[],
+    source: string,
+    relativeFile: string,
+    config: SuppressionConfig,
+    now: Date = new Date()
+): { kept: T[]; suppressed: (T & { suppression: IssueSuppression })[] } {
+    const directives = parseInlineDirectives(source);
+    const kept: T[] = [];
+    const suppressed: (T & { suppression: IssueSuppression })[] = [];
+
+    for (const finding of findings) {
+        const line = source.slice(0, finding.start).split('\n').length;
+        const suppression = findSuppression(finding, { file: relativeFile, line, directives }, config, now);
+        if (suppression) {
+            suppressed.push({ ...finding, suppression });
+        } else {
+            kept.push(finding);
+        }
+    }
+    return { kept, suppressed };
+}
+
+/**
+ * Append an ignore entry to `.accesslintrc`, creating the file if needed and keeping any other
+ * settings in it
+ */
+export function addSuppressionRule(root: string, rule: SuppressionRule): string {
+    const file = path.join(root, SUPPRESSION_CONFIG_FILE);
+    const config = loadSuppressionConfig(root);
+    const existing = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    fs.writeFileSync(file, JSON.stringify({ ...existing, ignore: [...config.ignore, rule] }, null, 2) + '\n');
+    return file;
+}
@@ -0,0 +1,53 @@
+/**
+ * Testing engine selection
+ *
+ * Picks the NVDA tester or the headless tester based on the `accesslint.testingEngine`
+ * setting, falling back to headless automatically when NVDA is unavailable.
+ */
+
+import * as vscode from 'vscode';
+import { AccessibilityTester } from '../accessibilityTester';
+import { AiProviderManager } from '../aiProviderManager';
+import { HeadlessAccessibilityTester } from './headlessAccessibilityTester';
+
+export type TestingEngineSetting = 'auto' | 'nvda' | 'headless';
+
+/**
+ * Create the tester configured for this machine
+ */
+export async function createAccessibilityTester(
+    outputChannel: vscode.OutputChannel,
+    aiProviderManager?: AiProviderManager
+): Promise<AccessibilityTester> {
+    const tester = await selectAccessibilityTester(outputChannel, aiProviderManager);
+    tester.sourceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+    tester.captureScreenshots = vscode.workspace.getConfiguration('accesslint').get<boolean>('issueScreenshots', true);
+    tester.motionChecks = vscode.workspace.getConfiguration('accesslint').get<boolean>('motionChecks', false);
+    tester.viewportMatrix = vscode.workspace.getConfiguration('accesslint').get<boolean>('viewportMatrix', false);
+    tester.dynamicContent = vscode.workspace.getConfiguration('accesslint').get<boolean>('dynamicContentTesting', false);
+    tester.dynamicContentForms = vscode.workspace.getConfiguration('accesslint').get<string[]>('dynamicContentForms', []);
+    return tester;
+}
+
+async function selectAccessibilityTester(
+    outputChannel: vscode.OutputChannel,
+    aiProviderManager?: AiProviderManager
+): Promise<AccessibilityTester> {
+    const setting = vscode.workspace.getConfiguration('accesslint').get<TestingEngineSetting>('testingEngine', 'auto');
+
+    if (setting === 'nvda') {
+        return new AccessibilityTester(outputChannel, aiProviderManager);
+    }
+
+    if (setting === 'headless') {
+        outputChannel.appendLine('🧪 Using headless testing engine (configured)');
+        return new HeadlessAccessibilityTester(outputChannel, aiProviderManager);
+    }
+
+    if (await AccessibilityTester.isNvdaAvailable()) {
+        return new AccessibilityTester(outputChannel, aiProviderManager);
+    }
+
+    outputChannel.appendLine(`ℹ️ NVDA is not available on ${process.platform} - using headless testing engine`);
+    return new HeadlessAccessibilityTester(outputChannel, aiProviderManager);
+}
@@ -0,0 +1,464 @@
+/**
+ * Virtual Screen Reader
+ *
+ * Deterministic stand-in for NVDA. Walks Chromium's accessibility tree in reading order and
+ * synthesizes announcements in NVDA phrasing ("heading level 2 Pricing", "link, visited, Read more").
+ * Supports the browse-mode quick navigation keys used by the tester and mirrors the parts of the
+ * guidepup NVDA API it relies on, so the same interaction logs and AI validation work on any OS.
+ *
+ * The tree is read over CDP (Accessibility.getFullAXTree) rather than Playwright's deprecated
+ * page.accessibility.snapshot(), and serialized the same way. Browsers hide :visited from
+ * scripts, so links count as visited when they point at a URL the tester has navigated to.
+ */
+
+import { CDPSession, Page } from 'playwright';
+
+export interface AccessibilityTreeNode {
+    role: string;
+    name: string;
+    value?: string | number;
+    description?: string;
+    level?: number;
+    checked?: boolean | 'mixed';
+    pressed?: boolean | 'mixed';
+    expanded?: boolean;
+    selected?: boolean;
+    disabled?: boolean;
+    required?: boolean;
+    readonly?: boolean;
+    invalid?: string;
+    haspopup?: string;
+    focused?: boolean;
+    visited?: boolean;
+    valuetext?: string;
+    children?: AccessibilityTreeNode[];
+}
+
+/**
+ * Node of Accessibility.getFullAXTree, reduced to the fields the reader uses
+ */
+export interface ProtocolAXNode {
+    nodeId: string;
+    role?: { value?: unknown };
+    name?: { value?: unknown };
+    description?: { value?: unknown };
+    value?: { value?: unknown };
+    properties?: { name: string; value: { value?: unknown } }[];
+    childIds?: string[];
+    backendDOMNodeId?: number;
+}
+
+/**
+ * Browse-mode keys understood by press()
+ */
+export type QuickNavKey =
+    | 'h' | 'Shift+h'
+    | 'k' | 'Shift+k'
+    | 'f' | 'Shift+f'
+    | 'd' | 'Shift+d'
+    | 'b' | 'Shift+b'
+    | 'Tab' | 'Shift+Tab'
+    | 'ArrowDown' | 'ArrowUp'
+    | 'Control+Home' | 'Control+End';
+
+export const LANDMARK_ROLES = ['banner', 'navigation', 'main', 'contentinfo', 'complementary', 'region', 'search', 'form'];
+export const FORM_FIELD_ROLES = ['textbox', 'searchbox', 'combobox', 'checkbox', 'radio', 'spinbutton', 'slider', 'switch', 'listbox'];
+
+const FOCUSABLE_ROLES = [...FORM_FIELD_ROLES, 'link', 'button', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'treeitem'];
+
+// Structural roles Chromium exposes that a screen reader does not stop on
+const IGNORED_ROLES = ['WebArea', 'Ignored', 'generic', 'none', 'presentation', 'paragraph', 'InlineTextBox', 'LineBreak', 'ListMarker'];
+
+const ROLE_PHRASES: Record<string, string> = {
+    link: 'link',
+    button: 'button',
+    textbox: 'edit',
+    searchbox: 'edit',
+    combobox: 'combo box',
+    checkbox: 'check box',
+    radio: 'radio button',
+    spinbutton: 'spin button',
+    slider: 'slider',
+    switch: 'toggle button',
+    listbox: 'list',
+    option: 'option',
+    img: 'graphic',
+    image: 'graphic',
+    list: 'list',
+    table: 'table',
+    tab: 'tab',
+    tablist: 'tab control',
+    tabpanel: 'property page',
+    menu: 'menu',
+    menubar: 'menu bar',
+    menuitem: 'menu item',
+    menuitemcheckbox: 'check menu item',
+    menuitemradio: 'radio menu item',
+    tree: 'tree view',
+    treeitem: 'tree view item',
+    dialog: 'dialog',
+    alertdialog: 'alert dialog',
+    alert: 'alert',
+    progressbar: 'progress bar',
+    separator: 'separator',
+    figure: 'figure',
+    article: 'article',
+    banner: 'banner landmark',
+    navigation: 'navigation landmark',
+    main: 'main landmark',
+    contentinfo: 'content info landmark',
+    complementary: 'complementary landmark',
+    region: 'region',
+    search: 'search landmark',
+    form: 'form landmark'
+};
+
+interface QuickNavTarget {
+    label: string;
+    matches: (node: AccessibilityTreeNode) => boolean;
+}
+
+const QUICK_NAV_TARGETS: Record<string, QuickNavTarget> = {
+    h: { label: 'heading', matches: node => node.role === 'heading' },
+    k: { label: 'link', matches: node => node.role === 'link' },
+    f: { label: 'form field', matches: node => FORM_FIELD_ROLES.includes(node.role) || node.role === 'button' },
+    d: { label: 'landmark', matches: node => LANDMARK_ROLES.includes(node.role) },
+    b: { label: 'button', matches: node => node.role === 'button' },
+    Tab: { label: 'focusable item', matches: node => FOCUSABLE_ROLES.includes(node.role) && !node.disabled }
+};
+
+export class VirtualScreenReader {
+    private readonly items: AccessibilityTreeNode[];
+    private position: number = -1;
+    private spokenLog: string[] = [];
+    private itemTextLog: string[] = [];
+
+    constructor(root: AccessibilityTreeNode | null) {
+        this.items = root ? flattenAccessibilityTree(root) : [];
+    }
+
+    /**
+     * Build a reader from the page's current accessibility tree. Links to any of visitedUrls
+     * are announced as visited.
+     */
+    static async fromPage(page: Page, visitedUrls: ReadonlySet<string> = new Set()): Promise<VirtualScreenReader> {
+        const session = await page.context().newCDPSession(page);
+        try {
+            const { nodes } = await session.send('Accessibility.getFullAXTree');
+            const visited = new Set(Array.from(visitedUrls, withoutFragment));
+            const linkTargets = visited.size > 0 ? await linkTargetsByNode(session) : new Map<number, string>();
+            return new VirtualScreenReader(accessibilityTreeFromProtocol(nodes as ProtocolAXNode[],
+                backendNodeId => visited.has(linkTargets.get(backendNodeId) ?? '')));
+        } finally {
+            await session.detach().catch(() => undefined);
+        }
+    }
+
+    /**
+     * All items in reading order
+     */
+    get readingOrder(): AccessibilityTreeNode[] {
+        return [...this.items];
+    }
+
+    /**
+     * Item under the virtual cursor, if any
+     */
+    get currentItem(): AccessibilityTreeNode | undefined {
+        return this.items[this.position];
+    }
+
+    /**
+     * Press a browse-mode key and return what would be spoken
+     */
+    press(key: QuickNavKey): string {
+        if (key === 'Control+Home') {
+            this.position = -1;
+            return this.speak('top', '');
+        }
+        if (key === 'Control+End') {
+            this.position = this.items.length;
+            return this.speak('bottom', '');
+        }
+        if (key === 'ArrowDown' || key === 'ArrowUp') {
+            return this.moveLinear(key === 'ArrowDown' ? 1 : -1);
+        }
+
+        const backwards = key.startsWith('Shift+');
+        const target = QUICK_NAV_TARGETS[backwards ? key.slice('Shift+'.length) : key];
+        return this.moveTo(target, backwards ? -1 : 1);
+    }
+
+    /**
+     * Announce the item under the virtual cursor again
+     */
+    reportCurrent(): string {
+        const item = this.currentItem;
+        return item ? this.speak(announceNode(item, this.childCount(item)), item.name) : this.speak('blank', '');
+    }
+
+    lastSpokenPhrase(): string {
+        return this.spokenLog[this.spokenLog.length - 1] || '';
+    }
+
+    itemText(): string {
+        return this.itemTextLog[this.itemTextLog.length - 1] || '';
+    }
+
+    spokenPhraseLog(): string[] {
+        return [...this.spokenLog];
+    }
+
+    clearSpokenPhraseLog(): void {
+        this.spokenLog = [];
+    }
+
+    clearItemTextLog(): void {
+        this.itemTextLog = [];
+    }
+
+    private moveLinear(direction: 1 | -1): string {
+        const next = this.position + direction;
+        if (next < 0 || next >= this.items.length) {
+            return this.speak(direction === 1 ? 'bottom' : 'top', '');
+        }
+
+        this.position = next;
+        return this.reportCurrent();
+    }
+
+    private moveTo(target: QuickNavTarget, direction: 1 | -1): string {
+        for (let i = this.position + direction; i >= 0 && i < this.items.length; i += direction) {
+            if (target.matches(this.items[i])) {
+                this.position = i;
+                return this.reportCurrent();
+            }
+        }
+
+        return this.speak(`no ${direction === 1 ? 'next' : 'previous'} ${target.label}`, '');
+    }
+
+    private childCount(node: AccessibilityTreeNode): number {
+        return (node.children || []).filter(child => !IGNORED_ROLES.includes(child.role) && child.role !== 'text').length;
+    }
+
+    private speak(phrase: string, itemText: string): string {
+        this.spokenLog.push(phrase);
+        this.itemTextLog.push(itemText);
+        return phrase;
+    }
+}
+
+/**
+ * Build the reader's tree from Accessibility.getFullAXTree nodes (the first node is the root),
+ * with the field mapping of Playwright's snapshot({ interestingOnly: false })
+ */
+export function accessibilityTreeFromProtocol(
+    nodes: ProtocolAXNode[],
+    isVisited: (backendNodeId: number) => boolean = () => false
+): AccessibilityTreeNode | null {
+    const byId = new Map(nodes.map(node => [node.nodeId, node]));
+
+    const serialize = (payload: ProtocolAXNode): AccessibilityTreeNode => {
+        const properties = new Map<string, unknown>();
+        for (const property of payload.properties || []) {
+            properties.set(property.name.toLowerCase(), property.value.value);
+        }
+        const rawRole = String(payload.role?.value ?? 'Unknown');
+        const role = rawRole === 'RootWebArea' ? 'WebArea' : rawRole === 'StaticText' ? 'text' : rawRole;
+        const node: AccessibilityTreeNode = { role, name: String(payload.name?.value ?? '') };
+
+        const description = payload.description?.value ?? properties.get('description');
+        if (description) {
+            node.description = String(description);
+        }
+        if (properties.has('valuetext')) {
+            node.valuetext = String(properties.get('valuetext'));
+        }
+        if (typeof payload.value?.value === 'string' || typeof payload.value?.value === 'number') {
+            node.value = payload.value.value;
+        }
+        if (properties.has('level')) {
+            node.level = Number(properties.get('level'));
+        }
+        for (const flag of ['disabled', 'expanded', 'focused', 'readonly', 'required', 'selected'] as const) {
+            if (properties.get(flag) && !(flag === 'focused' && role === 'WebArea')) {
+                node[flag] = true;
+            }
+        }
+        for (const token of ['haspopup', 'invalid'] as const) {
+            const value = properties.get(token);
+            if (value && value !== 'false') {
+                node[token] = String(value);
+            }
+        }
+        for (const state of ['checked', 'pressed'] as const) {
+            if (properties.has(state)) {
+                const value = String(properties.get(state));
+                node[state] = value === 'true' ? true : value === 'false' ? false : 'mixed';
+            }
+        }
+        if (role === 'link' && payload.backendDOMNodeId !== undefined && isVisited(payload.backendDOMNodeId)) {
+            node.visited = true;
+        }
+
+        const children = (payload.childIds || [])
+            .map(id => byId.get(id))
+            .filter((child): child is ProtocolAXNode => !!child)
+            .map(serialize);
+        if (children.length > 0) {
+            node.children = children;
+        }
+        return node;
+    };
+
+    return nodes.length > 0 ? serialize(nodes[0]) : null;
+}
+
+/**
+ * Absolute href of every <a> in the page (including same-process frames), by backend node id
+ */
+async function linkTargetsByNode(session: CDPSession): Promise<Map<number, string>> {
+    interface DomNode {
+        backendNodeId: number;
+        nodeName: string;
+        attributes?: string[];
+        baseURL?: string;
+        children?: DomNode[];
+        contentDocument?: DomNode;
+        shadowRoots?: DomNode[];
+    }
+    const { root } = await session.send('DOM.getDocument', { depth: -1, pierce: true }) as { root: DomNode };
+    const targets = new Map<number, string>();
+
+    const visit = (node: DomNode, base: string) => {
+        if (node.nodeName === 'A' && node.attributes) {
+            const hrefIndex = node.attributes.findIndex((value, index) => index % 2 === 0 && value.toLowerCase() === 'href');
+            if (hrefIndex !== -1) {
+                try {
+                    targets.set(node.backendNodeId, withoutFragment(new URL(node.attributes[hrefIndex + 1], base).href));
+                } catch {
+                    // Unresolvable href; the link is not announced as visited
+                }
+            }
+        }
+        for (const child of [...(node.children || []), ...(node.shadowRoots || [])]) {
+            visit(child, base);
+        }
+        if (node.contentDocument) {
+            visit(node.contentDocument, node.contentDocument.baseURL || base);
+        }
+    };
+    visit(root, root.baseURL || '');
+    return targets;
+}
+
+function withoutFragment(url: string): string {
+    return url.split('#')[0];
+}
+
+/**
+ * Phrase a single node the way NVDA announces it in browse mode
+ */
+export function announceNode(node: AccessibilityTreeNode, childCount: number = 0): string {
+    if (node.role === 'text') {
+        return node.name;
+    }
+
+    if (node.role === 'heading') {
+        return [`heading level ${node.level || 2}`, node.name].filter(Boolean).join(' ');
+    }
+
+    const parts: string[] = [];
+
+    if ((node.role === 'img' || node.role === 'image') && !node.name) {
+        parts.push('unlabeled graphic');
+    } else {
+        parts.push(ROLE_PHRASES[node.role] || node.role);
+    }
+
+    if ((node.role === 'list' || node.role === 'listbox') && childCount > 0) {
+        parts[0] = `${parts[0]} with ${childCount} items`;
+    }
+
+    parts.push(...stateParts(node));
+
+    if (node.name) {
+        parts.push(node.name);
+    }
+
+    const value = node.valuetext || (node.value !== undefined && node.value !== '' ? String(node.value) : '');
+    if (value && value !== node.name) {
+        parts.push(value);
+    } else if ((node.role === 'textbox' || node.role === 'searchbox') && !value) {
+        parts.push('blank');
+    }
+
+    if (node.description) {
+        parts.push(node.description);
+    }
+
+    return parts.join(', ');
+}
+
+function stateParts(node: AccessibilityTreeNode): string[] {
+    const states: string[] = [];
+
+    if (node.visited) {
+        states.push('visited');
+    }
+    if (node.disabled) {
+        states.push('unavailable');
+    }
+    if (node.checked !== undefined) {
+        states.push(node.checked === 'mixed' ? 'half checked' : node.checked ? 'checked' : 'not checked');
+    }
+    if (node.pressed !== undefined) {
+        states.push(node.pressed === 'mixed' ? 'half pressed' : node.pressed ? 'pressed' : 'not pressed');
+    }
+    if (node.expanded !== undefined) {
+        states.push(node.expanded ? 'expanded' : 'collapsed');
+    }
+    if (node.selected) {
+        states.push('selected');
+    }
+    if (node.haspopup && node.haspopup !== 'false') {
+        states.push(node.haspopup === 'menu' || node.haspopup === 'true' ? 'submenu' : `opens ${node.haspopup}`);
+    }
+    if (node.readonly) {
+        states.push('read only');
+    }
+    if (node.required) {
+        states.push('required');
+    }
+    if (node.invalid && node.invalid !== 'false') {
+        states.push('invalid entry');
+    }
+
+    return states;
+}
+
+/**
+ * Flatten an accessibility snapshot into reading order, skipping structural nodes
+ * and text that is already spoken as the name of an enclosing node
+ */
+export function flattenAccessibilityTree(root: AccessibilityTreeNode): AccessibilityTreeNode[] {
+    const nodes: AccessibilityTreeNode[] = [];
+
+    const visit = (node: AccessibilityTreeNode, insideNamed: boolean) => {
+        const isText = node.role === 'text';
+        const skip = IGNORED_ROLES.includes(node.role) || (isText && (insideNamed || !node.name.trim()));
+
+        if (!skip) {
+            nodes.push(node);
+        }
+
+        const named = insideNamed || (!skip && !isText && !!node.name && !LANDMARK_ROLES.includes(node.role));
+        for (const child of node.children || []) {
+            visit(child, named);
+        }
+    };
+
+    visit(root, false);
+    return nodes;
+}
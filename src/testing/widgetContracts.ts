@@ -0,0 +1,398 @@
+/**
+ * ARIA widget keyboard contracts
+ *
+ * Custom widgets often have the right roles yet ignore the keyboard. This module detects tabs,
+ * menu buttons, comboboxes, accordions and trees on the page and drives each one with the keys
+ * the ARIA Authoring Practices define for the pattern. Every key press is one check: focus the
+ * starting element, press the key, compare the resulting focus and ARIA state with what the
+ * pattern expects. Failures report expected vs actual state and the steps that reproduce them,
+ * under 2.1.1 when the key does nothing useful and 4.1.2 when the state is not exposed.
+ * Links with a real href are skipped, since Enter would follow them; if a key press still
+ * navigates, the page is loaded again and the rest of that widget is skipped.
+ */
+
+import { Page } from 'playwright';
+import { AccessibilityIssue } from '../accessibilityTester';
+import { ensurePageHelpers } from './pageHelpers';
+
+export type WidgetPattern = 'tabs' | 'menu-button' | 'combobox' | 'accordion' | 'tree';
+
+interface WidgetPart {
+    selector: string;
+    label: string;
+}
+
+interface DetectedWidget extends WidgetPart {
+    pattern: WidgetPattern;
+    /** Tabs or tree items, in DOM order */
+    items: (WidgetPart & { controls?: string; expanded?: string })[];
+    /** Selector of the element named by aria-controls (panel, menu, listbox) */
+    controls?: string;
+    vertical: boolean;
+}
+
+interface ElementState {
+    exists: boolean;
+    visible: boolean;
+    expanded: string | null;
+    selected: string | null;
+    activedescendant: string | null;
+}
+
+interface KeyboardCheck {
+    widget: DetectedWidget;
+    start: WidgetPart;
+    key: string;
+    /** Human-readable expectation, e.g. 'focus moves to "Pricing"' */
+    expected: string;
+    /** What happened instead, or null when the expectation held; gets the widget's state before the key press */
+    verify: (before: ElementState) => Promise<string | null>;
+    criterion: '2.1.1 Keyboard' | '4.1.2 Name, Role, Value';
+    ruleId: string;
+}
+
+const MAX_WIDGETS_PER_PATTERN = 3;
+const KEY_SETTLE_MS = 150;
+
+const PATTERN_NAMES: Record<WidgetPattern, string> = {
+    tabs: 'Tabs',
+    'menu-button': 'Menu button',
+    combobox: 'Combobox',
+    accordion: 'Accordion',
+    tree: 'Tree view'
+};
+
+const RECOMMENDATIONS: Record<WidgetPattern, string> = {
+    tabs: 'Follow the APG tabs pattern: roving tabindex, Left/Right (Up/Down when vertical) move between tabs, Home/End jump to the first/last tab, aria-selected marks the active tab',
+    'menu-button': 'Follow the APG menu button pattern: Enter/Space/ArrowDown open the menu and focus the first item, arrows move between items, Escape closes and returns focus to the button, aria-expanded reflects the state',
+    combobox: 'Follow the APG combobox pattern: ArrowDown opens the listbox and sets aria-expanded="true", aria-activedescendant points at the highlighted option, Escape closes the popup',
+    accordion: 'Follow the APG accordion pattern: the header button toggles with Enter and Space and aria-expanded matches whether the panel is shown',
+    tree: 'Follow the APG tree view pattern: Up/Down move between visible items, Right/Left expand and collapse, Home/End jump to the first/last item'
+};
+
+/**
+ * Detect widgets and run their keyboard contracts
+ */
+export async function checkWidgetContracts(page: Page): Promise<AccessibilityIssue[]> {
+    await ensurePageHelpers(page);
+    const widgets = await detectWidgets(page);
+    const issues: AccessibilityIssue[] = [];
+
+    for (const widget of widgets) {
+        for (const check of contractFor(page, widget)) {
+            const url = page.url();
+            const issue = await runCheck(page, check);
+            if (page.url() !== url) {
+                // The check ran against whatever the key press navigated to, so its result is meaningless
+                await page.goto(url, { waitUntil: 'networkidle', timeout: 60000 });
+                await ensurePageHelpers(page);
+                break;
+            }
+            if (issue) {
+                issues.push(issue);
+            }
+        }
+        await page.keyboard.press('Escape').catch(() => undefined);
+    }
+
+    return issues;
+}
+
+async function detectWidgets(page: Page): Promise<DetectedWidget[]> {
+    return page.evaluate((maxPerPattern) => {
+        const { selectorFor, isHidden } = window.__accesslint!;
+        const labelOf = (el: Element) => (el.getAttribute('aria-label') || (el as HTMLElement).innerText || el.getAttribute('value') || '').replace(/\s+/g, ' ').trim().slice(0, 40) || el.tagName.toLowerCase();
+        const controlsSelector = (el: Element) => {
+            const id = (el.getAttribute('aria-controls') || el.getAttribute('aria-owns') || '').split(/\s+/).filter(Boolean)[0];
+            return id ? `#${CSS.escape(id)}` : undefined;
+        };
+        const part = (el: Element) => ({ selector: selectorFor(el), label: labelOf(el) });
+        // Enter follows a link, which would leave the page under test
+        const isLink = (el: Element) => el.matches('a[href]') && !/^\s*(?:#|javascript:)/i.test(el.getAttribute('href')!);
+        const widgets: DetectedWidget[] = [];
+        const take = (pattern: WidgetPattern, elements: Element[], build: (el: Element) => DetectedWidget | null) => {
+            widgets.push(...elements.filter(el => !isHidden(el)).map(build).filter((w): w is DetectedWidget => !!w).slice(0, maxPerPattern));
+        };
+
+        take('tabs', Array.from(document.querySelectorAll('[role="tablist"]')), el => {
+            const tabs = Array.from(el.querySelectorAll('[role="tab"]')).filter(tab => !isHidden(tab));
+            return tabs.length < 2 || tabs.some(isLink) ? null : {
+                pattern: 'tabs', ...part(el), vertical: el.getAttribute('aria-orientation') === 'vertical',
+                items: tabs.map(tab => ({ ...part(tab), controls: controlsSelector(tab) }))
+            };
+        });
+
+        take('menu-button', Array.from(document.querySelectorAll('[aria-haspopup="menu"], [aria-haspopup="true"]')).filter(el => el.getAttribute('role') !== 'combobox' && !isLink(el)), el => ({
+            pattern: 'menu-button', ...part(el), vertical: true, items: [], controls: controlsSelector(el)
+        }));
+
+        take('combobox', Array.from(document.querySelectorAll('[role="combobox"]')), el => ({
+            pattern: 'combobox', ...part(el), vertical: true, items: [], controls: controlsSelector(el)
+        }));
+
+        // APG accordions put a button with aria-expanded inside each heading
+        take('accordion', Array.from(document.querySelectorAll(
+            ':is(h1, h2, h3, h4, h5, h6, [role="heading"]) :is(button, [role="button"])[aria-expanded][aria-controls]'
+        )).filter(el => !el.hasAttribute('aria-haspopup') && !isLink(el)), el => ({
+            pattern: 'accordion', ...part(el), vertical: true, items: [], controls: controlsSelector(el)
+        }));
+
+        take('tree', Array.from(document.querySelectorAll('[role="tree"]')), el => {
+            const items = Array.from(el.querySelectorAll('[role="treeitem"]')).filter(item => !isHidden(item));
+            return items.length < 2 ? null : {
+                pattern: 'tree', ...part(el), vertical: true,
+                items: items.map(item => ({ ...part(item), expanded: item.getAttribute('aria-expanded') ?? undefined }))
+            };
+        });
+
+        return widgets;
+    }, MAX_WIDGETS_PER_PATTERN);
+}
+
+/**
+ * The key presses each pattern must handle, as independent checks
+ */
+function contractFor(page: Page, widget: DetectedWidget): KeyboardCheck[] {
+    const focusIs = (target: WidgetPart) => async () => {
+        const actual = await focusedElement(page);
+        return actual?.selector === target.selector ? null : `focus is on ${describe(actual)}`;
+    };
+    const check = (start: WidgetPart, key: string, expected: string, verify: KeyboardCheck['verify'], criterion: KeyboardCheck['criterion'], ruleId: string): KeyboardCheck =>
+        ({ widget, start, key, expected, verify, criterion, ruleId });
+
+    switch (widget.pattern) {
+        case 'tabs': {
+            const [first, second] = widget.items;
+            const last = widget.items[widget.items.length - 1];
+            const [next, previous] = widget.vertical ? ['ArrowDown', 'ArrowUp'] : ['ArrowRight', 'ArrowLeft'];
+            return [
+                check(first, next, `focus moves to the next tab "${second.label}"`, focusIs(second), '2.1.1 Keyboard', 'tabs-arrow-navigation'),
+                check(second, previous, `focus moves to the previous tab "${first.label}"`, focusIs(first), '2.1.1 Keyboard', 'tabs-arrow-navigation'),
+                check(last, 'Home', `focus moves to the first tab "${first.label}"`, focusIs(first), '2.1.1 Keyboard', 'tabs-home-end'),
+                check(first, 'End', `focus moves to the last tab "${last.label}"`, focusIs(last), '2.1.1 Keyboard', 'tabs-home-end'),
+                check(second, 'Enter', `"${second.label}" gets aria-selected="true" and its panel is shown`, async () => {
+                    const tab = await elementState(page, second.selector);
+                    const panel = second.controls ? await elementState(page, second.controls) : undefined;
+                    if (tab.selected !== 'true') {
+                        return `aria-selected is ${quote(tab.selected)}`;
+                    }
+                    if (!panel || !panel.exists) {
+                        return 'the tab has no aria-controls pointing at its tabpanel';
+                    }
+                    return panel.visible ? null : 'the controlled tabpanel is hidden';
+                }, '4.1.2 Name, Role, Value', 'tabs-selection-state')
+            ];
+        }
+
+        case 'menu-button':
+            return [
+                check(widget, 'Enter', 'aria-expanded becomes "true", the menu is shown and focus moves to its first item', async () => {
+                    const button = await elementState(page, widget.selector);
+                    const menu = await popupState(page, widget.controls, '[role="menu"]');
+                    const focused = await focusedElement(page);
+                    if (button.expanded !== 'true') {
+                        return `aria-expanded is ${quote(button.expanded)}${menu.visible ? ' although the menu is shown' : ''}`;
+                    }
+                    if (!menu.visible) {
+                        return 'no visible role="menu" element';
+                    }
+                    return focused?.role?.startsWith('menuitem') ? null : `focus is on ${describe(focused)}`;
+                }, '2.1.1 Keyboard', 'menu-button-open'),
+                check(widget, 'Enter → Escape', 'the menu closes, aria-expanded becomes "false" and focus returns to the button', async () => {
+                    const button = await elementState(page, widget.selector);
+                    const menu = await popupState(page, widget.controls, '[role="menu"]');
+                    const focused = await focusedElement(page);
+                    if (menu.visible) {
+                        return 'the menu is still shown';
+                    }
+                    if (button.expanded === 'true') {
+                        return 'aria-expanded is still "true"';
+                    }
+                    return focused?.selector === widget.selector ? null : `focus is on ${describe(focused)}`;
+                }, '2.1.1 Keyboard', 'menu-button-close')
+            ];
+
+        case 'combobox':
+            return [
+                check(widget, 'ArrowDown', 'the listbox opens and aria-expanded becomes "true"', async () => {
+                    const combobox = await elementState(page, widget.selector);
+                    const popup = await popupState(page, widget.controls, '[role="listbox"], [role="tree"], [role="grid"], [role="dialog"]');
+                    if (combobox.expanded !== 'true') {
+                        return `aria-expanded is ${quote(combobox.expanded)}${popup.visible ? ' although the popup is shown' : ''}`;
+                    }
+                    return popup.visible ? null : 'no visible popup';
+                }, '4.1.2 Name, Role, Value', 'combobox-expanded-state'),
+                check(widget, 'ArrowDown → ArrowDown', 'aria-activedescendant points at a highlighted option while focus stays in the combobox', async () => {
+                    const combobox = await elementState(page, widget.selector);
+                    const focused = await focusedElement(page);
+                    if (focused?.role === 'option') {
+                        // DOM focus on the option is allowed for listbox popups
+                        return null;
+                    }
+                    if (!combobox.activedescendant) {
+                        return 'aria-activedescendant is not set';
+                    }
+                    const option = await elementState(page, `#${cssEscape(combobox.activedescendant)}`);
+                    return option.exists ? null : `aria-activedescendant points at a missing element "${combobox.activedescendant}"`;
+                }, '4.1.2 Name, Role, Value', 'combobox-active-descendant'),
+                check(widget, 'ArrowDown → Escape', 'the popup closes and aria-expanded becomes "false"', async () => {
+                    const combobox = await elementState(page, widget.selector);
+                    const popup = await popupState(page, widget.controls, '[role="listbox"]');
+                    if (popup.visible) {
+                        return 'the popup is still shown';
+                    }
+                    return combobox.expanded === 'true' ? 'aria-expanded is still "true"' : null;
+                }, '2.1.1 Keyboard', 'combobox-escape')
+            ];
+
+        case 'accordion': {
+            const toggled = (key: string) => check(widget, key, 'aria-expanded flips and the panel is shown or hidden to match', async before => {
+                const header = await elementState(page, widget.selector);
+                const panel = widget.controls ? await elementState(page, widget.controls) : undefined;
+                if (header.expanded === before.expanded) {
+                    return `aria-expanded stayed ${quote(header.expanded)}`;
+                }
+                if (panel && panel.exists && panel.visible !== (header.expanded === 'true')) {
+                    return `aria-expanded is ${quote(header.expanded)} but the panel is ${panel.visible ? 'shown' : 'hidden'}`;
+                }
+                return null;
+            }, '2.1.1 Keyboard', 'accordion-toggle');
+            return [toggled('Enter'), toggled('Space')];
+        }
+
+        case 'tree': {
+            const [first, second] = widget.items;
+            const last = widget.items[widget.items.length - 1];
+            const collapsed = widget.items.find(item => item.expanded === 'false');
+            const checks = [
+                check(first, 'ArrowDown', `focus moves to the next item "${second.label}"`, focusIs(second), '2.1.1 Keyboard', 'tree-arrow-navigation'),
+                check(second, 'ArrowUp', `focus moves to the previous item "${first.label}"`, focusIs(first), '2.1.1 Keyboard', 'tree-arrow-navigation'),
+                check(first, 'End', `focus moves to the last visible item "${last.label}"`, focusIs(last), '2.1.1 Keyboard', 'tree-home-end'),
+                check(last, 'Home', `focus moves to the first item "${first.label}"`, focusIs(first), '2.1.1 Keyboard', 'tree-home-end')
+            ];
+            if (collapsed) {
+                checks.push(check(collapsed, 'ArrowRight', `"${collapsed.label}" expands (aria-expanded="true")`, async () => {
+                    const state = await elementState(page, collapsed.selector);
+                    return state.expanded === 'true' ? null : `aria-expanded is ${quote(state.expanded)}`;
+                }, '4.1.2 Name, Role, Value', 'tree-expand-collapse'));
+                checks.push(check(collapsed, 'ArrowRight → ArrowLeft', `"${collapsed.label}" collapses again (aria-expanded="false")`, async () => {
+                    const state = await elementState(page, collapsed.selector);
+                    return state.expanded === 'false' ? null : `aria-expanded is ${quote(state.expanded)}`;
+                }, '4.1.2 Name, Role, Value', 'tree-expand-collapse'));
+            }
+            return checks;
+        }
+    }
+}
+
+/**
+ * Focus the starting element, press the key(s) and compare the result with the contract
+ */
+async function runCheck(page: Page, check: KeyboardCheck): Promise<AccessibilityIssue | null> {
+    const { widget, start } = check;
+    const keys = check.key.split(' → ');
+    const steps = [`Focus "${start.label}" (${start.selector})`, ...keys.map(key => `Press ${key}`)];
+
+    try {
+        await page.locator(start.selector).first().focus({ timeout: 2000 });
+    } catch {
+        return null;
+    }
+    const focusedBefore = await focusedElement(page);
+    if (focusedBefore?.selector !== start.selector) {
+        return {
+            criterion: '2.1.1 Keyboard',
+            severity: 'error',
+            description: `${PATTERN_NAMES[widget.pattern]} "${widget.label}": "${start.label}" cannot receive keyboard focus`,
+            location: start.selector,
+            recommendation: RECOMMENDATIONS[widget.pattern],
+            ruleId: `${widget.pattern}-not-focusable`,
+            source: 'rules',
+            steps: steps.slice(0, 1)
+        };
+    }
+
+    const before = await elementState(page, widget.selector);
+    for (const key of keys) {
+        await page.keyboard.press(key === 'Space' ? ' ' : key);
+        await page.waitForTimeout(KEY_SETTLE_MS);
+    }
+
+    const actual = await check.verify(before).catch(error => `check failed: ${error}`);
+    // Leave popups closed for the next check
+    if (keys[keys.length - 1] !== 'Escape' && widget.pattern !== 'tabs' && widget.pattern !== 'tree') {
+        await page.keyboard.press('Escape').catch(() => undefined);
+    }
+    if (!actual) {
+        return null;
+    }
+
+    return {
+        criterion: check.criterion,
+        severity: 'error',
+        description: `${PATTERN_NAMES[widget.pattern]} "${widget.label}": pressing ${check.key} on "${start.label}" - expected ${check.expected}; actual: ${actual}`,
+        location: start.selector,
+        recommendation: RECOMMENDATIONS[widget.pattern],
+        ruleId: check.ruleId,
+        source: 'rules',
+        steps
+    };
+}
+
+async function focusedElement(page: Page): Promise<(WidgetPart & { role: string }) | null> {
+    return page.evaluate(() => {
+        let el = document.activeElement;
+        while (el && el.shadowRoot && el.shadowRoot.activeElement) {
+            el = el.shadowRoot.activeElement;
+        }
+        if (!el || el === document.body || el === document.documentElement) {
+            return null;
+        }
+        const label = (el.getAttribute('aria-label') || (el as HTMLElement).innerText || '').replace(/\s+/g, ' ').trim().slice(0, 40);
+        return { selector: window.__accesslint!.selectorFor(el), label, role: el.getAttribute('role') || el.tagName.toLowerCase() };
+    });
+}
+
+async function elementState(page: Page, selector: string): Promise<ElementState> {
+    return page.evaluate((target) => {
+        const el = document.querySelector(target);
+        if (!el) {
+            return { exists: false, visible: false, expanded: null, selected: null, activedescendant: null };
+        }
+        return {
+            exists: true,
+            visible: !window.__accesslint!.isHidden(el),
+            expanded: el.getAttribute('aria-expanded'),
+            selected: el.getAttribute('aria-selected'),
+            activedescendant: el.getAttribute('aria-activedescendant')
+        };
+    }, selector);
+}
+
+/**
+ * State of the popup named by aria-controls, falling back to any visible element with the
+ * popup's role (many libraries render popups in a portal without wiring aria-controls)
+ */
+async function popupState(page: Page, controls: string | undefined, roleSelector: string): Promise<{ visible: boolean }> {
+    if (controls) {
+        const state = await elementState(page, controls);
+        if (state.exists) {
+            return { visible: state.visible };
+        }
+    }
+    return page.evaluate((selector) => ({
+        visible: Array.from(document.querySelectorAll(selector)).some(el => !window.__accesslint!.isHidden(el))
+    }), roleSelector);
+}
+
+function describe(part: (WidgetPart & { role?: string }) | null): string {
+    return part ? `${part.role ? `${part.role} ` : ''}"${part.label}" (${part.selector})` : 'the page body';
+}
+
+function quote(value: string | null): string {
+    return value === null ? 'not set' : `"${value}"`;
+}
+
+function cssEscape(id: string): string {
+    return id.replace(/([^\w-])/g, '\\$1');
+}
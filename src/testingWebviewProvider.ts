@@ -1,10 +1,26 @@
 import * as vscode from 'vscode';
 import * as path from 'path';
 import * as fs from 'fs';
-import { AccessibilityTester, TestResult, NVDAInteraction } from './accessibilityTester';
+import * as os from 'os';
+import { AccessibilityIssue, AccessibilityTester, TestResult, NVDAInteraction } from './accessibilityTester';
 import { TestingAgentOrchestrator } from './testingAgentOrchestrator';
 import { generateEnhancedAccessibilityPrompt, getPatternRecommendations } from './accessibilityPatterns';
 import { BackendApiClient } from './services/backendApiClient';
+import { createAccessibilityTester } from './testing/testingEngine';
+import { crawlSite, CrawlOptions, deduplicateIssues, SiteIssue, siteIssueKey } from './testing/siteCrawler';
+import { addSuppressionRule, applySuppressions, loadSuppressionConfig, SuppressionRule } from './testing/suppressions';
+import { parseCriterion } from './reporting/wcag';
+import { discoverWorkspaceRoutes } from './testing/routeDiscovery';
+import { loadJourney } from './testing/journeyRunner';
+import { SourceLocation } from './testing/sourceMapper';
+import { compareFixResults, FixVerification, toVerificationTable, waitForDevServer } from './testing/fixVerification';
+import { FixGroup, groupIssuesForFix, targetFilesFor } from './testing/fixPlanner';
+import { screenshotArtifacts, withoutScreenshots } from './testing/issueScreenshots';
+import { REPORT_EXPORTERS } from './reporting/exporters';
+import { ExportablePage, ReportExporter } from './reporting/exportModel';
+import { generatePdfReport } from './reporting/pdfReport';
+import { compareToBaseline, createBaseline, readBaseline, serializeBaseline } from './reporting/baseline';
+import { reviewConformanceReport } from './reporting/conformanceReview';
 
 export class TestingWebviewProvider implements vscode.WebviewViewProvider {
     public static readonly viewType = 'accesslint.testingView';
@@ -15,6 +31,15 @@ export class TestingWebviewProvider implements vscode.WebviewViewProvider {
     private agentOrchestrator: TestingAgentOrchestrator | null = null;
     private backendApiClient: BackendApiClient;
     private currentTestingSessionId?: string;
+    private crawlCancelled: boolean = false;
+    // Fix plan shown in the preview, launched when the user confirms it
+    private pendingFix: {
+        testResult: TestResult;
+        issues: AccessibilityIssue[];
+        siteLevel: boolean;
+        workspaceInfo: any;
+        groups: FixGroup[];
+    } | null = null;
 
     constructor(
         private readonly _extensionUri: vscode.Uri,
@@ -52,14 +77,32 @@ export class TestingWebviewProvider implements vscode.WebviewViewProvider {
                     case 'startTest':
                         this._handleStartTest(message.url);
                         break;
+                    case 'startCrawl':
+                        this._handleStartCrawl(message.url, message.options);
+                        break;
+                    case 'runJourney':
+                        this._handleRunJourney(message.url);
+                        break;
                     case 'cancelTest':
                         this._handleCancelTest();
                         break;
+                    case 'previewFix':
+                        this._handlePreviewFix(message.result, message.issues, message.siteLevel);
+                        break;
                     case 'fixIssues':
-                        this._handleFixIssues(message.result);
+                        this._handleFixIssues();
                         break;
                     case 'downloadReport':
-                        this._handleDownloadReport(message.result);
+                        this._handleDownloadReport(message.result, message.pages);
+                        break;
+                    case 'saveBaseline':
+                        this._handleSaveBaseline(message.pages);
+                        break;
+                    case 'suppressIssue':
+                        this._handleSuppressIssue(message.issue, message.url, message.pages);
+                        break;
+                    case 'openSource':
+                        this._handleOpenSource(message.location);
                         break;
                 }
             },
@@ -107,7 +150,7 @@ export class TestingWebviewProvider implements vscode.WebviewViewProvider {
 
             // Initialize tester with AI provider for comprehensive validation
             const aiProvider = this.agentOrchestrator ? (this.agentOrchestrator as any).aiProviderManager : null;
-            this.tester = new AccessibilityTester(this.outputChannel, aiProvider);
+            this.tester = await createAccessibilityTester(this.outputChannel, aiProvider);
             await this.tester.initialize();
 
             // Run the test with progress updates
@@ -131,19 +174,31 @@ export class TestingWebviewProvider implements vscode.WebviewViewProvider {
                     await this.backendApiClient.saveTestingResults(
                         this.currentTestingSessionId,
                         nvdaLog,
-                        result,
+                        withoutScreenshots(result),
                         undefined // AI validation results if applicable
                     );
                     this.outputChannel.appendLine(`✅ Results saved to backend`);
                 } catch (error) {
                     this.outputChannel.appendLine(`⚠️ Failed to save results to backend: ${error}`);
                 }
+
+                // Screenshots go up separately so the results payload stays small
+                const artifacts = screenshotArtifacts(result);
+                if (artifacts.length > 0) {
+                    try {
+                        await this.backendApiClient.uploadTestingArtifacts(this.currentTestingSessionId, artifacts);
+                        this.outputChannel.appendLine(`✅ ${artifacts.length} screenshots saved to backend`);
+                    } catch (error) {
+                        this.outputChannel.appendLine(`⚠️ Failed to save screenshots to backend: ${error}`);
+                    }
+                }
             }
 
             // Send results to webview
             this._view.webview.postMessage({
                 type: 'testingComplete',
-                result: result
+                result: result,
+                baseline: this._compareToBaseline([result])
             });
 
             this.outputChannel.appendLine('\n' + '='.repeat(80));
@@ -173,7 +228,215 @@ export class TestingWebviewProvider implements vscode.WebviewViewProvider {
         }
     }
 
+    private async _handleStartCrawl(url: string, crawlOptions: Partial<CrawlOptions>) {
+        if (!this._view) {
+            return;
+        }
+
+        try {
+            if (!url.startsWith('http://') && !url.startsWith('https://')) {
+                url = 'http://' + url;
+            }
+
+            this.crawlCancelled = false;
+            this._view.webview.postMessage({
+                type: 'testingStarted',
+                url: url
+            });
+
+            const vsConfig = vscode.workspace.getConfiguration('accesslint');
+            const options: CrawlOptions = {
+                source: crawlOptions.source || 'links',
+                maxDepth: crawlOptions.maxDepth ?? vsConfig.get<number>('crawlMaxDepth', 2),
+                maxPages: crawlOptions.maxPages ?? vsConfig.get<number>('crawlMaxPages', 20),
+                include: crawlOptions.include ?? vsConfig.get<string[]>('crawlInclude', []),
+                exclude: crawlOptions.exclude ?? vsConfig.get<string[]>('crawlExclude', [])
+            };
+
+            if (options.source === 'routes') {
+                const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+                if (!workspaceRoot) {
+                    throw new Error('Open the app\'s workspace folder to crawl its router config');
+                }
+                options.routes = discoverWorkspaceRoutes(workspaceRoot);
+            }
+
+            this.outputChannel.show();
+            this.outputChannel.appendLine('='.repeat(80));
+            this.outputChannel.appendLine(`🕸️ Starting Site Crawl from: ${url}`);
+            this.outputChannel.appendLine(`   Source: ${options.source}, depth ${options.maxDepth}, up to ${options.maxPages} pages`);
+            this.outputChannel.appendLine('='.repeat(80));
+
+            const aiProvider = this.agentOrchestrator ? (this.agentOrchestrator as any).aiProviderManager : null;
+            this.tester = await createAccessibilityTester(this.outputChannel, aiProvider);
+            await this.tester.initialize();
+
+            const result = await crawlSite(this.tester, url, options, (progressMessage) => {
+                if (this._view) {
+                    this._view.webview.postMessage({
+                        type: 'testingProgress',
+                        message: progressMessage
+                    });
+                }
+            }, () => this.crawlCancelled);
+
+            if (this.tester) {
+                await this.tester.close();
+                this.tester = null;
+            }
+
+            if (this.crawlCancelled) {
+                return;
+            }
+
+            this._view.webview.postMessage({
+                type: 'crawlComplete',
+                result: result,
+                baseline: this._compareToBaseline(result.pages, result.issues)
+            });
+
+            this.outputChannel.appendLine('\n' + '='.repeat(80));
+            this.outputChannel.appendLine('✅ Crawl Complete');
+            this.outputChannel.appendLine(`Pages tested: ${result.summary.pagesTested} (${result.failedPages.length} failed)`);
+            this.outputChannel.appendLine(`Unique Issues: ${result.summary.totalIssues}`);
+            this.outputChannel.appendLine(`  - Errors: ${result.summary.errors}`);
+            this.outputChannel.appendLine(`  - Warnings: ${result.summary.warnings}`);
+            this.outputChannel.appendLine(`  - Info: ${result.summary.info}`);
+            this.outputChannel.appendLine('='.repeat(80));
+
+        } catch (error) {
+            this.outputChannel.appendLine(`\n❌ Error during crawl: ${error}`);
+
+            if (this.tester) {
+                await this.tester.close();
+                this.tester = null;
+            }
+
+            if (this._view) {
+                this._view.webview.postMessage({
+                    type: 'testingError',
+                    error: error instanceof Error ? error.message : String(error)
+                });
+            }
+
+            vscode.window.showErrorMessage(`Site crawl failed: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+
+    private async _handleRunJourney(baseUrl?: string) {
+        if (!this._view) {
+            return;
+        }
+
+        const journeyFiles = await vscode.workspace.findFiles('**/*.journey.{json,yaml,yml}', '**/node_modules/**');
+        if (journeyFiles.length === 0) {
+            vscode.window.showInformationMessage('No journey files found. Add a *.journey.yaml or *.journey.json file to your workspace.');
+            return;
+        }
+
+        const picked = await vscode.window.showQuickPick(
+            journeyFiles.map(uri => ({ label: vscode.workspace.asRelativePath(uri), uri })),
+            { placeHolder: 'Select a journey to run' }
+        );
+        if (!picked) {
+            return;
+        }
+
+        try {
+            const journey = loadJourney(picked.uri.fsPath);
+            if (!journey.baseUrl && baseUrl) {
+                journey.baseUrl = /^https?:\/\//.test(baseUrl) ? baseUrl : 'http://' + baseUrl;
+            }
+
+            this.crawlCancelled = false;
+            this._view.webview.postMessage({
+                type: 'journeyStarted',
+                name: journey.name
+            });
+
+            this.outputChannel.show();
+            this.outputChannel.appendLine('='.repeat(80));
+            this.outputChannel.appendLine(`🧭 Starting Journey: ${journey.name} (${picked.label})`);
+            this.outputChannel.appendLine('='.repeat(80));
+
+            const aiProvider = this.agentOrchestrator ? (this.agentOrchestrator as any).aiProviderManager : null;
+            this.tester = await createAccessibilityTester(this.outputChannel, aiProvider);
+            await this.tester.initialize();
+
+            const result = await this.tester.testJourney(journey, name => this._getJourneySecret(name), (progressMessage) => {
+                if (this._view) {
+                    this._view.webview.postMessage({
+                        type: 'testingProgress',
+                        message: progressMessage
+                    });
+                }
+            }, () => this.crawlCancelled);
+
+            if (this.tester) {
+                await this.tester.close();
+                this.tester = null;
+            }
+
+            if (this.crawlCancelled) {
+                return;
+            }
+
+            this._view.webview.postMessage({
+                type: 'journeyComplete',
+                result: result,
+                baseline: this._compareToBaseline(result.checkpoints, result.issues)
+            });
+
+            this.outputChannel.appendLine('\n' + '='.repeat(80));
+            this.outputChannel.appendLine(result.failedStep ? `⚠️ Journey stopped at step ${result.failedStep.index}` : '✅ Journey Complete');
+            this.outputChannel.appendLine(`Checkpoints audited: ${result.summary.checkpoints}`);
+            this.outputChannel.appendLine(`Unique Issues: ${result.summary.totalIssues}`);
+            this.outputChannel.appendLine('='.repeat(80));
+
+        } catch (error) {
+            this.outputChannel.appendLine(`\n❌ Error during journey: ${error}`);
+
+            if (this.tester) {
+                await this.tester.close();
+                this.tester = null;
+            }
+
+            if (this._view) {
+                this._view.webview.postMessage({
+                    type: 'testingError',
+                    error: error instanceof Error ? error.message : String(error)
+                });
+            }
+
+            vscode.window.showErrorMessage(`Journey failed: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+
+    /**
+     * Journey credentials live in SecretStorage; ask once and remember
+     */
+    private async _getJourneySecret(name: string): Promise<string> {
+        const key = `accesslint.journeySecret.${name}`;
+        const stored = await this.context.secrets.get(key);
+        if (stored !== undefined) {
+            return stored;
+        }
+
+        const value = await vscode.window.showInputBox({
+            prompt: `Value for journey secret "${name}" (stored in VS Code secret storage)`,
+            password: true,
+            ignoreFocusOut: true
+        });
+        if (value === undefined) {
+            throw new Error(`Journey secret "${name}" was not provided`);
+        }
+
+        await this.context.secrets.store(key, value);
+        return value;
+    }
+
     private async _handleCancelTest() {
+        this.crawlCancelled = true;
         if (this.tester) {
             this.outputChannel.appendLine('🛑 Test cancelled by user');
             await this.tester.close();
@@ -187,16 +450,61 @@ export class TestingWebviewProvider implements vscode.WebviewViewProvider {
         }
     }
 
-    private async _handleFixIssues(testResult: TestResult) {
+    /**
+     * Plan one agent sub-session per criterion group of the selected issues and show the prompts
+     * and target files for review before anything runs
+     */
+    private async _handlePreviewFix(testResult: TestResult, issues: AccessibilityIssue[], siteLevel: boolean = false) {
         if (!this._view) {
             return;
         }
 
+        if (issues.length === 0) {
+            vscode.window.showWarningMessage('Select at least one issue to fix');
+            return;
+        }
+
+        this.outputChannel.appendLine('🔍 Pre-analyzing workspace structure...');
+        const workspaceInfo = await this._exploreWorkspace(testResult.url);
+        const groups = this._planFixGroups(testResult, issues, workspaceInfo);
+        this.pendingFix = { testResult, issues, siteLevel, workspaceInfo, groups };
+
+        this._view.webview.postMessage({
+            type: 'fixPlan',
+            groups: groups.map(group => ({
+                criterion: group.criterion,
+                issueCount: group.issues.length,
+                files: group.files.slice(0, 4),
+                prompt: group.prompt
+            }))
+        });
+    }
+
+    private _planFixGroups(testResult: TestResult, issues: AccessibilityIssue[], workspaceInfo: any, retry: boolean = false): FixGroup[] {
+        return groupIssuesForFix(issues).map(group => {
+            const files = targetFilesFor(group.issues, workspaceInfo.files);
+            return {
+                ...group,
+                files,
+                prompt: this._createEnhancedFixPrompt({ ...testResult, issues: group.issues }, { ...workspaceInfo, files }, retry)
+            };
+        });
+    }
+
+    private async _handleFixIssues() {
+        if (!this._view || !this.pendingFix) {
+            return;
+        }
+
         if (!this.agentOrchestrator) {
             vscode.window.showErrorMessage('Agent orchestrator not available. Please ensure the extension is properly initialized.');
             return;
         }
 
+        const { testResult, issues, siteLevel, workspaceInfo } = this.pendingFix;
+        let groups = this.pendingFix.groups;
+        this.pendingFix = null;
+
         try {
             // Using hardcoded GPT-5 provider
             const providerValue = 'openai' as const;
@@ -207,39 +515,107 @@ export class TestingWebviewProvider implements vscode.WebviewViewProvider {
             });
 
             this.outputChannel.appendLine('='.repeat(80));
-            this.outputChannel.appendLine(`🔧 Starting Automated Accessibility Fixes`);
+            this.outputChannel.appendLine(`🔧 Starting Automated Accessibility Fixes (${issues.length} issues in ${groups.length} sessions)`);
             this.outputChannel.appendLine(`🤖 Using AI Model: GPT-5 (Azure OpenAI)`);
             this.outputChannel.appendLine('='.repeat(80));
 
-            // Pre-explore workspace to find relevant files
-            this.outputChannel.appendLine('🔍 Pre-analyzing workspace structure...');
-            const workspaceInfo = await this._exploreWorkspace(testResult.url);
-            
-            // Convert test results to agent prompt with workspace context
-            const fixPrompt = this._createEnhancedFixPrompt(testResult, workspaceInfo);
+            // Only a single page can be reloaded and re-audited: merged site issues and journey
+            // checkpoints (which need the journey's steps to reach) are left to a manual re-test
+            const vsConfig = vscode.workspace.getConfiguration('accesslint');
+            const verify = vsConfig.get<boolean>('verifyFixes', true) && !siteLevel && !testResult.checkpoint && /^https?:\/\//.test(testResult.url);
+            const maxRetries = verify ? Math.max(0, vsConfig.get<number>('fixVerificationRetries', 2)) : 0;
+
+            const sessionIds: string[] = [];
+            const summaries: string[] = [];
+            const filesChanged = new Set<string>();
+            let lastFailure: string | undefined;
+            let verification: FixVerification | undefined;
+            let verifiedResult: TestResult | undefined;
+            let attempts = 0;
+
+            while (attempts <= maxRetries) {
+                attempts++;
+                let completedGroups = 0;
+
+                // One focused session per group keeps each prompt small and each batch of edits reviewable
+                for (const [index, group] of groups.entries()) {
+                    this.outputChannel.appendLine(`\n🔧 Session ${index + 1}/${groups.length}: ${group.criterion} (${group.issues.length} issues)`);
+                    this._view.webview.postMessage({
+                        type: 'fixingProgress',
+                        message: `Fixing ${group.criterion} (${index + 1}/${groups.length})...`
+                    });
 
-            // Start agent session with the fix prompt using GPT-5
-            const sessionId = await this.agentOrchestrator.startSession(fixPrompt, providerValue);
-            
-            // CRITICAL: Store session start time for timeout detection
-            const sessionStartTime = Date.now();
+                    const sessionId = await this.agentOrchestrator.startSession(group.prompt, providerValue);
+
+                    // CRITICAL: Store session start time for timeout detection
+                    const sessionStartTime = Date.now();
 
-            // Wait for agent to complete (poll session status with hard limits)
-            const completionDetails = await this._waitForAgentCompletion(sessionId, sessionStartTime);
+                    // Wait for agent to complete (poll session status with hard limits)
+                    const completionDetails = await this._waitForAgentCompletion(sessionId, sessionStartTime);
+                    if (!completionDetails.success) {
+                        lastFailure = completionDetails.status;
+                        this.outputChannel.appendLine(`⚠️ Session for ${group.criterion} ended without completion (${completionDetails.status})`);
+                        continue;
+                    }
+
+                    completedGroups++;
+                    sessionIds.push(sessionId);
+                    if (completionDetails.summary) {
+                        summaries.push(completionDetails.summary);
+                    }
+                    (completionDetails.filesChanged || []).forEach(file => filesChanged.add(file));
+                }
+
+                // Nothing to verify when no session got anywhere
+                if (completedGroups === 0 || !verify) {
+                    break;
+                }
+
+                try {
+                    verifiedResult = await this._reauditAfterFix(testResult.url);
+                    verification = compareFixResults(testResult, verifiedResult, issues);
+                } catch (error) {
+                    this.outputChannel.appendLine(`⚠️ Could not re-test ${testResult.url} to verify the fixes: ${error}`);
+                    verification = undefined;
+                    verifiedResult = undefined;
+                    break;
+                }
+
+                this.outputChannel.appendLine(`🔁 Verification (attempt ${attempts}): ${verification.fixed.length} fixed, ${verification.stillFailing.length} still failing, ${verification.introduced.length} introduced`);
+                const unresolved = [...verification.stillFailing, ...verification.introduced];
+                if (unresolved.length === 0) {
+                    break;
+                }
+                if (attempts <= maxRetries) {
+                    this.outputChannel.appendLine(`🔧 Sending ${unresolved.length} unresolved issues back to the agent (retry ${attempts}/${maxRetries})`);
+                    this._view.webview.postMessage({
+                        type: 'fixingProgress',
+                        message: `${unresolved.length} issues remain, retrying (${attempts}/${maxRetries})...`
+                    });
+                    groups = this._planFixGroups(verifiedResult, unresolved, workspaceInfo, true);
+                }
+            }
+
+            if (sessionIds.length > 0) {
+                const verificationTable = verification ? toVerificationTable(verification) : undefined;
+                const resolved = !verification || verification.stillFailing.length + verification.introduced.length === 0;
+                const summary = summaries.join('\n\n') || 'Accessibility issues fixed';
 
-            if (completionDetails.success) {
                 // Save fix results to backend if in backend mode
-                const vsConfig = vscode.workspace.getConfiguration('accesslint');
                 const useBackendMode = vsConfig.get('useBackendMode', true);
                 
                 if (useBackendMode && this.backendApiClient.isAuthenticated() && this.currentTestingSessionId) {
                     try {
                         await this.backendApiClient.saveTestingFix(
                             this.currentTestingSessionId,
-                            sessionId,
-                            completionDetails.filesChanged || [],
-                            completionDetails.summary || 'Accessibility issues fixed',
-                            true
+                            sessionIds[0],
+                            Array.from(filesChanged),
+                            summary,
+                            resolved,
+                            {
+                                agentSessionIds: sessionIds,
+                                verification: verificationTable ? { attempts, issues: verificationTable } : undefined
+                            }
                         );
                         this.outputChannel.appendLine(`✅ Fix results saved to backend`);
                     } catch (error) {
@@ -251,25 +627,35 @@ export class TestingWebviewProvider implements vscode.WebviewViewProvider {
                 this._view.webview.postMessage({
                     type: 'fixingComplete',
                     summary: {
-                        message: completionDetails.summary || 'Agent has completed fixing accessibility issues.',
-                        filesChanged: completionDetails.filesChanged || [],
-                        totalFiles: completionDetails.filesChanged?.length || 0,
-                        issuesFixed: testResult.issues.length
-                    }
+                        message: summaries[0] || 'Agent has completed fixing accessibility issues.',
+                        filesChanged: Array.from(filesChanged),
+                        totalFiles: filesChanged.size,
+                        issuesFixed: verification ? verification.fixed.length : issues.length,
+                        sessions: sessionIds.length,
+                        verification: verificationTable ? {
+                            attempts,
+                            fixed: verification!.fixed.length,
+                            stillFailing: verification!.stillFailing.length,
+                            introduced: verification!.introduced.length,
+                            issues: verificationTable
+                        } : undefined
+                    },
+                    result: verifiedResult,
+                    baseline: verifiedResult ? this._compareToBaseline([verifiedResult]) : undefined
                 });
 
                 this.outputChannel.appendLine('\n' + '='.repeat(80));
-                this.outputChannel.appendLine('✅ Accessibility Fixes Complete');
-                if (completionDetails.filesChanged && completionDetails.filesChanged.length > 0) {
-                    this.outputChannel.appendLine(`📁 Files modified: ${completionDetails.filesChanged.length}`);
-                    completionDetails.filesChanged.forEach(file => {
+                this.outputChannel.appendLine(resolved ? '✅ Accessibility Fixes Complete' : '⚠️ Accessibility Fixes Complete - some issues remain');
+                if (filesChanged.size > 0) {
+                    this.outputChannel.appendLine(`📁 Files modified: ${filesChanged.size}`);
+                    filesChanged.forEach(file => {
                         this.outputChannel.appendLine(`   - ${file}`);
                     });
                 }
                 this.outputChannel.appendLine('='.repeat(80));
             } else {
                 // Provide more detailed error information
-                const statusInfo = completionDetails.status ? ` (Status: ${completionDetails.status})` : '';
+                const statusInfo = lastFailure ? ` (Status: ${lastFailure})` : '';
                 const errorMsg = `Agent session ended without successful completion${statusInfo}. Check the Output panel for details.`;
                 
                 this.outputChannel.appendLine(`\n⚠️ ${errorMsg}`);
@@ -290,6 +676,30 @@ export class TestingWebviewProvider implements vscode.WebviewViewProvider {
         }
     }
 
+    /**
+     * Reload the page once the dev server has picked up the agent's edits and audit it again
+     */
+    private async _reauditAfterFix(url: string): Promise<TestResult> {
+        const progress = (message: string) => {
+            this._view?.webview.postMessage({ type: 'fixingProgress', message });
+        };
+
+        progress('Waiting for the dev server to reload...');
+        if (!await waitForDevServer(url)) {
+            throw new Error('the dev server did not respond after the edits');
+        }
+
+        progress('Re-testing the page to verify the fixes...');
+        const aiProvider = this.agentOrchestrator ? (this.agentOrchestrator as any).aiProviderManager : null;
+        const tester = await createAccessibilityTester(this.outputChannel, aiProvider);
+        try {
+            await tester.initialize();
+            return await tester.testUrl(url, progress);
+        } finally {
+            await tester.close();
+        }
+    }
+
     private async _exploreWorkspace(testedUrl: string): Promise<{ 
         srcPath: string; 
         files: string[]; 
@@ -464,12 +874,18 @@ export class TestingWebviewProvider implements vscode.WebviewViewProvider {
         }
     }
 
-    private _createEnhancedFixPrompt(testResult: TestResult, workspaceInfo: any): string {
+    private _createEnhancedFixPrompt(testResult: TestResult, workspaceInfo: any, retry: boolean = false): string {
         // ENHANCED PROMPT with Pattern Intelligence
         const route = workspaceInfo.routePath || 'home';
         const framework = workspaceInfo.framework || 'this';
         
         let prompt = `🎯 ACCESSIBILITY FIX REQUIRED for /${route} route in ${framework} project.\n\n`;
+
+        if (retry) {
+            prompt += `🔁 RE-TEST RESULT: The page was reloaded and tested again after your previous edits. `;
+            prompt += `The issues below are still present or were introduced by those edits. `;
+            prompt += `Re-read the files before changing them and try a different approach where the previous one did not work.\n\n`;
+        }
         
         // List files compactly
         if (workspaceInfo.files && workspaceInfo.files.length > 0) {
@@ -491,6 +907,9 @@ export class TestingWebviewProvider implements vscode.WebviewViewProvider {
             if (issue.nvdaAnnouncement) {
                 prompt += `   NVDA: "${issue.nvdaAnnouncement}"\n`;
             }
+            if (issue.sourceLocation) {
+                prompt += `   Source: ${this._formatSourceLocation(issue.sourceLocation)}\n`;
+            }
             prompt += `\n`;
         });
 
@@ -820,6 +1239,11 @@ export class TestingWebviewProvider implements vscode.WebviewViewProvider {
         const styleResetUri = webview.asWebviewUri(vscode.Uri.joinPath(this._extensionUri, 'webviews', 'reset.css'));
         const styleVSCodeUri = webview.asWebviewUri(vscode.Uri.joinPath(this._extensionUri, 'webviews', 'vscode.css'));
         const styleMainUri = webview.asWebviewUri(vscode.Uri.joinPath(this._extensionUri, 'webviews', 'testing.css'));
+        const vsConfig = vscode.workspace.getConfiguration('accesslint');
+        const crawlMaxDepth = vsConfig.get<number>('crawlMaxDepth', 2);
+        const crawlMaxPages = vsConfig.get<number>('crawlMaxPages', 20);
+        const crawlInclude = vsConfig.get<string[]>('crawlInclude', []).join(', ');
+        const crawlExclude = vsConfig.get<string[]>('crawlExclude', []).join(', ');
 
         return `<!DOCTYPE html>
 <html lang="en">
@@ -850,12 +1274,33 @@ export class TestingWebviewProvider implements vscode.WebviewViewProvider {
                 <button id="startTestBtn" class="primary-button" aria-label="Start accessibility test">
                     <span class="button-icon">▶</span> Start Test
                 </button>
+                <button id="runJourneyBtn" class="secondary-button" title="Run a *.journey.yaml / *.journey.json file from the workspace">
+                    🧭 Run Journey
+                </button>
             </div>
             <div class="quick-links">
                 <button class="quick-link-btn" data-url="http://localhost:3000">localhost:3000</button>
                 <button class="quick-link-btn" data-url="http://localhost:8080">localhost:8080</button>
                 <button class="quick-link-btn" data-url="http://localhost:5173">localhost:5173</button>
             </div>
+            <div class="crawl-options">
+                <label class="crawl-toggle">
+                    <input type="checkbox" id="crawlToggle" /> Crawl site (test multiple pages)
+                </label>
+                <div id="crawlSettings" class="crawl-settings hidden">
+                    <label>Pages from
+                        <select id="crawlSource">
+                            <option value="links">Same-origin links</option>
+                            <option value="sitemap">sitemap.xml</option>
+                            <option value="routes">Workspace router config</option>
+                        </select>
+                    </label>
+                    <label>Depth <input type="number" id="crawlMaxDepth" min="0" value="${crawlMaxDepth}" /></label>
+                    <label>Max pages <input type="number" id="crawlMaxPages" min="1" value="${crawlMaxPages}" /></label>
+                    <label>Include <input type="text" id="crawlInclude" placeholder="/docs/**, /blog/*" value="${this._escapeAttribute(crawlInclude)}" /></label>
+                    <label>Exclude <input type="text" id="crawlExclude" placeholder="/admin/**" value="${this._escapeAttribute(crawlExclude)}" /></label>
+                </div>
+            </div>
         </div>
 
         <div id="testingStatus" class="testing-status hidden">
@@ -876,6 +1321,11 @@ export class TestingWebviewProvider implements vscode.WebviewViewProvider {
                 </div>
             </div>
 
+            <div id="siteSummary" class="site-summary hidden">
+                <button id="backToSiteBtn" class="secondary-button hidden">← Back to site summary</button>
+                <div id="sitePages" class="site-pages"></div>
+            </div>
+
             <div class="summary-cards">
                 <div class="summary-card error-card">
                     <div class="card-icon">❌</div>
@@ -900,22 +1350,33 @@ export class TestingWebviewProvider implements vscode.WebviewViewProvider {
                 </div>
             </div>
 
+            <div class="baseline-bar">
+                <span id="baselineStatus" class="baseline-status">No baseline</span>
+                <button id="saveBaselineBtn" class="secondary-button" title="Record these issues as known, so later runs only flag new ones">📌 Save as Baseline</button>
+            </div>
+
             <div class="filter-section">
                 <button class="filter-btn active" data-filter="all">All</button>
                 <button class="filter-btn" data-filter="error">Errors</button>
                 <button class="filter-btn" data-filter="warning">Warnings</button>
                 <button class="filter-btn" data-filter="info">Info</button>
+                <button id="newFilterBtn" class="filter-btn hidden" data-filter="new">New</button>
             </div>
 
             <div id="fixSection" class="fix-section hidden">
                 <div class="action-buttons">
                     <button id="fixIssuesBtn" class="fix-issues-button">
-                        <span class="button-icon">🔧</span> Fix Accessibility Issues
+                        <span class="button-icon">🔧</span> Fix Selected Issues
                     </button>
                     <button id="downloadReportBtn" class="download-report-button">
-                        <span class="button-icon">📄</span> Download Report (PDF)
+                        <span class="button-icon">📄</span> Download Report
                     </button>
                 </div>
+                <div class="fix-options">
+                    <label><input type="checkbox" id="fixErrorsOnly"> Fix only errors</label>
+                    <span id="fixSelectionCount" class="fix-selection-count" aria-live="polite"></span>
+                </div>
+                <div id="fixPlan" class="fix-plan hidden"></div>
                 <div id="fixProgress" class="fix-progress hidden">
                     <div class="fix-status">
                         <div class="spinner"></div>
@@ -925,6 +1386,22 @@ export class TestingWebviewProvider implements vscode.WebviewViewProvider {
                 <div id="fixSummary" class="fix-summary hidden"></div>
             </div>
 
+            <details id="suppressedSection" class="suppressed-section hidden">
+                <summary id="suppressedTitle">🔕 Suppressed issues</summary>
+                <ul id="suppressedList" class="suppressed-list"></ul>
+            </details>
+
+            <details id="pageScreenshotSection" class="focus-order-section hidden">
+                <summary>📸 Page overview</summary>
+                <img id="pageScreenshotImage" class="focus-order-image" alt="Full page screenshot with a numbered marker on each offending element" />
+            </details>
+
+            <details id="focusOrderSection" class="focus-order-section hidden">
+                <summary id="focusOrderTitle">⌨️ Focus order</summary>
+                <img id="focusOrderImage" class="focus-order-image hidden" alt="Page screenshot with numbered keyboard focus stops drawn over it" />
+                <ol id="focusOrderList" class="focus-order-list"></ol>
+            </details>
+
             <div id="issuesList" class="issues-list"></div>
         </div>
 
@@ -940,339 +1417,294 @@ export class TestingWebviewProvider implements vscode.WebviewViewProvider {
 </html>`;
     }
 
-    private async _handleDownloadReport(testResult: any) {
+    private _formatSourceLocation(location: SourceLocation): string {
+        return [location.file, location.line, location.line ? location.column : undefined].filter(part => part !== undefined).join(':');
+    }
+
+    private async _handleOpenSource(location: SourceLocation) {
         try {
-            this.outputChannel.appendLine('📄 Generating PDF report...');
-            
-            // Generate PDF content
-            const pdfContent = this._generatePDFContent(testResult);
-            
-            // Ask user where to save
-            const saveUri = await vscode.window.showSaveDialog({
-                defaultUri: vscode.Uri.file(`accessibility-report-${new Date().toISOString().split('T')[0]}.html`),
-                filters: {
-                    'HTML Files': ['html'],
-                    'All Files': ['*']
-                }
+            const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri;
+            const uri = path.isAbsolute(location.file) || !workspaceRoot
+                ? vscode.Uri.file(location.file)
+                : vscode.Uri.joinPath(workspaceRoot, location.file);
+
+            const position = new vscode.Position(Math.max((location.line || 1) - 1, 0), Math.max((location.column || 1) - 1, 0));
+            await vscode.window.showTextDocument(uri, {
+                selection: new vscode.Range(position, position),
+                preview: false
             });
-
-            if (saveUri) {
-                // Write HTML file (can be opened in browser and printed to PDF)
-                await vscode.workspace.fs.writeFile(saveUri, Buffer.from(pdfContent, 'utf8'));
-                
-                this.outputChannel.appendLine(`✅ Report saved to: ${saveUri.fsPath}`);
-                
-                // Ask if user wants to open the report
-                const openReport = await vscode.window.showInformationMessage(
-                    'Report saved successfully! Open in browser?',
-                    'Open',
-                    'Close'
-                );
-                
-                if (openReport === 'Open') {
-                    await vscode.env.openExternal(saveUri);
-                }
-            }
         } catch (error) {
-            this.outputChannel.appendLine(`❌ Error generating report: ${error}`);
-            vscode.window.showErrorMessage(`Failed to generate report: ${error instanceof Error ? error.message : String(error)}`);
+            vscode.window.showErrorMessage(`Could not open ${this._formatSourceLocation(location)}: ${error instanceof Error ? error.message : String(error)}`);
         }
     }
 
-    private _generatePDFContent(testResult: any): string {
-        const date = new Date(testResult.timestamp).toLocaleString();
-        const errors = testResult.issues.filter((i: any) => i.severity === 'error');
-        const warnings = testResult.issues.filter((i: any) => i.severity === 'warning');
-        const info = testResult.issues.filter((i: any) => i.severity === 'info');
+    private _escapeAttribute(value: string): string {
+        return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    }
 
-        return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Accessibility Test Report - ${testResult.url}</title>
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 1200px;
-            margin: 0 auto;
-            padding: 40px 20px;
-            background: #fff;
-        }
-        .header {
-            border-bottom: 3px solid #0078d4;
-            padding-bottom: 20px;
-            margin-bottom: 30px;
-        }
-        h1 {
-            color: #0078d4;
-            font-size: 32px;
-            margin-bottom: 10px;
-        }
-        .meta {
-            color: #666;
-            font-size: 14px;
-        }
-        .summary {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-            gap: 20px;
-            margin: 30px 0;
-        }
-        .summary-card {
-            padding: 20px;
-            border-radius: 8px;
-            border-left: 4px solid;
-        }
-        .summary-card.errors {
-            background: #fff4f4;
-            border-color: #d32f2f;
-        }
-        .summary-card.warnings {
-            background: #fff8e1;
-            border-color: #f57c00;
-        }
-        .summary-card.info {
-            background: #e3f2fd;
-            border-color: #1976d2;
-        }
-        .summary-card .count {
-            font-size: 36px;
-            font-weight: bold;
-            margin-bottom: 5px;
-        }
-        .summary-card.errors .count { color: #d32f2f; }
-        .summary-card.warnings .count { color: #f57c00; }
-        .summary-card.info .count { color: #1976d2; }
-        .summary-card .label {
-            font-size: 14px;
-            color: #666;
-            text-transform: uppercase;
-            letter-spacing: 0.5px;
-        }
-        .section {
-            margin: 40px 0;
-        }
-        .section-title {
-            font-size: 24px;
-            color: #333;
-            margin-bottom: 20px;
-            padding-bottom: 10px;
-            border-bottom: 2px solid #e0e0e0;
-        }
-        .issue {
-            background: #f9f9f9;
-            border: 1px solid #e0e0e0;
-            border-left: 4px solid;
-            border-radius: 4px;
-            padding: 20px;
-            margin-bottom: 20px;
-            page-break-inside: avoid;
+    private _getBaselinePath(): string | undefined {
+        const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+        const baselineFile = vscode.workspace.getConfiguration('accesslint').get<string>('baselineFile', '.accesslint-baseline.json');
+        return workspaceRoot && baselineFile ? path.resolve(workspaceRoot, baselineFile) : undefined;
+    }
+
+    /**
+     * Mark every issue as new or unchanged against the workspace baseline, if there is one.
+     * Site-level issues are new when any of their occurrences is.
+     */
+    private _compareToBaseline(pages: TestResult[], siteIssues?: SiteIssue[]) {
+        const baselinePath = this._getBaselinePath();
+        if (!baselinePath || !fs.existsSync(baselinePath)) {
+            return undefined;
         }
-        .issue.error { border-left-color: #d32f2f; }
-        .issue.warning { border-left-color: #f57c00; }
-        .issue.info { border-left-color: #1976d2; }
-        .issue-header {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 10px;
+
+        try {
+            const comparison = compareToBaseline(pages, readBaseline(baselinePath));
+            const newKeys = new Set(comparison.newIssues.map(siteIssueKey));
+            for (const issue of siteIssues || []) {
+                issue.baselineStatus = newKeys.has(siteIssueKey(issue)) ? 'new' : 'unchanged';
+            }
+
+            this.outputChannel.appendLine(`📌 Baseline: ${comparison.newIssues.length} new, ${comparison.unchanged.length} unchanged, ${comparison.fixed.length} fixed`);
+            return {
+                file: vscode.workspace.asRelativePath(baselinePath),
+                new: comparison.newIssues.length,
+                unchanged: comparison.unchanged.length,
+                fixed: comparison.fixed.length
+            };
+        } catch (error) {
+            this.outputChannel.appendLine(`⚠️ Could not compare to baseline: ${error instanceof Error ? error.message : error}`);
+            return undefined;
         }
-        .issue-criterion {
-            font-weight: 600;
-            font-size: 16px;
-            color: #333;
+    }
+
+    private async _handleSaveBaseline(pages: ExportablePage[]) {
+        const baselinePath = this._getBaselinePath();
+        if (!baselinePath) {
+            vscode.window.showErrorMessage('Open a workspace folder to save a baseline');
+            return;
         }
-        .issue-severity {
-            padding: 4px 12px;
-            border-radius: 12px;
-            font-size: 12px;
-            font-weight: 600;
-            text-transform: uppercase;
+
+        if (fs.existsSync(baselinePath)) {
+            const replace = await vscode.window.showWarningMessage(
+                `Replace the baseline in ${vscode.workspace.asRelativePath(baselinePath)} with these results?`,
+                { modal: true },
+                'Replace'
+            );
+            if (replace !== 'Replace') {
+                return;
+            }
         }
-        .issue-severity.error {
-            background: #d32f2f;
-            color: white;
+
+        try {
+            const baseline = createBaseline(pages);
+            fs.writeFileSync(baselinePath, serializeBaseline(baseline));
+            this.outputChannel.appendLine(`📌 Baseline saved to ${baselinePath} (${baseline.issues.length} issues)`);
+            vscode.window.showInformationMessage(`Baseline saved with ${baseline.issues.length} known issues. Commit ${path.basename(baselinePath)} to share it.`);
+
+            this._view?.webview.postMessage({
+                type: 'baselineSaved',
+                baseline: { file: vscode.workspace.asRelativePath(baselinePath), new: 0, unchanged: baseline.issues.length, fixed: 0 }
+            });
+        } catch (error) {
+            this.outputChannel.appendLine(`❌ Error saving baseline: ${error}`);
+            vscode.window.showErrorMessage(`Failed to save baseline: ${error instanceof Error ? error.message : String(error)}`);
         }
-        .issue-severity.warning {
-            background: #f57c00;
-            color: white;
+    }
+
+    /**
+     * Accept an issue as a known exception: add a scoped ignore to .accesslintrc, record who
+     * accepted it in the backend, and re-apply suppressions to the results on screen
+     */
+    private async _handleSuppressIssue(issue: SiteIssue, pageUrl: string | undefined, pages: TestResult[]) {
+        const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+        if (!workspaceRoot) {
+            vscode.window.showErrorMessage('Open a workspace folder to suppress issues');
+            return;
         }
-        .issue-severity.info {
-            background: #1976d2;
-            color: white;
+
+        const criterion = parseCriterion(issue.criterion).id || issue.ruleId;
+        let pagePath: string | undefined;
+        try {
+            pagePath = pageUrl ? new URL(pageUrl).pathname : undefined;
+        } catch {
+            pagePath = undefined;
         }
-        .issue-description {
-            color: #444;
-            margin: 15px 0;
-            line-height: 1.7;
+
+        const scopes: (vscode.QuickPickItem & { rule: Omit<SuppressionRule, 'reason'> })[] = [];
+        if (issue.location) {
+            scopes.push({ label: 'This element', description: issue.location, rule: { criterion, selector: issue.location } });
         }
-        .issue-details {
-            margin-top: 15px;
-            padding-top: 15px;
-            border-top: 1px solid #e0e0e0;
-            font-size: 14px;
+        if (criterion && pagePath) {
+            scopes.push({ label: 'This criterion on this page', description: `${criterion} on ${pagePath}`, rule: { criterion, url: pagePath } });
         }
-        .issue-detail {
-            margin: 8px 0;
-            color: #666;
+        if (criterion) {
+            scopes.push({ label: 'This criterion everywhere', description: criterion, rule: { criterion } });
         }
-        .issue-detail strong {
-            color: #333;
-            font-weight: 600;
+        if (scopes.length === 0) {
+            vscode.window.showWarningMessage('This issue has no criterion or selector to scope a suppression to');
+            return;
         }
-        .nvda-text {
-            font-style: italic;
-            color: #0078d4;
-            background: #e3f2fd;
-            padding: 2px 6px;
-            border-radius: 3px;
+
+        const scope = await vscode.window.showQuickPick(scopes, { placeHolder: 'What should the suppression cover?' });
+        if (!scope) {
+            return;
         }
-        .footer {
-            margin-top: 60px;
-            padding-top: 20px;
-            border-top: 2px solid #e0e0e0;
-            text-align: center;
-            color: #666;
-            font-size: 14px;
+
+        const reason = await vscode.window.showInputBox({
+            prompt: 'Why is this issue accepted? (recorded in .accesslintrc and reports)',
+            placeHolder: 'e.g. False positive: the image is decorative and hidden from assistive technology',
+            validateInput: value => value.trim() ? undefined : 'A reason is required'
+        });
+        if (!reason) {
+            return;
         }
-        @media print {
-            body { padding: 0; }
-            .summary { page-break-after: avoid; }
-            .issue { page-break-inside: avoid; }
+
+        const defaultExpiry = new Date(Date.now() + 90 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const expires = await vscode.window.showInputBox({
+            prompt: 'Expiry date (YYYY-MM-DD); leave empty to never expire',
+            value: defaultExpiry,
+            validateInput: value => !value || /^\d{4}-\d{2}-\d{2}$/.test(value) ? undefined : 'Use the YYYY-MM-DD format'
+        });
+        if (expires === undefined) {
+            return;
         }
-    </style>
-</head>
-<body>
-    <div class="header">
-        <h1>🔍 Accessibility Test Report</h1>
-        <div class="meta">
-            <div><strong>URL:</strong> ${testResult.url}</div>
-            <div><strong>Tested:</strong> ${date}</div>
-            <div><strong>Interactions:</strong> ${testResult.summary.totalInteractions} NVDA interactions</div>
-        </div>
-    </div>
 
-    <div class="summary">
-        <div class="summary-card errors">
-            <div class="count">${errors.length}</div>
-            <div class="label">Errors</div>
-        </div>
-        <div class="summary-card warnings">
-            <div class="count">${warnings.length}</div>
-            <div class="label">Warnings</div>
-        </div>
-        <div class="summary-card info">
-            <div class="count">${info.length}</div>
-            <div class="label">Info</div>
-        </div>
-    </div>
+        const vsConfig = vscode.workspace.getConfiguration('accesslint');
+        const useBackendMode = vsConfig.get('useBackendMode', true) && this.backendApiClient.isAuthenticated();
+        let acceptedBy = os.userInfo().username;
+        if (useBackendMode) {
+            try {
+                const user = await this.backendApiClient.getCurrentUser();
+                acceptedBy = user?.email || acceptedBy;
+            } catch {
+                // Fall back to the local user name
+            }
+        }
 
-    ${errors.length > 0 ? `
-    <div class="section">
-        <h2 class="section-title">❌ Errors (${errors.length})</h2>
-        ${errors.map((issue: any) => this._generateIssueHTML(issue)).join('')}
-    </div>
-    ` : ''}
+        try {
+            const rule: SuppressionRule = { ...scope.rule, reason: reason.trim(), expires: expires || undefined, acceptedBy };
+            const configFile = addSuppressionRule(workspaceRoot, rule);
+            this.outputChannel.appendLine(`🔕 Suppressed "${issue.description}" (${scope.label.toLowerCase()}) in ${configFile}`);
 
-    ${warnings.length > 0 ? `
-    <div class="section">
-        <h2 class="section-title">⚠️ Warnings (${warnings.length})</h2>
-        ${warnings.map((issue: any) => this._generateIssueHTML(issue)).join('')}
-    </div>
-    ` : ''}
+            if (useBackendMode) {
+                try {
+                    await this.backendApiClient.recordSuppression(this.currentTestingSessionId, {
+                        criterion: rule.criterion,
+                        selector: rule.selector,
+                        url: rule.url,
+                        reason: rule.reason,
+                        expires: rule.expires,
+                        description: issue.description,
+                        acceptedBy
+                    });
+                } catch (error) {
+                    this.outputChannel.appendLine(`⚠️ Failed to record suppression in backend: ${error}`);
+                }
+            }
 
-    ${info.length > 0 ? `
-    <div class="section">
-        <h2 class="section-title">ℹ️ Info (${info.length})</h2>
-        ${info.map((issue: any) => this._generateIssueHTML(issue)).join('')}
-    </div>
-    ` : ''}
-
-    <div class="footer">
-        <p>Generated by AccessLint - VSCode Extension</p>
-        <p>Report generated on ${new Date().toLocaleString()}</p>
-        <p style="margin-top: 10px; font-size: 12px;">
-            To save as PDF: Print this page (Ctrl+P / Cmd+P) and select "Save as PDF"
-        </p>
-    </div>
-</body>
-</html>`;
+            const config = loadSuppressionConfig(workspaceRoot);
+            for (const page of pages) {
+                applySuppressions(page, workspaceRoot, config);
+            }
+            this._view?.webview.postMessage({
+                type: 'issueSuppressed',
+                pages,
+                siteIssues: deduplicateIssues(pages)
+            });
+        } catch (error) {
+            this.outputChannel.appendLine(`❌ Error suppressing issue: ${error}`);
+            vscode.window.showErrorMessage(`Failed to suppress issue: ${error instanceof Error ? error.message : String(error)}`);
+        }
     }
 
-    private _generateIssueHTML(issue: any): string {
-        const escapeHtml = (text: string) => {
-            return text
-                .replace(/&/g, '&amp;')
-                .replace(/</g, '&lt;')
-                .replace(/>/g, '&gt;')
-                .replace(/"/g, '&quot;')
-                .replace(/'/g, '&#039;');
-        };
-
-        let detailsHTML = '';
-        
-        if (issue.nvdaAnnouncement) {
-            detailsHTML += `
-                <div class="issue-detail">
-                    <strong>📢 NVDA Announced:</strong> <span class="nvda-text">"${escapeHtml(issue.nvdaAnnouncement)}"</span>
-                </div>
-            `;
-        }
-        
-        if (issue.expectedAnnouncement) {
-            detailsHTML += `
-                <div class="issue-detail">
-                    <strong>✅ Expected:</strong> "${escapeHtml(issue.expectedAnnouncement)}"
-                </div>
-            `;
+    private async _handleDownloadReport(testResult: any, pages?: ExportablePage[]) {
+        const formats: (vscode.QuickPickItem & { exporter?: ReportExporter; conformance?: boolean })[] = [
+            { label: 'PDF Report', description: 'Paginated report with charts and screenshots to share or archive' },
+            { label: 'Conformance Report (VPAT/ACR)', description: 'WCAG and EN 301 549 verdicts per success criterion', conformance: true },
+            ...REPORT_EXPORTERS.map(exporter => ({ label: exporter.label, description: exporter.description, exporter }))
+        ];
+        const format = await vscode.window.showQuickPick(formats, { placeHolder: 'Select a report format' });
+        if (!format) {
+            return;
         }
-        
-        if (issue.element) {
-            detailsHTML += `
-                <div class="issue-detail">
-                    <strong>Element:</strong> ${escapeHtml(issue.element)}
-                </div>
-            `;
+
+        const reportPages = pages && pages.length > 0 ? pages : [testResult];
+        if (format.exporter) {
+            await this._exportReport(format.exporter, reportPages);
+            return;
         }
-        
-        if (issue.location) {
-            detailsHTML += `
-                <div class="issue-detail">
-                    <strong>Location:</strong> ${escapeHtml(issue.location)}
-                </div>
-            `;
+        if (format.conformance) {
+            const name = reportPages.length > 1
+                ? `Site test of ${reportPages[0].url} (${reportPages.length} pages)`
+                : `Test of ${reportPages[0].url}`;
+            await reviewConformanceReport(this.context, { name, pages: reportPages }, this.outputChannel);
+            return;
         }
 
-        if (issue.recommendation) {
-            detailsHTML += `
-                <div class="issue-detail">
-                    <strong>💡 Recommendation:</strong> ${escapeHtml(issue.recommendation)}
-                </div>
-            `;
+        const saveUri = await vscode.window.showSaveDialog({
+            defaultUri: vscode.Uri.file(`accessibility-report-${new Date().toISOString().split('T')[0]}.pdf`),
+            filters: {
+                'PDF Files': ['pdf'],
+                'All Files': ['*']
+            }
+        });
+        if (!saveUri) {
+            return;
         }
 
-        if (issue.source) {
-            detailsHTML += `
-                <div class="issue-detail">
-                    <strong>Source:</strong> ${issue.source === 'basic' ? 'Basic NVDA Validation' : 'AI Comprehensive Validation'}
-                </div>
-            `;
+        try {
+            this.outputChannel.appendLine('📄 Generating PDF report...');
+            const pdf = await vscode.window.withProgress(
+                { location: vscode.ProgressLocation.Notification, title: 'Generating PDF report' },
+                progress => generatePdfReport(reportPages, {
+                    subject: reportPages.length > 1 ? reportPages[0].url.replace(/^(https?:\/\/[^/]+).*$/, '$1') : reportPages[0].url,
+                    onProgress: message => {
+                        this.outputChannel.appendLine(message);
+                        progress.report({ message: message.replace(/^\S+\s/, '') });
+                    }
+                })
+            );
+
+            await vscode.workspace.fs.writeFile(saveUri, pdf);
+            this.outputChannel.appendLine(`✅ Report saved to: ${saveUri.fsPath}`);
+
+            const openReport = await vscode.window.showInformationMessage(
+                `PDF report saved to ${path.basename(saveUri.fsPath)}`,
+                'Open',
+                'Close'
+            );
+            if (openReport === 'Open') {
+                await vscode.env.openExternal(saveUri);
+            }
+        } catch (error) {
+            this.outputChannel.appendLine(`❌ Error generating report: ${error}`);
+            vscode.window.showErrorMessage(`Failed to generate report: ${error instanceof Error ? error.message : String(error)}`);
         }
+    }
 
-        return `
-            <div class="issue ${issue.severity}">
-                <div class="issue-header">
-                    <div class="issue-criterion">${escapeHtml(issue.criterion)}</div>
-                    <span class="issue-severity ${issue.severity}">${issue.severity}</span>
-                </div>
-                <div class="issue-description">${escapeHtml(issue.description)}</div>
-                ${detailsHTML ? `<div class="issue-details">${detailsHTML}</div>` : ''}
-            </div>
-        `;
+    private async _exportReport(exporter: ReportExporter, pages: ExportablePage[]) {
+        try {
+            this.outputChannel.appendLine(`📄 Exporting ${exporter.label} report (${pages.length} page${pages.length === 1 ? '' : 's'})...`);
+            const content = exporter.export(pages);
+
+            const saveUri = await vscode.window.showSaveDialog({
+                defaultUri: vscode.Uri.file(`accessibility-report-${new Date().toISOString().split('T')[0]}.${exporter.fileExtension}`),
+                filters: {
+                    [`${exporter.label} Files`]: [exporter.fileExtension],
+                    'All Files': ['*']
+                }
+            });
+
+            if (saveUri) {
+                await vscode.workspace.fs.writeFile(saveUri, Buffer.from(content, 'utf8'));
+                this.outputChannel.appendLine(`✅ Report saved to: ${saveUri.fsPath}`);
+                vscode.window.showInformationMessage(`${exporter.label} report saved to ${path.basename(saveUri.fsPath)}`);
+            }
+        } catch (error) {
+            this.outputChannel.appendLine(`❌ Error exporting report: ${error}`);
+            vscode.window.showErrorMessage(`Failed to export report: ${error instanceof Error ? error.message : String(error)}`);
+        }
     }
 
     public dispose() {
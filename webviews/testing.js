@@ -5,6 +5,7 @@
     const urlInput = document.getElementById('urlInput');
     const startTestBtn = document.getElementById('startTestBtn');
     const cancelTestBtn = document.getElementById('cancelTestBtn');
+    const runJourneyBtn = document.getElementById('runJourneyBtn');
     const quickLinkBtns = document.querySelectorAll('.quick-link-btn');
     const testingStatus = document.getElementById('testingStatus');
     const statusText = document.getElementById('statusText');
@@ -24,9 +25,36 @@
     const fixProgress = document.getElementById('fixProgress');
     const fixStatusText = document.getElementById('fixStatusText');
     const fixSummary = document.getElementById('fixSummary');
+    const pageScreenshotSection = document.getElementById('pageScreenshotSection');
+    const pageScreenshotImage = document.getElementById('pageScreenshotImage');
+    const focusOrderSection = document.getElementById('focusOrderSection');
+    const focusOrderTitle = document.getElementById('focusOrderTitle');
+    const focusOrderImage = document.getElementById('focusOrderImage');
+    const focusOrderList = document.getElementById('focusOrderList');
+    const crawlToggle = document.getElementById('crawlToggle');
+    const crawlSettings = document.getElementById('crawlSettings');
+    const siteSummary = document.getElementById('siteSummary');
+    const sitePages = document.getElementById('sitePages');
+    const backToSiteBtn = document.getElementById('backToSiteBtn');
+    const baselineStatus = document.getElementById('baselineStatus');
+    const saveBaselineBtn = document.getElementById('saveBaselineBtn');
+    const newFilterBtn = document.getElementById('newFilterBtn');
+    const suppressedSection = document.getElementById('suppressedSection');
+    const suppressedTitle = document.getElementById('suppressedTitle');
+    const suppressedList = document.getElementById('suppressedList');
+    const fixErrorsOnly = document.getElementById('fixErrorsOnly');
+    const fixSelectionCount = document.getElementById('fixSelectionCount');
+    const fixPlan = document.getElementById('fixPlan');
 
     let currentFilter = 'all';
     let currentResults = null;
+    let currentSite = null;
+    let siteResults = null;
+    let siteTitle = '';
+    // Issues ticked for fixing, reset to "all" whenever a new result is shown
+    let selectedIssues = new Set();
+    let selectionResult = null;
+    let currentBaseline = null;
 
     // Event Listeners
     startTestBtn.addEventListener('click', () => {
@@ -45,6 +73,13 @@
         }
     });
 
+    runJourneyBtn.addEventListener('click', () => {
+        vscode.postMessage({
+            type: 'runJourney',
+            url: urlInput.value.trim()
+        });
+    });
+
     cancelTestBtn.addEventListener('click', () => {
         vscode.postMessage({
             type: 'cancelTest'
@@ -70,6 +105,16 @@
         });
     });
 
+    crawlToggle.addEventListener('change', () => {
+        crawlSettings.classList.toggle('hidden', !crawlToggle.checked);
+    });
+
+    backToSiteBtn.addEventListener('click', () => {
+        if (siteResults) {
+            displayResults(siteResults);
+        }
+    });
+
     fixIssuesBtn.addEventListener('click', () => {
         if (currentResults) {
             startFixing(currentResults);
@@ -82,8 +127,40 @@
         }
     });
 
+    fixErrorsOnly.addEventListener('change', () => {
+        updateFixSelection();
+    });
+
+    saveBaselineBtn.addEventListener('click', () => {
+        if (currentResults) {
+            // A baseline always covers the whole site, even when one page is open
+            vscode.postMessage({
+                type: 'saveBaseline',
+                pages: currentSite ? currentSite.pages : [currentResults]
+            });
+        }
+    });
+
     // Functions
     function startTest(url) {
+        showTestingStatus();
+
+        // Send message to extension
+        if (crawlToggle.checked) {
+            vscode.postMessage({
+                type: 'startCrawl',
+                url: url,
+                options: readCrawlOptions()
+            });
+        } else {
+            vscode.postMessage({
+                type: 'startTest',
+                url: url
+            });
+        }
+    }
+
+    function showTestingStatus() {
         // Hide empty state and results
         emptyState.classList.add('hidden');
         results.classList.add('hidden');
@@ -96,12 +173,22 @@
         // Disable input and button
         urlInput.disabled = true;
         startTestBtn.disabled = true;
+        runJourneyBtn.disabled = true;
+    }
 
-        // Send message to extension
-        vscode.postMessage({
-            type: 'startTest',
-            url: url
-        });
+    function readCrawlOptions() {
+        const patterns = (id) => document.getElementById(id).value
+            .split(',')
+            .map(p => p.trim())
+            .filter(Boolean);
+
+        return {
+            source: document.getElementById('crawlSource').value,
+            maxDepth: parseInt(document.getElementById('crawlMaxDepth').value, 10) || 0,
+            maxPages: parseInt(document.getElementById('crawlMaxPages').value, 10) || 1,
+            include: patterns('crawlInclude'),
+            exclude: patterns('crawlExclude')
+        };
     }
 
     function addProgressMessage(message) {
@@ -114,6 +201,11 @@
 
     function displayResults(result) {
         currentResults = result;
+        if (selectionResult !== result) {
+            selectionResult = result;
+            selectedIssues = new Set(result.issues);
+        }
+        fixPlan.classList.add('hidden');
 
         // Update metadata
         testedUrl.textContent = `URL: ${result.url}`;
@@ -139,9 +231,17 @@
             fixSection.classList.add('hidden');
         }
 
+        displayPageScreenshot(result.pageScreenshot);
+        displayFocusOrder(result.focusOrder);
+        displaySuppressed(result);
+        updateSiteSummary();
+        updateBaselineStatus();
+
         // Filter issues
         let filteredIssues = result.issues;
-        if (currentFilter !== 'all') {
+        if (currentFilter === 'new') {
+            filteredIssues = result.issues.filter(issue => issue.baselineStatus === 'new');
+        } else if (currentFilter !== 'all') {
             filteredIssues = result.issues.filter(issue => issue.severity === currentFilter);
         }
 
@@ -158,11 +258,11 @@
             `;
             issuesList.appendChild(emptyMessage);
         } else {
-            filteredIssues.forEach(issue => {
-                const issueElement = createIssueElement(issue);
-                issuesList.appendChild(issueElement);
+            groupByCriterion(filteredIssues).forEach(group => {
+                issuesList.appendChild(createIssueGroup(group.criterion, group.issues));
             });
         }
+        updateFixSelection();
 
         // Show results, hide testing status
         testingStatus.classList.add('hidden');
@@ -171,25 +271,298 @@
         // Re-enable input and button
         urlInput.disabled = false;
         startTestBtn.disabled = false;
+        runJourneyBtn.disabled = false;
+    }
+
+    function displaySuppressed(result) {
+        // At site level the suppressed issues of every page are listed
+        const suppressed = currentSite && result === siteResults
+            ? currentSite.pages.flatMap(page => (page.suppressed || []).map(issue => ({ ...issue, page: page.checkpoint || page.url })))
+            : result.suppressed || [];
+
+        suppressedSection.classList.toggle('hidden', suppressed.length === 0);
+        suppressedTitle.textContent = `🔕 Suppressed issues (${suppressed.length})`;
+        suppressedList.innerHTML = '';
+
+        suppressed.forEach(issue => {
+            const suppression = issue.suppression || {};
+            const details = [
+                suppression.kind === 'inline' ? 'Inline comment' : '.accesslintrc',
+                suppression.acceptedBy ? `accepted by ${suppression.acceptedBy}` : '',
+                suppression.expires ? `expires ${suppression.expires}` : '',
+                issue.page || ''
+            ].filter(Boolean).join(' · ');
+
+            const item = document.createElement('li');
+            item.className = 'suppressed-item';
+            item.innerHTML = `
+                <div class="suppressed-issue"><strong>${escapeHtml(issue.criterion)}</strong> ${escapeHtml(issue.description)}</div>
+                <div class="suppressed-reason">${escapeHtml(suppression.reason || '')}</div>
+                <div class="suppressed-meta">${escapeHtml(details)}</div>
+            `;
+            suppressedList.appendChild(item);
+        });
+    }
+
+    function displaySite(site, title) {
+        currentSite = site;
+        siteResults = {
+            url: site.seedUrl,
+            timestamp: site.timestamp,
+            issues: site.issues,
+            summary: { ...site.summary, totalInteractions: 0 }
+        };
+        displayResults(siteResults);
+        siteTitle = title || `Site: ${site.seedUrl} (${site.summary.pagesTested} pages, ${site.summary.totalIssues} unique issues)`;
+        testedUrl.textContent = siteTitle;
+    }
+
+    function displayJourney(journey) {
+        const failedPages = journey.failedStep
+            ? [{ url: `Step ${journey.failedStep.index}: ${journey.failedStep.step}`, error: journey.failedStep.error }]
+            : [];
+
+        displaySite({
+            seedUrl: journey.checkpoints.length > 0 ? journey.checkpoints[0].url : '',
+            timestamp: journey.timestamp,
+            pages: journey.checkpoints,
+            failedPages: failedPages,
+            issues: journey.issues,
+            summary: {
+                pagesTested: journey.summary.checkpoints,
+                errors: journey.summary.errors,
+                warnings: journey.summary.warnings,
+                info: journey.summary.info,
+                totalIssues: journey.summary.totalIssues
+            }
+        }, `Journey: ${journey.journey} (${journey.summary.checkpoints} checkpoints, ${journey.summary.totalIssues} unique issues)`);
+    }
+
+    function updateSiteSummary() {
+        if (!currentSite) {
+            siteSummary.classList.add('hidden');
+            return;
+        }
+
+        siteSummary.classList.remove('hidden');
+        const atSiteLevel = currentResults === siteResults;
+        backToSiteBtn.classList.toggle('hidden', atSiteLevel);
+        sitePages.classList.toggle('hidden', !atSiteLevel);
+
+        if (!atSiteLevel) {
+            return;
+        }
+
+        sitePages.innerHTML = '<h3>Pages</h3>';
+        currentSite.pages.forEach(page => {
+            const row = document.createElement('button');
+            row.className = 'site-page-row';
+            row.innerHTML = `
+                <span class="site-page-url">${escapeHtml(page.checkpoint ? `${page.checkpoint} — ${page.url}` : page.url)}</span>
+                <span class="site-page-counts">
+                    <span class="issue-severity error">${page.summary.errors}</span>
+                    <span class="issue-severity warning">${page.summary.warnings}</span>
+                    <span class="issue-severity info">${page.summary.info}</span>
+                </span>
+            `;
+            row.addEventListener('click', () => displayResults(page));
+            sitePages.appendChild(row);
+        });
+
+        currentSite.failedPages.forEach(failed => {
+            const row = document.createElement('div');
+            row.className = 'site-page-row failed';
+            row.innerHTML = `
+                <span class="site-page-url">${escapeHtml(failed.url)}</span>
+                <span class="site-page-error">${escapeHtml(failed.error)}</span>
+            `;
+            sitePages.appendChild(row);
+        });
+    }
+
+    function updateBaselineStatus() {
+        newFilterBtn.classList.toggle('hidden', !currentBaseline);
+        if (!currentBaseline) {
+            baselineStatus.textContent = 'No baseline: save one to track regressions';
+            if (currentFilter === 'new') {
+                currentFilter = 'all';
+                filterBtns.forEach(b => b.classList.toggle('active', b.getAttribute('data-filter') === 'all'));
+            }
+            return;
+        }
+
+        baselineStatus.innerHTML = `📌 ${escapeHtml(currentBaseline.file)}: ` +
+            `<strong class="baseline-new">${currentBaseline.new} new</strong> · ` +
+            `${currentBaseline.unchanged} unchanged · ${currentBaseline.fixed} fixed`;
+    }
+
+    function displayPageScreenshot(image) {
+        pageScreenshotSection.classList.toggle('hidden', !image);
+        if (image) {
+            pageScreenshotImage.src = image;
+        }
+    }
+
+    function displayFocusOrder(focusOrder) {
+        if (!focusOrder || focusOrder.stops.length === 0) {
+            focusOrderSection.classList.add('hidden');
+            return;
+        }
+
+        focusOrderTitle.textContent = `⌨️ Focus order (${focusOrder.stops.length} tab stops)`;
+
+        if (focusOrder.overlayScreenshot) {
+            focusOrderImage.src = focusOrder.overlayScreenshot;
+            focusOrderImage.classList.remove('hidden');
+        } else {
+            focusOrderImage.classList.add('hidden');
+        }
+
+        focusOrderList.innerHTML = '';
+        focusOrder.stops.forEach(stop => {
+            const item = document.createElement('li');
+            item.className = stop.visible ? 'focus-stop' : 'focus-stop invisible';
+            item.innerHTML = `
+                <span class="focus-stop-name">${escapeHtml(stop.name || '(no text)')}</span>
+                <code class="focus-stop-selector">${escapeHtml(stop.selector)}</code>
+            `;
+            focusOrderList.appendChild(item);
+        });
+
+        focusOrderSection.classList.remove('hidden');
     }
 
     function startFixing(result) {
-        // Hide fix button, show progress
+        // Hide fix button, show progress while the extension plans the sessions
         fixIssuesBtn.disabled = true;
         fixProgress.classList.remove('hidden');
         fixSummary.classList.add('hidden');
-        fixStatusText.textContent = 'Starting agent...';
+        fixPlan.classList.add('hidden');
+        fixStatusText.textContent = 'Planning fix sessions...';
 
         // Send message to extension
         vscode.postMessage({
-            type: 'fixIssues',
-            result: result
+            type: 'previewFix',
+            result: result,
+            issues: selectedForFix(result),
+            siteLevel: result === siteResults
+        });
+    }
+
+    function selectedForFix(result) {
+        return result.issues.filter(issue =>
+            selectedIssues.has(issue) && (!fixErrorsOnly.checked || issue.severity === 'error'));
+    }
+
+    function updateFixSelection() {
+        if (!currentResults) {
+            return;
+        }
+        const count = selectedForFix(currentResults).length;
+        fixSelectionCount.textContent = `${count} of ${currentResults.issues.length} issues selected`;
+        if (fixProgress.classList.contains('hidden') && fixPlan.classList.contains('hidden')) {
+            fixIssuesBtn.disabled = count === 0;
+        }
+    }
+
+    function groupByCriterion(issues) {
+        const groups = new Map();
+        issues.forEach(issue => {
+            if (!groups.has(issue.criterion)) {
+                groups.set(issue.criterion, []);
+            }
+            groups.get(issue.criterion).push(issue);
         });
+        return Array.from(groups, ([criterion, groupIssues]) => ({ criterion, issues: groupIssues }));
     }
 
-    function createIssueElement(issue) {
+    function createIssueGroup(criterion, issues) {
+        const group = document.createElement('div');
+        group.className = 'issue-group';
+        group.innerHTML = `
+            <div class="issue-group-header">
+                <label>
+                    <input type="checkbox" class="group-select">
+                    ${escapeHtml(criterion)} <span class="issue-group-count">(${issues.length})</span>
+                </label>
+            </div>
+        `;
+
+        const groupCheckbox = group.querySelector('.group-select');
+        const syncGroupCheckbox = () => {
+            const selected = issues.filter(issue => selectedIssues.has(issue)).length;
+            groupCheckbox.checked = selected === issues.length;
+            groupCheckbox.indeterminate = selected > 0 && selected < issues.length;
+        };
+
+        const issueElements = issues.map(issue => createIssueElement(issue, syncGroupCheckbox));
+        issueElements.forEach(element => group.appendChild(element));
+
+        groupCheckbox.addEventListener('change', () => {
+            issues.forEach(issue => {
+                if (groupCheckbox.checked) {
+                    selectedIssues.add(issue);
+                } else {
+                    selectedIssues.delete(issue);
+                }
+            });
+            issueElements.forEach(element => {
+                element.querySelector('.issue-select').checked = groupCheckbox.checked;
+            });
+            updateFixSelection();
+        });
+
+        syncGroupCheckbox();
+        return group;
+    }
+
+    function displayFixPlan(groups) {
+        const issueCount = groups.reduce((total, group) => total + group.issueCount, 0);
+        const groupsHtml = groups.map(group => `
+            <li class="fix-plan-group">
+                <div class="fix-plan-group-title">${escapeHtml(group.criterion)} (${group.issueCount} issue${group.issueCount === 1 ? '' : 's'})</div>
+                <div class="fix-plan-files">
+                    ${group.files.length > 0
+                        ? group.files.map(file => `<code class="file-badge">${escapeHtml(file)}</code>`).join(' ')
+                        : '<span class="no-files">No target files found, the agent will search the workspace</span>'}
+                </div>
+                <details>
+                    <summary>Prompt</summary>
+                    <pre class="fix-plan-prompt">${escapeHtml(group.prompt)}</pre>
+                </details>
+            </li>
+        `).join('');
+
+        fixPlan.innerHTML = `
+            <div class="fix-plan-header">
+                <strong>${groups.length} agent session${groups.length === 1 ? '' : 's'} for ${issueCount} issue${issueCount === 1 ? '' : 's'}</strong>
+            </div>
+            <ol class="fix-plan-groups">${groupsHtml}</ol>
+            <div class="fix-plan-actions">
+                <button id="launchFixBtn" class="fix-issues-button">Launch</button>
+                <button id="cancelFixBtn" class="secondary-button">Cancel</button>
+            </div>
+        `;
+
+        fixProgress.classList.add('hidden');
+        fixPlan.classList.remove('hidden');
+
+        document.getElementById('launchFixBtn').addEventListener('click', () => {
+            fixPlan.classList.add('hidden');
+            fixProgress.classList.remove('hidden');
+            fixStatusText.textContent = 'Starting agent...';
+            vscode.postMessage({ type: 'fixIssues' });
+        });
+
+        document.getElementById('cancelFixBtn').addEventListener('click', () => {
+            fixPlan.classList.add('hidden');
+            updateFixSelection();
+        });
+    }
+
+    function createIssueElement(issue, onSelectionChange) {
         const div = document.createElement('div');
-        div.className = `issue-item ${issue.severity}`;
+        div.className = `issue-item ${issue.severity}${issue.baselineStatus === 'new' ? ' baseline-new-issue' : ''}`;
 
         let detailsHtml = '';
         
@@ -227,19 +600,147 @@
                 </div>
             `;
         }
+        if (issue.viewport) {
+            detailsHtml += `
+                <div class="issue-viewport">
+                    <span class="issue-label">Viewport:</span> ${escapeHtml(issue.viewport)}
+                </div>
+            `;
+        }
+        if (issue.steps && issue.steps.length > 0) {
+            detailsHtml += `
+                <div class="issue-steps">
+                    <span class="issue-label">Steps to reproduce:</span>
+                    <ol>${issue.steps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}</ol>
+                </div>
+            `;
+        }
+        if (issue.pages && issue.pages.length > 0) {
+            detailsHtml += `
+                <div class="issue-pages">
+                    <span class="issue-label">Found on ${issue.pages.length} page${issue.pages.length === 1 ? '' : 's'}:</span>
+                    ${issue.pages.map(url => escapeHtml(url)).join(', ')}
+                </div>
+            `;
+        }
+
+        if (issue.screenshot) {
+            detailsHtml += `
+                <figure class="issue-screenshot">
+                    <img src="${issue.screenshot}" alt="Screenshot of the offending element outlined in red" />
+                    ${issue.marker ? `<figcaption>Marker ${issue.marker} in the page overview</figcaption>` : ''}
+                </figure>
+            `;
+        }
+        if (issue.frameStrip) {
+            detailsHtml += `
+                <figure class="issue-screenshot">
+                    <img src="${issue.frameStrip}" alt="Frames of the moving content sampled over five seconds, left to right" />
+                    <figcaption>Frames over time, left to right</figcaption>
+                </figure>
+            `;
+        }
+
+        if (issue.sourceLocation) {
+            detailsHtml += `
+                <div class="issue-source">
+                    <span class="issue-label">Source:</span> <code>${escapeHtml(formatSourceLocation(issue.sourceLocation))}</code>
+                    <button class="go-to-source-btn">Go to source</button>
+                </div>
+            `;
+        }
+
+        detailsHtml += `
+            <div class="issue-actions">
+                <button class="suppress-issue-btn" title="Accept this issue with a reason and expiry in .accesslintrc">Suppress…</button>
+            </div>
+        `;
 
         div.innerHTML = `
             <div class="issue-header">
-                <div class="issue-criterion">${escapeHtml(issue.criterion)}</div>
-                <div class="issue-severity ${issue.severity}">${issue.severity}</div>
+                <label class="issue-title">
+                    <input type="checkbox" class="issue-select" ${selectedIssues.has(issue) ? 'checked' : ''}>
+                    <span class="issue-criterion">${escapeHtml(issue.criterion)}</span>
+                </label>
+                <div class="issue-badges">
+                    ${issue.baselineStatus === 'new' ? '<span class="baseline-badge" title="Not in the baseline">New</span>' : ''}
+                    <div class="issue-severity ${issue.severity}">${issue.severity}</div>
+                </div>
             </div>
             <div class="issue-description">${escapeHtml(issue.description)}</div>
             ${detailsHtml ? `<div class="issue-details">${detailsHtml}</div>` : ''}
         `;
 
+        div.querySelector('.issue-select').addEventListener('change', event => {
+            if (event.target.checked) {
+                selectedIssues.add(issue);
+            } else {
+                selectedIssues.delete(issue);
+            }
+            onSelectionChange();
+            updateFixSelection();
+        });
+
+        const goToSourceBtn = div.querySelector('.go-to-source-btn');
+        if (goToSourceBtn) {
+            goToSourceBtn.addEventListener('click', () => {
+                vscode.postMessage({
+                    type: 'openSource',
+                    location: issue.sourceLocation
+                });
+            });
+        }
+
+        div.querySelector('.suppress-issue-btn').addEventListener('click', () => {
+            // Suppressions are re-applied to every page so site-level counts stay right
+            vscode.postMessage({
+                type: 'suppressIssue',
+                issue: issue,
+                url: currentResults === siteResults ? undefined : currentResults.url,
+                pages: currentSite ? currentSite.pages : [currentResults]
+            });
+        });
+
         return div;
     }
 
+    function createVerificationTable(verification) {
+        const labels = { fixed: '✅ Fixed', 'still-failing': '❌ Still failing', introduced: '🆕 Introduced' };
+        const rows = verification.issues.map(issue => `
+            <tr class="verification-${issue.status}">
+                <td>${labels[issue.status]}</td>
+                <td>${escapeHtml(issue.criterion)}</td>
+                <td>${escapeHtml(issue.description)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="fix-verification">
+                <div class="fix-verification-summary">
+                    Re-tested after ${verification.attempts} attempt${verification.attempts === 1 ? '' : 's'}:
+                    ${verification.fixed} fixed, ${verification.stillFailing} still failing, ${verification.introduced} introduced
+                </div>
+                ${rows ? `
+                    <table class="fix-verification-table">
+                        <thead><tr><th scope="col">Result</th><th scope="col">Criterion</th><th scope="col">Issue</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    function formatSourceLocation(location) {
+        let text = location.file;
+        if (location.line) {
+            text += `:${location.line}`;
+            if (location.column) {
+                text += `:${location.column}`;
+            }
+        }
+        return text;
+    }
+
     function escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -247,10 +748,12 @@
     }
 
     function downloadReport(testResult) {
-        // Send message to extension to generate and download PDF
+        // Send message to extension to pick a format and save the report.
+        // At site level every tested page is exported, not just the merged summary.
         vscode.postMessage({
             type: 'downloadReport',
-            result: testResult
+            result: testResult,
+            pages: currentSite && testResult === siteResults ? currentSite.pages : [testResult]
         });
     }
 
@@ -270,13 +773,34 @@
 
             case 'testingComplete':
                 addProgressMessage('✅ Testing complete!');
+                currentSite = null;
+                siteResults = null;
+                currentBaseline = message.baseline || null;
                 displayResults(message.result);
                 break;
 
+            case 'journeyStarted':
+                showTestingStatus();
+                addProgressMessage(`🧭 Starting journey: ${message.name}`);
+                break;
+
+            case 'journeyComplete':
+                addProgressMessage('✅ Journey complete!');
+                currentBaseline = message.baseline || null;
+                displayJourney(message.result);
+                break;
+
+            case 'crawlComplete':
+                addProgressMessage('✅ Crawl complete!');
+                currentBaseline = message.baseline || null;
+                displaySite(message.result);
+                break;
+
             case 'testingError':
                 testingStatus.classList.add('hidden');
                 urlInput.disabled = false;
                 startTestBtn.disabled = false;
+                runJourneyBtn.disabled = false;
                 emptyState.classList.remove('hidden');
                 emptyState.innerHTML = `
                     <div class="empty-icon">❌</div>
@@ -289,9 +813,54 @@
                 testingStatus.classList.add('hidden');
                 urlInput.disabled = false;
                 startTestBtn.disabled = false;
+                runJourneyBtn.disabled = false;
                 emptyState.classList.remove('hidden');
                 break;
 
+            case 'baselineSaved':
+                // Everything on screen is now part of the baseline
+                currentBaseline = message.baseline;
+                [currentResults, siteResults, ...(currentSite ? currentSite.pages : [])]
+                    .filter(Boolean)
+                    .forEach(result => result.issues.forEach(issue => {
+                        issue.baselineStatus = 'unchanged';
+                    }));
+                if (currentResults) {
+                    displayResults(currentResults);
+                }
+                break;
+
+            case 'issueSuppressed':
+                if (currentSite) {
+                    const openPage = currentResults === siteResults ? null : currentResults;
+                    const issues = message.siteIssues;
+                    displaySite({
+                        ...currentSite,
+                        pages: message.pages,
+                        issues: issues,
+                        summary: {
+                            ...currentSite.summary,
+                            errors: issues.filter(issue => issue.severity === 'error').length,
+                            warnings: issues.filter(issue => issue.severity === 'warning').length,
+                            info: issues.filter(issue => issue.severity === 'info').length,
+                            totalIssues: issues.length
+                        }
+                    }, siteTitle.replace(/\d+ unique issues/, `${issues.length} unique issues`));
+
+                    const reopened = openPage && message.pages.find(page =>
+                        page.url === openPage.url && page.checkpoint === openPage.checkpoint);
+                    if (reopened) {
+                        displayResults(reopened);
+                    }
+                } else {
+                    displayResults(message.pages[0]);
+                }
+                break;
+
+            case 'fixPlan':
+                displayFixPlan(message.groups);
+                break;
+
             case 'fixingStarted':
                 fixStatusText.textContent = 'Agent analyzing issues...';
                 break;
@@ -301,6 +870,14 @@
                 break;
 
             case 'fixingComplete':
+                // Show the re-tested page when the fixes were verified
+                if (message.result) {
+                    currentSite = null;
+                    siteResults = null;
+                    currentBaseline = message.baseline || null;
+                    displayResults(message.result);
+                    fixSection.classList.remove('hidden');
+                }
                 fixProgress.classList.add('hidden');
                 fixSummary.classList.remove('hidden');
                 
@@ -319,11 +896,14 @@
                         : firstSentences;
                 }
                 
+                const verification = message.summary.verification;
+                const unresolved = verification ? verification.stillFailing + verification.introduced : 0;
+
                 let summaryHTML = `
                     <div class="fix-success-card">
                         <div class="fix-card-header">
-                            <span class="fix-icon-inline">✅</span>
-                            <h3>Fixes Applied Successfully</h3>
+                            <span class="fix-icon-inline">${unresolved > 0 ? '⚠️' : '✅'}</span>
+                            <h3>${unresolved > 0 ? 'Some Issues Remain After Re-test' : verification ? 'Fixes Verified' : 'Fixes Applied Successfully'}</h3>
                         </div>
                         
                         <div class="fix-card-body">
@@ -336,11 +916,18 @@
                                     <span class="stat-number-small">${message.summary.totalFiles || 0}</span>
                                     <span class="stat-label-small">Files Changed</span>
                                 </div>
+                                ${message.summary.sessions > 1 ? `
+                                    <div class="fix-stat-compact">
+                                        <span class="stat-number-small">${message.summary.sessions}</span>
+                                        <span class="stat-label-small">Agent Sessions</span>
+                                    </div>
+                                ` : ''}
                             </div>
                             
                             <div class="fix-files-inline">
                                 <strong>Modified:</strong> ${fileList}
                             </div>
+                            ${verification ? createVerificationTable(verification) : ''}
                             
                             <div class="fix-summary-text">
                                 ${escapeHtml(summaryShort)}